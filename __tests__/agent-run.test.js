@@ -0,0 +1,136 @@
+/**
+ * Tests for the run event API
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { createConfig } = require('../lib/config');
+const { quoteShellArg } = require('../lib/agents');
+const { createAgentRun } = require('../lib/agent-run');
+
+const nodeAgent = script => `${quoteShellArg(process.execPath)} -e ${quoteShellArg(script)}`;
+
+// Finishes the story in the prompt, except US-002 on its first try; reports $0.45 per iteration
+const AGENT = nodeAgent(`
+  const fs = require('fs');
+  const prompt = fs.readFileSync(0, 'utf-8');
+  const id = prompt.match(/\\*\\*(US-\\d+):/)[1];
+  const prd = JSON.parse(fs.readFileSync('output/prd.json', 'utf-8'));
+  const story = prd.userStories.find(candidate => candidate.id === id);
+  story.passes = true;
+  fs.writeFileSync('output/prd.json', JSON.stringify(prd));
+  if (id === 'US-002' && !fs.existsSync('retried')) fs.writeFileSync('broken', '');
+  else fs.rmSync('broken', { force: true });
+  if (id === 'US-002') fs.writeFileSync('retried', '');
+  console.log(JSON.stringify({ type: 'assistant', message: { content: [{ type: 'text', text: 'Working on ' + id }] } }));
+  console.log(JSON.stringify({ type: 'result', result: 'Done', usage: { input_tokens: 10, output_tokens: 5 }, total_cost_usd: 0.45 }));
+`);
+
+describe('createAgentRun', () => {
+  let tempDir;
+
+  function setup(options = {}) {
+    const config = createConfig({
+      workingDir: tempDir,
+      agent: 'command',
+      agentCommand: AGENT,
+      outputFormat: 'stream-json',
+      verify: [nodeAgent('process.exit(require("fs").existsSync("broken") ? 1 : 0)')],
+      maxCost: 2,
+      ...options,
+    });
+    fs.mkdirSync(config.OUTPUT_DIR);
+    fs.writeFileSync(config.PRD_FILE, JSON.stringify({
+      project: 'Todo',
+      branchName: 'ralph/todo',
+      userStories: ['Schema', 'API'].map((title, index) => ({
+        id: `US-00${index + 1}`, title, description: title, acceptanceCriteria: [], priority: index + 1, passes: false, notes: '',
+      })),
+    }));
+    return config;
+  }
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'claude-all-agent-run-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  it('should emit typed events and iterate over them without writing to the console', async () => {
+    const log = jest.spyOn(console, 'log');
+    const write = jest.spyOn(process.stdout, 'write');
+    const config = setup();
+
+    const run = createAgentRun(config, { maxIterations: 5, silent: true, runId: 'run-1' });
+    const passed = [];
+    run.on('story:passed', event => passed.push(event.story.id));
+    const events = [];
+    for await (const event of run) events.push(event);
+
+    await expect(run.result).resolves.toBe(true);
+    expect(passed).toEqual(['US-001', 'US-002']);
+    expect(events.map(event => event.type).filter(type => type !== 'agent:output')).toEqual([
+      'run:start',
+      'iteration:start', 'story:selected', 'story:passed', 'iteration:end',
+      'iteration:start', 'story:selected', 'verification:failed', 'iteration:end',
+      'iteration:start', 'story:selected', 'story:passed', 'iteration:end',
+      'run:end',
+    ]);
+    expect(events[0]).toEqual({ type: 'run:start', runId: 'run-1', maxIterations: 5, startIteration: 1 });
+    expect(events).toContainEqual({ type: 'story:selected', iteration: 2, story: { id: 'US-002', title: 'API' } });
+    expect(events).toContainEqual(expect.objectContaining({ type: 'agent:output', iteration: 1, storyId: 'US-001', stream: 'stdout', text: expect.stringContaining('Working on US-001') }));
+    expect(events).toContainEqual(expect.objectContaining({ type: 'verification:failed', iteration: 2, story: { id: 'US-002', title: 'API' }, reason: expect.stringContaining('exited with code 1') }));
+    expect(events.at(-1)).toEqual({ type: 'run:end', completed: true, reason: 'complete', message: 'Completed at iteration 3 of 5' });
+    expect(log).not.toHaveBeenCalled();
+    expect(write).not.toHaveBeenCalled();
+  });
+
+  it('should warn once a budget limit is close', async () => {
+    const config = setup({ maxCost: 1 });
+    const run = createAgentRun(config, { maxIterations: 5, silent: true });
+    const warnings = [];
+    run.on('budget:warning', warning => warnings.push(warning));
+
+    await expect(run.result).resolves.toBe(true);
+    expect(warnings).toEqual([{
+      type: 'budget:warning',
+      iteration: 3,
+      limit: 'maxCost',
+      used: 0.9,
+      max: 1,
+      message: 'the run has cost $0.90, 90% of the $1.00 limit',
+    }]);
+  });
+
+  it('should end with a run:end event and reject the result when the run fails', async () => {
+    const config = setup({ agentCommand: nodeAgent('console.error("command not found: claude"); process.exit(127)') });
+    const run = createAgentRun(config, { silent: true });
+
+    const events = [];
+    for await (const event of run) events.push(event.type);
+
+    await expect(run.result).rejects.toThrow('Iteration 1 failed');
+    expect(events.at(-1)).toBe('run:end');
+  });
+
+  it('should end the run and its journal when the prompt fails to render', async () => {
+    const promptFile = path.join(tempDir, 'prompt.md');
+    fs.writeFileSync(promptFile, 'Work on {{task.id}}\n');
+    const config = setup({ promptFile });
+    const runFailed = jest.fn();
+    const run = createAgentRun(config, { silent: true, runId: 'run-1', hooks: { runFailed } });
+
+    const events = [];
+    for await (const event of run) events.push(event);
+
+    await expect(run.result).rejects.toThrow('Missing template variable "task.id"');
+    expect(events.at(-1)).toMatchObject({ type: 'run:end', completed: false, reason: 'error' });
+    expect(runFailed).toHaveBeenCalledWith(expect.objectContaining({ reason: 'error' }));
+    const journal = JSON.parse(fs.readFileSync(path.join(config.RUNS_DIR, 'run-1.json'), 'utf-8'));
+    expect(journal.outcome).toMatchObject({ completed: false, reason: 'error' });
+  });
+});
@@ -0,0 +1,765 @@
+/**
+ * Tests for agent adapters
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { createConfig } = require('../lib/config');
+const {
+  AgentError,
+  AbortError,
+  quoteShellArg,
+  createClaudeAdapter,
+  createCommandAdapter,
+  getAgentAdapter,
+  classifyAgentFailure,
+  runAgent,
+} = require('../lib/agents');
+const { runAgentLoop } = require('../lib/core');
+
+// Runs a small node script as the agent; the script sees the prompt on stdin or as argv
+const nodeAgent = script => `${quoteShellArg(process.execPath)} -e ${quoteShellArg(script)}`;
+
+// Agent script that marks every story in output/prd.json as passing
+const PASS_ALL_STORIES = `
+  const prd = JSON.parse(require('fs').readFileSync('output/prd.json', 'utf-8'));
+  prd.userStories.forEach(story => { story.passes = true; });
+  require('fs').writeFileSync('output/prd.json', JSON.stringify(prd));
+`;
+
+function writePrd(config, stories = [{ id: 'US-001', title: 'Schema', priority: 1, passes: false }]) {
+  fs.writeFileSync(config.PRD_FILE, JSON.stringify({
+    project: 'Todo',
+    branchName: 'ralph/todo',
+    description: 'Todo app',
+    userStories: stories.map(story => ({ description: story.title, acceptanceCriteria: [], notes: '', ...story })),
+  }));
+}
+
+describe('createClaudeAdapter', () => {
+  it('should pass the prompt on stdin to claude --print', () => {
+    const adapter = createClaudeAdapter('npx claude');
+
+    expect(adapter.promptDelivery).toBe('stdin');
+    expect(adapter.getCommand({ prompt: 'ignored' })).toBe('npx claude --print --dangerously-skip-permissions');
+    expect(adapter.isComplete({ output: 'done <promise>COMPLETE</promise>', finalMessage: null }, '<promise>COMPLETE</promise>')).toBe(true);
+  });
+
+  it('should ask claude for stream-json output when configured', () => {
+    const adapter = createClaudeAdapter('claude', { outputFormat: 'stream-json' });
+
+    expect(adapter.getCommand()).toBe('claude --print --dangerously-skip-permissions --output-format stream-json --verbose');
+  });
+
+  it('should pass the permission profile as flags', () => {
+    const config = createConfig({ profile: 'ci', profiles: { ci: { permissionMode: 'acceptEdits', allowedTools: ['Edit', 'Bash(npm test:*)'] } } });
+
+    expect(getAgentAdapter(config).getCommand())
+      .toBe("claude --print --permission-mode acceptEdits --allowedTools 'Edit,Bash(npm test:*)'");
+  });
+
+  it('should add --model when a model is selected', () => {
+    const adapter = createClaudeAdapter('claude');
+
+    expect(adapter.getCommand({ model: 'opus' })).toBe('claude --print --dangerously-skip-permissions --model opus');
+    expect(createCommandAdapter('my-agent -m {model}').getCommand({ model: 'gpt 5' })).toBe("my-agent -m 'gpt 5'");
+  });
+
+  it('should only accept the completion signal from the final message with structured output', () => {
+    const adapter = createClaudeAdapter('claude', { outputFormat: 'stream-json' });
+    const signal = '<promise>COMPLETE</promise>';
+
+    expect(adapter.isComplete({ output: `The prompt says to print ${signal}\nStill working`, finalMessage: 'Still working' }, signal)).toBe(false);
+    expect(adapter.isComplete({ output: `Done\n${signal}`, finalMessage: `Done\n${signal}` }, signal)).toBe(true);
+  });
+});
+
+describe('createCommandAdapter', () => {
+  it('should pick the prompt delivery from the template placeholders', () => {
+    expect(createCommandAdapter('agent').promptDelivery).toBe('stdin');
+    expect(createCommandAdapter('agent --message {prompt}').promptDelivery).toBe('argument');
+    expect(createCommandAdapter('agent --file {promptFile}').promptDelivery).toBe('file');
+  });
+
+  it('should substitute the permission flags for {permissions}', () => {
+    const adapter = createCommandAdapter('my-agent {permissions} --prompt {prompt}');
+
+    expect(adapter.getCommand({ prompt: 'go' })).toBe('my-agent --dangerously-skip-permissions --prompt go');
+  });
+
+  it('should quote substituted values', () => {
+    const adapter = createCommandAdapter('agent --message {prompt}');
+
+    expect(adapter.getCommand({ prompt: "it's $HOME" })).toBe(`agent --message 'it'\\''s $HOME'`);
+  });
+});
+
+describe('getAgentAdapter', () => {
+  it('should select the adapter from config.AGENT', () => {
+    expect(getAgentAdapter(createConfig('/test')).name).toBe('claude');
+    expect(getAgentAdapter(createConfig({ workingDir: '/test', agent: 'command', agentCommand: 'x' })).name).toBe('command');
+    expect(() => getAgentAdapter({ AGENT: 'other' })).toThrow('Unknown agent "other"');
+  });
+});
+
+describe('classifyAgentFailure', () => {
+  const result = overrides => ({ output: 'Working...', finalMessage: null, events: [], code: 0, signal: null, timedOut: null, ...overrides });
+
+  it('should not treat normal runs or timeouts as failures', () => {
+    expect(classifyAgentFailure(result())).toBeNull();
+    expect(classifyAgentFailure(result({ code: null, signal: 'SIGTERM', timedOut: 'iteration' }))).toBeNull();
+  });
+
+  it('should treat a missing command and authentication errors as fatal', () => {
+    expect(classifyAgentFailure(result({ code: 127, output: 'sh: 1: claude: not found' })))
+      .toEqual({ transient: false, reason: expect.stringContaining('command was not found') });
+    expect(classifyAgentFailure(result({ code: 1, output: 'Invalid API key · Please run /login' })))
+      .toEqual({ transient: false, reason: expect.stringContaining('could not authenticate') });
+  });
+
+  it('should treat rate limits, crashes and empty output as transient', () => {
+    expect(classifyAgentFailure(result({ code: 1, output: 'API Error: 529 {"type":"overloaded_error"}' })))
+      .toEqual({ transient: true, reason: 'the agent was rate limited or the API was overloaded' });
+    expect(classifyAgentFailure(result({ code: 1, output: 'Segmentation fault' })))
+      .toEqual({ transient: true, reason: 'the agent exited with code 1' });
+    expect(classifyAgentFailure(result({ output: '' })))
+      .toEqual({ transient: true, reason: 'the agent exited without any output' });
+  });
+
+  it('should read the error from a structured final result', () => {
+    const events = [{ type: 'result', isError: true, text: 'API Error: Request rejected (429)', usage: null }];
+
+    expect(classifyAgentFailure(result({ output: '', finalMessage: 'API Error: Request rejected (429)', events })))
+      .toEqual({ transient: true, reason: 'the agent was rate limited or the API was overloaded' });
+  });
+});
+
+describe('runAgent', () => {
+  it('should deliver the prompt on stdin', async () => {
+    const adapter = createCommandAdapter(nodeAgent('process.stdin.pipe(process.stdout)'));
+    const result = await runAgent(adapter, 'hello from stdin', { streamOutput: false });
+
+    expect(result).toMatchObject({ output: 'hello from stdin', code: 0 });
+  });
+
+  it('should deliver the prompt as an argument or a temporary file', async () => {
+    const argument = createCommandAdapter(`${nodeAgent('console.log(process.argv[1])')} {prompt}`);
+    const file = createCommandAdapter(`${nodeAgent('console.log(require("fs").readFileSync(process.argv[1], "utf-8"))')} {promptFile}`);
+
+    expect((await runAgent(argument, "it's an argument", { streamOutput: false })).output).toBe("it's an argument\n");
+    expect((await runAgent(file, 'from a file', { streamOutput: false })).output).toBe('from a file\n');
+  });
+
+  it('should report the exit code', async () => {
+    const adapter = createCommandAdapter(nodeAgent('process.exit(3)'));
+
+    expect((await runAgent(adapter, '', { streamOutput: false })).code).toBe(3);
+  });
+});
+
+describe('runAgent with stream-json output', () => {
+  const lines = [
+    { type: 'system', subtype: 'init', session_id: 's1' },
+    { type: 'assistant', message: { content: [{ type: 'text', text: 'Print <promise>COMPLETE</promise> when done?' }] } },
+    { type: 'assistant', message: { content: [{ type: 'tool_use', id: 't1', name: 'Bash', input: { command: 'npm test' } }] } },
+    { type: 'user', message: { content: [{ type: 'tool_result', tool_use_id: 't1', content: 'ok' }] } },
+    { type: 'result', subtype: 'success', result: 'Not finished yet', total_cost_usd: 0.5, usage: { input_tokens: 10, output_tokens: 5 } },
+  ].map(line => JSON.stringify(line)).join('\n');
+
+  it('should parse events and detect completion only from the final message', async () => {
+    const adapter = createCommandAdapter(nodeAgent(`process.stdout.write(${JSON.stringify(lines)})`), { outputFormat: 'stream-json' });
+    const result = await runAgent(adapter, '', { streamOutput: false });
+
+    expect(result.events.map(event => event.type)).toEqual(['system', 'text', 'tool_use', 'tool_result', 'result']);
+    expect(result.finalMessage).toBe('Not finished yet');
+    expect(result.usage).toMatchObject({ inputTokens: 10, outputTokens: 5, costUsd: 0.5 });
+    expect(result.output).toContain('→ Bash npm test');
+    expect(adapter.isComplete(result, '<promise>COMPLETE</promise>')).toBe(false);
+  });
+
+  it('should fall back to plain text when the agent does not print JSON', async () => {
+    const adapter = createCommandAdapter(nodeAgent('console.log("<promise>COMPLETE</promise>")'), { outputFormat: 'stream-json' });
+    const result = await runAgent(adapter, '', { streamOutput: false });
+
+    expect(result.finalMessage).toBeNull();
+    expect(adapter.isComplete(result, '<promise>COMPLETE</promise>')).toBe(true);
+  });
+});
+
+describe('runAgent timeouts', () => {
+  const hang = 'setInterval(() => {}, 1000)';
+
+  it('should stop an agent that runs longer than the timeout', async () => {
+    const adapter = createCommandAdapter(nodeAgent(hang));
+    const result = await runAgent(adapter, '', { streamOutput: false, timeout: 200 });
+
+    expect(result.timedOut).toBe('iteration');
+    expect(result.signal || result.code).toBeTruthy();
+  });
+
+  it('should stop an agent that stops producing output', async () => {
+    const adapter = createCommandAdapter(nodeAgent(`console.log("started"); ${hang}`));
+    const result = await runAgent(adapter, '', { streamOutput: false, idleTimeout: 300, timeout: 10000 });
+
+    expect(result.timedOut).toBe('idle');
+    expect(result.output).toBe('started\n');
+  });
+
+  it('should kill an agent that ignores SIGTERM after the grace period', async () => {
+    const adapter = createCommandAdapter(nodeAgent(`process.on("SIGTERM", () => {}); ${hang}`));
+    const result = await runAgent(adapter, '', { streamOutput: false, timeout: 200, killGracePeriod: 200 });
+
+    expect(result.timedOut).toBe('iteration');
+  });
+
+  it('should not report a timeout for agents that finish in time', async () => {
+    const adapter = createCommandAdapter(nodeAgent('console.log("done")'));
+    const result = await runAgent(adapter, '', { streamOutput: false, timeout: 10000, idleTimeout: 10000 });
+
+    expect(result).toMatchObject({ output: 'done\n', code: 0, timedOut: null });
+  });
+});
+
+describe('runAgent with an AbortSignal', () => {
+  it('should kill the agent and reject with an AbortError holding the output so far', async () => {
+    const adapter = createCommandAdapter(nodeAgent('console.log("started"); process.on("SIGTERM", () => {}); setInterval(() => {}, 1000)'));
+    const controller = new AbortController();
+    const run = runAgent(adapter, '', { streamOutput: false, killGracePeriod: 200, signal: controller.signal, onOutput: () => controller.abort() });
+
+    const error = await run.catch(err => err);
+
+    expect(error).toBeInstanceOf(AbortError);
+    expect(error).toMatchObject({ name: 'AbortError', code: 'ABORT_ERR', progress: { output: 'started\n' } });
+  });
+
+  it('should reject with the abort reason when the agent exits cleanly on SIGTERM', async () => {
+    const adapter = createCommandAdapter(nodeAgent('console.log("started"); process.on("SIGTERM", () => process.exit(0)); setInterval(() => {}, 1000)'));
+    const controller = new AbortController();
+    const reason = new Error('user cancelled');
+
+    const error = await runAgent(adapter, '', { streamOutput: false, signal: controller.signal, onOutput: () => controller.abort(reason) })
+      .catch(err => err);
+
+    expect(error).toBeInstanceOf(AbortError);
+    expect(error.cause).toBe(reason);
+    expect(error.progress).toEqual({ output: 'started\n' });
+  });
+
+  it('should not start the agent when the signal is already aborted', async () => {
+    const adapter = createCommandAdapter(nodeAgent('console.log("ran")'));
+    const controller = new AbortController();
+    controller.abort();
+
+    await expect(runAgent(adapter, '', { streamOutput: false, signal: controller.signal })).rejects.toThrow(AbortError);
+  });
+});
+
+describe('runAgent signals without a watcher', () => {
+  let exit;
+  const onSigint = jest.fn();
+
+  beforeEach(() => {
+    exit = jest.spyOn(process, 'exit').mockImplementation(() => {});
+    process.on('SIGINT', onSigint);
+  });
+
+  afterEach(() => {
+    process.removeListener('SIGINT', onSigint);
+    exit.mockRestore();
+  });
+
+  it('should pass the signal on to the agent and leave the rest to the caller', async () => {
+    const adapter = createCommandAdapter(nodeAgent('console.log("started"); setInterval(() => {}, 1000)'));
+    const listeners = process.listenerCount('SIGINT');
+
+    const result = await runAgent(adapter, '', { streamOutput: false, onOutput: () => process.emit('SIGINT', 'SIGINT') });
+
+    expect(result.signal).toBe('SIGINT');
+    expect(onSigint).toHaveBeenCalledWith('SIGINT');
+    expect(exit).not.toHaveBeenCalled();
+    expect(process.listenerCount('SIGINT')).toBe(listeners);
+  });
+
+  it('should exit after passing the signal on when exitOnSignal is set', async () => {
+    const adapter = createCommandAdapter(nodeAgent('console.log("started"); setInterval(() => {}, 1000)'));
+
+    const result = await runAgent(adapter, '', { streamOutput: false, exitOnSignal: true, onOutput: () => process.emit('SIGINT', 'SIGINT') });
+
+    expect(result.signal).toBe('SIGINT');
+    expect(exit).toHaveBeenCalledWith(130);
+  });
+});
+
+describe('runAgentLoop with a stub agent', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'claude-all-agents-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('should run iterations through the configured adapter until every story passes', async () => {
+    const config = createConfig({
+      workingDir: tempDir,
+      agent: 'command',
+      agentCommand: nodeAgent(`${PASS_ALL_STORIES} console.log("<promise>COMPLETE</promise>")`),
+    });
+    fs.mkdirSync(config.OUTPUT_DIR);
+    writePrd(config);
+
+    const completed = await runAgentLoop(config, { maxIterations: 2, silent: true, runId: 'run-1' });
+
+    expect(completed).toBe(true);
+    const transcript = fs.readFileSync(path.join(config.LOGS_DIR, 'run-1', 'iteration-001.log'), 'utf-8');
+    expect(transcript).toContain('Completion signal: seen');
+    expect(transcript).toContain('---\n<promise>COMPLETE</promise>\n');
+    expect(fs.readFileSync(config.PROGRESS_FILE, 'utf-8'))
+      .toMatch(/- Run started \(claude-all\)\n- Run ID: run-1\n- Agent: command\n- Permission profile: full \(--dangerously-skip-permissions\)\n---/);
+  });
+
+  it('should record a timed out iteration in the progress log and move on', async () => {
+    const config = {
+      ...createConfig({ workingDir: tempDir, agent: 'command', agentCommand: nodeAgent('setInterval(() => {}, 1000)') }),
+      ITERATION_TIMEOUT: 0.005,
+    };
+    fs.mkdirSync(config.OUTPUT_DIR);
+    fs.writeFileSync(config.PROGRESS_FILE, '# Ralph Progress Log\n---\n');
+
+    const completed = await runAgentLoop(config, { maxIterations: 1, silent: true });
+
+    expect(completed).toBe(false);
+    expect(fs.readFileSync(config.PROGRESS_FILE, 'utf-8'))
+      .toMatch(/## \d{4}-\d\d-\d\d \d\d:\d\d - No story \(claude-all\)\n- Iteration 1 was stopped because it ran for longer than 0.005 minutes\n---/);
+  });
+
+  it('should record reported usage and stop once the run reaches its cost limit', async () => {
+    const resultLine = JSON.stringify({
+      type: 'result',
+      result: 'Still working',
+      usage: { input_tokens: 100, output_tokens: 50 },
+      total_cost_usd: 0.75,
+    });
+    const config = createConfig({
+      workingDir: tempDir,
+      agent: 'command',
+      agentCommand: nodeAgent(`console.log(${JSON.stringify(resultLine)})`),
+      outputFormat: 'stream-json',
+      maxCost: 1,
+    });
+    fs.mkdirSync(config.OUTPUT_DIR);
+    fs.writeFileSync(config.PROGRESS_FILE, '# Ralph Progress Log\n---\n');
+    const onBudgetExceeded = jest.fn();
+
+    const completed = await runAgentLoop(config, { maxIterations: 5, silent: true, onBudgetExceeded });
+
+    expect(completed).toBe(false);
+    const ledger = JSON.parse(fs.readFileSync(config.USAGE_FILE, 'utf-8'));
+    expect(ledger.iterations).toHaveLength(2);
+    expect(ledger.totals).toMatchObject({ totalTokens: 300, costUsd: 1.5, iterations: 2 });
+    expect(onBudgetExceeded).toHaveBeenCalledWith(expect.stringContaining('reaching the $1.00 limit'), expect.objectContaining({ iterations: 2 }));
+    expect(fs.readFileSync(config.PROGRESS_FILE, 'utf-8')).toContain('- Stopped before iteration 3 because the run has cost $1.50');
+
+    // The limit covers every run on the branch, so the next one starts by saying what is used up
+    const again = await runAgentLoop(config, { maxIterations: 5, silent: true });
+
+    expect(again).toBe(false);
+    expect(JSON.parse(fs.readFileSync(config.USAGE_FILE, 'utf-8')).iterations).toHaveLength(2);
+    expect(fs.readFileSync(config.PROGRESS_FILE, 'utf-8'))
+      .toContain('- Usage so far on this branch: 300 tokens, $1.50 over 2 iterations, which counts towards --max-cost\n');
+  });
+
+  it('should retry transient failures without using up an iteration', async () => {
+    // Fails twice with an overload error, then completes
+    const script = `
+      const fs = require('fs');
+      const attempts = fs.existsSync('attempts') ? Number(fs.readFileSync('attempts', 'utf-8')) : 0;
+      fs.writeFileSync('attempts', String(attempts + 1));
+      if (attempts < 2) { console.error('API Error: 529 overloaded'); process.exit(1); }
+      ${PASS_ALL_STORIES}
+      console.log('<promise>COMPLETE</promise>');
+    `;
+    const config = createConfig({ workingDir: tempDir, agent: 'command', agentCommand: nodeAgent(script), retryDelay: 0 });
+    fs.mkdirSync(config.OUTPUT_DIR);
+    writePrd(config);
+
+    const completed = await runAgentLoop(config, { maxIterations: 1, silent: true });
+
+    expect(completed).toBe(true);
+    expect(fs.readFileSync(path.join(tempDir, 'attempts'), 'utf-8')).toBe('3');
+  });
+
+  it('should stop the run with a diagnosis when the agent cannot run', async () => {
+    const config = createConfig({ workingDir: tempDir, agent: 'command', agentCommand: 'claude-all-missing-agent' });
+    fs.mkdirSync(config.OUTPUT_DIR);
+    fs.writeFileSync(config.PROGRESS_FILE, '# Ralph Progress Log\n---\n');
+
+    const run = runAgentLoop(config, { maxIterations: 3, silent: true });
+
+    await expect(run).rejects.toThrow(AgentError);
+    await expect(run).rejects.toThrow('Iteration 1 failed: the agent command was not found');
+    expect(fs.readFileSync(config.PROGRESS_FILE, 'utf-8')).toContain('- Iteration 1 stopped the run because the agent command was not found');
+  });
+
+  it('should give up once the retries are used', async () => {
+    const config = createConfig({
+      workingDir: tempDir,
+      agent: 'command',
+      agentCommand: nodeAgent('process.exit(1)'),
+      maxRetries: 1,
+      retryDelay: 0,
+    });
+    fs.mkdirSync(config.OUTPUT_DIR);
+
+    await expect(runAgentLoop(config, { maxIterations: 3, silent: true }))
+      .rejects.toThrow('the agent exited with code 1 without any output, and still failed after 1 retry');
+  });
+
+  it('should count failed attempts and escalate the story to a stronger model', async () => {
+    // Records the model it was given and never finishes the story
+    const config = createConfig({
+      workingDir: tempDir,
+      agent: 'command',
+      agentCommand: `${nodeAgent("require('fs').appendFileSync('models.txt', process.argv[1] + '\\n'); console.log('Still working')")} {model}`,
+      model: 'small',
+      escalationModel: 'large',
+      escalateAfter: 1,
+    });
+    fs.mkdirSync(config.OUTPUT_DIR);
+    writePrd(config);
+
+    const completed = await runAgentLoop(config, { maxIterations: 2, silent: true });
+
+    expect(completed).toBe(false);
+    expect(fs.readFileSync(path.join(tempDir, 'models.txt'), 'utf-8')).toBe('small\nlarge\n');
+    expect(JSON.parse(fs.readFileSync(config.PRD_FILE, 'utf-8')).userStories[0].attempts).toBe(2);
+    expect(fs.readFileSync(config.PROGRESS_FILE, 'utf-8')).toContain('- Iteration 2 uses large after 1 failed attempt');
+  });
+
+  it('should hand the agent the next story and ignore a completion signal while stories remain', async () => {
+    // Passes the story it was given, then claims everything is done
+    const script = `
+      const prompt = require('fs').readFileSync(0, 'utf-8');
+      const id = prompt.match(/\\*\\*(US-\\d+):/)[1];
+      const prd = JSON.parse(require('fs').readFileSync('output/prd.json', 'utf-8'));
+      prd.userStories.find(story => story.id === id).passes = true;
+      require('fs').writeFileSync('output/prd.json', JSON.stringify(prd));
+      console.log('<promise>COMPLETE</promise>');
+    `;
+    const config = createConfig({ workingDir: tempDir, agent: 'command', agentCommand: nodeAgent(script) });
+    fs.mkdirSync(config.OUTPUT_DIR);
+    writePrd(config, [
+      { id: 'US-001', title: 'Schema', priority: 2, passes: false },
+      { id: 'US-002', title: 'API', priority: 1, passes: false },
+    ]);
+    const onComplete = jest.fn();
+
+    const completed = await runAgentLoop(config, { maxIterations: 3, silent: true, onComplete });
+
+    expect(completed).toBe(true);
+    expect(onComplete).toHaveBeenCalledWith(2);
+    expect(fs.readFileSync(config.PROGRESS_FILE, 'utf-8'))
+      .toMatch(/- US-002 \(claude-all\)\n- Iteration 1 printed the completion signal, which was ignored because US-001 does not pass yet\n---/);
+  });
+
+  it('should tell the next iteration when the story was not marked as passing', async () => {
+    const config = createConfig({ workingDir: tempDir, agent: 'command', agentCommand: nodeAgent('console.log(require("fs").readFileSync(0, "utf-8"))') });
+    fs.mkdirSync(config.OUTPUT_DIR);
+    writePrd(config);
+
+    const completed = await runAgentLoop(config, { maxIterations: 2, silent: true, runId: 'run-1' });
+
+    expect(completed).toBe(false);
+    expect(fs.readFileSync(path.join(config.LOGS_DIR, 'run-1', 'iteration-002.log'), 'utf-8'))
+      .toContain('Iteration 1 worked on US-001 but did not mark it as passing.');
+  });
+
+  it('should set a story back to failing when the verify commands fail', async () => {
+    const config = createConfig({
+      workingDir: tempDir,
+      agent: 'command',
+      agentCommand: nodeAgent(`${PASS_ALL_STORIES} console.log("<promise>COMPLETE</promise>")`),
+      verify: [nodeAgent('console.log("1 passing")'), nodeAgent('console.error("FAIL api.test.js"); process.exit(1)')],
+    });
+    fs.mkdirSync(config.OUTPUT_DIR);
+    writePrd(config, [{ id: 'US-001', title: 'Schema', priority: 1, passes: false, notes: 'Use sqlite' }]);
+
+    const completed = await runAgentLoop(config, { maxIterations: 1, silent: true, runId: 'run-1' });
+
+    expect(completed).toBe(false);
+    const story = JSON.parse(fs.readFileSync(config.PRD_FILE, 'utf-8')).userStories[0];
+    expect(story.passes).toBe(false);
+    expect(story.notes).toMatch(/^Use sqlite\n\nVerification failed after iteration 1: `.*` exited with code 1\. Last output:\nFAIL api\.test\.js$/);
+    expect(fs.readFileSync(config.PROGRESS_FILE, 'utf-8'))
+      .toMatch(/- US-001 \(claude-all\)\n- Verification after iteration 1 failed: `.*` exited with code 1\n- US-001 set back to passes: false\n---/);
+
+    // The journal records the verify commands and the run's outcome
+    const journal = JSON.parse(fs.readFileSync(path.join(config.RUNS_DIR, 'run-1.json'), 'utf-8'));
+    expect(journal.iterations).toEqual([expect.objectContaining({
+      iteration: 1,
+      story: { id: 'US-001', title: 'Schema' },
+      finished: true,
+      exitCode: 0,
+      storyPassed: false,
+      passesChanged: false,
+      verification: { passed: false, commands: [expect.objectContaining({ code: 0 }), expect.objectContaining({ code: 1 })] },
+    })]);
+    expect(journal.outcome).toMatchObject({ completed: false, reason: 'maxIterations' });
+  });
+
+  it('should accept the story once the verify commands pass', async () => {
+    const config = createConfig({
+      workingDir: tempDir,
+      agent: 'command',
+      agentCommand: nodeAgent(`${PASS_ALL_STORIES} console.log("Done")`),
+      verify: [nodeAgent('process.exit(0)')],
+    });
+    fs.mkdirSync(config.OUTPUT_DIR);
+    writePrd(config, [{ id: 'US-001', title: 'Schema', priority: 1, passes: false, notes: 'Verification failed after iteration 1: `npm test` exited with code 1.' }]);
+
+    const completed = await runAgentLoop(config, { maxIterations: 1, silent: true });
+
+    expect(completed).toBe(true);
+    expect(JSON.parse(fs.readFileSync(config.PRD_FILE, 'utf-8')).userStories[0]).toMatchObject({ passes: true, notes: '' });
+    expect(fs.readFileSync(config.PROGRESS_FILE, 'utf-8')).toContain('- Verification after iteration 1 passed: ');
+  });
+
+  it('should stop when every remaining story is waiting on a dependency', async () => {
+    const config = createConfig({ workingDir: tempDir, agent: 'command', agentCommand: nodeAgent('console.log("never runs")') });
+    fs.mkdirSync(config.OUTPUT_DIR);
+    writePrd(config, [
+      { id: 'US-001', title: 'Schema', priority: 1, passes: false, skipped: true },
+      { id: 'US-002', title: 'API', priority: 2, passes: false, dependsOn: ['US-001'] },
+    ]);
+    const onStoriesBlocked = jest.fn();
+
+    const completed = await runAgentLoop(config, { maxIterations: 3, silent: true, runId: 'run-1', onStoriesBlocked });
+
+    expect(completed).toBe(false);
+    expect(onStoriesBlocked).toHaveBeenCalledWith([{ id: 'US-002', title: 'API', reason: 'waiting on US-001' }]);
+    expect(fs.existsSync(path.join(config.LOGS_DIR, 'run-1'))).toBe(false);
+    expect(fs.readFileSync(config.PROGRESS_FILE, 'utf-8'))
+      .toContain('- Stopped before iteration 1 because no remaining story can be worked on\n- US-002: waiting on US-001\n');
+  });
+
+  it('should block a story after maxAttemptsPerStory failed attempts and move on', async () => {
+    // Finishes every story except US-001, and prints its prompt
+    const script = `
+      const prompt = require('fs').readFileSync(0, 'utf-8');
+      const id = prompt.match(/\\*\\*(US-\\d+):/)[1];
+      const prd = JSON.parse(require('fs').readFileSync('output/prd.json', 'utf-8'));
+      if (id !== 'US-001') prd.userStories.find(story => story.id === id).passes = true;
+      require('fs').writeFileSync('output/prd.json', JSON.stringify(prd));
+      console.log(prompt);
+    `;
+    const config = createConfig({ workingDir: tempDir, agent: 'command', agentCommand: nodeAgent(script), maxAttemptsPerStory: 2 });
+    fs.mkdirSync(config.OUTPUT_DIR);
+    writePrd(config, [
+      { id: 'US-001', title: 'Schema', priority: 1, passes: false },
+      { id: 'US-002', title: 'API', priority: 2, passes: false },
+    ]);
+    const onIteration = jest.fn();
+    const onStoriesBlocked = jest.fn();
+
+    const completed = await runAgentLoop(config, { maxIterations: 5, silent: true, runId: 'run-1', onIteration, onStoriesBlocked });
+
+    expect(completed).toBe(false);
+    expect(onIteration).toHaveBeenCalledTimes(3);
+    const reason = 'Not finished after 2 attempts. Iteration 2 worked on US-001 but did not mark it as passing';
+    expect(onStoriesBlocked).toHaveBeenCalledWith([{ id: 'US-001', title: 'Schema', reason }]);
+    expect(JSON.parse(fs.readFileSync(config.PRD_FILE, 'utf-8')).userStories[0]).toMatchObject({ passes: false, attempts: 2, blocked: reason });
+    // The iteration after the block starts without the blocked story's failure
+    expect(fs.readFileSync(path.join(config.LOGS_DIR, 'run-1', 'iteration-002.log'), 'utf-8')).toContain('Previous Iteration');
+    expect(fs.readFileSync(path.join(config.LOGS_DIR, 'run-1', 'iteration-003.log'), 'utf-8')).not.toContain('Previous Iteration');
+    expect(fs.readFileSync(config.PROGRESS_FILE, 'utf-8'))
+      .toContain('- Blocked after 2 failed attempts (maxAttemptsPerStory is 2); the loop moves on to other stories\n');
+  });
+});
+
+describe('runAgentLoop interruptions', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'claude-all-interrupt-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('should leave signals alone unless handleSignals is set', async () => {
+    const config = createConfig({ workingDir: tempDir, agent: 'command', agentCommand: nodeAgent(`console.log('done'); ${PASS_ALL_STORIES}`) });
+    fs.mkdirSync(config.OUTPUT_DIR);
+    writePrd(config);
+    const listeners = process.listenerCount('SIGINT');
+    const onIteration = jest.fn(() => process.listenerCount('SIGINT'));
+
+    await runAgentLoop(config, { maxIterations: 1, silent: true, onIteration });
+
+    expect(onIteration).toHaveReturnedWith(listeners);
+    expect(fs.existsSync(config.CHECKPOINT_FILE)).toBe(false);
+  });
+
+  it('should stop the agent on Ctrl+C and save a checkpoint without counting an attempt', async () => {
+    const config = createConfig({ workingDir: tempDir, agent: 'command', agentCommand: nodeAgent('setInterval(() => {}, 1000)') });
+    fs.mkdirSync(config.OUTPUT_DIR);
+    fs.writeFileSync(config.PROGRESS_FILE, '# Ralph Progress Log\n---\n');
+    writePrd(config);
+    const onInterrupted = jest.fn();
+    const onIteration = () => setTimeout(() => process.emit('SIGINT', 'SIGINT'), 200);
+
+    const completed = await runAgentLoop(config, { maxIterations: 3, silent: true, runId: 'run-1', handleSignals: true, onIteration, onInterrupted });
+
+    expect(completed).toBe(false);
+    const checkpoint = JSON.parse(fs.readFileSync(config.CHECKPOINT_FILE, 'utf-8'));
+    expect(checkpoint).toMatchObject({ runId: 'run-1', iteration: 1, maxIterations: 3, storyId: 'US-001', signal: 'SIGINT' });
+    expect(checkpoint.previousFailure).toContain('Iteration 1 was interrupted before it finished');
+    expect(onInterrupted).toHaveBeenCalledWith(checkpoint);
+    expect(JSON.parse(fs.readFileSync(config.PRD_FILE, 'utf-8')).userStories[0].attempts).toBeUndefined();
+    expect(fs.readFileSync(config.PROGRESS_FILE, 'utf-8'))
+      .toContain('- SIGINT received during iteration 1 (US-001)\n- Checkpoint saved; the run resumes at iteration 1 of 3\n');
+  });
+
+  it('should resume at the checkpoint iteration with the failure it saved', async () => {
+    const config = createConfig({
+      workingDir: tempDir,
+      agent: 'command',
+      agentCommand: nodeAgent(`console.log(require('fs').readFileSync(0, 'utf-8')); ${PASS_ALL_STORIES}`),
+    });
+    fs.mkdirSync(config.OUTPUT_DIR);
+    writePrd(config);
+    const onIteration = jest.fn();
+
+    const completed = await runAgentLoop(config, {
+      maxIterations: 3,
+      silent: true,
+      runId: 'run-1',
+      onIteration,
+      startIteration: 3,
+      previousFailure: 'Iteration 3 was interrupted before it finished.',
+    });
+
+    expect(completed).toBe(true);
+    expect(onIteration).toHaveBeenCalledTimes(1);
+    expect(onIteration).toHaveBeenCalledWith(3, 3);
+    expect(fs.readFileSync(path.join(config.LOGS_DIR, 'run-1', 'iteration-003.log'), 'utf-8'))
+      .toContain('Iteration 3 was interrupted before it finished.');
+    expect(fs.readFileSync(config.PROGRESS_FILE, 'utf-8')).toContain('- Resumed from a checkpoint at iteration 3 of 3\n');
+  });
+
+  it('should stop the agent when the signal is aborted and reject with the run\'s progress', async () => {
+    const config = createConfig({ workingDir: tempDir, agent: 'command', agentCommand: nodeAgent('console.log("Working"); setInterval(() => {}, 1000)') });
+    fs.mkdirSync(config.OUTPUT_DIR);
+    fs.writeFileSync(config.PROGRESS_FILE, '# Ralph Progress Log\n---\n');
+    writePrd(config);
+    const controller = new AbortController();
+    const runFailed = jest.fn();
+    const onEvent = jest.fn();
+
+    const error = await runAgentLoop(config, {
+      maxIterations: 3,
+      silent: true,
+      runId: 'run-1',
+      signal: controller.signal,
+      hooks: { runFailed },
+      onEvent,
+      onIteration: () => setTimeout(() => controller.abort(), 200),
+    }).catch(err => err);
+
+    expect(error).toBeInstanceOf(AbortError);
+    expect(error.message).toBe('Run aborted during iteration 1 (US-001)');
+    expect(error.progress).toEqual({ runId: 'run-1', iteration: 1, maxIterations: 3, storyId: 'US-001', passed: [], output: 'Working\n' });
+    expect(onEvent).toHaveBeenLastCalledWith({ type: 'run:end', completed: false, reason: 'aborted', message: 'Aborted during iteration 1 (US-001)' });
+    expect(runFailed).not.toHaveBeenCalled();
+    expect(fs.existsSync(config.CHECKPOINT_FILE)).toBe(false);
+    expect(fs.readFileSync(config.PROGRESS_FILE, 'utf-8')).toContain('- Aborted during iteration 1 (US-001)\n');
+  });
+});
+
+describe('runAgentLoop hooks', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'claude-all-hooks-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('should run hooks for the run, each iteration and each story that passes', async () => {
+    // Finishes one story per iteration
+    const script = `
+      const prompt = require('fs').readFileSync(0, 'utf-8');
+      const id = prompt.match(/\\*\\*(US-\\d+):/)[1];
+      const prd = JSON.parse(require('fs').readFileSync('output/prd.json', 'utf-8'));
+      prd.userStories.find(story => story.id === id).passes = true;
+      require('fs').writeFileSync('output/prd.json', JSON.stringify(prd));
+      console.log('Finished ' + id);
+    `;
+    const recordEvent = nodeAgent(`require('fs').appendFileSync('events.txt', JSON.parse(require('fs').readFileSync(0, 'utf-8')).event + '\\n')`);
+    const config = createConfig({
+      workingDir: tempDir,
+      agent: 'command',
+      agentCommand: nodeAgent(script),
+      hooks: { beforeRun: recordEvent, afterIteration: recordEvent, runComplete: recordEvent },
+    });
+    fs.mkdirSync(config.OUTPUT_DIR);
+    writePrd(config, [
+      { id: 'US-001', title: 'Schema', priority: 1, passes: false },
+      { id: 'US-002', title: 'API', priority: 2, passes: false },
+    ]);
+    const payloads = [];
+    const record = payload => payloads.push(payload);
+
+    const completed = await runAgentLoop(config, {
+      maxIterations: 3,
+      silent: true,
+      runId: 'run-1',
+      hooks: { beforeIteration: record, storyPassed: record, afterIteration: record, runComplete: record },
+    });
+
+    expect(completed).toBe(true);
+    expect(fs.readFileSync(path.join(tempDir, 'events.txt'), 'utf-8')).toBe('beforeRun\nafterIteration\nafterIteration\nrunComplete\n');
+    const context = { runId: 'run-1', project: 'Todo', branchName: 'ralph/todo', maxIterations: 3 };
+    expect(payloads).toEqual([
+      { event: 'beforeIteration', ...context, iteration: 1, story: { id: 'US-001', title: 'Schema' } },
+      { event: 'storyPassed', ...context, iteration: 1, story: { id: 'US-001', title: 'Schema' } },
+      { event: 'afterIteration', ...context, iteration: 1, story: { id: 'US-001', title: 'Schema' }, storyPassed: true, failure: '' },
+      { event: 'beforeIteration', ...context, iteration: 2, story: { id: 'US-002', title: 'API' } },
+      { event: 'storyPassed', ...context, iteration: 2, story: { id: 'US-002', title: 'API' } },
+      { event: 'afterIteration', ...context, iteration: 2, story: { id: 'US-002', title: 'API' }, storyPassed: true, failure: '' },
+      { event: 'runComplete', ...context, iteration: 2 },
+    ]);
+  });
+
+  it('should stop before an iteration a hook vetoes and report the run as failed', async () => {
+    const config = createConfig({ workingDir: tempDir, agent: 'command', agentCommand: nodeAgent('console.log("Still working")') });
+    fs.mkdirSync(config.OUTPUT_DIR);
+    fs.writeFileSync(config.PROGRESS_FILE, '# Ralph Progress Log\n---\n');
+    writePrd(config);
+    const onIteration = jest.fn();
+    const onVetoed = jest.fn();
+    const runFailed = jest.fn();
+    const storyBlocked = jest.fn();
+
+    const completed = await runAgentLoop(config, {
+      maxIterations: 3,
+      silent: true,
+      onIteration,
+      onVetoed,
+      hooks: { beforeIteration: payload => payload.iteration < 2, runFailed, storyBlocked },
+    });
+
+    expect(completed).toBe(false);
+    expect(onIteration).toHaveBeenCalledTimes(1);
+    const reason = 'the beforeIteration hook function returned false';
+    expect(onVetoed).toHaveBeenCalledWith(reason);
+    expect(runFailed).toHaveBeenCalledWith(expect.objectContaining({ reason: 'vetoed', message: `Stopped before iteration 2 because ${reason}` }));
+    expect(storyBlocked).not.toHaveBeenCalled();
+    expect(fs.readFileSync(config.PROGRESS_FILE, 'utf-8')).toContain(`- Stopped before iteration 2 because ${reason}\n`);
+  });
+});
@@ -0,0 +1,146 @@
+/**
+ * Tests for token and cost accounting
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const {
+  countTokens,
+  readUsage,
+  recordUsage,
+  formatUsage,
+  checkBudget,
+  getBudgetWarnings,
+  formatUsageSoFar,
+  formatBudgetSummary,
+} = require('../lib/budget');
+
+const usage = {
+  inputTokens: 1000,
+  outputTokens: 200,
+  cacheCreationInputTokens: 300,
+  cacheReadInputTokens: 4000,
+  costUsd: 0.25,
+};
+
+describe('countTokens', () => {
+  it('should add up every kind of token', () => {
+    expect(countTokens(usage)).toBe(5500);
+    expect(countTokens({ inputTokens: 10 })).toBe(10);
+  });
+});
+
+describe('readUsage and recordUsage', () => {
+  let tempDir;
+  let usageFile;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'budget-'));
+    usageFile = path.join(tempDir, 'usage.json');
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('should start from an empty ledger', () => {
+    const ledger = readUsage(usageFile);
+
+    expect(ledger.iterations).toEqual([]);
+    expect(ledger.totals).toMatchObject({ totalTokens: 0, costUsd: 0, iterations: 0 });
+  });
+
+  it('should append iterations and keep a running total', () => {
+    const date = new Date('2026-01-01T10:00:00Z');
+    recordUsage(usageFile, usage, { iteration: 1, storyId: 'US-001', date });
+    recordUsage(usageFile, { ...usage, costUsd: null }, { iteration: 2, storyId: 'US-002', date });
+
+    const ledger = readUsage(usageFile);
+
+    expect(ledger.iterations).toHaveLength(2);
+    expect(ledger.iterations[0]).toEqual({ iteration: 1, storyId: 'US-001', recordedAt: '2026-01-01T10:00:00.000Z', ...usage });
+    expect(ledger.iterations[1].costUsd).toBeNull();
+    expect(ledger.totals).toEqual({
+      inputTokens: 2000,
+      outputTokens: 400,
+      cacheCreationInputTokens: 600,
+      cacheReadInputTokens: 8000,
+      totalTokens: 11000,
+      costUsd: 0.25,
+      iterations: 2,
+    });
+    expect(fs.readdirSync(tempDir)).toEqual(['usage.json']);
+  });
+
+  it('should throw for invalid JSON', () => {
+    fs.writeFileSync(usageFile, '{ nope');
+
+    expect(() => readUsage(usageFile)).toThrow('is not valid JSON');
+  });
+});
+
+describe('checkBudget', () => {
+  const totals = { totalTokens: 5500, costUsd: 0.25 };
+
+  it('should allow another iteration when there are no limits or they are not reached', () => {
+    expect(checkBudget(totals, { MAX_COST: 0, MAX_TOKENS: 0 })).toBeNull();
+    expect(checkBudget(totals, { MAX_COST: 1, MAX_TOKENS: 10000 })).toBeNull();
+  });
+
+  it('should explain which limit was reached', () => {
+    expect(checkBudget(totals, { MAX_COST: 0.25, MAX_TOKENS: 0 }))
+      .toBe('the run has cost $0.25, reaching the $0.25 limit');
+    expect(checkBudget(totals, { MAX_COST: 0, MAX_TOKENS: 5000 }))
+      .toBe('the run has used 5,500 tokens, reaching the 5,000 limit');
+  });
+});
+
+describe('getBudgetWarnings', () => {
+  const totals = { totalTokens: 5500, costUsd: 0.25 };
+
+  it('should warn about limits the run has used most of, but not reached', () => {
+    expect(getBudgetWarnings(totals, { MAX_COST: 0.3, MAX_TOKENS: 6000 })).toEqual([
+      { limit: 'maxCost', used: 0.25, max: 0.3, message: 'the run has cost $0.25, 83% of the $0.30 limit' },
+      { limit: 'maxTokens', used: 5500, max: 6000, message: 'the run has used 5,500 tokens, 91% of the 6,000 limit' },
+    ]);
+    expect(getBudgetWarnings(totals, { MAX_COST: 1, MAX_TOKENS: 0 })).toEqual([]);
+    expect(getBudgetWarnings(totals, { MAX_COST: 0.25, MAX_TOKENS: 0 })).toEqual([]);
+  });
+});
+
+describe('formatUsageSoFar', () => {
+  it('should describe earlier usage and the limits it counts towards', () => {
+    const totals = { ...usage, totalTokens: 5500, iterations: 2 };
+
+    expect(formatUsageSoFar(totals, { MAX_COST: 5, MAX_TOKENS: 10000 }))
+      .toBe('Usage so far on this branch: 5,500 tokens, $0.25 over 2 iterations, which counts towards --max-cost and --max-tokens');
+    expect(formatUsageSoFar(totals, { MAX_COST: 0, MAX_TOKENS: 0 })).toBe('Usage so far on this branch: 5,500 tokens, $0.25 over 2 iterations');
+    expect(formatUsageSoFar(readUsage('/nonexistent/usage.json').totals, { MAX_COST: 5, MAX_TOKENS: 0 })).toBeNull();
+  });
+});
+
+describe('formatUsage and formatBudgetSummary', () => {
+  it('should format tokens and cost', () => {
+    expect(formatUsage(usage)).toBe('5,500 tokens, $0.25');
+    expect(formatUsage({ ...usage, costUsd: null })).toBe('5,500 tokens');
+  });
+
+  it('should summarize the run against its limits', () => {
+    const ledger = {
+      iterations: [],
+      totals: { ...usage, totalTokens: 5500, iterations: 1 },
+    };
+
+    const summary = formatBudgetSummary(ledger, { MAX_COST: 5, MAX_TOKENS: 0 });
+
+    expect(summary).toContain('Usage: 5,500 tokens, $0.25 over 1 iteration');
+    expect(summary).toContain('Tokens: 5,500 (1,000 input, 200 output, 4,300 cache)');
+    expect(summary).toContain('Cost: $0.25 of $5.00');
+  });
+
+  it('should say when the agent reported no usage', () => {
+    expect(formatBudgetSummary(readUsage('/nonexistent/usage.json'), { MAX_COST: 0, MAX_TOKENS: 0 }))
+      .toContain('not reported by the agent');
+  });
+});
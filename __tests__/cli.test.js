@@ -0,0 +1,177 @@
+/**
+ * Tests for command line parsing
+ */
+
+const { parseCommand, getConfigOverrides, formatHelp, UsageError, EXIT_CODES, COMMANDS } = require('../lib/cli');
+
+describe('parseCommand', () => {
+  it('should default to the run command with no arguments', () => {
+    const result = parseCommand([]);
+
+    expect(result.command).toBe('run');
+    expect(result.help).toBe(false);
+    expect(result.args.prdFile).toBeNull();
+    // Left unset so the config file and environment can supply it
+    expect(result.options.maxIterations).toBeUndefined();
+  });
+
+  it('should treat a bare file argument as `run <file>`', () => {
+    const result = parseCommand(['my-prd.md', '--max-iterations', '20']);
+
+    expect(result.command).toBe('run');
+    expect(result.args.prdFile).toBe('my-prd.md');
+    expect(result.options.maxIterations).toBe(20);
+  });
+
+  it('should parse explicit subcommands and their arguments', () => {
+    expect(parseCommand(['generate', 'spec.md']).args.file).toBe('spec.md');
+    expect(parseCommand(['status']).command).toBe('status');
+    expect(parseCommand(['validate']).args.file).toBeNull();
+    expect(parseCommand(['validate', 'other.json']).args.file).toBe('other.json');
+  });
+
+  it('should accept --flag=value syntax', () => {
+    const result = parseCommand(['run', '--max-iterations=5']);
+    expect(result.options.maxIterations).toBe(5);
+  });
+
+  it('should convert kebab-case boolean flags to camelCase keys', () => {
+    expect(parseCommand(['reset']).options.noArchive).toBe(false);
+    expect(parseCommand(['reset', '--no-archive']).options.noArchive).toBe(true);
+  });
+
+  it('should return global help for a bare --help', () => {
+    const result = parseCommand(['--help']);
+
+    expect(result.help).toBe(true);
+    expect(result.command).toBeNull();
+  });
+
+  it('should return command help for `<command> --help` without checking arguments', () => {
+    const result = parseCommand(['generate', '-h']);
+
+    expect(result.help).toBe(true);
+    expect(result.command).toBe('generate');
+  });
+
+  it('should reject unknown commands', () => {
+    expect(() => parseCommand(['statsu'])).toThrow(UsageError);
+    expect(() => parseCommand(['statsu'])).toThrow('Unknown command: statsu');
+  });
+
+  it('should reject unknown flags instead of ignoring them', () => {
+    expect(() => parseCommand(['--unknown-flag', 'my-prd.md'])).toThrow('Unknown option for "run": --unknown-flag');
+    expect(() => parseCommand(['status', '--max-iterations', '3'])).toThrow(UsageError);
+  });
+
+  it('should reject missing and invalid option values', () => {
+    expect(() => parseCommand(['--max-iterations'])).toThrow('requires a value');
+    expect(() => parseCommand(['--max-iterations', 'ten'])).toThrow('expects a number');
+    expect(() => parseCommand(['--max-iterations', '2.5'])).toThrow('Option --max-iterations expects a whole number, got 2.5');
+    expect(() => parseCommand(['--iteration-timeout', '1.5'])).toThrow(UsageError);
+    expect(parseCommand(['--max-cost', '2.5']).options.maxCost).toBe(2.5);
+    expect(() => parseCommand(['--max-iterations', '0'])).toThrow('must be at least 1');
+  });
+
+  it('should reject missing required and unexpected extra arguments', () => {
+    expect(() => parseCommand(['generate'])).toThrow('Missing required argument <file>');
+    expect(() => parseCommand(['status', 'extra'])).toThrow('Unexpected argument');
+  });
+
+  it('should parse `story` subcommands with their own arguments and options', () => {
+    const add = parseCommand(['story', 'add', '--title', 'Export CSV', '--criterion', 'Has a button', '--criterion=Typecheck passes']);
+    const move = parseCommand(['story', 'move', 'US-003', '--to', '1']);
+
+    expect(add.command).toBe('story');
+    expect(add.subcommand).toBe('add');
+    expect(add.options.title).toBe('Export CSV');
+    expect(add.options.criterion).toEqual(['Has a button', 'Typecheck passes']);
+    expect(move.args.id).toBe('US-003');
+    expect(move.options.to).toBe(1);
+  });
+
+  it('should reject missing or unknown subcommands and missing required options', () => {
+    expect(() => parseCommand(['story'])).toThrow('Missing subcommand for "story"');
+    expect(() => parseCommand(['story', 'rename', 'US-001'])).toThrow('Unknown subcommand for "story": rename');
+    expect(() => parseCommand(['story', 'move', 'US-001'])).toThrow('Missing required option --to');
+    expect(() => parseCommand(['story', 'skip'])).toThrow('Missing required argument <id>');
+    expect(() => parseCommand(['story', 'skip', 'US-001', '--title', 'x'])).toThrow('Unknown option for "story skip": --title');
+  });
+
+  it('should fall back to a command\'s default subcommand', () => {
+    expect(parseCommand(['runs'])).toMatchObject({ command: 'runs', subcommand: 'list' });
+    expect(parseCommand(['runs', '--json'])).toMatchObject({ command: 'runs', subcommand: 'list', options: { json: true } });
+    expect(parseCommand(['runs', 'show', '20260101-103000'])).toMatchObject({ command: 'runs', subcommand: 'show', args: { id: '20260101-103000' } });
+    expect(() => parseCommand(['runs', 'delete'])).toThrow('Unknown subcommand for "runs": delete');
+  });
+
+  it('should return help for a command or subcommand with subcommands', () => {
+    expect(parseCommand(['story', '--help'])).toMatchObject({ command: 'story', subcommand: null, help: true });
+    expect(parseCommand(['story', 'move', '--help'])).toMatchObject({ command: 'story', subcommand: 'move', help: true });
+  });
+
+  it('should attach the usage exit code and command to errors', () => {
+    try {
+      parseCommand(['generate']);
+      throw new Error('expected parseCommand to throw');
+    } catch (err) {
+      expect(err.exitCode).toBe(EXIT_CODES.USAGE);
+      expect(err.command).toBe('generate');
+    }
+  });
+});
+
+describe('getConfigOverrides', () => {
+  it('should pick only config settings that were given', () => {
+    const parsed = parseCommand(['run', '--output-dir', 'build', '--agent-command', 'my-claude', '--dry-run']);
+
+    expect(getConfigOverrides(parsed.options)).toEqual({ outputDir: 'build', agentCommand: 'my-claude' });
+  });
+});
+
+describe('formatHelp', () => {
+  it('should list every command in the overview', () => {
+    const help = formatHelp();
+
+    for (const name of Object.keys(COMMANDS)) {
+      expect(help).toContain(name);
+    }
+    expect(help).toContain('Exit codes:');
+  });
+
+  it('should list every exit code', () => {
+    const help = formatHelp();
+
+    for (const code of Object.values(EXIT_CODES)) {
+      expect(help).toMatch(new RegExp(`^  ${code}  \\S`, 'm'));
+    }
+    expect(help).toContain('  6  Stopped because every remaining story is blocked');
+  });
+
+  it('should list command options with defaults', () => {
+    const help = formatHelp('run');
+
+    expect(help).toContain('Usage: claude-all run');
+    expect(help).toContain('--max-iterations <integer>');
+    expect(help).toContain('(default: 10)');
+    expect(help).toContain('--config <string>');
+    expect(help).toContain('--help');
+  });
+
+  it('should list subcommands, and subcommand options', () => {
+    const overview = formatHelp('story');
+    const move = formatHelp('story', 'move');
+
+    for (const name of Object.keys(COMMANDS.story.subcommands)) {
+      expect(overview).toContain(name);
+    }
+    expect(move).toContain('Usage: claude-all story move <id> --to <position>');
+    expect(move).toContain('--to <integer>');
+    expect(formatHelp('story', 'add')).toContain('(repeatable)');
+  });
+
+  it('should name a command\'s default subcommand', () => {
+    expect(formatHelp('runs')).toContain('Running "claude-all runs" without a subcommand is the same as "claude-all runs list".');
+    expect(formatHelp('story')).not.toContain('without a subcommand');
+  });
+});
@@ -0,0 +1,95 @@
+/**
+ * Tests for the logs command
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { createConfig } = require('../../lib/config');
+const { parseCommand, EXIT_CODES } = require('../../lib/cli');
+const { writeTranscript } = require('../../lib/transcripts');
+const logs = require('../../lib/commands/logs');
+
+describe('logs command', () => {
+  let tempDir;
+  let config;
+  let output;
+
+  const run = argv => logs(parseCommand(['logs', ...argv]), config);
+
+  // Iteration 1 failed once and was retried, in the latest of two runs
+  function writeTranscripts() {
+    const details = { storyId: 'US-001', startedAt: new Date('2026-01-01T10:00:00Z'), endedAt: new Date('2026-01-01T10:01:30Z'), promptHash: 'abc123' };
+    writeTranscript(path.join(config.LOGS_DIR, '20260101-090000'), { ...details, iteration: 0, storyId: null, result: { output: 'Wrote prd.json', code: 0 } });
+    writeTranscript(path.join(config.LOGS_DIR, '20260101-100000'), { ...details, iteration: 1, result: { output: 'Overloaded', code: 1 } });
+    writeTranscript(path.join(config.LOGS_DIR, '20260101-100000'), { ...details, iteration: 1, result: { output: 'Schema done', code: 0 }, completionSignalSeen: true });
+  }
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'claude-all-logs-command-'));
+    config = createConfig(tempDir, tempDir);
+    output = '';
+    jest.spyOn(console, 'log').mockImplementation((message = '') => { output += `${message}\n`; });
+    jest.spyOn(process.stdout, 'write').mockImplementation((text) => { output += text; return true; });
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+    process.stdout.write.mockRestore();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('should fail when there are no transcripts', async () => {
+    expect(await run([])).toBe(EXIT_CODES.FAILURE);
+    expect(output).toContain(`No transcripts in ${config.LOGS_DIR} yet`);
+  });
+
+  it('should list the transcripts of the latest run', async () => {
+    writeTranscripts();
+
+    expect(await run([])).toBe(EXIT_CODES.SUCCESS);
+    expect(output).toContain('Run 20260101-100000 (2 runs in output/logs)');
+    expect(output).toMatch(/1 +1 +US-001 +1m 30s +exit 1\n/);
+    expect(output).toMatch(/1 +2 +US-001 +1m 30s +exit 0, complete\n/);
+  });
+
+  it('should print every attempt of an iteration', async () => {
+    writeTranscripts();
+
+    expect(await run(['1'])).toBe(EXIT_CODES.SUCCESS);
+    expect(output).toContain('==> output/logs/20260101-100000/iteration-001.log <==');
+    expect(output).toContain('==> output/logs/20260101-100000/iteration-001-attempt-2.log <==');
+    expect(output).toContain('---\nOverloaded\n');
+    expect(output).toContain('---\nSchema done\n');
+  });
+
+  it('should read another run with --run', async () => {
+    writeTranscripts();
+
+    expect(await run(['0', '--run', '20260101-090000'])).toBe(EXIT_CODES.SUCCESS);
+    expect(output).toContain('# claude-all PRD generation');
+    expect(output).toContain('Wrote prd.json');
+  });
+
+  it('should fail for an unknown run', async () => {
+    writeTranscripts();
+
+    expect(await run(['--run', '20250101-000000'])).toBe(EXIT_CODES.FAILURE);
+    expect(output).toContain('No run "20250101-000000"');
+    expect(output).toContain('runs: 20260101-090000, 20260101-100000');
+  });
+
+  it('should reject an iteration that is not a number as a usage error', async () => {
+    writeTranscripts();
+
+    expect(await run(['first'])).toBe(EXIT_CODES.USAGE);
+    expect(output).toContain('Iteration must be a number, got "first"');
+  });
+
+  it('should fail for an iteration without a transcript', async () => {
+    writeTranscripts();
+
+    expect(await run(['7'])).toBe(EXIT_CODES.FAILURE);
+    expect(output).toContain('Run 20260101-100000 has no transcript for iteration 7');
+  });
+});
@@ -0,0 +1,92 @@
+/**
+ * Tests for the runs command
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { createConfig } = require('../../lib/config');
+const { parseCommand, EXIT_CODES } = require('../../lib/cli');
+const { createJournal } = require('../../lib/journal');
+const runs = require('../../lib/commands/runs');
+
+describe('runs command', () => {
+  let tempDir;
+  let config;
+  let output;
+
+  const run = argv => runs(parseCommand(['runs', ...argv]), config);
+
+  // A run that passed US-001, and a later one that stopped without recording its end
+  function writeJournals() {
+    const finished = createJournal(config, { runId: '20260101-100000', maxIterations: 3, agent: 'command' });
+    const entry = finished.startIteration(1, { id: 'US-001', title: 'Schema' });
+    finished.endIteration(entry, { result: { code: 0, signal: null, timedOut: null }, storyPassed: true, passed: ['US-001'] });
+    finished.finish({ completed: true, reason: 'complete', message: 'Completed after 1 of 3 iterations' });
+
+    const unfinished = createJournal(config, { runId: '20260102-100000', maxIterations: 3, agent: 'command' });
+    unfinished.startIteration(1, { id: 'US-002', title: 'API' });
+  }
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'claude-all-runs-command-'));
+    config = createConfig(tempDir, tempDir);
+    output = '';
+    jest.spyOn(console, 'log').mockImplementation((message = '') => { output += `${message}\n`; });
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('should fail when there are no journals', async () => {
+    expect(await run([])).toBe(EXIT_CODES.FAILURE);
+    expect(output).toContain(`No run journals in ${config.RUNS_DIR} yet`);
+  });
+
+  it('should list the runs with their outcome', async () => {
+    writeJournals();
+
+    expect(await run([])).toBe(EXIT_CODES.SUCCESS);
+    expect(output).toContain('2 runs in output/runs');
+    expect(output).toMatch(/20260101-100000 +serial +1 +US-001 +\S+ +complete/);
+    expect(output).toMatch(/20260102-100000 +serial +1 +- +- +unfinished/);
+  });
+
+  it('should list the runs as JSON', async () => {
+    writeJournals();
+
+    expect(await run(['list', '--json'])).toBe(EXIT_CODES.SUCCESS);
+    const summaries = JSON.parse(output);
+    expect(summaries.map(summary => [summary.runId, summary.passed, summary.outcome && summary.outcome.reason])).toEqual([
+      ['20260101-100000', ['US-001'], 'complete'],
+      ['20260102-100000', [], null],
+    ]);
+  });
+
+  it('should show the latest run, and say when it never recorded its end', async () => {
+    writeJournals();
+
+    expect(await run(['show'])).toBe(EXIT_CODES.SUCCESS);
+    expect(output).toContain('Run 20260102-100000');
+    expect(output).toContain('Outcome:    unfinished (the run stopped without recording how it ended)');
+    expect(output).toMatch(/1 +US-002 +- +stopped/);
+  });
+
+  it('should show a run by ID', async () => {
+    writeJournals();
+
+    expect(await run(['show', '20260101-100000'])).toBe(EXIT_CODES.SUCCESS);
+    expect(output).toContain('Outcome:    complete - Completed after 1 of 3 iterations');
+    expect(output).toContain('Passed:     US-001');
+  });
+
+  it('should fail for an unknown run ID', async () => {
+    writeJournals();
+
+    expect(await run(['show', '20250101-000000'])).toBe(EXIT_CODES.FAILURE);
+    expect(output).toContain('No run "20250101-000000"');
+    expect(output).toContain('runs: 20260101-100000, 20260102-100000');
+  });
+});
@@ -0,0 +1,113 @@
+/**
+ * Tests for the story command
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { createConfig } = require('../../lib/config');
+const { parseCommand, EXIT_CODES } = require('../../lib/cli');
+const story = require('../../lib/commands/story');
+
+const makeStory = (n, title, extra = {}) => ({
+  id: `US-00${n}`,
+  title,
+  description: title,
+  acceptanceCriteria: [`${title} works`],
+  priority: n,
+  passes: false,
+  notes: '',
+  ...extra,
+});
+
+describe('story command', () => {
+  let tempDir;
+  let config;
+  let output;
+
+  const run = argv => story(parseCommand(['story', ...argv]), config);
+  const readPrd = () => JSON.parse(fs.readFileSync(config.PRD_FILE, 'utf-8'));
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'claude-all-story-command-'));
+    config = createConfig(tempDir, tempDir);
+    fs.mkdirSync(config.OUTPUT_DIR);
+    fs.writeFileSync(config.PRD_FILE, JSON.stringify({
+      project: 'Todo',
+      branchName: 'ralph/todo',
+      description: 'A todo app',
+      userStories: [makeStory(1, 'schema', { passes: true }), makeStory(2, 'api', { dependsOn: ['US-001'] }), makeStory(3, 'ui', { dependsOn: ['US-002'] })],
+    }));
+    output = '';
+    jest.spyOn(console, 'log').mockImplementation((message) => { output += `${message}\n`; });
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('should add a story at a position and renumber the ones after it', async () => {
+    const code = await run(['add', '--title', 'auth', '--criterion', 'Login works', '--position', '2']);
+
+    expect(code).toBe(EXIT_CODES.SUCCESS);
+    expect(output).toContain('Added US-002: auth');
+    const stories = readPrd().userStories;
+    expect(stories.map(s => [s.id, s.title, s.priority])).toEqual([
+      ['US-001', 'schema', 1],
+      ['US-002', 'auth', 2],
+      ['US-003', 'api', 3],
+      ['US-004', 'ui', 4],
+    ]);
+    expect(stories[1]).toMatchObject({ acceptanceCriteria: ['Login works'], passes: false });
+    // Dependencies follow the renumbered IDs
+    expect(stories[3].dependsOn).toEqual(['US-003']);
+  });
+
+  it('should edit the fields given as flags', async () => {
+    const code = await run(['edit', 'us-002', '--title', 'REST api', '--notes', 'Use express']);
+
+    expect(code).toBe(EXIT_CODES.SUCCESS);
+    expect(output).toContain('Updated US-002');
+    expect(readPrd().userStories[1]).toMatchObject({ id: 'US-002', title: 'REST api', notes: 'Use express', priority: 2 });
+  });
+
+  it('should remove a story and renumber the rest', async () => {
+    const code = await run(['remove', 'US-001']);
+
+    expect(code).toBe(EXIT_CODES.SUCCESS);
+    expect(output).toContain('Removed US-001');
+    const stories = readPrd().userStories;
+    expect(stories.map(s => [s.id, s.title, s.priority])).toEqual([['US-001', 'api', 1], ['US-002', 'ui', 2]]);
+    expect(stories.map(s => s.dependsOn)).toEqual([[], ['US-001']]);
+  });
+
+  it('should fail without writing when the story is unknown', async () => {
+    const before = fs.readFileSync(config.PRD_FILE, 'utf-8');
+
+    const code = await run(['remove', 'US-009']);
+
+    expect(code).toBe(EXIT_CODES.FAILURE);
+    expect(output).toContain('No story with ID US-009');
+    expect(fs.readFileSync(config.PRD_FILE, 'utf-8')).toBe(before);
+  });
+
+  it('should not save a change that leaves prd.json invalid', async () => {
+    const before = fs.readFileSync(config.PRD_FILE, 'utf-8');
+
+    const code = await run(['add', '--title', 'export', '--depends-on', 'US-099']);
+
+    expect(code).toBe(EXIT_CODES.INVALID_PRD);
+    expect(output).toContain('Not saved: the result has 1 problem(s):');
+    expect(output).toContain('"dependsOn" lists unknown story US-099');
+    expect(fs.readFileSync(config.PRD_FILE, 'utf-8')).toBe(before);
+  });
+
+  it('should report a prd.json that cannot be read', async () => {
+    fs.writeFileSync(config.PRD_FILE, '{ not json');
+
+    expect(await run(['skip', 'US-001'])).toBe(EXIT_CODES.INVALID_PRD);
+    expect(output).toContain('is not valid JSON');
+    expect(fs.readFileSync(config.PRD_FILE, 'utf-8')).toBe('{ not json');
+  });
+});
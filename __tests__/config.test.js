@@ -3,7 +3,7 @@
  */
 
 const path = require('path');
-const { createConfig } = require('../lib/config');
+const { createConfig, snapshotConfig } = require('../lib/config');
 
 describe('createConfig', () => {
   it('should create config with default directories', () => {
@@ -47,3 +47,214 @@ describe('createConfig', () => {
     expect(config.PRD_FILE).toBe('/test/my project/output/prd.json');
   });
 });
+
+describe('createConfig options', () => {
+  it('should accept an options object like the core API', () => {
+    const config = createConfig({ workingDir: '/test/project', scriptDir: '/test/script' });
+
+    expect(config.OUTPUT_DIR).toBe('/test/project/output');
+    expect(config.PROMPT_FILE).toBe('/test/script/lib/prompt.md');
+    expect(config.SKILL_FILE).toBe('/test/script/.claude/skills/ralph/SKILL.md');
+    expect(config.MAX_ITERATIONS).toBe(10);
+    expect(config.PARALLEL).toBe(1);
+    expect(config.WORKTREES_DIR).toBe('/test/project/output/worktrees');
+    expect(config.RUNS_DIR).toBe('/test/project/output/runs');
+    expect(config.AGENT_COMMAND).toBe('claude');
+    expect(config.CONFIG_FILE).toBeNull();
+  });
+
+  it('should resolve overrides relative to the working directory', () => {
+    const config = createConfig({
+      workingDir: '/test/project',
+      outputDir: 'build/claude',
+      promptFile: 'prompts/loop.md',
+      completionSignal: 'DONE',
+      maxIterations: 3,
+    });
+
+    expect(config.OUTPUT_DIR).toBe('/test/project/build/claude');
+    expect(config.PRD_FILE).toBe('/test/project/build/claude/prd.json');
+    expect(config.PROMPT_FILE).toBe('/test/project/prompts/loop.md');
+    expect(config.COMPLETION_SIGNAL).toBe('DONE');
+    expect(config.MAX_ITERATIONS).toBe(3);
+  });
+
+  it('should be the same function the core module exports', () => {
+    expect(require('../lib/core').createConfig).toBe(createConfig);
+  });
+});
+
+describe('snapshotConfig', () => {
+  it('should key the settings like the config file', () => {
+    const snapshot = snapshotConfig(createConfig({ workingDir: '/test/project', verify: ['npm test'], maxCost: 2 }));
+
+    expect(snapshot).toMatchObject({ outputDir: '/test/project/output', verify: ['npm test'], maxCost: 2, model: null, hooks: {}, configFile: null });
+    expect(Object.values(snapshot)).not.toContain(undefined);
+  });
+});
+
+describe('loadConfig', () => {
+  const fs = require('fs');
+  const os = require('os');
+  const { loadConfig, findConfigFile, ConfigError } = require('../lib/config');
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'load-config-')));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('should use defaults when there is no config file', () => {
+    const config = loadConfig({ workingDir: tempDir, env: {} });
+
+    expect(config.OUTPUT_DIR).toBe(path.join(tempDir, 'output'));
+    expect(config.CONFIG_FILE).toBeNull();
+  });
+
+  it('should read .claude-allrc.json from a parent directory', () => {
+    const nested = path.join(tempDir, 'packages', 'app');
+    fs.mkdirSync(nested, { recursive: true });
+    fs.writeFileSync(path.join(tempDir, '.claude-allrc.json'), JSON.stringify({ outputDir: '.claude-all', maxIterations: 4 }));
+
+    const config = loadConfig({ workingDir: nested, env: {} });
+
+    expect(config.CONFIG_FILE).toBe(path.join(tempDir, '.claude-allrc.json'));
+    // Paths in a config file are relative to the file, not the working directory
+    expect(config.OUTPUT_DIR).toBe(path.join(tempDir, '.claude-all'));
+    expect(config.WORKING_DIR).toBe(nested);
+    expect(config.MAX_ITERATIONS).toBe(4);
+  });
+
+  it('should read claude-all.config.js', () => {
+    fs.writeFileSync(path.join(tempDir, 'claude-all.config.js'), "module.exports = { agentCommand: 'my-claude' };");
+
+    const config = loadConfig({ workingDir: tempDir, env: {} });
+
+    expect(config.AGENT_COMMAND).toBe('my-claude');
+  });
+
+  it('should apply file < environment < flags precedence', () => {
+    fs.writeFileSync(path.join(tempDir, '.claude-allrc.json'), JSON.stringify({ maxIterations: 4, completionSignal: 'FILE' }));
+
+    const config = loadConfig({
+      workingDir: tempDir,
+      env: { CLAUDE_ALL_MAX_ITERATIONS: '6', CLAUDE_ALL_COMPLETION_SIGNAL: 'ENV' },
+      overrides: { maxIterations: 8 },
+    });
+
+    expect(config.MAX_ITERATIONS).toBe(8);
+    expect(config.COMPLETION_SIGNAL).toBe('ENV');
+  });
+
+  it('should load an explicit config file from CLAUDE_ALL_CONFIG', () => {
+    fs.writeFileSync(path.join(tempDir, 'custom.json'), JSON.stringify({ outputDir: 'out' }));
+
+    const config = loadConfig({ workingDir: tempDir, env: { CLAUDE_ALL_CONFIG: 'custom.json' } });
+
+    expect(config.OUTPUT_DIR).toBe(path.join(tempDir, 'out'));
+  });
+
+  it('should reject unknown keys and environment variables', () => {
+    fs.writeFileSync(path.join(tempDir, '.claude-allrc.json'), JSON.stringify({ outptuDir: 'x' }));
+    expect(() => loadConfig({ workingDir: tempDir, env: {} })).toThrow(ConfigError);
+    expect(() => loadConfig({ workingDir: tempDir, env: {} })).toThrow('Unknown setting "outptuDir"');
+
+    fs.rmSync(path.join(tempDir, '.claude-allrc.json'));
+    expect(() => loadConfig({ workingDir: tempDir, env: { CLAUDE_ALL_OUTPT_DIR: 'x' } }))
+      .toThrow('CLAUDE_ALL_OUTPT_DIR: Unknown environment variable');
+  });
+
+  it('should reject invalid values and missing files', () => {
+    expect(() => loadConfig({ workingDir: tempDir, env: { CLAUDE_ALL_MAX_ITERATIONS: 'lots' } }))
+      .toThrow('"maxIterations" must be an integer');
+    expect(() => loadConfig({ workingDir: tempDir, env: {}, overrides: { promptFile: 'missing.md' } }))
+      .toThrow('"promptFile" points to a missing file');
+  });
+
+  it('should read budget limits, with 0 meaning no limit', () => {
+    expect(loadConfig({ workingDir: tempDir, env: {} })).toMatchObject({ MAX_COST: 0, MAX_TOKENS: 0 });
+
+    const config = loadConfig({ workingDir: tempDir, env: { CLAUDE_ALL_MAX_COST: '2.5' }, overrides: { maxTokens: 500000 } });
+
+    expect(config.MAX_COST).toBe(2.5);
+    expect(config.MAX_TOKENS).toBe(500000);
+    expect(config.USAGE_FILE).toBe(path.join(tempDir, 'output', 'usage.json'));
+    expect(() => loadConfig({ workingDir: tempDir, env: { CLAUDE_ALL_MAX_COST: 'cheap' } }))
+      .toThrow('"maxCost" must be a number of at least 0');
+  });
+
+  it('should select a built-in or project permission profile', () => {
+    fs.writeFileSync(path.join(tempDir, '.claude-allrc.json'), JSON.stringify({
+      profile: 'ci',
+      profiles: { ci: { allowedTools: ['Read', 'Edit'] } },
+    }));
+
+    expect(loadConfig({ workingDir: tempDir, env: {} })).toMatchObject({ PROFILE: 'ci', PROFILES: { ci: { allowedTools: ['Read', 'Edit'] } } });
+    expect(loadConfig({ workingDir: tempDir, env: {}, overrides: { profile: 'repo-only' } }).PROFILE).toBe('repo-only');
+    expect(() => loadConfig({ workingDir: tempDir, env: {}, overrides: { profile: 'yolo' } }))
+      .toThrow('Unknown permission profile "yolo" (expected one of: full, no-network, repo-only, ci)');
+
+    fs.writeFileSync(path.join(tempDir, '.claude-allrc.json'), JSON.stringify({ profiles: { ci: { allowedTools: 'Read' } } }));
+    expect(() => loadConfig({ workingDir: tempDir, env: {} }))
+      .toThrow('"profiles": profile "ci": allowedTools must be a list of tool names');
+  });
+
+  it('should read profiles and hooks from the environment as JSON', () => {
+    const env = {
+      CLAUDE_ALL_PROFILE: 'ci',
+      CLAUDE_ALL_PROFILES: JSON.stringify({ ci: { allowedTools: ['Read'] } }),
+      CLAUDE_ALL_HOOKS: JSON.stringify({ runComplete: 'echo done' }),
+    };
+
+    expect(loadConfig({ workingDir: tempDir, env })).toMatchObject({ PROFILE: 'ci', PROFILES: { ci: { allowedTools: ['Read'] } }, HOOKS: { runComplete: 'echo done' } });
+    expect(() => loadConfig({ workingDir: tempDir, env: { CLAUDE_ALL_HOOKS: 'echo done' } }))
+      .toThrow('CLAUDE_ALL_HOOKS: "hooks" must be a JSON object, got invalid JSON');
+    expect(() => loadConfig({ workingDir: tempDir, env: { CLAUDE_ALL_PROFILES: '["ci"]' } }))
+      .toThrow('CLAUDE_ALL_PROFILES: "profiles" must be an object');
+  });
+
+  it('should read verify commands as a list, or one command from the environment', () => {
+    fs.writeFileSync(path.join(tempDir, '.claude-allrc.json'), JSON.stringify({ verify: ['npm test', 'npm run lint'] }));
+
+    expect(loadConfig({ workingDir: tempDir, env: {} }).VERIFY_COMMANDS).toEqual(['npm test', 'npm run lint']);
+    expect(loadConfig({ workingDir: tempDir, env: { CLAUDE_ALL_VERIFY: 'make check' } }).VERIFY_COMMANDS).toEqual(['make check']);
+    expect(createConfig({ workingDir: tempDir }).VERIFY_COMMANDS).toEqual([]);
+    expect(() => loadConfig({ workingDir: tempDir, env: {}, overrides: { verify: ['npm test', ''] } }))
+      .toThrow('"verify" must be a non-empty string or a list of them');
+  });
+
+  it('should read hook commands and reject unknown events', () => {
+    const hooks = { beforeRun: 'npm run db:migrate', runComplete: ['notify-send done', 'say done'] };
+    fs.writeFileSync(path.join(tempDir, '.claude-allrc.json'), JSON.stringify({ hooks }));
+
+    expect(loadConfig({ workingDir: tempDir, env: {} }).HOOKS).toEqual(hooks);
+    expect(createConfig({ workingDir: tempDir }).HOOKS).toEqual({});
+
+    fs.writeFileSync(path.join(tempDir, '.claude-allrc.json'), JSON.stringify({ hooks: { afterStory: 'say done' } }));
+    expect(() => loadConfig({ workingDir: tempDir, env: {} })).toThrow('"hooks": unknown event "afterStory"');
+
+    fs.writeFileSync(path.join(tempDir, '.claude-allrc.json'), JSON.stringify({ hooks: { runFailed: [] } }));
+    expect(() => loadConfig({ workingDir: tempDir, env: {} })).toThrow('"hooks": "runFailed" must be a command or a list of commands');
+  });
+
+  it('should select the agent adapter and require a template for the command agent', () => {
+    const config = loadConfig({ workingDir: tempDir, env: { CLAUDE_ALL_AGENT: 'command', CLAUDE_ALL_AGENT_COMMAND: 'stub-agent {promptFile}' } });
+
+    expect(config.AGENT).toBe('command');
+    expect(config.AGENT_COMMAND).toBe('stub-agent {promptFile}');
+    expect(() => loadConfig({ workingDir: tempDir, env: {}, overrides: { agent: 'command' } }))
+      .toThrow('no "agentCommand" template is set');
+    expect(() => loadConfig({ workingDir: tempDir, env: {}, overrides: { agent: 'codex' } }))
+      .toThrow('"agent" must be one of claude, command');
+  });
+
+  it('should refuse two config files in the same directory', () => {
+    fs.writeFileSync(path.join(tempDir, '.claude-allrc.json'), '{}');
+    fs.writeFileSync(path.join(tempDir, 'claude-all.config.js'), 'module.exports = {};');
+
+    expect(() => findConfigFile(tempDir)).toThrow('keep only one');
+  });
+});
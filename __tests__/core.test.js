@@ -297,3 +297,163 @@ describe('getRalphSkillInstructions', () => {
     expect(instructions).toContain('output');
   });
 });
+
+describe('buildPrdPrompt', () => {
+  it('should append the PRD text after the skill instructions', () => {
+    const config = core.createConfig({ scriptDir: '/nonexistent/dir' });
+    const prompt = core.buildPrdPrompt('Build a todo app', config);
+
+    expect(prompt.startsWith(core.getRalphSkillInstructions('/nonexistent/dir'))).toBe(true);
+    expect(prompt).toContain('## PRD to Convert\n\nBuild a todo app');
+  });
+});
+
+describe('getPromptVariables', () => {
+  let tempDir;
+  let config;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'promptVars-'));
+    config = core.createConfig({ workingDir: tempDir });
+    fs.mkdirSync(config.OUTPUT_DIR);
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('should select the highest priority failing story and read codebase patterns', () => {
+    fs.writeFileSync(config.PRD_FILE, JSON.stringify({
+      branchName: 'ralph/todo',
+      userStories: [
+        { id: 'US-001', title: 'Schema', priority: 1, passes: true },
+        { id: 'US-002', title: 'API', priority: 2, passes: false, acceptanceCriteria: ['GET works'] },
+        { id: 'US-003', title: 'UI', priority: 3, passes: false },
+      ],
+    }));
+    fs.writeFileSync(config.PROGRESS_FILE, '# Ralph Progress Log\n---\n## Codebase Patterns\n- Use sqlite\n---\n');
+
+    const variables = core.getPromptVariables(config, { iteration: 2, maxIterations: 5, previousFailure: 'boom' });
+
+    expect(variables.story.id).toBe('US-002');
+    expect(variables.story.notes).toBe('');
+    expect(variables.branchName).toBe('ralph/todo');
+    expect(variables.iteration).toBe(2);
+    expect(variables.maxIterations).toBe(5);
+    expect(variables.codebasePatterns).toBe('- Use sqlite');
+    expect(variables.previousFailure).toBe('boom');
+    expect(variables.prdFile).toBe(path.join('output', 'prd.json'));
+  });
+
+  it('should leave story null when there is no prd.json', () => {
+    const variables = core.getPromptVariables(config);
+
+    expect(variables.story).toBeNull();
+    expect(variables.iteration).toBe(1);
+    expect(variables.maxIterations).toBe(10);
+  });
+});
+
+describe('buildLoopPrompt', () => {
+  let tempDir;
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('should report template errors in a custom prompt with its path', () => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'loopPrompt-'));
+    const promptFile = path.join(tempDir, 'prompt.md');
+    fs.writeFileSync(promptFile, 'Work on {{story.id}}\nthen {{ unknownVariable }}');
+    const config = core.createConfig({ workingDir: tempDir, promptFile });
+
+    expect(() => core.buildLoopPrompt(config)).toThrow(`${promptFile}:1:9: Missing template variable "story.id"`);
+  });
+});
+
+describe('getRetryDelay', () => {
+  it('should double the delay for each retry, with up to half of it taken off as jitter', () => {
+    const config = { RETRY_DELAY: 30 };
+
+    expect(core.getRetryDelay(config, 1, () => 1)).toBe(30000);
+    expect(core.getRetryDelay(config, 1, () => 0)).toBe(15000);
+    expect(core.getRetryDelay(config, 3, () => 1)).toBe(120000);
+  });
+
+  it('should cap the delay at ten minutes', () => {
+    expect(core.getRetryDelay({ RETRY_DELAY: 30 }, 10, () => 1)).toBe(10 * 60 * 1000);
+    expect(core.getRetryDelay({ RETRY_DELAY: 0 }, 4)).toBe(0);
+  });
+});
+
+describe('getIterationModel', () => {
+  const config = { MODEL: 'sonnet', ESCALATION_MODEL: 'opus', ESCALATE_AFTER: 2 };
+
+  it('should use the story model, then the configured model', () => {
+    expect(core.getIterationModel(config, { id: 'US-001', model: 'haiku' })).toEqual({ model: 'haiku', escalated: false });
+    expect(core.getIterationModel(config, { id: 'US-001' })).toEqual({ model: 'sonnet', escalated: false });
+    expect(core.getIterationModel({ ...config, MODEL: null }, null)).toEqual({ model: null, escalated: false });
+  });
+
+  it('should escalate a story after enough failed attempts', () => {
+    expect(core.getIterationModel(config, { id: 'US-001', model: 'haiku', attempts: 1 }).escalated).toBe(false);
+    expect(core.getIterationModel(config, { id: 'US-001', model: 'haiku', attempts: 2 })).toEqual({ model: 'opus', escalated: true });
+    expect(core.getIterationModel({ ...config, ESCALATION_MODEL: null }, { id: 'US-001', attempts: 5 }).model).toBe('sonnet');
+  });
+});
+
+describe('verifyIteration', () => {
+  let tempDir;
+  let config;
+  const prd = stories => ({ project: 'Todo', branchName: 'ralph/todo', description: 'Todo', userStories: stories });
+  const before = prd([
+    { id: 'US-001', priority: 1, passes: false },
+    { id: 'US-002', priority: 2, passes: false },
+  ]);
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'claude-all-verify-'));
+    config = core.createConfig({ workingDir: tempDir });
+    fs.mkdirSync(config.OUTPUT_DIR);
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('should confirm the story was marked as passing', () => {
+    fs.writeFileSync(config.PRD_FILE, JSON.stringify(prd([
+      { id: 'US-001', priority: 1, passes: true },
+      { id: 'US-002', priority: 2, passes: false },
+    ])));
+
+    expect(core.verifyIteration(config, before.userStories[0], before, true)).toEqual({
+      error: null,
+      storyPassed: true,
+      passed: ['US-001'],
+      failed: [],
+      remaining: ['US-002'],
+      complete: false,
+      signalRejected: true,
+    });
+    expect(core.verifyIteration(config, before.userStories[1], before, false).storyPassed).toBe(false);
+  });
+
+  it('should only accept completion once every story passes or is skipped', () => {
+    fs.writeFileSync(config.PRD_FILE, JSON.stringify(prd([
+      { id: 'US-001', priority: 1, passes: true },
+      { id: 'US-002', priority: 2, passes: false, skipped: true },
+    ])));
+
+    expect(core.verifyIteration(config, before.userStories[0], before, true)).toMatchObject({ complete: true, signalRejected: false });
+  });
+
+  it('should reject completion when prd.json is unreadable', () => {
+    fs.writeFileSync(config.PRD_FILE, '{ broken');
+
+    const verification = core.verifyIteration(config, before.userStories[0], before, true);
+
+    expect(verification).toMatchObject({ storyPassed: false, remaining: null, complete: false, signalRejected: true });
+    expect(verification.error).toContain('is not valid JSON');
+  });
+});
@@ -0,0 +1,35 @@
+/**
+ * Tests for dry-run reporting
+ */
+
+const { createConfig } = require('../lib/config');
+const { formatDryRun } = require('../lib/dry-run');
+
+describe('formatDryRun', () => {
+  it('should include the prompt, command, working directory and resolved paths', () => {
+    const config = createConfig('/test/project', '/test/script');
+    const report = formatDryRun({
+      title: 'PRD generation',
+      config,
+      prompt: 'Convert this PRD',
+      promptSource: 'spec.md',
+    });
+
+    expect(report).toContain('Dry run: PRD generation');
+    expect(report).toContain('Working directory:\x1b[0m /test/project');
+    expect(report).toContain('claude --print --dangerously-skip-permissions < prompt');
+    expect(report).toContain('PRD_FILE');
+    expect(report).toContain('/test/project/output/prd.json');
+    expect(report).toContain('Convert this PRD');
+    expect(report).toContain('spec.md');
+  });
+
+  it('should show the command agent template with prompt placeholders', () => {
+    const config = createConfig({ workingDir: '/test/project', agent: 'command', agentCommand: 'stub-agent --prompt-file {promptFile}' });
+    const report = formatDryRun({ title: 'Agent loop', config, prompt: 'Do it', promptSource: 'prompt.md' });
+
+    expect(report).toContain('Agent:\x1b[0m command');
+    expect(report).toContain(`stub-agent --prompt-file '<prompt-file>'`);
+    expect(report).not.toContain('< prompt');
+  });
+});
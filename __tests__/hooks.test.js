@@ -0,0 +1,99 @@
+/**
+ * Tests for lifecycle hooks
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { createConfig } = require('../lib/config');
+const { quoteShellArg } = require('../lib/agents');
+const { validateHooks, createHookRunner } = require('../lib/hooks');
+
+const node = script => `${quoteShellArg(process.execPath)} -e ${quoteShellArg(script)}`;
+
+// Hook command that appends its payload to payloads.jsonl
+const RECORD_PAYLOAD = node(`
+  const payload = require('fs').readFileSync(0, 'utf-8');
+  require('fs').appendFileSync('payloads.jsonl', payload);
+`);
+
+describe('validateHooks', () => {
+  it('should accept a command or a list of commands per event', () => {
+    expect(validateHooks({ beforeRun: 'npm run db:migrate', storyPassed: ['say passed'] })).toEqual([]);
+  });
+
+  it('should name unknown events and values that are not commands', () => {
+    expect(validateHooks({ afterRun: 'say done', runFailed: '' })).toEqual([
+      'unknown event "afterRun" (expected one of: beforeRun, beforeIteration, afterIteration, storyPassed, storyBlocked, runFailed, runComplete)',
+      '"runFailed" must be a command or a list of commands, got ""',
+    ]);
+  });
+});
+
+describe('createHookRunner', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'claude-all-hooks-'));
+    fs.mkdirSync(path.join(tempDir, 'output'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  const readPayloads = () => fs.readFileSync(path.join(tempDir, 'payloads.jsonl'), 'utf-8').trim().split('\n').map(line => JSON.parse(line));
+
+  it('should send the payload to commands on stdin, then to functions', async () => {
+    const config = createConfig({ workingDir: tempDir, hooks: { afterIteration: RECORD_PAYLOAD } });
+    const afterIteration = jest.fn();
+    const hooks = createHookRunner(config, { functions: { afterIteration }, context: { runId: 'run-1' }, silent: true });
+
+    const outcome = await hooks.run('afterIteration', { iteration: 2, story: { id: 'US-001', title: 'Schema' } });
+
+    const payload = { event: 'afterIteration', runId: 'run-1', iteration: 2, story: { id: 'US-001', title: 'Schema' } };
+    expect(outcome).toEqual({ vetoed: false, reason: null });
+    expect(readPayloads()).toEqual([payload]);
+    expect(afterIteration).toHaveBeenCalledWith(payload);
+  });
+
+  it('should veto a step when a before hook command fails, skipping the hooks after it', async () => {
+    const failing = node('process.exit(3)');
+    const config = createConfig({ workingDir: tempDir, hooks: { beforeIteration: [failing, RECORD_PAYLOAD] } });
+    const hooks = createHookRunner(config, { silent: true });
+
+    const outcome = await hooks.run('beforeIteration', { iteration: 1 });
+
+    expect(outcome).toEqual({ vetoed: true, reason: `the beforeIteration hook \`${failing}\` exited with code 3` });
+    expect(fs.existsSync(path.join(tempDir, 'payloads.jsonl'))).toBe(false);
+  });
+
+  it('should veto a step when a before hook function returns false or throws', async () => {
+    const config = createConfig({ workingDir: tempDir });
+    const hooks = createHookRunner(config, {
+      functions: {
+        beforeRun: () => false,
+        beforeIteration: async () => { throw new Error('database is down'); },
+      },
+      silent: true,
+    });
+
+    expect(await hooks.run('beforeRun')).toEqual({ vetoed: true, reason: 'the beforeRun hook function returned false' });
+    expect(await hooks.run('beforeIteration')).toEqual({ vetoed: true, reason: 'the beforeIteration hook function threw an error: database is down' });
+  });
+
+  it('should log other hooks that fail and go on', async () => {
+    const config = createConfig({ workingDir: tempDir, hooks: { runComplete: [node('process.exit(1)'), RECORD_PAYLOAD] } });
+    fs.writeFileSync(config.PROGRESS_FILE, '# Ralph Progress Log\n---\n');
+    const runComplete = jest.fn(() => false);
+    const hooks = createHookRunner(config, { functions: { runComplete }, silent: true });
+
+    const outcome = await hooks.run('runComplete', { iteration: 4 });
+
+    expect(outcome).toEqual({ vetoed: false, reason: null });
+    expect(readPayloads()).toEqual([{ event: 'runComplete', iteration: 4 }]);
+    expect(runComplete).toHaveBeenCalled();
+    expect(fs.readFileSync(config.PROGRESS_FILE, 'utf-8')).toContain('- The runComplete hook `');
+    expect(fs.readFileSync(config.PROGRESS_FILE, 'utf-8')).toContain('exited with code 1; the run goes on\n');
+  });
+});
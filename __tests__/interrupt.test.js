@@ -0,0 +1,120 @@
+/**
+ * Tests for Ctrl+C handling and checkpoints
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const {
+  signalExitCode,
+  createInterruptWatcher,
+  interruptibleDelay,
+  readCheckpoint,
+  writeCheckpoint,
+  clearCheckpoint,
+} = require('../lib/interrupt');
+
+describe('signalExitCode', () => {
+  it('should add the signal number to 128', () => {
+    expect(signalExitCode('SIGINT')).toBe(130);
+    expect(signalExitCode('SIGTERM')).toBe(143);
+  });
+});
+
+describe('createInterruptWatcher', () => {
+  let watcher;
+
+  afterEach(() => {
+    watcher.dispose();
+    jest.restoreAllMocks();
+  });
+
+  it('should tell listeners about the first signal without exiting', () => {
+    const exit = jest.spyOn(process, 'exit').mockImplementation(() => {});
+    watcher = createInterruptWatcher();
+    const listener = jest.fn();
+    watcher.onInterrupt(listener);
+
+    process.emit('SIGTERM', 'SIGTERM');
+
+    expect(watcher.interrupted()).toBe('SIGTERM');
+    expect(listener).toHaveBeenCalledWith('SIGTERM');
+    expect(exit).not.toHaveBeenCalled();
+  });
+
+  it('should run the force listeners and exit on the second signal', () => {
+    const exit = jest.spyOn(process, 'exit').mockImplementation(() => {});
+    jest.spyOn(process.stdout, 'write').mockImplementation(() => true);
+    watcher = createInterruptWatcher();
+    const force = jest.fn();
+    watcher.onForce(force);
+
+    process.emit('SIGINT', 'SIGINT');
+    process.emit('SIGINT', 'SIGINT');
+
+    expect(force).toHaveBeenCalledWith('SIGINT');
+    expect(exit).toHaveBeenCalledWith(130);
+  });
+
+  it('should end a delay early when interrupted', async () => {
+    watcher = createInterruptWatcher();
+    const startedAt = Date.now();
+    setTimeout(() => process.emit('SIGINT', 'SIGINT'), 20);
+
+    await interruptibleDelay(10000, watcher);
+
+    expect(Date.now() - startedAt).toBeLessThan(5000);
+  });
+
+  it('should end a delay early when the signal is aborted', async () => {
+    const controller = new AbortController();
+    const startedAt = Date.now();
+    setTimeout(() => controller.abort(), 20);
+
+    await interruptibleDelay(10000, null, controller.signal);
+
+    expect(Date.now() - startedAt).toBeLessThan(5000);
+  });
+
+  it('should stop listening once disposed', () => {
+    watcher = createInterruptWatcher();
+    const listeners = process.listenerCount('SIGINT');
+
+    watcher.dispose();
+
+    expect(process.listenerCount('SIGINT')).toBe(listeners - 1);
+  });
+});
+
+describe('checkpoints', () => {
+  let tempDir;
+  let checkpointFile;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'claude-all-interrupt-'));
+    checkpointFile = path.join(tempDir, 'checkpoint.json');
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('should save, read and clear a checkpoint', () => {
+    const checkpoint = { runId: 'run-1', iteration: 3, maxIterations: 10, storyId: 'US-002', previousFailure: '', signal: 'SIGINT' };
+
+    writeCheckpoint(checkpointFile, checkpoint);
+
+    expect(readCheckpoint(checkpointFile)).toEqual(checkpoint);
+    expect(fs.readdirSync(tempDir)).toEqual(['checkpoint.json']);
+    clearCheckpoint(checkpointFile);
+    expect(readCheckpoint(checkpointFile)).toBeNull();
+  });
+
+  it('should ignore a checkpoint that is not valid', () => {
+    fs.writeFileSync(checkpointFile, '{ "iteration": "three" }');
+    expect(readCheckpoint(checkpointFile)).toBeNull();
+
+    fs.writeFileSync(checkpointFile, '{ nope');
+    expect(readCheckpoint(checkpointFile)).toBeNull();
+  });
+});
@@ -0,0 +1,135 @@
+/**
+ * Tests for run journals
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { execFileSync } = require('child_process');
+const { createConfig } = require('../lib/config');
+const { getJournalFile, readJournal, listJournals, summarizeJournal, createJournal } = require('../lib/journal');
+
+describe('createJournal', () => {
+  let tempDir;
+  let config;
+  const git = (...args) => execFileSync('git', args, { cwd: tempDir, encoding: 'utf-8' }).trim();
+  const commit = (message) => {
+    fs.writeFileSync(path.join(tempDir, `${message}.txt`), message);
+    git('add', '--all');
+    git('commit', '--quiet', '-m', message);
+    return git('rev-parse', 'HEAD');
+  };
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'claude-all-journal-'));
+    config = createConfig({ workingDir: tempDir, verify: ['npm test'] });
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('should write the run, each iteration and the outcome as they happen', () => {
+    git('init', '--quiet', '-b', 'main');
+    git('config', 'user.email', 'ralph@example.com');
+    git('config', 'user.name', 'Ralph');
+    git('config', 'commit.gpgsign', 'false');
+    commit('initial');
+
+    const journal = createJournal(config, { runId: 'run-1', maxIterations: 5, agent: 'claude' });
+    const file = getJournalFile(config.RUNS_DIR, 'run-1');
+    expect(readJournal(file)).toMatchObject({ runId: 'run-1', mode: 'serial', agent: 'claude', maxIterations: 5, iterations: [], outcome: null });
+    expect(readJournal(file).config).toMatchObject({ verify: ['npm test'], maxIterations: 10 });
+
+    const entry = journal.startIteration(1, { id: 'US-001', title: 'Schema' }, { model: 'opus' });
+    expect(readJournal(file).iterations).toEqual([expect.objectContaining({ iteration: 1, story: { id: 'US-001', title: 'Schema' }, model: 'opus', finished: false })]);
+
+    const first = commit('schema');
+    const second = commit('migration');
+    journal.endIteration(entry, {
+      result: { code: 0, signal: null, timedOut: null, output: 'Done' },
+      storyPassed: true,
+      passed: ['US-001'],
+      failed: [],
+      gate: { passed: true, results: [{ command: 'npm test', code: 0, signal: null, timedOut: false, output: '1 passing', duration: 1200 }] },
+    });
+    journal.finish({ completed: true, reason: 'complete', message: 'Completed at iteration 1 of 5' });
+
+    const written = readJournal(file);
+    expect(written.iterations[0]).toMatchObject({
+      finished: true,
+      exitCode: 0,
+      storyPassed: true,
+      passesChanged: true,
+      passed: ['US-001'],
+      verification: { passed: true, commands: [{ command: 'npm test', code: 0, signal: null, timedOut: false, duration: 1200 }] },
+      commits: [first, second],
+    });
+    expect(written.iterations[0].duration).toBeGreaterThanOrEqual(0);
+    expect(written.outcome).toEqual({ completed: true, reason: 'complete', message: 'Completed at iteration 1 of 5' });
+    expect(written.endedAt).not.toBeNull();
+  });
+
+  it('should close iterations the run stopped in, and add to the journal when the run resumes', () => {
+    const journal = createJournal(config, { runId: 'run-1', maxIterations: 3 });
+    journal.startIteration(1, null);
+    journal.finish({ completed: false, reason: 'interrupted', message: 'SIGINT received; the run resumes at iteration 1 of 3' });
+
+    const stopped = readJournal(journal.file).iterations[0];
+    expect(stopped).toMatchObject({ finished: false, commits: [] });
+    expect(stopped.endedAt).toBeDefined();
+
+    const resumed = createJournal(config, { runId: 'run-1', maxIterations: 3, startIteration: 1 });
+    expect(resumed.journal).toMatchObject({ outcome: null, endedAt: null, resumed: [expect.objectContaining({ iteration: 1 })] });
+    expect(resumed.journal.iterations).toHaveLength(1);
+  });
+});
+
+describe('listJournals', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'claude-all-journal-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('should read journals oldest first and leave out files that are not journals', () => {
+    fs.writeFileSync(path.join(tempDir, '20260102-090000.json'), JSON.stringify({ runId: '20260102-090000', iterations: [] }));
+    fs.writeFileSync(path.join(tempDir, '20260101-090000.json'), JSON.stringify({ runId: '20260101-090000', iterations: [] }));
+    fs.writeFileSync(path.join(tempDir, 'broken.json'), '{');
+
+    expect(listJournals(tempDir).map(journal => journal.runId)).toEqual(['20260101-090000', '20260102-090000']);
+    expect(listJournals(path.join(tempDir, 'missing'))).toEqual([]);
+  });
+});
+
+describe('summarizeJournal', () => {
+  it('should count iterations and the stories that still pass', () => {
+    const summary = summarizeJournal({
+      runId: 'run-1',
+      mode: 'serial',
+      startedAt: '2026-01-01T10:00:00.000Z',
+      endedAt: '2026-01-01T10:05:00.000Z',
+      iterations: [
+        { iteration: 1, passed: ['US-001', 'US-002'], failed: [] },
+        { iteration: 2, passed: [], failed: ['US-002'] },
+        { iteration: 3, finished: false },
+      ],
+      outcome: { completed: false, reason: 'maxIterations', message: 'Reached max iterations (3) without completing all tasks' },
+    });
+
+    expect(summary).toEqual({
+      runId: 'run-1',
+      mode: 'serial',
+      startedAt: '2026-01-01T10:00:00.000Z',
+      endedAt: '2026-01-01T10:05:00.000Z',
+      duration: 300000,
+      iterations: 3,
+      passed: ['US-001'],
+      outcome: { completed: false, reason: 'maxIterations', message: 'Reached max iterations (3) without completing all tasks' },
+    });
+  });
+});
@@ -0,0 +1,249 @@
+/**
+ * Tests for parallel runs in git worktrees
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { execFileSync } = require('child_process');
+const { createConfig } = require('../lib/config');
+const { AgentError, quoteShellArg } = require('../lib/agents');
+const { runParallelLoop, getProgressAddition } = require('../lib/parallel');
+const { readCheckpoint } = require('../lib/interrupt');
+const { readJournal, getJournalFile } = require('../lib/journal');
+
+const nodeCommand = script => `${quoteShellArg(process.execPath)} -e ${quoteShellArg(script)}`;
+
+/**
+ * Agent script that does the story named in the prompt in its worktree: it runs `work(id, prompt)`,
+ * commits, then marks the story as passing in the worker's prd.json
+ */
+const storyAgent = work => nodeCommand(`
+  const fs = require('fs');
+  const { execSync } = require('child_process');
+  let prompt = '';
+  process.stdin.on('data', chunk => { prompt += chunk; });
+  process.stdin.on('end', () => {
+    const id = prompt.match(/\\*\\*(US-\\d+):/)[1];
+    (${work})(id, prompt);
+    execSync('git add --all && git commit --quiet -m "feat: ' + id + '"');
+    const prd = JSON.parse(fs.readFileSync('.claude-all/prd.json', 'utf-8'));
+    prd.userStories.find(story => story.id === id).passes = true;
+    fs.writeFileSync('.claude-all/prd.json', JSON.stringify(prd));
+    fs.appendFileSync('.claude-all/progress.txt', '\\n## ' + id + ' done\\n');
+    console.log('Finished ' + id);
+  });
+`);
+
+describe('runParallelLoop', () => {
+  let tempDir;
+  const git = (...args) => execFileSync('git', args, { cwd: tempDir, encoding: 'utf-8' }).trim();
+
+  function setup(options, stories = ['US-001', 'US-002', 'US-003']) {
+    git('init', '--quiet', '-b', 'main');
+    git('config', 'user.email', 'ralph@example.com');
+    git('config', 'user.name', 'Ralph');
+    git('config', 'commit.gpgsign', 'false');
+    fs.writeFileSync(path.join(tempDir, 'README.md'), '# Todo\n');
+    git('add', 'README.md');
+    git('commit', '--quiet', '-m', 'Initial commit');
+
+    const config = createConfig({ workingDir: tempDir, agent: 'command', parallel: 2, ...options });
+    fs.mkdirSync(config.OUTPUT_DIR);
+    fs.writeFileSync(config.PROGRESS_FILE, '# Ralph Progress Log\n---\n');
+    fs.writeFileSync(config.PRD_FILE, JSON.stringify({
+      project: 'Todo',
+      branchName: 'ralph/todo',
+      userStories: stories.map((id, index) => ({ id, title: `Story ${index + 1}`, description: '', acceptanceCriteria: [], priority: index + 1, passes: false, notes: '' })),
+    }));
+    return config;
+  }
+
+  const readPrd = config => JSON.parse(fs.readFileSync(config.PRD_FILE, 'utf-8'));
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'claude-all-parallel-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('should work on stories in separate worktrees and merge each into the PRD branch', async () => {
+    // Each story's file records the branch the worker's prd.json tells the agent to be on
+    const config = setup({ agentCommand: storyAgent(`id => fs.writeFileSync(id + '.txt', JSON.parse(fs.readFileSync('.claude-all/prd.json', 'utf-8')).branchName)`) });
+    const onComplete = jest.fn();
+
+    const completed = await runParallelLoop(config, { maxIterations: 5, silent: true, runId: 'run-1', onComplete });
+
+    expect(completed).toBe(true);
+    expect(onComplete).toHaveBeenCalledWith(3);
+    expect(readPrd(config).userStories.every(story => story.passes)).toBe(true);
+    expect(readPrd(config).branchName).toBe('ralph/todo');
+    expect(fs.readFileSync(path.join(tempDir, 'US-002.txt'), 'utf-8')).toBe('ralph/todo-US-002');
+    expect(git('rev-parse', '--abbrev-ref', 'HEAD')).toBe('ralph/todo');
+    expect(git('ls-files').split('\n').sort()).toEqual(['README.md', 'US-001.txt', 'US-002.txt', 'US-003.txt']);
+    expect(git('log', '--merges', '--format=%s').split('\n')).toHaveLength(3);
+    // Worktrees and story branches are cleaned up
+    expect(git('worktree', 'list').split('\n')).toHaveLength(1);
+    expect(git('branch', '--list', 'ralph/todo-*')).toBe('');
+
+    const progress = fs.readFileSync(config.PROGRESS_FILE, 'utf-8');
+    expect(progress).toContain('- Parallel: 2 stories at a time, merged into ralph/todo');
+    expect(progress).toContain('## US-002 done');
+    expect(progress).toContain('- Iteration 1 finished US-001; ralph/todo-US-001 was merged into ralph/todo');
+    expect(fs.readdirSync(path.join(config.LOGS_DIR, 'run-1'))).toHaveLength(3);
+
+    const journal = JSON.parse(fs.readFileSync(path.join(config.RUNS_DIR, 'run-1.json'), 'utf-8'));
+    expect(journal).toMatchObject({ mode: 'parallel', outcome: { completed: true, reason: 'complete' } });
+    expect(journal.iterations.map(entry => [entry.story.id, entry.storyPassed, entry.passed, entry.commits.length]).sort())
+      .toEqual([['US-001', true, ['US-001'], 1], ['US-002', true, ['US-002'], 1], ['US-003', true, ['US-003'], 1]]);
+  });
+
+  it('should send a story whose branch conflicts back to the queue', async () => {
+    const config = setup({ agentCommand: storyAgent(`id => fs.writeFileSync('shared.txt', id)`) }, ['US-001', 'US-002']);
+
+    const completed = await runParallelLoop(config, { maxIterations: 5, silent: true });
+
+    expect(completed).toBe(true);
+    const progress = fs.readFileSync(config.PROGRESS_FILE, 'utf-8');
+    expect(progress).toMatch(/but merging ralph\/todo-US-00\d into ralph\/todo conflicted; the story goes back to the queue/);
+    // A conflict is not the story's fault, so it isn't counted as a failed attempt
+    expect(readPrd(config).userStories.map(story => story.attempts)).toEqual([undefined, undefined]);
+    expect(git('status', '--porcelain', '--untracked-files=no')).toBe('');
+  });
+
+  it('should undo a merge that fails verification and retry the story', async () => {
+    const config = setup({
+      agentCommand: storyAgent(`(id, prompt) => fs.writeFileSync(id + '.txt', id === 'US-002' && !prompt.includes('failed verification') ? 'broken' : 'ok')`),
+      verify: [nodeCommand(`process.exit(require('fs').readdirSync('.').some(file => file.endsWith('.txt') && require('fs').readFileSync(file, 'utf-8') === 'broken') ? 1 : 0)`)],
+    }, ['US-001', 'US-002']);
+
+    const completed = await runParallelLoop(config, { maxIterations: 5, silent: true });
+
+    expect(completed).toBe(true);
+    const story = readPrd(config).userStories[1];
+    expect(story).toMatchObject({ passes: true, attempts: 1, notes: '' });
+    expect(fs.readFileSync(path.join(tempDir, 'US-002.txt'), 'utf-8')).toBe('ok');
+    const progress = fs.readFileSync(config.PROGRESS_FILE, 'utf-8');
+    expect(progress).toContain('- The merge was undone and US-002 goes back to the queue');
+    expect(progress).toContain('- Verification after the merge passed');
+  });
+
+  it('should run hooks for each worker and stop starting iterations when one is vetoed', async () => {
+    const config = setup({ agentCommand: storyAgent(`id => fs.writeFileSync(id + '.txt', id)`), parallel: 1 });
+    const events = [];
+    const record = payload => events.push(`${payload.event} ${payload.story ? payload.story.id : payload.reason}`);
+    const onVetoed = jest.fn();
+
+    const completed = await runParallelLoop(config, {
+      maxIterations: 5,
+      silent: true,
+      onVetoed,
+      hooks: { beforeIteration: payload => payload.story.id !== 'US-002', storyPassed: record, afterIteration: record, runFailed: record },
+    });
+
+    expect(completed).toBe(false);
+    expect(events).toEqual(['storyPassed US-001', 'afterIteration US-001', 'runFailed vetoed']);
+    expect(onVetoed).toHaveBeenCalledWith('the beforeIteration hook function returned false');
+    expect(fs.readFileSync(config.PROGRESS_FILE, 'utf-8'))
+      .toContain('- Stopped starting new iterations before iteration 2 because the beforeIteration hook function returned false\n');
+  });
+
+  it('should stop every worker on Ctrl+C, remove their worktrees and resume from the checkpoint', async () => {
+    const config = setup({ agentCommand: nodeCommand('console.log("started"); setInterval(() => {}, 1000)') }, ['US-001', 'US-002']);
+    let outputs = 0;
+    const onEvent = (event) => {
+      if (event.type === 'agent:output' && ++outputs === 2) process.emit('SIGINT', 'SIGINT');
+    };
+    const onInterrupted = jest.fn();
+
+    const completed = await runParallelLoop(config, { maxIterations: 5, runId: 'run-1', silent: true, handleSignals: true, onEvent, onInterrupted });
+
+    expect(completed).toBe(false);
+    expect(git('worktree', 'list').split('\n')).toHaveLength(1);
+    expect(git('branch', '--list', 'ralph/todo-*')).toBe('');
+    const progress = fs.readFileSync(config.PROGRESS_FILE, 'utf-8');
+    expect(progress).toContain('- Iteration 1 was interrupted; its worktree was removed\n');
+    expect(progress).toContain('- Iteration 2 was interrupted; its worktree was removed\n');
+    expect(progress).toContain('- SIGINT received after starting 2 of 5 iterations\n');
+    const checkpoint = readCheckpoint(config.CHECKPOINT_FILE);
+    expect(checkpoint).toMatchObject({ runId: 'run-1', iteration: 1, maxIterations: 5, storyId: null, signal: 'SIGINT' });
+    expect(Object.keys(checkpoint.previousFailures).sort()).toEqual(['US-001', 'US-002']);
+    expect(onInterrupted).toHaveBeenCalledWith(checkpoint);
+
+    const resumed = createConfig({
+      workingDir: tempDir,
+      agent: 'command',
+      agentCommand: storyAgent(`(id, prompt) => fs.writeFileSync(id + '.txt', prompt.includes('was interrupted before it finished') ? 'resumed' : 'fresh')`),
+      parallel: 2,
+    });
+    const resumedCompleted = await runParallelLoop(resumed, {
+      maxIterations: checkpoint.maxIterations,
+      runId: checkpoint.runId,
+      startIteration: checkpoint.iteration,
+      previousFailures: checkpoint.previousFailures,
+      silent: true,
+    });
+
+    expect(resumedCompleted).toBe(true);
+    expect(fs.readFileSync(path.join(tempDir, 'US-001.txt'), 'utf-8')).toBe('resumed');
+    expect(fs.readFileSync(path.join(tempDir, 'US-002.txt'), 'utf-8')).toBe('resumed');
+    expect(readJournal(getJournalFile(resumed.RUNS_DIR, 'run-1')).resumed).toEqual([expect.objectContaining({ iteration: 1 })]);
+  });
+
+  it('should wait for the running workers and end the run when the loop throws', async () => {
+    const config = setup({ agentCommand: storyAgent(`id => fs.writeFileSync(id + '.txt', id)`) }, ['US-001', 'US-002']);
+    const onIteration = (iteration) => {
+      if (iteration === 2) throw new Error('onIteration failed');
+    };
+    const runFailed = jest.fn();
+    const events = [];
+
+    await expect(runParallelLoop(config, { maxIterations: 5, runId: 'run-1', silent: true, onIteration, onEvent: event => events.push(event), hooks: { runFailed } }))
+      .rejects.toThrow('onIteration failed');
+
+    expect(runFailed).toHaveBeenCalledWith(expect.objectContaining({ reason: 'error', message: 'onIteration failed' }));
+    expect(events.filter(event => event.type === 'run:end')).toEqual([{ type: 'run:end', completed: false, reason: 'error', message: 'onIteration failed' }]);
+    const journal = readJournal(getJournalFile(config.RUNS_DIR, 'run-1'));
+    expect(journal.outcome).toEqual({ completed: false, reason: 'error', message: 'onIteration failed' });
+    expect(journal.iterations).toEqual([expect.objectContaining({ iteration: 1, finished: true, storyPassed: true })]);
+    expect(git('worktree', 'list').split('\n')).toHaveLength(1);
+  });
+
+  it('should refuse to start with uncommitted changes', async () => {
+    const config = setup({ agentCommand: storyAgent('() => {}') });
+    fs.writeFileSync(path.join(tempDir, 'README.md'), '# Changed\n');
+
+    await expect(runParallelLoop(config, { silent: true })).rejects.toThrow(AgentError);
+    await expect(runParallelLoop(config, { silent: true })).rejects.toThrow('the working tree has uncommitted changes');
+  });
+
+  it('should report stories whose dependencies can no longer pass', async () => {
+    const config = setup({ agentCommand: storyAgent('() => {}') }, ['US-001']);
+    const prd = readPrd(config);
+    prd.userStories = [
+      { ...prd.userStories[0], skipped: true },
+      { id: 'US-002', title: 'Story 2', description: '', acceptanceCriteria: [], priority: 2, passes: false, notes: '', dependsOn: ['US-001'] },
+    ];
+    fs.writeFileSync(config.PRD_FILE, JSON.stringify(prd));
+    const onStoriesBlocked = jest.fn();
+
+    const completed = await runParallelLoop(config, { silent: true, onStoriesBlocked });
+
+    expect(completed).toBe(false);
+    expect(onStoriesBlocked).toHaveBeenCalledWith([{ id: 'US-002', title: 'Story 2', reason: 'waiting on US-001' }]);
+  });
+});
+
+describe('getProgressAddition', () => {
+  it('should return what was appended', () => {
+    expect(getProgressAddition('# Log\n', '# Log\n## US-001\n')).toEqual({ added: '## US-001\n', rewritten: false });
+  });
+
+  it('should keep only the appended part when earlier lines changed', () => {
+    const original = '# Log\n## US-001\n';
+    expect(getProgressAddition(original, '## Codebase Patterns\n- Use X\n\n# Log\n## US-001\n## US-002\n'))
+      .toEqual({ added: '## US-002\n', rewritten: true });
+  });
+});
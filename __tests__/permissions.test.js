@@ -0,0 +1,82 @@
+/**
+ * Tests for permission profiles
+ */
+
+const {
+  BUILT_IN_PROFILES,
+  validateProfile,
+  getProfileNames,
+  getPermissionProfile,
+  getPermissionArgs,
+} = require('../lib/permissions');
+
+describe('getPermissionArgs', () => {
+  it('should keep skipping permissions for the full profile', () => {
+    expect(getPermissionArgs(getPermissionProfile('full'))).toEqual(['--dangerously-skip-permissions']);
+  });
+
+  it('should deny network tools in the no-network profile', () => {
+    const args = getPermissionArgs(getPermissionProfile('no-network'));
+
+    expect(args.slice(0, 2)).toEqual(['--dangerously-skip-permissions', '--disallowedTools']);
+    expect(args[2].split(',')).toEqual(expect.arrayContaining(['WebFetch', 'WebSearch', 'Bash(curl:*)']));
+  });
+
+  it('should accept edits and allow a fixed tool list in the repo-only profile', () => {
+    const args = getPermissionArgs(getPermissionProfile('repo-only'));
+
+    expect(args).not.toContain('--dangerously-skip-permissions');
+    expect(args.slice(0, 3)).toEqual(['--permission-mode', 'acceptEdits', '--allowedTools']);
+    const allowed = args[3].split(',');
+    expect(allowed).toEqual(expect.arrayContaining(['Edit', 'Bash(git commit:*)', 'Bash(npm test:*)']));
+    expect(allowed).not.toContain('Bash(git:*)');
+    expect(allowed).not.toContain('Bash(npm:*)');
+    expect(allowed).not.toContain('Bash(npx:*)');
+    expect(args).toContain('--disallowedTools');
+  });
+
+  it('should translate an explicit allow and deny list', () => {
+    const profile = { allowedTools: ['Read', 'Bash(npm test:*)'], disallowedTools: ['WebFetch'] };
+
+    expect(getPermissionArgs(profile)).toEqual(['--allowedTools', 'Read,Bash(npm test:*)', '--disallowedTools', 'WebFetch']);
+  });
+});
+
+describe('getPermissionProfile', () => {
+  it('should default to the full profile', () => {
+    expect(getPermissionProfile()).toEqual({ name: 'full', ...BUILT_IN_PROFILES.full });
+  });
+
+  it('should find project profiles and reject unknown names', () => {
+    const custom = { ci: { allowedTools: ['Read'] } };
+
+    expect(getPermissionProfile('ci', custom)).toEqual({ name: 'ci', description: '', allowedTools: ['Read'] });
+    expect(getProfileNames(custom)).toEqual(['full', 'no-network', 'repo-only', 'ci']);
+    expect(() => getPermissionProfile('cli', custom))
+      .toThrow('Unknown permission profile "cli" (expected one of: full, no-network, repo-only, ci)');
+  });
+});
+
+describe('validateProfile', () => {
+  it('should accept a complete profile', () => {
+    expect(validateProfile('ci', {
+      description: 'CI',
+      permissionMode: 'acceptEdits',
+      allowedTools: ['Edit'],
+      disallowedTools: ['WebFetch'],
+    })).toEqual([]);
+  });
+
+  it('should report invalid fields', () => {
+    expect(validateProfile('ci', { allowedTool: ['Edit'], permissionMode: 'yolo', disallowedTools: 'WebFetch' })).toEqual([
+      'profile "ci" has unknown field "allowedTool" (expected one of: description, skipPermissions, permissionMode, allowedTools, disallowedTools)',
+      'profile "ci": permissionMode must be one of default, acceptEdits, plan, bypassPermissions',
+      'profile "ci": disallowedTools must be a list of tool names',
+    ]);
+    expect(validateProfile('ci', ['Edit'])).toEqual(['profile "ci" must be an object']);
+  });
+
+  it('should not let a project redefine a built-in profile', () => {
+    expect(validateProfile('full', { allowedTools: ['Read'] })).toEqual(['profile "full" is built in and cannot be redefined']);
+  });
+});
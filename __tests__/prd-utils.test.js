@@ -11,8 +11,26 @@ const {
   validatePrdJson,
   ensureOutputDir,
   initProgressFile,
+  appendRunLogEntry,
   trackCurrentBranch,
   parseArgs,
+  getNextStory,
+  getBlockedStories,
+  findDependencyCycle,
+  parseCodebasePatterns,
+  readPrdJson,
+  writePrdJson,
+  renumberStories,
+  addStory,
+  updateStory,
+  incrementAttempts,
+  blockStory,
+  diffStoryPasses,
+  resetStory,
+  skipStory,
+  removeStory,
+  moveStory,
+  mergeStories,
 } = require('../lib/prd-utils');
 
 describe('hasPrdJson', () => {
@@ -247,6 +265,41 @@ describe('validatePrdJson', () => {
     expect(result.valid).toBe(false);
     expect(result.errors).toContain('userStories[0]: Missing or invalid "priority" field (must be number)');
   });
+
+  it('should validate the optional model, attempts and blocked fields', () => {
+    const valid = { ...validPrd, userStories: [{ ...validPrd.userStories[0], model: 'opus', attempts: 2, blocked: 'Not finished after 2 attempts' }] };
+    const invalid = { ...validPrd, userStories: [{ ...validPrd.userStories[0], model: '', attempts: -1, blocked: true }] };
+
+    expect(validatePrdJson(valid).valid).toBe(true);
+    expect(validatePrdJson(invalid).errors).toEqual([
+      'userStories[0]: Invalid "model" field (must be a non-empty string)',
+      'userStories[0]: Invalid "attempts" field (must be a non-negative integer)',
+      'userStories[0]: Invalid "blocked" field (must be a non-empty string giving the reason)',
+    ]);
+  });
+
+  it('should check dependsOn for unknown IDs and cycles', () => {
+    const story = (id, priority, dependsOn) => ({ ...validPrd.userStories[0], id, priority, dependsOn });
+    const valid = { ...validPrd, userStories: [story('US-001', 1, []), story('US-002', 2, ['US-001'])] };
+    const unknown = { ...validPrd, userStories: [story('US-001', 1, ['US-009', 'US-001']), story('US-002', 2, 'US-001')] };
+    const cyclic = { ...validPrd, userStories: [story('US-001', 1, ['US-003']), story('US-002', 2, ['US-001']), story('US-003', 3, ['US-002'])] };
+
+    expect(validatePrdJson(valid).valid).toBe(true);
+    expect(validatePrdJson(unknown).errors).toEqual([
+      'userStories[0]: "dependsOn" lists unknown story US-009',
+      'userStories[0]: "dependsOn" lists the story itself',
+      'userStories[1]: Invalid "dependsOn" field (must be an array of story IDs)',
+    ]);
+    expect(validatePrdJson(cyclic).errors).toEqual(['Stories depend on each other in a cycle: US-001 -> US-003 -> US-002 -> US-001']);
+  });
+
+  it('should allow an optional boolean skipped field', () => {
+    const skipped = { ...validPrd, userStories: [{ ...validPrd.userStories[0], skipped: true }] };
+    const invalid = { ...validPrd, userStories: [{ ...validPrd.userStories[0], skipped: 'yes' }] };
+
+    expect(validatePrdJson(skipped).valid).toBe(true);
+    expect(validatePrdJson(invalid).errors).toContain('userStories[0]: Invalid "skipped" field (must be boolean)');
+  });
 });
 
 describe('ensureOutputDir', () => {
@@ -321,6 +374,29 @@ describe('initProgressFile', () => {
   });
 });
 
+describe('appendRunLogEntry', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'claude-all-test-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('should append an entry in the progress log format', () => {
+    const progressFile = path.join(tempDir, 'progress.txt');
+    fs.writeFileSync(progressFile, '# Ralph Progress Log\n---\n');
+
+    appendRunLogEntry(progressFile, 'US-002', ['Iteration 3 timed out'], new Date('2026-01-02T03:04:05Z'));
+
+    expect(fs.readFileSync(progressFile, 'utf-8')).toBe(
+      '# Ralph Progress Log\n---\n\n## 2026-01-02 03:04 - US-002 (claude-all)\n- Iteration 3 timed out\n---\n'
+    );
+  });
+});
+
 describe('trackCurrentBranch', () => {
   let tempDir;
 
@@ -423,3 +499,254 @@ describe('parseArgs', () => {
     expect(result.inputFile).toBe('/path/to/my prd file.md');
   });
 });
+
+describe('getNextStory', () => {
+  it('should return the lowest priority number among failing stories', () => {
+    const prd = {
+      userStories: [
+        { id: 'US-001', priority: 1, passes: true },
+        { id: 'US-002', priority: 3, passes: false },
+        { id: 'US-003', priority: 2, passes: false },
+      ],
+    };
+
+    expect(getNextStory(prd).id).toBe('US-003');
+  });
+
+  it('should ignore skipped stories', () => {
+    const prd = {
+      userStories: [
+        { id: 'US-001', priority: 1, passes: false, skipped: true },
+        { id: 'US-002', priority: 2, passes: false },
+      ],
+    };
+
+    expect(getNextStory(prd).id).toBe('US-002');
+    expect(getNextStory({ userStories: [prd.userStories[0]] })).toBeNull();
+  });
+
+  it('should only offer stories whose dependencies pass', () => {
+    const prd = {
+      userStories: [
+        { id: 'US-001', priority: 1, passes: false, dependsOn: ['US-003'] },
+        { id: 'US-002', priority: 2, passes: false, dependsOn: ['US-004'] },
+        { id: 'US-003', priority: 3, passes: false },
+        { id: 'US-004', priority: 4, passes: true },
+      ],
+    };
+
+    expect(getNextStory(prd).id).toBe('US-002');
+    expect(getBlockedStories(prd)).toEqual([{ id: 'US-001', title: undefined, waitingOn: ['US-003'], reason: 'waiting on US-003' }]);
+  });
+
+  it('should return null when every remaining story is waiting on another', () => {
+    const prd = {
+      userStories: [
+        { id: 'US-001', title: 'UI', priority: 1, passes: false, dependsOn: ['US-002'] },
+        { id: 'US-002', title: 'API', priority: 2, passes: false, skipped: true },
+      ],
+    };
+
+    expect(getNextStory(prd)).toBeNull();
+    expect(getBlockedStories(prd)).toEqual([{ id: 'US-001', title: 'UI', waitingOn: ['US-002'], reason: 'waiting on US-002' }]);
+  });
+
+  it('should pass over blocked stories and give their reason', () => {
+    const prd = {
+      userStories: [
+        { id: 'US-001', title: 'Schema', priority: 1, passes: false, blocked: 'Not finished after 3 attempts' },
+        { id: 'US-002', title: 'API', priority: 2, passes: false, dependsOn: ['US-001'] },
+        { id: 'US-003', title: 'UI', priority: 3, passes: false },
+      ],
+    };
+
+    expect(getNextStory(prd).id).toBe('US-003');
+    expect(getBlockedStories(prd)).toEqual([
+      { id: 'US-001', title: 'Schema', waitingOn: [], reason: 'Not finished after 3 attempts' },
+      { id: 'US-002', title: 'API', waitingOn: ['US-001'], reason: 'waiting on US-001' },
+    ]);
+  });
+
+  it('should return null when every story passes', () => {
+    expect(getNextStory({ userStories: [{ id: 'US-001', priority: 1, passes: true }] })).toBeNull();
+    expect(getNextStory({})).toBeNull();
+  });
+});
+
+describe('parseCodebasePatterns', () => {
+  it('should return the section body', () => {
+    const content = '# Ralph Progress Log\n---\n## Codebase Patterns\n- One\n- Two\n\n## 2026-01-01 - US-001\n- stuff\n';
+    expect(parseCodebasePatterns(content)).toBe('- One\n- Two');
+  });
+
+  it('should return an empty string without the section', () => {
+    expect(parseCodebasePatterns('# Ralph Progress Log\n---\n')).toBe('');
+  });
+});
+
+describe('story editing', () => {
+  const story = (id, priority, extra = {}) => ({
+    id,
+    title: `Story ${id}`,
+    description: `Description ${id}`,
+    acceptanceCriteria: [`${id} works`],
+    priority,
+    passes: false,
+    notes: '',
+    ...extra,
+  });
+  const prd = {
+    project: 'Test',
+    userStories: [story('US-001', 1), story('US-002', 2), story('US-003', 3)],
+  };
+
+  it('should renumber IDs and priorities in priority order', () => {
+    const result = renumberStories({ userStories: [story('US-007', 5), story('US-002', 2)] });
+
+    expect(result.userStories.map(s => [s.id, s.priority, s.title])).toEqual([
+      ['US-001', 1, 'Story US-002'],
+      ['US-002', 2, 'Story US-007'],
+    ]);
+  });
+
+  it('should remove a story and keep the result valid', () => {
+    const result = removeStory(prd, 'us-002');
+
+    expect(result.userStories.map(s => s.title)).toEqual(['Story US-001', 'Story US-003']);
+    expect(result.userStories.map(s => s.id)).toEqual(['US-001', 'US-002']);
+    expect(prd.userStories).toHaveLength(3);
+  });
+
+  it('should move a story to a new position', () => {
+    const result = moveStory(prd, 'US-003', 1);
+
+    expect(result.userStories.map(s => s.title)).toEqual(['Story US-003', 'Story US-001', 'Story US-002']);
+    expect(result.userStories.map(s => s.priority)).toEqual([1, 2, 3]);
+    expect(() => moveStory(prd, 'US-003', 4)).toThrow('Position must be between 1 and 3');
+  });
+
+  it('should add a story at the end or at a position', () => {
+    const appended = addStory(prd, { title: 'New', acceptanceCriteria: ['It works'] });
+    const inserted = addStory(prd, { title: 'New', description: 'Details' }, 2);
+
+    expect(appended.userStories[3]).toEqual({
+      id: 'US-004',
+      title: 'New',
+      description: 'New',
+      acceptanceCriteria: ['It works'],
+      priority: 4,
+      passes: false,
+      notes: '',
+    });
+    expect(inserted.userStories.map(s => s.title)).toEqual(['Story US-001', 'New', 'Story US-002', 'Story US-003']);
+    expect(inserted.userStories.map(s => s.id)).toEqual(['US-001', 'US-002', 'US-003', 'US-004']);
+    expect(() => addStory(prd, { title: 'New' }, 5)).toThrow('Position must be between 1 and 4');
+  });
+
+  it('should update story fields without changing its ID or priority', () => {
+    const result = updateStory(prd, 'US-002', { title: 'Renamed', id: 'US-009', priority: 9 });
+
+    expect(result.userStories[1]).toMatchObject({ id: 'US-002', priority: 2, title: 'Renamed', description: 'Description US-002' });
+    expect(() => updateStory(prd, 'US-009', { title: 'x' })).toThrow('No story with ID US-009');
+  });
+
+  it('should skip and reset stories', () => {
+    const passing = { ...prd, userStories: [story('US-001', 1, { passes: true }), ...prd.userStories.slice(1)] };
+    const skipped = skipStory(passing, 'US-002');
+    const reset = resetStory(resetStory(skipped, 'US-001'), 'US-002');
+
+    expect(skipped.userStories[1].skipped).toBe(true);
+    expect(getNextStory(skipped).id).toBe('US-003');
+    expect(reset.userStories[0].passes).toBe(false);
+    expect(reset.userStories[1]).not.toHaveProperty('skipped');
+  });
+
+  it('should count failed attempts and clear them on reset', () => {
+    const twice = incrementAttempts(incrementAttempts(prd, 'US-002'), 'US-002');
+
+    expect(twice.userStories[1].attempts).toBe(2);
+    expect(twice.userStories[0]).not.toHaveProperty('attempts');
+    expect(resetStory(twice, 'US-002').userStories[1]).not.toHaveProperty('attempts');
+    expect(() => incrementAttempts(prd, 'US-009')).toThrow('No story with ID US-009');
+  });
+
+  it('should block a story in place and unblock it on reset', () => {
+    const blocked = blockStory(prd, 'US-002', 'Not finished after 3 attempts');
+
+    expect(blocked.userStories.map(candidate => candidate.id)).toEqual(prd.userStories.map(candidate => candidate.id));
+    expect(blocked.userStories[1].blocked).toBe('Not finished after 3 attempts');
+    expect(getNextStory({ ...blocked, userStories: blocked.userStories.slice(1) }).id).toBe('US-003');
+    expect(resetStory(blocked, 'US-002').userStories[1]).not.toHaveProperty('blocked');
+  });
+
+  it('should report which stories started or stopped passing', () => {
+    const before = { ...prd, userStories: [story('US-001', 1, { passes: true }), ...prd.userStories.slice(1)] };
+    const after = { ...prd, userStories: [prd.userStories[0], story('US-002', 2, { passes: true }), story('US-004', 4, { passes: true })] };
+
+    expect(diffStoryPasses(before, after)).toEqual({ passed: ['US-002', 'US-004'], failed: ['US-001'] });
+    expect(diffStoryPasses(before, before)).toEqual({ passed: [], failed: [] });
+    expect(diffStoryPasses({}, before).passed).toEqual(['US-001']);
+  });
+
+  it('should keep dependsOn pointing at the same stories when IDs change', () => {
+    const linked = {
+      ...prd,
+      userStories: [story('US-001', 1), story('US-002', 2, { dependsOn: ['US-001'] }), story('US-003', 3, { dependsOn: ['US-001', 'US-002'] })],
+    };
+
+    expect(moveStory(linked, 'US-001', 3).userStories.map(s => [s.title, s.dependsOn])).toEqual([
+      ['Story US-002', ['US-003']],
+      ['Story US-003', ['US-003', 'US-001']],
+      ['Story US-001', undefined],
+    ]);
+    expect(removeStory(linked, 'US-001').userStories.map(s => s.dependsOn)).toEqual([[], ['US-001']]);
+    expect(mergeStories(linked, ['US-001', 'US-002']).userStories.map(s => s.dependsOn)).toEqual([[], ['US-001']]);
+    expect(addStory(linked, { title: 'Setup', dependsOn: ['US-002'] }, 1).userStories.map(s => s.dependsOn))
+      .toEqual([['US-003'], undefined, ['US-002'], ['US-002', 'US-003']]);
+  });
+
+  it('should find dependency cycles', () => {
+    expect(findDependencyCycle([{ id: 'US-001', dependsOn: ['US-002'] }, { id: 'US-002', dependsOn: ['US-001'] }]))
+      .toEqual(['US-001', 'US-002', 'US-001']);
+    expect(findDependencyCycle([{ id: 'US-001' }, { id: 'US-002', dependsOn: ['US-001'] }, { id: 'US-003', dependsOn: ['US-001', 'US-002'] }]))
+      .toBeNull();
+  });
+
+  it('should merge stories into the first one', () => {
+    const withPassing = { ...prd, userStories: [story('US-001', 1, { passes: true }), ...prd.userStories.slice(1)] };
+    const result = mergeStories(withPassing, ['US-001', 'US-003']);
+
+    expect(result.userStories).toHaveLength(2);
+    expect(result.userStories[0].description).toBe('Description US-001\n\nDescription US-003');
+    expect(result.userStories[0].acceptanceCriteria).toEqual(['US-001 works', 'US-003 works']);
+    expect(result.userStories[0].passes).toBe(false);
+    expect(() => mergeStories(prd, ['US-001'])).toThrow('at least two');
+    expect(() => mergeStories(prd, ['US-001', 'US-009'])).toThrow('No story with ID US-009');
+  });
+});
+
+describe('readPrdJson / writePrdJson', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'claude-all-test-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('should round-trip prd.json without leaving temp files', () => {
+    const prdFile = path.join(tempDir, 'prd.json');
+    writePrdJson(prdFile, { project: 'Test' });
+
+    expect(readPrdJson(prdFile)).toEqual({ project: 'Test' });
+    expect(fs.readdirSync(tempDir)).toEqual(['prd.json']);
+  });
+
+  it('should throw clear errors for missing and invalid files', () => {
+    expect(() => readPrdJson(path.join(tempDir, 'missing.json'))).toThrow('File not found');
+    fs.writeFileSync(path.join(tempDir, 'bad.json'), '{');
+    expect(() => readPrdJson(path.join(tempDir, 'bad.json'))).toThrow('is not valid JSON');
+  });
+});
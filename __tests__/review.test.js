@@ -0,0 +1,150 @@
+/**
+ * Tests for the interactive PRD review step
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { PassThrough, Writable } = require('stream');
+const { createConfig } = require('../lib/config');
+const { reviewPrd } = require('../lib/review');
+
+const story = (n, title) => ({
+  id: `US-00${n}`,
+  title,
+  description: `As a user, I want ${title}`,
+  acceptanceCriteria: [`${title} works`],
+  priority: n,
+  passes: false,
+  notes: '',
+});
+
+/**
+ * Create streams that answer each prompt with the next scripted line
+ * @param {string[]} answers - Lines to type, in order
+ * @returns {{input: PassThrough, output: Writable, text: Function}}
+ */
+function scriptedTerminal(answers) {
+  const input = new PassThrough();
+  let text = '';
+  const output = new Writable({
+    write(chunk, encoding, callback) {
+      text += chunk.toString();
+      if (/(> |: |\[y\/N\] )(\x1b\[0m)?$/.test(chunk.toString())) {
+        setImmediate(() => {
+          if (answers.length > 0) input.write(`${answers.shift()}\n`);
+          else input.end();
+        });
+      }
+      callback();
+    },
+  });
+  return { input, output, text: () => text };
+}
+
+describe('reviewPrd', () => {
+  let tempDir;
+  let config;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'review-'));
+    config = createConfig(tempDir, tempDir);
+    fs.mkdirSync(config.OUTPUT_DIR);
+    fs.writeFileSync(config.PRD_FILE, JSON.stringify({
+      project: 'Todo',
+      branchName: 'ralph/todo',
+      description: 'A todo app',
+      userStories: [story(1, 'schema'), story(2, 'api'), story(3, 'ui'), story(4, 'filters')],
+    }));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  const readStories = () => JSON.parse(fs.readFileSync(config.PRD_FILE, 'utf-8')).userStories;
+
+  it('should accept a valid PRD', async () => {
+    const terminal = scriptedTerminal(['a']);
+    const result = await reviewPrd(config, terminal);
+
+    expect(result.decision).toBe('accept');
+    expect(terminal.text()).toContain('US-001  schema');
+    expect(terminal.text()).toContain('prd.json is valid');
+  });
+
+  it('should drop, merge and reorder stories and keep prd.json valid', async () => {
+    const terminal = scriptedTerminal(['d US-004', 'm US-002 US-003', 'o US-002 1', 'a']);
+    const result = await reviewPrd(config, terminal);
+
+    expect(result.decision).toBe('accept');
+    const stories = readStories();
+    expect(stories.map(s => [s.id, s.title, s.priority])).toEqual([
+      ['US-001', 'api', 1],
+      ['US-002', 'schema', 2],
+    ]);
+    expect(stories[0].acceptanceCriteria).toEqual(['api works', 'ui works']);
+  });
+
+  it('should report bad edits without leaving the review', async () => {
+    const terminal = scriptedTerminal(['d US-099', 'o US-001 9', 'q']);
+    const result = await reviewPrd(config, terminal);
+
+    expect(result.decision).toBe('quit');
+    expect(terminal.text()).toContain('No story with ID US-099');
+    expect(terminal.text()).toContain('Position must be between 1 and 4');
+    expect(readStories()).toHaveLength(4);
+  });
+
+  it('should regenerate with guidance', async () => {
+    const regenerate = jest.fn(async () => {
+      fs.writeFileSync(config.PRD_FILE, JSON.stringify({
+        project: 'Todo',
+        branchName: 'ralph/todo',
+        description: 'A todo app',
+        userStories: [story(1, 'everything')],
+      }));
+      return true;
+    });
+    const terminal = scriptedTerminal(['r', 'Use a single story', 'a']);
+
+    await reviewPrd(config, { ...terminal, regenerate });
+
+    expect(regenerate).toHaveBeenCalledWith('Use a single story');
+    expect(terminal.text()).toContain('US-001  everything');
+    expect(fs.existsSync(`${config.PRD_FILE}.previous`)).toBe(false);
+  });
+
+  it('should keep the previous PRD when regeneration writes none', async () => {
+    const regenerate = jest.fn(async () => fs.existsSync(config.PRD_FILE));
+    const terminal = scriptedTerminal(['r', 'Use a single story', 'q']);
+
+    await reviewPrd(config, { ...terminal, regenerate });
+
+    // Like generatePrdJson(), the callback only sees whether a prd.json exists
+    expect(await regenerate.mock.results[0].value).toBe(false);
+    expect(terminal.text()).toContain('Regeneration did not produce a valid prd.json; the previous one was kept.');
+    expect(readStories()).toHaveLength(4);
+    expect(fs.existsSync(`${config.PRD_FILE}.previous`)).toBe(false);
+  });
+
+  it('should re-validate after editing and confirm before accepting an invalid PRD', async () => {
+    const openEditor = jest.fn((file) => {
+      fs.writeFileSync(file, JSON.stringify({ project: 'Todo', userStories: [] }));
+    });
+    const terminal = scriptedTerminal(['e', 'a', 'n', 'q']);
+
+    const result = await reviewPrd(config, { ...terminal, openEditor });
+
+    expect(openEditor).toHaveBeenCalledWith(config.PRD_FILE);
+    expect(terminal.text()).toContain('Missing or invalid "branchName" field');
+    expect(result.decision).toBe('quit');
+  });
+
+  it('should treat the end of input as quitting', async () => {
+    const terminal = scriptedTerminal([]);
+    const result = await reviewPrd(config, terminal);
+
+    expect(result.decision).toBe('quit');
+  });
+});
@@ -0,0 +1,179 @@
+/**
+ * Tests for run status reporting
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { createConfig } = require('../lib/config');
+const { parseProgressEntries, collectStatus, formatStatus } = require('../lib/status');
+
+const progressLog = `# Ralph Progress Log
+Started: 2026-01-01T00:00:00.000Z
+---
+## Codebase Patterns
+- Use sqlite for storage
+## 2026-01-01 10:00 - US-001
+- Added schema
+---
+## 2026-01-01 11:00 - US-002
+- Added API
+---
+`;
+
+describe('parseProgressEntries', () => {
+  it('should split entries and skip Codebase Patterns', () => {
+    const entries = parseProgressEntries(progressLog);
+
+    expect(entries).toEqual([
+      { heading: '2026-01-01 10:00 - US-001', body: '- Added schema' },
+      { heading: '2026-01-01 11:00 - US-002', body: '- Added API' },
+    ]);
+  });
+
+  it('should return no entries for a fresh progress file', () => {
+    expect(parseProgressEntries('# Ralph Progress Log\nStarted: now\n---\n')).toEqual([]);
+  });
+});
+
+describe('collectStatus', () => {
+  let tempDir;
+  let config;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'status-'));
+    config = createConfig(tempDir, tempDir);
+    fs.mkdirSync(config.OUTPUT_DIR);
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('should report a missing prd.json', () => {
+    const status = collectStatus(config);
+
+    expect(status.exists).toBe(false);
+    expect(status.stories).toEqual([]);
+  });
+
+  it('should collect stories, branches and recent progress', () => {
+    fs.writeFileSync(config.PRD_FILE, JSON.stringify({
+      project: 'Todo',
+      branchName: 'ralph/todo',
+      userStories: [
+        { id: 'US-001', title: 'Schema', priority: 1, passes: true, notes: 'done' },
+        { id: 'US-002', title: 'API', priority: 2, passes: false, notes: '', attempts: 2 },
+      ],
+    }));
+    fs.writeFileSync(config.LAST_BRANCH_FILE, 'ralph/todo\n');
+    fs.writeFileSync(config.PROGRESS_FILE, progressLog);
+
+    const status = collectStatus(config, { entries: 1 });
+
+    expect(status.exists).toBe(true);
+    expect(status.project).toBe('Todo');
+    expect(status.branchName).toBe('ralph/todo');
+    expect(status.lastBranch).toBe('ralph/todo');
+    expect(status.totals).toEqual({ total: 2, completed: 1, skipped: 0, remaining: 1, blocked: 0 });
+    expect(status.stories[0].attempts).toBe(0);
+    expect(status.stories[1].attempts).toBe(2);
+    expect(status.progress).toHaveLength(1);
+    expect(status.progress[0].heading).toContain('US-002');
+  });
+
+  it('should leave out progress entries when asked for none', () => {
+    fs.writeFileSync(config.PROGRESS_FILE, progressLog);
+
+    expect(collectStatus(config, { entries: 0 }).progress).toEqual([]);
+  });
+
+  it('should count skipped stories separately from remaining ones', () => {
+    fs.writeFileSync(config.PRD_FILE, JSON.stringify({
+      project: 'Todo',
+      userStories: [
+        { id: 'US-001', title: 'Schema', priority: 1, passes: false, skipped: true, notes: '' },
+        { id: 'US-002', title: 'API', priority: 2, passes: false, notes: '' },
+      ],
+    }));
+
+    const status = collectStatus(config);
+
+    expect(status.stories[0].skipped).toBe(true);
+    expect(status.totals).toEqual({ total: 2, completed: 0, skipped: 1, remaining: 1, blocked: 0 });
+    expect(formatStatus(status)).toContain('1 remaining, 1 skipped');
+  });
+
+  it('should show blocked stories and the dependencies they are waiting on', () => {
+    fs.writeFileSync(config.PRD_FILE, JSON.stringify({
+      project: 'Todo',
+      userStories: [
+        { id: 'US-001', title: 'Schema', priority: 1, passes: true, notes: '' },
+        { id: 'US-002', title: 'API', priority: 2, passes: false, notes: '', dependsOn: ['US-001'] },
+        { id: 'US-003', title: 'UI', priority: 3, passes: false, notes: '', dependsOn: ['US-001', 'US-002'] },
+      ],
+    }));
+
+    const status = collectStatus(config);
+
+    expect(status.stories[1]).toMatchObject({ dependsOn: ['US-001'], waitingOn: [] });
+    expect(status.stories[2]).toMatchObject({ dependsOn: ['US-001', 'US-002'], waitingOn: ['US-002'] });
+    expect(status.totals.blocked).toBe(1);
+    const report = formatStatus(status);
+    expect(report).toContain('2 remaining (1 blocked)');
+    expect(report).toMatch(/US-003.* waiting on US-002/);
+  });
+
+  it('should show stories blocked after too many failed attempts with the reason', () => {
+    fs.writeFileSync(config.PRD_FILE, JSON.stringify({
+      project: 'Todo',
+      userStories: [
+        { id: 'US-001', title: 'Schema', priority: 1, passes: false, notes: '', attempts: 3, blocked: 'Not finished after 3 attempts' },
+        { id: 'US-002', title: 'API', priority: 2, passes: false, notes: '' },
+      ],
+    }));
+
+    const status = collectStatus(config);
+
+    expect(status.stories[0]).toMatchObject({ attempts: 3, blocked: 'Not finished after 3 attempts' });
+    expect(status.stories[1].blocked).toBeNull();
+    expect(status.totals.blocked).toBe(1);
+    expect(formatStatus(status)).toMatch(/US-001.* blocked: Not finished after 3 attempts/);
+  });
+
+  it('should say where an interrupted run resumes', () => {
+    fs.writeFileSync(config.PRD_FILE, JSON.stringify({
+      project: 'Todo',
+      userStories: [{ id: 'US-001', title: 'Schema', priority: 1, passes: false, notes: '' }],
+    }));
+    fs.writeFileSync(config.CHECKPOINT_FILE, JSON.stringify({ runId: 'run-1', iteration: 4, maxIterations: 10, storyId: 'US-001', signal: 'SIGINT' }));
+
+    const status = collectStatus(config);
+
+    expect(status.checkpoint).toMatchObject({ iteration: 4, storyId: 'US-001' });
+    expect(formatStatus(status)).toContain('Interrupted during iteration 4 (US-001); run "claude-all" to resume at iteration 4 of 10.');
+  });
+
+  it('should throw for invalid JSON', () => {
+    fs.writeFileSync(config.PRD_FILE, '{ nope');
+
+    expect(() => collectStatus(config)).toThrow('is not valid JSON');
+  });
+
+  it('should render every story in the report', () => {
+    fs.writeFileSync(config.PRD_FILE, JSON.stringify({
+      project: 'Todo',
+      userStories: [
+        { id: 'US-001', title: 'Schema', priority: 1, passes: true, notes: '' },
+        { id: 'US-002', title: 'API', priority: 2, passes: false, notes: 'flaky test' },
+      ],
+    }));
+
+    const report = formatStatus(collectStatus(config));
+
+    expect(report).toContain('Project: Todo');
+    expect(report).toContain('US-001');
+    expect(report).toContain('US-002');
+    expect(report).toContain('flaky test');
+  });
+});
@@ -0,0 +1,94 @@
+/**
+ * Tests for stream-json output parsing
+ */
+
+const { parseStreamLine, createStreamParser, formatStreamEvent, summarizeStream } = require('../lib/stream-json');
+
+describe('parseStreamLine', () => {
+  it('should split assistant messages into text and tool call events', () => {
+    const line = JSON.stringify({
+      type: 'assistant',
+      message: {
+        content: [
+          { type: 'text', text: 'Running tests' },
+          { type: 'tool_use', id: 't1', name: 'Bash', input: { command: 'npm test' } },
+        ],
+      },
+    });
+
+    expect(parseStreamLine(line)).toEqual([
+      { type: 'text', text: 'Running tests' },
+      { type: 'tool_use', id: 't1', name: 'Bash', input: { command: 'npm test' } },
+    ]);
+  });
+
+  it('should parse tool results with block content', () => {
+    const line = JSON.stringify({
+      type: 'user',
+      message: { content: [{ type: 'tool_result', tool_use_id: 't1', content: [{ type: 'text', text: 'failed' }], is_error: true }] },
+    });
+
+    expect(parseStreamLine(line)).toEqual([{ type: 'tool_result', toolUseId: 't1', content: 'failed', isError: true }]);
+  });
+
+  it('should parse the final result with usage and cost', () => {
+    const line = JSON.stringify({
+      type: 'result',
+      subtype: 'success',
+      is_error: false,
+      result: 'All done',
+      session_id: 's1',
+      duration_ms: 1200,
+      num_turns: 4,
+      total_cost_usd: 0.12,
+      usage: { input_tokens: 100, output_tokens: 20, cache_read_input_tokens: 50 },
+    });
+
+    expect(parseStreamLine(line)).toEqual([{
+      type: 'result',
+      isError: false,
+      text: 'All done',
+      usage: { inputTokens: 100, outputTokens: 20, cacheCreationInputTokens: 0, cacheReadInputTokens: 50, costUsd: 0.12 },
+      sessionId: 's1',
+      durationMs: 1200,
+      numTurns: 4,
+    }]);
+  });
+
+  it('should keep lines that are not JSON as raw text', () => {
+    expect(parseStreamLine('Warning: something')).toEqual([{ type: 'raw', text: 'Warning: something' }]);
+    expect(parseStreamLine('   ')).toEqual([]);
+  });
+});
+
+describe('createStreamParser', () => {
+  it('should handle lines split across chunks', () => {
+    const parser = createStreamParser();
+    const line = JSON.stringify({ type: 'assistant', message: { content: [{ type: 'text', text: 'hi' }] } });
+
+    expect(parser.push(line.slice(0, 10))).toEqual([]);
+    expect(parser.push(`${line.slice(10)}\npartial`)).toEqual([{ type: 'text', text: 'hi' }]);
+    expect(parser.end()).toEqual([{ type: 'raw', text: 'partial' }]);
+  });
+});
+
+describe('formatStreamEvent', () => {
+  it('should show text, tool calls and tool errors', () => {
+    expect(formatStreamEvent({ type: 'text', text: 'Hello' })).toBe('Hello\n');
+    expect(formatStreamEvent({ type: 'tool_use', name: 'Read', input: { file_path: 'src/a.js' } })).toBe('→ Read src/a.js\n');
+    expect(formatStreamEvent({ type: 'tool_result', content: 'ok', isError: false })).toBe('');
+    expect(formatStreamEvent({ type: 'tool_result', content: 'boom\nstack', isError: true })).toBe('  ✗ boom\n');
+  });
+});
+
+describe('summarizeStream', () => {
+  it('should prefer the result text, then the last assistant text', () => {
+    expect(summarizeStream([{ type: 'text', text: 'a' }, { type: 'result', text: 'b', usage: null }]).finalMessage).toBe('b');
+    expect(summarizeStream([{ type: 'text', text: 'a' }, { type: 'text', text: 'c' }]).finalMessage).toBe('c');
+  });
+
+  it('should report whether any structured events were seen', () => {
+    expect(summarizeStream([{ type: 'raw', text: 'x' }])).toEqual({ structured: false, finalMessage: '', usage: null });
+    expect(summarizeStream([{ type: 'system' }]).structured).toBe(true);
+  });
+});
@@ -0,0 +1,99 @@
+/**
+ * Tests for prompt templating
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { compileTemplate, renderTemplate, TemplateError } = require('../lib/template');
+
+describe('renderTemplate', () => {
+  it('should insert variables and dotted paths', () => {
+    const output = renderTemplate('{{ story.id }}: {{story.title}} ({{iteration}})', {
+      story: { id: 'US-001', title: 'Schema' },
+      iteration: 2,
+    });
+
+    expect(output).toBe('US-001: Schema (2)');
+  });
+
+  it('should render arrays as bullet lists and null as empty', () => {
+    expect(renderTemplate('{{items}}', { items: ['a', 'b'] })).toBe('- a\n- b');
+    expect(renderTemplate('[{{value}}]', { value: null })).toBe('[]');
+  });
+
+  it('should render if/else blocks and drop standalone block lines', () => {
+    const source = 'start\n{{#if failure}}\nFailed: {{failure}}\n{{else}}\nAll good\n{{/if}}\nend';
+
+    expect(renderTemplate(source, { failure: 'exit 1' })).toBe('start\nFailed: exit 1\nend');
+    expect(renderTemplate(source, { failure: '' })).toBe('start\nAll good\nend');
+  });
+
+  it('should treat empty arrays and missing optional fields as false', () => {
+    const source = '{{#if story.notes}}notes{{/if}}{{#if list}}list{{/if}}';
+    expect(renderTemplate(source, { story: {}, list: [] })).toBe('');
+  });
+
+  it('should support escaped braces', () => {
+    expect(renderTemplate('style=\\{{ color }}', {})).toBe('style={{ color }}');
+  });
+
+  it('should fail on missing variables with the line number', () => {
+    expect(() => renderTemplate('line one\n  {{story.id}}', { story: null }, { name: 'prompt.md' }))
+      .toThrow('prompt.md:2:3: Missing template variable "story.id"');
+    expect(() => renderTemplate('{{#if nope}}x{{/if}}', {})).toThrow('Missing template variable "nope"');
+  });
+
+  it('should fail on syntax errors when compiling', () => {
+    expect(() => compileTemplate('a\nb {{ not a path }}')).toThrow(TemplateError);
+    expect(() => compileTemplate('a\nb {{ not a path }}')).toThrow('template:2:3: Invalid tag');
+    expect(() => compileTemplate('{{#if x}}\nno end')).toThrow('is never closed');
+    expect(() => compileTemplate('{{/if}}')).toThrow('without a matching');
+    expect(() => compileTemplate('{{else}}')).toThrow('without a matching');
+    expect(() => compileTemplate('text {{ open')).toThrow('Unclosed "{{" tag');
+  });
+
+  it('should record the location on the error', () => {
+    try {
+      renderTemplate('\n\n   {{missing}}', {});
+      throw new Error('expected renderTemplate to throw');
+    } catch (err) {
+      expect(err.line).toBe(3);
+      expect(err.column).toBe(4);
+    }
+  });
+});
+
+describe('bundled prompt.md', () => {
+  it('should compile and render with the orchestrator variables', () => {
+    const source = fs.readFileSync(path.join(__dirname, '..', 'lib', 'prompt.md'), 'utf-8');
+    const output = compileTemplate(source).render({
+      story: {
+        id: 'US-002',
+        title: 'Add API',
+        description: 'As a user',
+        acceptanceCriteria: ['GET works'],
+        priority: 2,
+        notes: '',
+      },
+      project: 'Todo',
+      branchName: 'ralph/todo',
+      iteration: 3,
+      maxIterations: 10,
+      codebasePatterns: '',
+      previousFailure: 'Iteration 2 exited with code 1',
+      prdFile: 'output/prd.json',
+      progressFile: 'output/progress.txt',
+      completionSignal: '<promise>COMPLETE</promise>',
+      verifyCommands: ['npm test'],
+    });
+
+    expect(output).toContain('iteration 3 of 10');
+    expect(output).toContain('**US-002: Add API**');
+    expect(output).toContain('- GET works');
+    expect(output).toContain('Iteration 2 exited with code 1');
+    expect(output).toContain('<promise>COMPLETE</promise>');
+    expect(output).toContain('- npm test');
+    expect(output).not.toContain('Codebase Patterns So Far');
+    expect(output).not.toContain('{{');
+  });
+});
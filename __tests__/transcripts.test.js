@@ -0,0 +1,104 @@
+/**
+ * Tests for agent transcripts
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const {
+  createRunId,
+  hashPrompt,
+  formatDuration,
+  writeTranscript,
+  parseTranscriptHeader,
+  listRuns,
+  listTranscripts,
+} = require('../lib/transcripts');
+
+describe('formatDuration', () => {
+  it('should pick a unit that suits the length', () => {
+    expect(formatDuration(8200)).toBe('8.2s');
+    expect(formatDuration(245000)).toBe('4m 05s');
+    expect(formatDuration(3720000)).toBe('1h 02m');
+  });
+});
+
+describe('transcripts', () => {
+  let logsDir;
+  const startedAt = new Date('2026-01-01T10:00:00Z');
+  const endedAt = new Date('2026-01-01T10:00:12.500Z');
+  const result = { output: 'Working on US-002\n<promise>COMPLETE</promise>\n', code: 0, signal: null, timedOut: null };
+
+  beforeEach(() => {
+    logsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'transcripts-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(logsDir, { recursive: true, force: true });
+  });
+
+  it('should create sortable run IDs that do not collide', () => {
+    const date = new Date(2026, 0, 2, 3, 4, 5);
+
+    expect(createRunId(logsDir, date)).toBe('20260102-030405');
+    fs.mkdirSync(path.join(logsDir, '20260102-030405'));
+    expect(createRunId(logsDir, date)).toBe('20260102-030405-2');
+  });
+
+  it('should write a metadata header followed by the output', () => {
+    const runDir = path.join(logsDir, 'run-1');
+
+    const file = writeTranscript(runDir, {
+      iteration: 3,
+      storyId: 'US-002',
+      startedAt,
+      endedAt,
+      result,
+      promptHash: hashPrompt('prompt'),
+      completionSignalSeen: true,
+    });
+
+    const content = fs.readFileSync(file, 'utf-8');
+    expect(path.basename(file)).toBe('iteration-003.log');
+    expect(content).toMatch(/^# claude-all iteration 3\n/);
+    expect(content.endsWith('---\nWorking on US-002\n<promise>COMPLETE</promise>\n')).toBe(true);
+    expect(parseTranscriptHeader(content)).toEqual({
+      Attempt: '1',
+      Story: 'US-002',
+      Model: 'default',
+      Started: '2026-01-01T10:00:00.000Z',
+      Ended: '2026-01-01T10:00:12.500Z',
+      Duration: '12.5s',
+      'Exit code': '0',
+      'Prompt SHA-256': hashPrompt('prompt'),
+      'Completion signal': 'seen',
+    });
+  });
+
+  it('should keep every attempt of an iteration and list them in order', () => {
+    const runDir = path.join(logsDir, 'run-1');
+    const details = { startedAt, endedAt, promptHash: 'abc' };
+    writeTranscript(runDir, { ...details, iteration: 1, result: { ...result, code: 1 } });
+    writeTranscript(runDir, { ...details, iteration: 1, result });
+    writeTranscript(runDir, { ...details, iteration: 0, result: null, error: 'spawn /bin/sh ENOENT' });
+    writeTranscript(runDir, { ...details, iteration: 10, result: { ...result, code: null, signal: 'SIGTERM', timedOut: 'idle' } });
+
+    const transcripts = listTranscripts(runDir);
+
+    expect(transcripts.map(({ file }) => path.basename(file))).toEqual([
+      'iteration-000.log',
+      'iteration-001.log',
+      'iteration-001-attempt-2.log',
+      'iteration-010.log',
+    ]);
+    expect(transcripts[0].header).toMatchObject({ 'Exit code': '-', Error: 'spawn /bin/sh ENOENT' });
+    expect(transcripts[2]).toMatchObject({ iteration: 1, attempt: 2 });
+    expect(transcripts[3].header).toMatchObject({ Signal: 'SIGTERM', 'Timed out': 'idle' });
+    expect(listRuns(logsDir)).toEqual(['run-1']);
+  });
+
+  it('should list nothing when there are no logs', () => {
+    expect(listRuns(path.join(logsDir, 'missing'))).toEqual([]);
+    expect(listTranscripts(path.join(logsDir, 'missing'))).toEqual([]);
+  });
+});
@@ -0,0 +1,65 @@
+/**
+ * Tests for quality-gate verification commands
+ */
+
+const { quoteShellArg } = require('../lib/agents');
+const {
+  runVerifyCommands,
+  describeVerifyFailure,
+  clearVerifyNotes,
+  addVerifyNotes,
+} = require('../lib/verify');
+
+const node = script => `${quoteShellArg(process.execPath)} -e ${quoteShellArg(script)}`;
+
+describe('runVerifyCommands', () => {
+  it('should run every command when they all pass', async () => {
+    const onCommand = jest.fn();
+
+    const gate = await runVerifyCommands([node('console.log("tests pass")'), node('process.exit(0)')], { onCommand });
+
+    expect(gate.passed).toBe(true);
+    expect(gate.failed).toBeNull();
+    expect(gate.results).toHaveLength(2);
+    expect(gate.results[0].output).toBe('tests pass\n');
+    expect(onCommand).toHaveBeenCalledTimes(2);
+  });
+
+  it('should stop at the first command that fails', async () => {
+    const failing = node('console.error("1 test failed"); process.exit(2)');
+
+    const gate = await runVerifyCommands([failing, node('console.log("never runs")')]);
+
+    expect(gate.passed).toBe(false);
+    expect(gate.results).toHaveLength(1);
+    expect(gate.failed).toMatchObject({ command: failing, code: 2, timedOut: false, output: '1 test failed\n' });
+    expect(describeVerifyFailure(gate.failed)).toBe(`\`${failing}\` exited with code 2`);
+  });
+
+  it('should stop a command that runs past the timeout', async () => {
+    const gate = await runVerifyCommands([node('setInterval(() => {}, 1000)')], { timeout: 100 });
+
+    expect(gate.passed).toBe(false);
+    expect(gate.failed.timedOut).toBe(true);
+    expect(describeVerifyFailure(gate.failed)).toContain('ran too long and was stopped');
+  });
+});
+
+describe('verification notes', () => {
+  const failed = { command: 'npm test', code: 1, signal: null, timedOut: false, output: 'FAIL src/api.test.js\n' };
+
+  it('should add the failure after the existing notes, replacing an earlier one', () => {
+    const once = addVerifyNotes('Use the CSV helper', 2, failed);
+    const twice = addVerifyNotes(once, 3, { ...failed, code: 3 });
+
+    expect(once).toBe('Use the CSV helper\n\nVerification failed after iteration 2: `npm test` exited with code 1. Last output:\nFAIL src/api.test.js');
+    expect(twice).toBe('Use the CSV helper\n\nVerification failed after iteration 3: `npm test` exited with code 3. Last output:\nFAIL src/api.test.js');
+    expect(addVerifyNotes('', 1, { ...failed, output: '' })).toBe('Verification failed after iteration 1: `npm test` exited with code 1.');
+  });
+
+  it('should clear an earlier failure', () => {
+    expect(clearVerifyNotes(addVerifyNotes('Use the CSV helper', 2, failed))).toBe('Use the CSV helper');
+    expect(clearVerifyNotes('Use the CSV helper')).toBe('Use the CSV helper');
+    expect(clearVerifyNotes(undefined)).toBe('');
+  });
+});
@@ -0,0 +1,128 @@
+/**
+ * Event API for claude-all runs
+ *
+ * createAgentRun() starts runAgentLoop(), or runParallelLoop() when `parallel` is above 1, and
+ * reports what happens as typed events ({type, ...}):
+ *
+ *   run:start            runId, maxIterations, startIteration
+ *   iteration:start      iteration, maxIterations
+ *   story:selected       iteration, story ({id, title})
+ *   agent:output         iteration, storyId, stream ('stdout' or 'stderr'), text
+ *   verification:failed  iteration, story, command, reason, output (the last lines)
+ *   story:passed         iteration, story
+ *   story:blocked        iteration, story, reason, attempts
+ *   iteration:end        iteration, story, storyPassed, failure
+ *   budget:warning       iteration, limit ('maxCost' or 'maxTokens'), used, max, message
+ *   run:end              completed, reason, message
+ *
+ * run:end is always the last event. Its reason is complete, maxIterations, budget, blocked,
+ * vetoed, interrupted, aborted or error.
+ */
+
+const { EventEmitter } = require('events');
+const { AbortError } = require('./agents');
+const { runAgentLoop } = require('./core');
+const { runParallelLoop } = require('./parallel');
+
+const RUN_EVENTS = [
+  'run:start',
+  'iteration:start',
+  'story:selected',
+  'agent:output',
+  'verification:failed',
+  'story:passed',
+  'story:blocked',
+  'iteration:end',
+  'budget:warning',
+  'run:end',
+];
+
+/**
+ * Start a run and report it as events
+ *
+ * The run starts once the current synchronous code has finished, so listeners and iterators set
+ * up straight after the call see every event. An iterator only sees events from when it was
+ * created, and finishes after run:end.
+ *
+ * @param {Object} config - Configuration object from createConfig()
+ * @param {Object} options - Options for runAgentLoop() or runParallelLoop(); pass silent: true to
+ *   keep the run off the console
+ * @returns {EventEmitter} The run: emits each event under its type and under 'event', is an async
+ *   iterable of the events, and has a result promise resolving to true if every story passed. The
+ *   promise rejects if the run fails with an error, after a run:end event with reason error, or
+ *   with an AbortError if options.signal is aborted, after a run:end event with reason aborted.
+ *
+ * @example
+ * const run = createAgentRun(config, { silent: true });
+ * run.on('agent:output', ({ text }) => ui.append(text));
+ * for await (const event of run) {
+ *   if (event.type === 'story:passed') ui.tick(event.story.id);
+ * }
+ * const completed = await run.result;
+ */
+function createAgentRun(config, options = {}) {
+  const run = new EventEmitter();
+  const subscribers = new Set();
+  let ended = false;
+
+  const publish = (event) => {
+    if (ended) return;
+    if (event.type === 'run:end') ended = true;
+    for (const subscriber of subscribers) subscriber(event);
+    run.emit(event.type, event);
+    run.emit('event', event);
+  };
+
+  const loop = (config.PARALLEL || 1) > 1 ? runParallelLoop : runAgentLoop;
+  run.result = Promise.resolve().then(() => loop(config, { ...options, onEvent: publish })).catch((err) => {
+    publish({ type: 'run:end', completed: false, reason: err instanceof AbortError ? 'aborted' : 'error', message: err.message });
+    throw err;
+  });
+  // Callers that only listen for events learn about errors from run:end
+  run.result.catch(() => {});
+
+  run[Symbol.asyncIterator] = () => {
+    const queue = [];
+    let waiting = null;
+    let done = ended;
+
+    const subscriber = (event) => {
+      if (event.type === 'run:end') {
+        done = true;
+        subscribers.delete(subscriber);
+      }
+      if (waiting) {
+        const resolve = waiting;
+        waiting = null;
+        resolve({ value: event, done: false });
+      } else {
+        queue.push(event);
+      }
+    };
+    if (!done) subscribers.add(subscriber);
+
+    return {
+      next() {
+        if (queue.length > 0) return Promise.resolve({ value: queue.shift(), done: false });
+        if (done) return Promise.resolve({ value: undefined, done: true });
+        return new Promise((resolve) => { waiting = resolve; });
+      },
+      return() {
+        done = true;
+        queue.length = 0;
+        subscribers.delete(subscriber);
+        return Promise.resolve({ value: undefined, done: true });
+      },
+      [Symbol.asyncIterator]() {
+        return this;
+      },
+    };
+  };
+
+  return run;
+}
+
+module.exports = {
+  RUN_EVENTS,
+  createAgentRun,
+};
@@ -0,0 +1,490 @@
+/**
+ * Agent adapters for claude-all
+ *
+ * An adapter describes how to run one kind of coding agent CLI:
+ *   name           - Adapter name, as used in the `agent` setting
+ *   promptDelivery - How the prompt reaches the agent: 'stdin', 'argument' ({prompt}) or 'file' ({promptFile})
+ *   outputFormat   - How output is read: 'text', or 'stream-json' for JSON lines (see stream-json.js)
+ *   getCommand({ prompt, promptFile, model }) - Shell command line to run (model is null for the agent's default)
+ *   isComplete(result, completionSignal) - Whether the agent reported that every story passes
+ */
+
+const { spawn } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStreamParser, formatStreamEvent, summarizeStream } = require('./stream-json');
+const { getPermissionProfile, getPermissionArgs } = require('./permissions');
+const { signalExitCode } = require('./interrupt');
+
+// Built-in adapters, selected with the `agent` setting
+const AGENT_NAMES = ['claude', 'command'];
+
+// Output formats, selected with the `outputFormat` setting
+const OUTPUT_FORMATS = ['text', 'stream-json'];
+
+// Messages that mean the agent can't work until someone fixes its setup
+const AUTH_ERROR_PATTERN = /invalid api key|authentication_error|unauthorized|\b401\b|not logged in|please run \/login|credit balance is too low/i;
+
+// Messages that mean the API was busy and the same request may succeed later
+const RATE_LIMIT_PATTERN = /rate.?limit|too many requests|\b429\b|overloaded|\b529\b/i;
+
+// Signal handlers of agent runs without a watcher, told apart from the caller's own
+const signalForwarders = new Set();
+
+/**
+ * Error thrown when the agent fails in a way retrying won't fix
+ */
+class AgentError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'AgentError';
+    this.reason = details.reason || message;
+    this.output = details.output || '';
+  }
+}
+
+/**
+ * Error thrown when an AbortSignal cancels a run, an agent or a command
+ */
+class AbortError extends Error {
+  /**
+   * @param {string} message - What was aborted
+   * @param {Object} details - Details
+   * @param {*} details.cause - The signal's reason
+   * @param {Object} details.progress - How far it got: the output so far for runAgent(); the run ID,
+   *   iteration, story and the stories that passed for runAgentLoop() and runParallelLoop()
+   */
+  constructor(message = 'The operation was aborted', details = {}) {
+    super(message);
+    this.name = 'AbortError';
+    this.code = 'ABORT_ERR';
+    this.cause = details.cause;
+    this.progress = details.progress || {};
+  }
+}
+
+/**
+ * Quote a shell argument when it contains shell metacharacters
+ * @param {string} arg - Argument
+ * @returns {string}
+ */
+function quoteShellArg(arg) {
+  return /^[\w@%+=:,./-]+$/.test(arg) ? arg : `'${arg.replace(/'/g, `'\\''`)}'`;
+}
+
+/**
+ * Completion check shared by the built-in adapters. With structured output only the final
+ * assistant message counts, so quoting the prompt's instructions doesn't end the run.
+ * @param {Object} result - Result from runAgent()
+ * @param {string} completionSignal - Completion signal
+ * @returns {boolean}
+ */
+function includesSignal(result, completionSignal) {
+  const text = result.finalMessage !== null ? result.finalMessage : result.output;
+  return text.includes(completionSignal);
+}
+
+/**
+ * Get the command line used to run Claude non-interactively (the prompt is written to stdin)
+ * @param {string} agentCommand - Command used to run Claude (default: claude)
+ * @param {Object} options - Options
+ * @param {string} options.outputFormat - 'text' or 'stream-json' (default: text)
+ * @param {Object} options.permissions - Permission profile from getPermissionProfile() (default: full)
+ * @returns {{command: string, args: string[]}}
+ */
+function getClaudeCommand(agentCommand = 'claude', options = {}) {
+  const { permissions = getPermissionProfile() } = options;
+  // Use --print for non-interactive mode, stdin for prompt input
+  const args = ['--print', ...getPermissionArgs(permissions)];
+  if (options.outputFormat === 'stream-json') {
+    // --print only streams JSON events with --verbose
+    args.push('--output-format', 'stream-json', '--verbose');
+  }
+  return { command: agentCommand, args };
+}
+
+/**
+ * Create the adapter for the Claude Code CLI, which reads the prompt from stdin in --print mode
+ * @param {string} agentCommand - Command used to run Claude (default: claude)
+ * @param {Object} options - Options
+ * @param {string} options.outputFormat - 'text' or 'stream-json' (default: text)
+ * @param {Object} options.permissions - Permission profile from getPermissionProfile() (default: full)
+ * @returns {Object} Agent adapter
+ */
+function createClaudeAdapter(agentCommand = 'claude', options = {}) {
+  const { outputFormat = 'text', permissions } = options;
+  const { command, args } = getClaudeCommand(agentCommand, { outputFormat, permissions });
+  return {
+    name: 'claude',
+    promptDelivery: 'stdin',
+    outputFormat,
+    // The command itself may carry arguments (e.g. "npx claude"), so only the fixed args are quoted
+    getCommand: ({ model = null } = {}) => [command, ...[...args, ...(model ? ['--model', model] : [])].map(quoteShellArg)].join(' '),
+    isComplete: includesSignal,
+  };
+}
+
+/**
+ * Create an adapter for any agent CLI from a command template.
+ * `{prompt}` is replaced with the quoted prompt and `{promptFile}` with the path of a temporary
+ * file holding it; without either placeholder the prompt is written to stdin. `{permissions}` is
+ * replaced with the permission profile's Claude-style flags, for agents that accept them, and
+ * `{model}` with the selected model (an empty string when none is configured).
+ * @param {string} template - Shell command template, e.g. "my-agent run --prompt-file {promptFile}"
+ * @param {Object} options - Options
+ * @param {string} options.outputFormat - 'text', or 'stream-json' if the agent prints Claude-style JSON lines (default: text)
+ * @param {Object} options.permissions - Permission profile from getPermissionProfile() (default: full)
+ * @returns {Object} Agent adapter
+ */
+function createCommandAdapter(template, options = {}) {
+  const { outputFormat = 'text', permissions = getPermissionProfile() } = options;
+  const permissionArgs = getPermissionArgs(permissions).map(quoteShellArg).join(' ');
+  let promptDelivery = 'stdin';
+  if (template.includes('{promptFile}')) {
+    promptDelivery = 'file';
+  } else if (template.includes('{prompt}')) {
+    promptDelivery = 'argument';
+  }
+
+  return {
+    name: 'command',
+    promptDelivery,
+    outputFormat,
+    getCommand: ({ prompt = '', promptFile = '', model = null } = {}) => template
+      .replace(/\{permissions\}/g, () => permissionArgs)
+      .replace(/\{model\}/g, () => (model ? quoteShellArg(model) : ''))
+      .replace(/\{promptFile\}/g, () => quoteShellArg(promptFile))
+      .replace(/\{prompt\}/g, () => quoteShellArg(prompt)),
+    isComplete: includesSignal,
+  };
+}
+
+/**
+ * Get the adapter selected by the configuration
+ * @param {Object} config - Configuration object from createConfig()
+ * @returns {Object} Agent adapter
+ * @throws {Error} If the configured agent or permission profile is unknown
+ */
+function getAgentAdapter(config) {
+  const agent = config.AGENT || 'claude';
+  const options = {
+    outputFormat: config.OUTPUT_FORMAT || 'text',
+    permissions: getPermissionProfile(config.PROFILE, config.PROFILES),
+  };
+  if (agent === 'claude') {
+    return createClaudeAdapter(config.AGENT_COMMAND, options);
+  }
+  if (agent === 'command') {
+    return createCommandAdapter(config.AGENT_COMMAND, options);
+  }
+  throw new Error(`Unknown agent "${agent}" (expected one of: ${AGENT_NAMES.join(', ')})`);
+}
+
+/**
+ * Last lines of an agent's output, for diagnosing a failure
+ * @param {string} output - Agent output
+ * @param {number} lines - Number of lines to keep (default: 20)
+ * @returns {string}
+ */
+function outputTail(output, lines = 20) {
+  return output.trim().split('\n').slice(-lines).join('\n');
+}
+
+/**
+ * Classify a failed agent run. Timeouts and interruptions are not failures here; the loop handles them.
+ * @param {Object} result - Result from runAgent()
+ * @returns {{transient: boolean, reason: string}|null} null if the agent ran normally;
+ *   transient failures (crashes, rate limits, empty output) are worth retrying, the rest are not
+ */
+function classifyAgentFailure(result) {
+  if (result.timedOut || result.interrupted) return null;
+
+  const finalResult = [...result.events].reverse().find(event => event.type === 'result');
+  const reportedError = Boolean(finalResult && finalResult.isError);
+  // The final result's text isn't part of the transcript, but it carries the API error if there was one
+  const output = `${result.output}\n${result.finalMessage || ''}`.trim();
+  if (result.code === 0 && !reportedError && output !== '') return null;
+
+  const tail = outputTail(output);
+  if (result.code === 127 || /command not found|: not found/i.test(tail)) {
+    return { transient: false, reason: 'the agent command was not found; check agentCommand and PATH' };
+  }
+  if (AUTH_ERROR_PATTERN.test(tail)) {
+    return { transient: false, reason: 'the agent could not authenticate; check its login or API key' };
+  }
+  if (RATE_LIMIT_PATTERN.test(tail)) {
+    return { transient: true, reason: 'the agent was rate limited or the API was overloaded' };
+  }
+  if (result.signal) {
+    return { transient: true, reason: `the agent was killed by ${result.signal}` };
+  }
+  if (output === '') {
+    return { transient: true, reason: result.code === 0 ? 'the agent exited without any output' : `the agent exited with code ${result.code} without any output` };
+  }
+  if (result.code === 0) {
+    return { transient: true, reason: 'the agent reported an error' };
+  }
+  return { transient: true, reason: `the agent exited with code ${result.code}` };
+}
+
+/**
+ * Send a signal to the agent's whole process group, so the real agent dies with the shell wrapping it
+ * @param {ChildProcess} child - Spawned agent
+ * @param {string} signal - Signal name
+ */
+function killProcessGroup(child, signal) {
+  try {
+    if (process.platform === 'win32') {
+      child.kill(signal);
+    } else {
+      process.kill(-child.pid, signal);
+    }
+  } catch {
+    // Already exited
+  }
+}
+
+/**
+ * Run an agent with a prompt
+ * @param {Object} adapter - Agent adapter
+ * @param {string} prompt - The prompt to send
+ * @param {Object} options - Options
+ * @param {boolean} options.streamOutput - Whether to stream output to stdout (default: true)
+ * @param {Spinner} options.spinner - Optional spinner to stop when output starts
+ * @param {string} options.cwd - Working directory for the agent (default: process.cwd())
+ * @param {number} options.timeout - Stop the agent after this many milliseconds (default: 0, no limit)
+ * @param {number} options.idleTimeout - Stop the agent after this many milliseconds without output (default: 0, no limit)
+ * @param {number} options.killGracePeriod - Milliseconds between SIGTERM and SIGKILL when stopping (default: 10000)
+ * @param {string} options.model - Model to run, or null for the agent's default (default: null)
+ * @param {Object} options.interrupt - Watcher from createInterruptWatcher(). Without one, SIGINT and
+ *   SIGTERM are passed on to the agent, and the process only exits if options.exitOnSignal is set or
+ *   nothing else handles the signal; with one, the first signal stops the agent and the result says
+ *   so, and the second kills it
+ * @param {boolean} options.exitOnSignal - Without a watcher, exit with 130 or 143 once SIGINT or
+ *   SIGTERM has been passed on to the agent, as the CLI does (default: false)
+ * @param {Function} options.onOutput - Called with each piece of output as it arrives, and 'stdout'
+ *   or 'stderr' (structured output arrives as the same readable text the result's output holds)
+ * @param {AbortSignal} options.signal - Aborting stops the agent and everything it started (SIGTERM,
+ *   then SIGKILL after the grace period) and rejects with an AbortError holding the output so far
+ * @returns {Promise<Object>} Result:
+ *   output       - Everything the agent printed (with structured output, a readable transcript of its events)
+ *   finalMessage - With structured output, the agent's final message; null for plain text
+ *   events       - Parsed events (empty for plain text)
+ *   usage        - Token usage and cost from the final result, if reported
+ *   code, signal - How the process exited
+ *   timedOut     - 'iteration' or 'idle' if a timeout stopped the agent, otherwise null
+ *   interrupted  - The signal that interrupted the run, otherwise null
+ * @throws {AbortError} If options.signal is aborted
+ */
+function runAgent(adapter, prompt, options = {}) {
+  const {
+    streamOutput = true,
+    spinner = null,
+    cwd = process.cwd(),
+    timeout = 0,
+    idleTimeout = 0,
+    killGracePeriod = 10000,
+    model = null,
+    interrupt = null,
+    exitOnSignal = false,
+    onOutput = null,
+    signal = null,
+  } = options;
+
+  if (signal && signal.aborted) {
+    if (spinner) spinner.stop();
+    return Promise.reject(new AbortError('Agent run was aborted before it started', { cause: signal.reason, progress: { output: '' } }));
+  }
+
+  let promptDir = null;
+  let promptFile = '';
+  if (adapter.promptDelivery === 'file') {
+    promptDir = fs.mkdtempSync(path.join(os.tmpdir(), 'claude-all-prompt-'));
+    promptFile = path.join(promptDir, 'prompt.md');
+    fs.writeFileSync(promptFile, prompt);
+  }
+
+  return new Promise((resolve, reject) => {
+    // A separate process group lets a timeout stop the agent and everything it started
+    const agent = spawn(adapter.getCommand({ prompt, promptFile, model }), {
+      stdio: ['pipe', 'pipe', 'pipe'],
+      shell: true,
+      cwd,
+      detached: process.platform !== 'win32',
+    });
+
+    let output = '';
+    let spinnerStopped = false;
+    const events = [];
+    const parser = adapter.outputFormat === 'stream-json' ? createStreamParser() : null;
+    let timedOut = null;
+    let interrupted = null;
+    let aborted = false;
+    let timeoutTimer = null;
+    let idleTimer = null;
+    let killTimer = null;
+
+    const stopSpinnerOnce = () => {
+      if (spinner && !spinnerStopped) {
+        spinnerStopped = true;
+        spinner.stop();
+        console.log('');
+      }
+    };
+
+    const stop = (reason) => {
+      if (timedOut) return;
+      timedOut = reason;
+      killProcessGroup(agent, 'SIGTERM');
+      killTimer = setTimeout(() => killProcessGroup(agent, 'SIGKILL'), killGracePeriod);
+    };
+
+    const resetIdleTimer = () => {
+      if (!idleTimeout) return;
+      clearTimeout(idleTimer);
+      idleTimer = setTimeout(() => stop('idle'), idleTimeout);
+    };
+
+    // The agent is outside the terminal's process group, so Ctrl+C has to be passed on to it. A
+    // caller with its own handler decides what happens next; otherwise the process exits as it would have
+    const onSignal = (signal) => {
+      killProcessGroup(agent, signal);
+      const handledElsewhere = process.listeners(signal).some(listener => !signalForwarders.has(listener));
+      if (exitOnSignal || !handledElsewhere) process.exit(signalExitCode(signal));
+    };
+    const onInterrupt = (signal) => {
+      if (interrupted || timedOut) return;
+      interrupted = signal;
+      killProcessGroup(agent, signal);
+      killTimer = setTimeout(() => killProcessGroup(agent, 'SIGKILL'), killGracePeriod);
+    };
+    const unsubscribe = interrupt
+      ? [interrupt.onInterrupt(onInterrupt), interrupt.onForce(() => killProcessGroup(agent, 'SIGKILL'))]
+      : [];
+    const onAbort = () => {
+      if (aborted) return;
+      aborted = true;
+      clearTimeout(killTimer);
+      killProcessGroup(agent, 'SIGTERM');
+      killTimer = setTimeout(() => killProcessGroup(agent, 'SIGKILL'), killGracePeriod);
+    };
+    if (signal) {
+      signal.addEventListener('abort', onAbort, { once: true });
+      unsubscribe.push(() => signal.removeEventListener('abort', onAbort));
+    }
+
+    const finish = () => {
+      clearTimeout(timeoutTimer);
+      clearTimeout(idleTimer);
+      clearTimeout(killTimer);
+      process.removeListener('SIGINT', onSignal);
+      process.removeListener('SIGTERM', onSignal);
+      signalForwarders.delete(onSignal);
+      unsubscribe.forEach(stop => stop());
+      stopSpinnerOnce();
+      if (promptDir) fs.rmSync(promptDir, { recursive: true, force: true });
+    };
+
+    if (!interrupt) {
+      signalForwarders.add(onSignal);
+      process.on('SIGINT', onSignal);
+      process.on('SIGTERM', onSignal);
+    } else if (interrupt.interrupted()) {
+      onInterrupt(interrupt.interrupted());
+    }
+    if (timeout) {
+      timeoutTimer = setTimeout(() => stop('iteration'), timeout);
+    }
+    resetIdleTimer();
+
+    // Structured output is shown and kept as readable text rather than raw JSON
+    const addEvents = (parsed) => {
+      for (const event of parsed) {
+        events.push(event);
+        output += formatStreamEvent(event);
+        if (onOutput) onOutput(formatStreamEvent(event), 'stdout');
+        if (streamOutput) {
+          process.stdout.write(formatStreamEvent(event, { color: true }));
+        }
+      }
+    };
+
+    agent.stdout.on('data', (data) => {
+      stopSpinnerOnce();
+      resetIdleTimer();
+      const text = data.toString();
+      if (parser) {
+        addEvents(parser.push(text));
+        return;
+      }
+      output += text;
+      if (onOutput) onOutput(text, 'stdout');
+      if (streamOutput) {
+        process.stdout.write(text);
+      }
+    });
+
+    agent.stderr.on('data', (data) => {
+      stopSpinnerOnce();
+      resetIdleTimer();
+      const text = data.toString();
+      output += text;
+      if (onOutput) onOutput(text, 'stderr');
+      if (streamOutput) {
+        process.stderr.write(text);
+      }
+    });
+
+    // Agents that take the prompt another way still get a closed stdin so they don't wait on it
+    agent.stdin.on('error', () => {});
+    if (adapter.promptDelivery === 'stdin') {
+      agent.stdin.write(prompt);
+    }
+    agent.stdin.end();
+
+    agent.on('close', (code, exitSignal) => {
+      // Anything the agent started that survived SIGTERM goes too
+      if (timedOut || interrupted || aborted) killProcessGroup(agent, 'SIGKILL');
+      finish();
+      if (parser) addEvents(parser.end());
+      if (aborted) {
+        reject(new AbortError('Agent run was aborted', { cause: signal.reason, progress: { output } }));
+        return;
+      }
+
+      // An agent that ignored the output format falls back to plain-text completion detection
+      const summary = summarizeStream(events);
+      resolve({
+        output,
+        finalMessage: summary.structured ? summary.finalMessage : null,
+        events,
+        usage: summary.usage,
+        code,
+        signal: exitSignal,
+        timedOut,
+        interrupted,
+      });
+    });
+
+    agent.on('error', (err) => {
+      finish();
+      reject(err);
+    });
+  });
+}
+
+module.exports = {
+  AGENT_NAMES,
+  OUTPUT_FORMATS,
+  AgentError,
+  AbortError,
+  quoteShellArg,
+  getClaudeCommand,
+  createClaudeAdapter,
+  createCommandAdapter,
+  getAgentAdapter,
+  outputTail,
+  classifyAgentFailure,
+  runAgent,
+};
@@ -0,0 +1,211 @@
+/**
+ * Token and cost accounting for claude-all runs
+ *
+ * Usage comes from the agent's final result (see stream-json.js), so it is only known for agents
+ * run with structured output. Each iteration that reported usage is appended to output/usage.json
+ * together with a running total for the run:
+ *   {
+ *     "iterations": [{ "iteration", "storyId", "recordedAt", "inputTokens", ..., "costUsd" }],
+ *     "totals": { "inputTokens", ..., "totalTokens", "costUsd", "iterations" }
+ *   }
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Token counts reported by the agent, all of which count towards the token budget
+const TOKEN_FIELDS = ['inputTokens', 'outputTokens', 'cacheCreationInputTokens', 'cacheReadInputTokens'];
+
+// Share of a limit a run can use before it is warned that the limit is close
+const WARNING_SHARE = 0.8;
+
+/**
+ * Totals for a run with no recorded usage
+ * @returns {Object}
+ */
+function emptyTotals() {
+  const totals = {};
+  for (const field of TOKEN_FIELDS) {
+    totals[field] = 0;
+  }
+  return { ...totals, totalTokens: 0, costUsd: 0, iterations: 0 };
+}
+
+/**
+ * Total tokens in a usage report
+ * @param {Object} usage - Normalized usage from runAgent()
+ * @returns {number}
+ */
+function countTokens(usage) {
+  return TOKEN_FIELDS.reduce((sum, field) => sum + (usage[field] || 0), 0);
+}
+
+/**
+ * Read the usage ledger for the current run
+ * @param {string} usageFile - Path to usage.json
+ * @returns {{iterations: Object[], totals: Object}} An empty ledger if the file doesn't exist
+ * @throws {Error} If the file is not valid JSON
+ */
+function readUsage(usageFile) {
+  if (!fs.existsSync(usageFile)) {
+    return { iterations: [], totals: emptyTotals() };
+  }
+
+  let ledger;
+  try {
+    ledger = JSON.parse(fs.readFileSync(usageFile, 'utf-8'));
+  } catch (err) {
+    throw new Error(`${usageFile} is not valid JSON: ${err.message}`);
+  }
+  return {
+    iterations: Array.isArray(ledger.iterations) ? ledger.iterations : [],
+    totals: { ...emptyTotals(), ...ledger.totals },
+  };
+}
+
+/**
+ * Add one iteration's usage to the ledger and write it back atomically
+ * @param {string} usageFile - Path to usage.json
+ * @param {Object} usage - Normalized usage from runAgent()
+ * @param {Object} details - Where the usage came from
+ * @param {number} details.iteration - Iteration number within this invocation
+ * @param {string|null} details.storyId - Story the iteration worked on, if known
+ * @param {Date} details.date - When the iteration finished (default: now)
+ * @returns {{iterations: Object[], totals: Object}} Updated ledger
+ */
+function recordUsage(usageFile, usage, details = {}) {
+  const { iteration = null, storyId = null, date = new Date() } = details;
+  const ledger = readUsage(usageFile);
+
+  const entry = { iteration, storyId, recordedAt: date.toISOString() };
+  for (const field of TOKEN_FIELDS) {
+    entry[field] = usage[field] || 0;
+    ledger.totals[field] += entry[field];
+  }
+  entry.costUsd = usage.costUsd;
+  ledger.iterations.push(entry);
+
+  ledger.totals.totalTokens += countTokens(usage);
+  // Agents that report tokens but no cost leave the cost total as a lower bound
+  ledger.totals.costUsd += usage.costUsd || 0;
+  ledger.totals.iterations += 1;
+
+  const tempFile = path.join(path.dirname(usageFile), `.${path.basename(usageFile)}.${process.pid}.tmp`);
+  fs.writeFileSync(tempFile, `${JSON.stringify(ledger, null, 2)}\n`);
+  fs.renameSync(tempFile, usageFile);
+  return ledger;
+}
+
+/**
+ * Format a dollar amount
+ * @param {number} amount - Amount in USD
+ * @returns {string}
+ */
+function formatCost(amount) {
+  return `$${amount.toFixed(2)}`;
+}
+
+/**
+ * Format tokens and cost, e.g. "12,345 tokens, $0.42"
+ * @param {Object} usage - Normalized usage, or run totals
+ * @returns {string}
+ */
+function formatUsage(usage) {
+  const tokens = usage.totalTokens !== undefined ? usage.totalTokens : countTokens(usage);
+  const parts = [`${tokens.toLocaleString('en-US')} tokens`];
+  if (typeof usage.costUsd === 'number') {
+    parts.push(formatCost(usage.costUsd));
+  }
+  return parts.join(', ');
+}
+
+/**
+ * Check run totals against the configured limits
+ * @param {Object} totals - Run totals from readUsage() or recordUsage()
+ * @param {Object} config - Configuration object (MAX_COST and MAX_TOKENS, 0 for no limit)
+ * @returns {string|null} Why the budget is spent, or null if another iteration may start
+ */
+function checkBudget(totals, config) {
+  if (config.MAX_COST && totals.costUsd >= config.MAX_COST) {
+    return `the run has cost ${formatCost(totals.costUsd)}, reaching the ${formatCost(config.MAX_COST)} limit`;
+  }
+  if (config.MAX_TOKENS && totals.totalTokens >= config.MAX_TOKENS) {
+    return `the run has used ${totals.totalTokens.toLocaleString('en-US')} tokens, reaching the ${config.MAX_TOKENS.toLocaleString('en-US')} limit`;
+  }
+  return null;
+}
+
+/**
+ * Find the limits a run is close to but has not reached yet
+ * @param {Object} totals - Run totals from readUsage() or recordUsage()
+ * @param {Object} config - Configuration object (MAX_COST and MAX_TOKENS, 0 for no limit)
+ * @returns {Object[]} One warning per limit ({limit, used, max, message}), where limit is maxCost or maxTokens
+ */
+function getBudgetWarnings(totals, config) {
+  const warnings = [];
+  const share = (used, max) => `${Math.floor((used / max) * 100)}%`;
+  if (config.MAX_COST && totals.costUsd >= config.MAX_COST * WARNING_SHARE && totals.costUsd < config.MAX_COST) {
+    warnings.push({
+      limit: 'maxCost',
+      used: totals.costUsd,
+      max: config.MAX_COST,
+      message: `the run has cost ${formatCost(totals.costUsd)}, ${share(totals.costUsd, config.MAX_COST)} of the ${formatCost(config.MAX_COST)} limit`,
+    });
+  }
+  if (config.MAX_TOKENS && totals.totalTokens >= config.MAX_TOKENS * WARNING_SHARE && totals.totalTokens < config.MAX_TOKENS) {
+    warnings.push({
+      limit: 'maxTokens',
+      used: totals.totalTokens,
+      max: config.MAX_TOKENS,
+      message: `the run has used ${totals.totalTokens.toLocaleString('en-US')} tokens, ${share(totals.totalTokens, config.MAX_TOKENS)} of the ${config.MAX_TOKENS.toLocaleString('en-US')} limit`,
+    });
+  }
+  return warnings;
+}
+
+/**
+ * Describe the usage recorded before a run starts. The ledger covers every run on the branch
+ * until it is archived, so the limits count this usage too.
+ * @param {Object} totals - Totals from readUsage()
+ * @param {Object} config - Configuration object (MAX_COST and MAX_TOKENS, 0 for no limit)
+ * @returns {string|null} null if no usage has been recorded yet
+ */
+function formatUsageSoFar(totals, config) {
+  if (totals.iterations === 0) return null;
+  const limits = [config.MAX_COST ? '--max-cost' : null, config.MAX_TOKENS ? '--max-tokens' : null].filter(Boolean);
+  return `Usage so far on this branch: ${formatUsage(totals)} over ${totals.iterations} iteration${totals.iterations === 1 ? '' : 's'}${limits.length > 0 ? `, which counts towards ${limits.join(' and ')}` : ''}`;
+}
+
+/**
+ * Format the end-of-run budget summary
+ * @param {{iterations: Object[], totals: Object}} ledger - Usage ledger
+ * @param {Object} config - Configuration object (MAX_COST and MAX_TOKENS)
+ * @returns {string}
+ */
+function formatBudgetSummary(ledger, config) {
+  const { totals } = ledger;
+  if (totals.iterations === 0) {
+    return 'Usage: not reported by the agent (use --output-format stream-json to track tokens and cost)';
+  }
+
+  const tokens = totals.totalTokens.toLocaleString('en-US');
+  const lines = [
+    `Usage: ${formatUsage(totals)} over ${totals.iterations} iteration${totals.iterations === 1 ? '' : 's'}`,
+    `  Tokens: ${tokens}${config.MAX_TOKENS ? ` of ${config.MAX_TOKENS.toLocaleString('en-US')}` : ''} (${totals.inputTokens.toLocaleString('en-US')} input, ${totals.outputTokens.toLocaleString('en-US')} output, ${(totals.cacheCreationInputTokens + totals.cacheReadInputTokens).toLocaleString('en-US')} cache)`,
+    `  Cost: ${formatCost(totals.costUsd)}${config.MAX_COST ? ` of ${formatCost(config.MAX_COST)}` : ''}`,
+  ];
+  return lines.join('\n');
+}
+
+module.exports = {
+  TOKEN_FIELDS,
+  emptyTotals,
+  countTokens,
+  readUsage,
+  recordUsage,
+  formatUsage,
+  checkBudget,
+  getBudgetWarnings,
+  formatUsageSoFar,
+  formatBudgetSummary,
+};
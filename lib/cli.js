@@ -0,0 +1,509 @@
+/**
+ * Command line parsing for claude-all
+ * Keeps subcommand definitions and argument handling out of the entry script for testability
+ */
+
+const { colors } = require('./core');
+
+// Process exit codes used by every command
+const EXIT_CODES = {
+  SUCCESS: 0,
+  FAILURE: 1,
+  USAGE: 2,
+  INVALID_PRD: 3,
+  CONFIG: 4,
+  BUDGET: 5,
+  BLOCKED: 6,
+};
+
+/**
+ * Error thrown for invalid command line usage (unknown command, flag or value)
+ */
+class UsageError extends Error {
+  constructor(message, command = null) {
+    super(message);
+    this.name = 'UsageError';
+    this.command = command;
+    this.exitCode = EXIT_CODES.USAGE;
+  }
+}
+
+// Options accepted by every command
+const GLOBAL_OPTIONS = {
+  config: { type: 'string', description: 'Project config file (default: nearest claude-all.config.js or .claude-allrc.json)' },
+  'output-dir': { type: 'string', description: 'Directory for prd.json, progress.txt and archives (default: output)' },
+  help: { type: 'boolean', alias: 'h', description: 'Show help for the command' },
+};
+
+// Config overrides accepted by commands that run the agent
+const AGENT_OPTIONS = {
+  'prompt-file': { type: 'string', description: 'Agent loop prompt (default: bundled prompt.md)' },
+  'skill-file': { type: 'string', description: 'PRD conversion instructions (default: bundled ralph skill)' },
+  'completion-signal': { type: 'string', description: 'Text the agent prints when every story passes' },
+  'iteration-timeout': { type: 'integer', min: 0, description: 'Minutes before an agent run is stopped, 0 for no limit (default: 60)' },
+  'idle-timeout': { type: 'integer', min: 0, description: 'Minutes without agent output before it is stopped, 0 for no limit (default: 0)' },
+  agent: { type: 'string', description: 'Agent adapter: claude, or command for any CLI agent (default: claude)' },
+  'agent-command': { type: 'string', description: 'Command used to run the agent, or the command agent\'s template (default: claude)' },
+  'output-format': { type: 'string', description: 'Agent output: text, or stream-json for structured JSON lines (default: text)' },
+  model: { type: 'string', description: 'Model for implementation iterations (default: the agent\'s default)' },
+  'prd-model': { type: 'string', description: 'Model for PRD generation (default: --model)' },
+  profile: { type: 'string', description: 'Permission profile: full, no-network, repo-only or one defined in the project config (default: full)' },
+};
+
+// Parsed option keys that map onto config settings (see CONFIG_SCHEMA in config.js)
+const CONFIG_OPTION_KEYS = [
+  'outputDir',
+  'promptFile',
+  'skillFile',
+  'completionSignal',
+  'maxIterations',
+  'parallel',
+  'maxRetries',
+  'retryDelay',
+  'maxCost',
+  'maxTokens',
+  'iterationTimeout',
+  'idleTimeout',
+  'agent',
+  'agentCommand',
+  'outputFormat',
+  'profile',
+  'model',
+  'prdModel',
+  'escalationModel',
+  'escalateAfter',
+  'maxAttemptsPerStory',
+  'verify',
+];
+
+// Story fields that `story add` and `story edit` can set from flags
+const STORY_FIELD_OPTIONS = {
+  description: { type: 'string', description: 'Story description' },
+  criterion: { type: 'string', multiple: true, description: 'Acceptance criterion' },
+  notes: { type: 'string', description: 'Story notes' },
+  model: { type: 'string', description: 'Model for this story, overriding the configured model' },
+  'depends-on': { type: 'string', multiple: true, description: 'ID of a story that must pass before this one is worked on (replaces the list on edit)' },
+};
+
+const STORY_ID_ARG = { name: 'id', label: '<id>', required: true };
+
+// Subcommand definitions: positional arguments and options for each command
+const COMMANDS = {
+  run: {
+    summary: 'Resume the agent loop, generating a PRD first if needed',
+    usage: 'claude-all run [prd-file] [options]',
+    args: [{ name: 'prdFile', label: '[prd-file]', required: false }],
+    options: {
+      'max-iterations': { type: 'integer', min: 1, description: 'Maximum agent iterations (default: 10)' },
+      parallel: { type: 'integer', min: 1, description: 'Work on up to this many independent stories at once, each in its own git worktree (default: 1)' },
+      'escalation-model': { type: 'string', description: 'Stronger model for a story after --escalate-after failed attempts' },
+      'escalate-after': { type: 'integer', min: 1, description: 'Failed attempts at a story before it moves to --escalation-model (default: 2)' },
+      'max-attempts-per-story': { type: 'integer', min: 0, description: 'Failed attempts at a story before it is marked blocked and the loop moves on, 0 for no limit (default: 3)' },
+      'max-retries': { type: 'integer', min: 0, description: 'Retries for an iteration that crashed, was rate limited or printed nothing (default: 3)' },
+      'retry-delay': { type: 'number', min: 0, description: 'Seconds before the first retry, doubling for each retry after it (default: 30)' },
+      verify: { type: 'string', multiple: true, description: 'Command run after each iteration to check the agent\'s work, such as "npm test"' },
+      'max-cost': { type: 'number', min: 0, description: 'Stop starting iterations once the runs on this branch have cost this many US dollars, 0 for no limit (default: 0)' },
+      'max-tokens': { type: 'integer', min: 0, description: 'Stop starting iterations once the runs on this branch have used this many tokens, 0 for no limit (default: 0)' },
+      'dry-run': { type: 'boolean', description: 'Print the prompts and command that would run, without running them' },
+      yes: { type: 'boolean', alias: 'y', description: 'Skip reviewing a newly generated PRD before the loop starts' },
+      ...AGENT_OPTIONS,
+    },
+  },
+  generate: {
+    summary: 'Generate output/prd.json from a markdown file without running the loop',
+    usage: 'claude-all generate <file> [options]',
+    args: [{ name: 'file', label: '<file>', required: true }],
+    options: {
+      'dry-run': { type: 'boolean', description: 'Print the prompt and command that would run, without running it' },
+      ...AGENT_OPTIONS,
+    },
+  },
+  status: {
+    summary: 'Show per-story progress, branches and recent progress entries',
+    usage: 'claude-all status [options]',
+    args: [],
+    options: {
+      json: { type: 'boolean', description: 'Print status as JSON' },
+      entries: { type: 'integer', min: 0, description: 'Number of recent progress.txt entries to show', defaultValue: 3 },
+    },
+  },
+  validate: {
+    summary: 'Validate prd.json against the expected structure',
+    usage: 'claude-all validate [file] [options]',
+    args: [{ name: 'file', label: '[file]', required: false }],
+    options: {},
+  },
+  archive: {
+    summary: 'Copy the current prd.json, progress.txt and usage.json into output/archive',
+    usage: 'claude-all archive [options]',
+    args: [],
+    options: {},
+  },
+  reset: {
+    summary: 'Archive and remove the current prd.json, progress.txt, usage.json and .last-branch',
+    usage: 'claude-all reset [options]',
+    args: [],
+    options: {
+      'no-archive': { type: 'boolean', description: 'Delete without archiving first' },
+    },
+  },
+  logs: {
+    summary: 'List the agent transcripts of the latest run, or print the transcript of one iteration',
+    usage: 'claude-all logs [iteration] [options]',
+    args: [{ name: 'iteration', label: '[iteration]', required: false }],
+    options: {
+      run: { type: 'string', description: 'Run ID to read (default: the latest run)' },
+    },
+  },
+  runs: {
+    summary: 'List past runs from their journals in output/runs, or summarize one',
+    usage: 'claude-all runs [subcommand] [options]',
+    defaultSubcommand: 'list',
+    subcommands: {
+      list: {
+        summary: 'List past runs, oldest first',
+        usage: 'claude-all runs list [options]',
+        args: [],
+        options: {
+          json: { type: 'boolean', description: 'Print the runs as JSON' },
+        },
+      },
+      show: {
+        summary: 'Summarize a run: how it ended, and each iteration\'s story, result, verification and commits',
+        usage: 'claude-all runs show [id] [options]',
+        args: [{ name: 'id', label: '[id]', required: false }],
+        options: {
+          json: { type: 'boolean', description: 'Print the run\'s journal as JSON' },
+        },
+      },
+    },
+  },
+  story: {
+    summary: 'Add, edit, reorder, reset, skip or remove stories in prd.json',
+    usage: 'claude-all story <subcommand> [options]',
+    subcommands: {
+      add: {
+        summary: 'Add a story (at the end of the priority order unless --position is given)',
+        usage: 'claude-all story add --title <title> [options]',
+        args: [],
+        options: {
+          title: { type: 'string', required: true, description: 'Story title' },
+          ...STORY_FIELD_OPTIONS,
+          position: { type: 'integer', min: 1, description: 'Position in the priority order (default: last)' },
+        },
+      },
+      edit: {
+        summary: 'Change story fields, or open the story in $VISUAL / $EDITOR when no fields are given',
+        usage: 'claude-all story edit <id> [options]',
+        args: [STORY_ID_ARG],
+        options: {
+          title: { type: 'string', description: 'Story title' },
+          ...STORY_FIELD_OPTIONS,
+        },
+      },
+      move: {
+        summary: 'Move a story to a new position in the priority order',
+        usage: 'claude-all story move <id> --to <position> [options]',
+        args: [STORY_ID_ARG],
+        options: {
+          to: { type: 'integer', min: 1, required: true, description: 'New position (1 is worked on first)' },
+        },
+      },
+      reset: {
+        summary: 'Mark a story as not passing (and not skipped or blocked) so the agent works on it again',
+        usage: 'claude-all story reset <id> [options]',
+        args: [STORY_ID_ARG],
+        options: {},
+      },
+      skip: {
+        summary: 'Mark a story as skipped so the agent loop leaves it alone',
+        usage: 'claude-all story skip <id> [options]',
+        args: [STORY_ID_ARG],
+        options: {},
+      },
+      remove: {
+        summary: 'Remove a story',
+        usage: 'claude-all story remove <id> [options]',
+        args: [STORY_ID_ARG],
+        options: {},
+      },
+    },
+  },
+};
+
+const DEFAULT_COMMAND = 'run';
+
+function log(message, color = '') {
+  console.log(`${color}${message}${colors.reset}`);
+}
+
+/**
+ * Convert a kebab-case option name to its camelCase key
+ * @param {string} name - Option name without leading dashes
+ * @returns {string}
+ */
+function toCamelCase(name) {
+  return name.replace(/-([a-z])/g, (_, letter) => letter.toUpperCase());
+}
+
+/**
+ * Check whether a bare argument should be read as a PRD file for the default command.
+ * Anything without an extension or path separator is reported as an unknown command instead.
+ * @param {string} arg - Command line argument
+ * @returns {boolean}
+ */
+function looksLikeFile(arg) {
+  return arg.includes('.') || arg.includes('/') || arg.includes('\\');
+}
+
+/**
+ * Parse a single option value according to its type
+ * @param {string} command - Command name (for error messages)
+ * @param {string} flag - The flag as given on the command line
+ * @param {Object} spec - Option definition
+ * @param {string} value - Raw value
+ * @returns {*} Parsed value
+ */
+function parseOptionValue(command, flag, spec, value) {
+  if (spec.type === 'number' || spec.type === 'integer') {
+    const number = Number(value);
+    if (value === '' || !Number.isFinite(number)) {
+      throw new UsageError(`Option ${flag} expects a number, got "${value}"`, command);
+    }
+    if (spec.type === 'integer' && !Number.isInteger(number)) {
+      throw new UsageError(`Option ${flag} expects a whole number, got ${number}`, command);
+    }
+    if (spec.min !== undefined && number < spec.min) {
+      throw new UsageError(`Option ${flag} must be at least ${spec.min}, got ${number}`, command);
+    }
+    return number;
+  }
+  return value;
+}
+
+/**
+ * Parse command line arguments into a command, its options and positional arguments
+ * @param {string[]} argv - Arguments (typically process.argv.slice(2))
+ * @returns {Object} Parsed command { command, subcommand, options, args, help }
+ * @throws {UsageError} On unknown commands, unknown flags, missing values or arguments, or extra arguments
+ */
+function parseCommand(argv = []) {
+  let rest = argv;
+  let command = DEFAULT_COMMAND;
+
+  // Bare `claude-all --help` shows the command overview rather than `run` help
+  if (rest[0] === '--help' || rest[0] === '-h') {
+    return { command: null, subcommand: null, options: {}, args: {}, help: true };
+  }
+
+  if (rest.length > 0 && !rest[0].startsWith('-')) {
+    if (COMMANDS[rest[0]]) {
+      command = rest[0];
+      rest = rest.slice(1);
+    } else if (!looksLikeFile(rest[0])) {
+      throw new UsageError(`Unknown command: ${rest[0]}`);
+    }
+  }
+
+  let definition = COMMANDS[command];
+  let subcommand = null;
+  let name = command;
+
+  // Commands such as `story` dispatch to a subcommand with its own arguments and options
+  if (definition.subcommands) {
+    if (rest[0] === '--help' || rest[0] === '-h') {
+      return { command, subcommand: null, options: {}, args: {}, help: true };
+    }
+    // Commands such as `runs` have a subcommand to fall back on
+    if (definition.defaultSubcommand && (rest.length === 0 || rest[0].startsWith('-'))) {
+      rest = [definition.defaultSubcommand, ...rest];
+    }
+    if (rest.length === 0) {
+      throw new UsageError(`Missing subcommand for "${command}" (expected one of: ${Object.keys(definition.subcommands).join(', ')})`, command);
+    }
+    if (!definition.subcommands[rest[0]]) {
+      throw new UsageError(`Unknown subcommand for "${command}": ${rest[0]}`, command);
+    }
+    subcommand = rest[0];
+    name = `${command} ${subcommand}`;
+    definition = definition.subcommands[subcommand];
+    rest = rest.slice(1);
+  }
+
+  const specs = { ...GLOBAL_OPTIONS, ...definition.options };
+  const aliases = {};
+  for (const [optionName, spec] of Object.entries(specs)) {
+    if (spec.alias) aliases[spec.alias] = optionName;
+  }
+
+  const options = {};
+  for (const [optionName, spec] of Object.entries(specs)) {
+    options[toCamelCase(optionName)] = spec.type === 'boolean' ? false : spec.defaultValue;
+  }
+
+  const positionals = [];
+  for (let i = 0; i < rest.length; i++) {
+    const arg = rest[i];
+
+    if (arg === '--') {
+      positionals.push(...rest.slice(i + 1));
+      break;
+    }
+
+    if (!arg.startsWith('-') || arg === '-') {
+      positionals.push(arg);
+      continue;
+    }
+
+    let optionName;
+    let inlineValue;
+    if (arg.startsWith('--')) {
+      const eq = arg.indexOf('=');
+      optionName = eq === -1 ? arg.slice(2) : arg.slice(2, eq);
+      inlineValue = eq === -1 ? undefined : arg.slice(eq + 1);
+    } else {
+      optionName = aliases[arg.slice(1)];
+    }
+
+    const spec = optionName && specs[optionName];
+    if (!spec) {
+      throw new UsageError(`Unknown option for "${name}": ${arg}`, name);
+    }
+
+    const key = toCamelCase(optionName);
+    if (spec.type === 'boolean') {
+      if (inlineValue !== undefined) {
+        throw new UsageError(`Option --${optionName} does not take a value`, name);
+      }
+      options[key] = true;
+      continue;
+    }
+
+    let value = inlineValue;
+    if (value === undefined) {
+      if (i + 1 >= rest.length || rest[i + 1].startsWith('--')) {
+        throw new UsageError(`Option --${optionName} requires a value`, name);
+      }
+      value = rest[++i];
+    }
+    value = parseOptionValue(name, `--${optionName}`, spec, value);
+    // Repeatable options collect every value in order
+    options[key] = spec.multiple ? [...(options[key] || []), value] : value;
+  }
+
+  if (options.help) {
+    return { command, subcommand, options, args: {}, help: true };
+  }
+
+  const args = {};
+  definition.args.forEach((argSpec, index) => {
+    args[argSpec.name] = positionals[index] !== undefined ? positionals[index] : null;
+    if (argSpec.required && args[argSpec.name] === null) {
+      throw new UsageError(`Missing required argument ${argSpec.label}`, name);
+    }
+  });
+
+  for (const [optionName, spec] of Object.entries(specs)) {
+    if (spec.required && options[toCamelCase(optionName)] === undefined) {
+      throw new UsageError(`Missing required option --${optionName}`, name);
+    }
+  }
+
+  if (positionals.length > definition.args.length) {
+    const extra = positionals.slice(definition.args.length).join(' ');
+    throw new UsageError(`Unexpected argument for "${name}": ${extra}`, name);
+  }
+
+  return { command, subcommand, options, args, help: false };
+}
+
+/**
+ * Pick the config settings given on the command line
+ * @param {Object} options - Parsed options from parseCommand()
+ * @returns {Object} Settings keyed by config key, for loadConfig({ overrides })
+ */
+function getConfigOverrides(options) {
+  const overrides = {};
+  for (const key of CONFIG_OPTION_KEYS) {
+    if (options[key] !== undefined) overrides[key] = options[key];
+  }
+  return overrides;
+}
+
+/**
+ * Format the option table for a command
+ * @param {Object} specs - Option definitions keyed by name
+ * @returns {string[]} Formatted lines
+ */
+function formatOptions(specs) {
+  const rows = Object.entries(specs).map(([name, spec]) => {
+    const flag = `${spec.alias ? `-${spec.alias}, ` : '    '}--${name}${spec.type === 'boolean' ? '' : ` <${spec.type}>`}`;
+    const defaultText = spec.defaultValue !== undefined ? ` (default: ${spec.defaultValue})` : '';
+    const repeatText = spec.multiple ? ' (repeatable)' : '';
+    return [flag, `${spec.description}${defaultText}${repeatText}`];
+  });
+  const width = Math.max(...rows.map(([flag]) => flag.length));
+  return rows.map(([flag, description]) => `  ${flag.padEnd(width)}  ${description}`);
+}
+
+/**
+ * Build help text for a command, or the command overview when no command is given
+ * @param {string|null} command - Command name
+ * @param {string|null} subcommand - Subcommand name, for commands that have subcommands
+ * @returns {string} Help text
+ */
+function formatHelp(command = null, subcommand = null) {
+  const lines = [];
+
+  if (!command) {
+    const width = Math.max(...Object.keys(COMMANDS).map(name => name.length));
+    lines.push('Usage: claude-all [command] [options]', '');
+    lines.push('Commands:');
+    for (const [name, definition] of Object.entries(COMMANDS)) {
+      lines.push(`  ${name.padEnd(width)}  ${definition.summary}`);
+    }
+    lines.push('');
+    lines.push(`Running claude-all without a command is the same as "claude-all ${DEFAULT_COMMAND}".`);
+    lines.push('Run "claude-all <command> --help" for command options.');
+  } else if (COMMANDS[command].subcommands && !subcommand) {
+    const definition = COMMANDS[command];
+    const width = Math.max(...Object.keys(definition.subcommands).map(name => name.length));
+    lines.push(`Usage: ${definition.usage}`, '', definition.summary, '');
+    lines.push('Subcommands:');
+    for (const [name, sub] of Object.entries(definition.subcommands)) {
+      lines.push(`  ${name.padEnd(width)}  ${sub.summary}`);
+    }
+    lines.push('');
+    if (definition.defaultSubcommand) {
+      lines.push(`Running "claude-all ${command}" without a subcommand is the same as "claude-all ${command} ${definition.defaultSubcommand}".`);
+    }
+    lines.push(`Run "claude-all ${command} <subcommand> --help" for subcommand options.`);
+  } else {
+    const definition = subcommand ? COMMANDS[command].subcommands[subcommand] : COMMANDS[command];
+    lines.push(`Usage: ${definition.usage}`, '', definition.summary, '');
+    lines.push('Options:');
+    lines.push(...formatOptions({ ...definition.options, ...GLOBAL_OPTIONS }));
+  }
+
+  lines.push('', 'Exit codes:');
+  lines.push(`  ${EXIT_CODES.SUCCESS}  Success`);
+  lines.push(`  ${EXIT_CODES.FAILURE}  Run finished without completing, or an unexpected error`);
+  lines.push(`  ${EXIT_CODES.USAGE}  Invalid command line usage`);
+  lines.push(`  ${EXIT_CODES.INVALID_PRD}  prd.json is missing or invalid`);
+  lines.push(`  ${EXIT_CODES.CONFIG}  Invalid configuration`);
+  lines.push(`  ${EXIT_CODES.BUDGET}  Stopped because the run reached its --max-cost or --max-tokens limit`);
+  lines.push(`  ${EXIT_CODES.BLOCKED}  Stopped because every remaining story is blocked or waiting on a blocked story`);
+
+  return lines.join('\n');
+}
+
+module.exports = {
+  EXIT_CODES,
+  UsageError,
+  COMMANDS,
+  DEFAULT_COMMAND,
+  log,
+  parseCommand,
+  getConfigOverrides,
+  formatHelp,
+};
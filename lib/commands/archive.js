@@ -0,0 +1,27 @@
+/**
+ * `claude-all archive` - copy the current run into output/archive
+ */
+
+const path = require('path');
+const { colors, archiveRun } = require('../core');
+const { EXIT_CODES, log } = require('../cli');
+
+/**
+ * Run the `archive` command
+ * @param {Object} parsed - Parsed command from parseCommand()
+ * @param {Object} config - Configuration object from createConfig()
+ * @returns {Promise<number>} Exit code
+ */
+async function archive(parsed, config) {
+  const archiveFolder = archiveRun(config);
+
+  if (!archiveFolder) {
+    log(`Nothing to archive in ${config.OUTPUT_DIR}`, colors.yellow);
+    return EXIT_CODES.FAILURE;
+  }
+
+  log(`✓ Archived current run to ${path.relative(config.WORKING_DIR, archiveFolder)}`, colors.green);
+  return EXIT_CODES.SUCCESS;
+}
+
+module.exports = archive;
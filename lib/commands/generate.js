@@ -0,0 +1,55 @@
+/**
+ * `claude-all generate <file>` - convert a markdown PRD into output/prd.json
+ */
+
+const fs = require('fs');
+const { colors, generatePrdJson, buildPrdPrompt, ensureOutputDir } = require('../core');
+const { readPrdFile, validatePrdJson } = require('../prd-utils');
+const { EXIT_CODES, log } = require('../cli');
+const { formatDryRun } = require('../dry-run');
+const { printBanner } = require('./run');
+
+/**
+ * Run the `generate` command
+ * @param {Object} parsed - Parsed command from parseCommand()
+ * @param {Object} config - Configuration object from createConfig()
+ * @returns {Promise<number>} Exit code
+ */
+async function generate(parsed, config) {
+  const { file } = parsed.args;
+
+  if (parsed.options.dryRun) {
+    console.log(formatDryRun({
+      title: 'PRD generation',
+      config,
+      prompt: buildPrdPrompt(readPrdFile(file), config),
+      promptSource: `ralph skill instructions + ${file}`,
+      model: config.PRD_MODEL || config.MODEL,
+    }));
+    return EXIT_CODES.SUCCESS;
+  }
+
+  ensureOutputDir(config.OUTPUT_DIR);
+  printBanner(config);
+
+  log(`\nReading PRD from: ${file}`, colors.blue);
+  const prdText = readPrdFile(file);
+
+  const success = await generatePrdJson(prdText, config, { exitOnSignal: true });
+  if (!success) {
+    log('Failed to generate prd.json. Please try again.', colors.red);
+    return EXIT_CODES.FAILURE;
+  }
+
+  const validation = validatePrdJson(JSON.parse(fs.readFileSync(config.PRD_FILE, 'utf-8')));
+  if (!validation.valid) {
+    log('\nGenerated prd.json has problems:', colors.yellow);
+    validation.errors.forEach(error => log(`  • ${error}`, colors.yellow));
+    return EXIT_CODES.INVALID_PRD;
+  }
+
+  log('Run "claude-all run" to start the agent loop.', colors.dim);
+  return EXIT_CODES.SUCCESS;
+}
+
+module.exports = generate;
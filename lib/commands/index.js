@@ -0,0 +1,16 @@
+/**
+ * Subcommand handlers for the claude-all CLI
+ * Each handler takes the parsed command and a config object and resolves to an exit code
+ */
+
+module.exports = {
+  run: require('./run'),
+  generate: require('./generate'),
+  status: require('./status'),
+  validate: require('./validate'),
+  archive: require('./archive'),
+  reset: require('./reset'),
+  story: require('./story'),
+  logs: require('./logs'),
+  runs: require('./runs'),
+};
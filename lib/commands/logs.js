@@ -0,0 +1,93 @@
+/**
+ * `claude-all logs [iteration]` - list or print the agent transcripts in output/logs
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { colors } = require('../core');
+const { listRuns, listTranscripts } = require('../transcripts');
+const { EXIT_CODES, log } = require('../cli');
+
+/**
+ * Format a run's transcripts as a table
+ * @param {Object[]} transcripts - Transcripts from listTranscripts()
+ * @returns {string[]} Lines
+ */
+function formatTranscriptTable(transcripts) {
+  const rows = transcripts.map(({ iteration, attempt, header }) => {
+    let result = `exit ${header['Exit code'] || '-'}`;
+    if (header['Timed out']) result = `timed out (${header['Timed out']})`;
+    else if (header.Error) result = 'did not start';
+    if (header['Completion signal'] === 'seen') result += ', complete';
+
+    return [
+      iteration === 0 ? 'PRD' : String(iteration),
+      String(attempt),
+      header.Story || '-',
+      header.Duration || '-',
+      result,
+    ];
+  });
+
+  const headings = ['Iteration', 'Attempt', 'Story', 'Duration', 'Result'];
+  const widths = headings.map((heading, column) => Math.max(heading.length, ...rows.map(row => row[column].length)));
+  const formatRow = cells => cells.map((cell, column) => cell.padEnd(widths[column])).join('  ').trimEnd();
+
+  return [`${colors.bright}${formatRow(headings)}${colors.reset}`, ...rows.map(formatRow)];
+}
+
+/**
+ * Run the `logs` command
+ * @param {Object} parsed - Parsed command from parseCommand()
+ * @param {Object} config - Configuration object from createConfig()
+ * @returns {Promise<number>} Exit code
+ */
+async function logs(parsed, config) {
+  const { iteration } = parsed.args;
+  const runs = listRuns(config.LOGS_DIR);
+
+  if (runs.length === 0) {
+    log(`No transcripts in ${config.LOGS_DIR} yet`, colors.yellow);
+    return EXIT_CODES.FAILURE;
+  }
+
+  const runId = parsed.options.run || runs[runs.length - 1];
+  if (!runs.includes(runId)) {
+    log(`Error: No run "${runId}" in ${config.LOGS_DIR} (runs: ${runs.join(', ')})`, colors.red);
+    return EXIT_CODES.FAILURE;
+  }
+  const transcripts = listTranscripts(path.join(config.LOGS_DIR, runId));
+
+  if (!iteration) {
+    log(`Run ${runId} (${runs.length} run${runs.length === 1 ? '' : 's'} in ${path.relative(config.WORKING_DIR, config.LOGS_DIR)})`, colors.cyan + colors.bright);
+    console.log('');
+    if (transcripts.length === 0) {
+      log('No transcripts in this run.', colors.dim);
+      return EXIT_CODES.SUCCESS;
+    }
+    console.log(formatTranscriptTable(transcripts).join('\n'));
+    console.log('');
+    log('Run "claude-all logs <iteration>" to print a transcript (0 is PRD generation).', colors.dim);
+    return EXIT_CODES.SUCCESS;
+  }
+
+  if (!/^\d+$/.test(iteration)) {
+    log(`Error: Iteration must be a number, got "${iteration}"`, colors.red);
+    return EXIT_CODES.USAGE;
+  }
+
+  const matching = transcripts.filter(transcript => transcript.iteration === Number(iteration));
+  if (matching.length === 0) {
+    log(`Error: Run ${runId} has no transcript for iteration ${Number(iteration)}`, colors.red);
+    return EXIT_CODES.FAILURE;
+  }
+
+  matching.forEach((transcript, index) => {
+    if (index > 0) console.log('');
+    log(`==> ${path.relative(config.WORKING_DIR, transcript.file)} <==`, colors.dim);
+    process.stdout.write(fs.readFileSync(transcript.file, 'utf-8'));
+  });
+  return EXIT_CODES.SUCCESS;
+}
+
+module.exports = logs;
@@ -0,0 +1,36 @@
+/**
+ * `claude-all reset` - archive and remove the current run so a new PRD can be started
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { colors, archiveRun } = require('../core');
+const { EXIT_CODES, log } = require('../cli');
+
+/**
+ * Run the `reset` command
+ * @param {Object} parsed - Parsed command from parseCommand()
+ * @param {Object} config - Configuration object from createConfig()
+ * @returns {Promise<number>} Exit code
+ */
+async function reset(parsed, config) {
+  const files = [config.PRD_FILE, config.PROGRESS_FILE, config.USAGE_FILE, config.LAST_BRANCH_FILE, config.CHECKPOINT_FILE].filter(file => fs.existsSync(file));
+
+  if (files.length === 0) {
+    log(`Nothing to reset in ${config.OUTPUT_DIR}`, colors.yellow);
+    return EXIT_CODES.SUCCESS;
+  }
+
+  if (!parsed.options.noArchive) {
+    const archiveFolder = archiveRun(config);
+    if (archiveFolder) {
+      log(`Archived current run to ${path.relative(config.WORKING_DIR, archiveFolder)}`, colors.dim);
+    }
+  }
+
+  files.forEach(file => fs.rmSync(file, { force: true }));
+  log(`✓ Removed ${files.map(file => path.basename(file)).join(', ')}`, colors.green);
+  return EXIT_CODES.SUCCESS;
+}
+
+module.exports = reset;
@@ -0,0 +1,322 @@
+/**
+ * `claude-all run` - resume the agent loop, generating a PRD first if needed
+ *
+ * Behavior when run without a PRD file:
+ *   1. Checks for existing output/prd.json with incomplete stories
+ *   2. If found, resumes working on remaining stories
+ *   3. If not found, prompts for project description to generate new PRD
+ */
+
+const readline = require('readline');
+const {
+  colors,
+  buildPrdPrompt,
+  buildLoopPrompt,
+  generatePrdJson,
+  runAgentLoop,
+  getPromptVariables,
+  getIterationModel,
+  hasIncompleteStories,
+  ensureOutputDir,
+  initProgressFile,
+  archivePreviousRun,
+  trackCurrentBranch,
+} = require('../core');
+const { readPrdFile } = require('../prd-utils');
+const { runParallelLoop } = require('../parallel');
+const { readUsage, formatBudgetSummary } = require('../budget');
+const { AgentError } = require('../agents');
+const { createRunId } = require('../transcripts');
+const { signalExitCode, readCheckpoint, clearCheckpoint } = require('../interrupt');
+const { getPermissionProfile } = require('../permissions');
+const { EXIT_CODES, log } = require('../cli');
+const { formatDryRun } = require('../dry-run');
+const { reviewPrd } = require('../review');
+
+// Read multiline input from user
+async function promptForInput() {
+  const rl = readline.createInterface({
+    input: process.stdin,
+    output: process.stdout,
+  });
+
+  return new Promise((resolve) => {
+    log('\nEnter your project description (press Ctrl+D or type "END" on a new line when done):', colors.yellow);
+    log('', colors.dim);
+
+    let input = '';
+
+    rl.on('line', (line) => {
+      if (line.trim().toUpperCase() === 'END') {
+        rl.close();
+      } else {
+        input += line + '\n';
+      }
+    });
+
+    rl.on('close', () => {
+      resolve(input.trim());
+    });
+  });
+}
+
+/**
+ * Print the run banner
+ * @param {Object} config - Configuration object
+ */
+function printBanner(config) {
+  log('Claude-All Agent System', colors.cyan + colors.bright);
+  log('═'.repeat(55), colors.cyan);
+  log(`Working directory: ${config.WORKING_DIR}`, colors.dim);
+  log(`Output directory: ${config.OUTPUT_DIR}`, colors.dim);
+  const permissions = getPermissionProfile(config.PROFILE, config.PROFILES);
+  log(`Permissions: ${permissions.name}${permissions.description ? ` - ${permissions.description}` : ''}`, colors.dim);
+}
+
+/**
+ * Generate prd.json, then let the user review it unless --yes was given
+ * @param {string} prdText - PRD text to convert
+ * @param {Object} parsed - Parsed command from parseCommand()
+ * @param {Object} config - Configuration object from createConfig()
+ * @param {string} runId - Run the transcripts are saved under
+ * @returns {Promise<number|null>} Exit code to stop with, or null to continue into the agent loop
+ */
+async function generateAndReview(prdText, parsed, config, runId) {
+  const success = await generatePrdJson(prdText, config, { runId, exitOnSignal: true });
+  if (!success) {
+    log('Failed to generate prd.json. Please try again.', colors.red);
+    return EXIT_CODES.FAILURE;
+  }
+
+  if (parsed.options.yes) {
+    return null;
+  }
+  if (!process.stdin.isTTY) {
+    log('Skipping PRD review because stdin is not a terminal (pass --yes to skip it explicitly).', colors.dim);
+    return null;
+  }
+
+  // Each regeneration keeps the guidance given so far
+  const guidance = [];
+  const { decision } = await reviewPrd(config, {
+    regenerate: (text) => {
+      guidance.push(text);
+      return generatePrdJson(`${prdText}\n\n## Reviewer Guidance\n\n${guidance.map(item => `- ${item}`).join('\n')}`, config, { runId, exitOnSignal: true });
+    },
+  });
+
+  if (decision !== 'accept') {
+    log('\nprd.json was kept. Run "claude-all run" to start the agent loop when ready.', colors.yellow);
+    return EXIT_CODES.SUCCESS;
+  }
+  return null;
+}
+
+/**
+ * Print what `run` would send to the agent, without spawning it or touching output/
+ * @param {Object} parsed - Parsed command from parseCommand()
+ * @param {Object} config - Configuration object from createConfig()
+ * @returns {Promise<number>} Exit code
+ */
+async function dryRun(parsed, config) {
+  const { prdFile } = parsed.args;
+  const maxIterations = config.MAX_ITERATIONS;
+  let prdText = null;
+  let prdSource = prdFile;
+
+  if (!prdFile) {
+    const status = hasIncompleteStories(config.PRD_FILE);
+    if (status.exists && !status.incomplete) {
+      log('Existing PRD found but all stories are already complete; the agent loop would not run.', colors.green);
+      return EXIT_CODES.SUCCESS;
+    }
+    if (!status.exists) {
+      log('No existing PRD with incomplete stories found.', colors.yellow);
+      prdText = await promptForInput();
+      prdSource = 'interactive input';
+      if (!prdText) {
+        log('No input provided. Exiting.', colors.red);
+        return EXIT_CODES.FAILURE;
+      }
+    }
+  } else {
+    prdText = readPrdFile(prdFile);
+  }
+
+  if (prdText !== null) {
+    console.log(formatDryRun({
+      title: 'PRD generation',
+      config,
+      prompt: buildPrdPrompt(prdText, config),
+      promptSource: `ralph skill instructions + ${prdSource}`,
+      model: config.PRD_MODEL || config.MODEL,
+    }));
+    console.log('');
+  }
+
+  console.log(formatDryRun({
+    title: `agent loop (iteration 1 of up to ${maxIterations})`,
+    config,
+    prompt: buildLoopPrompt(config, { iteration: 1, maxIterations }),
+    promptSource: config.PROMPT_FILE,
+    model: getIterationModel(config, getPromptVariables(config).story).model,
+  }));
+  return EXIT_CODES.SUCCESS;
+}
+
+/**
+ * Run the `run` command
+ * @param {Object} parsed - Parsed command from parseCommand()
+ * @param {Object} config - Configuration object from createConfig()
+ * @returns {Promise<number>} Exit code
+ */
+async function run(parsed, config) {
+  const { prdFile } = parsed.args;
+  const maxIterations = config.MAX_ITERATIONS;
+
+  if (parsed.options.dryRun) {
+    return dryRun(parsed, config);
+  }
+
+  // Ensure output directory exists
+  ensureOutputDir(config.OUTPUT_DIR);
+
+  printBanner(config);
+
+  // Generation and every iteration of this invocation share one transcript folder
+  const runId = createRunId(config.LOGS_DIR);
+  let resuming = false;
+
+  // If an input file was specified, use that to generate a new PRD
+  if (prdFile) {
+    log(`\nReading PRD from: ${prdFile}`, colors.blue);
+    const prdText = readPrdFile(prdFile);
+
+    // Generate prd.json from the input
+    const exitCode = await generateAndReview(prdText, parsed, config, runId);
+    if (exitCode !== null) {
+      return exitCode;
+    }
+  } else {
+    // No input file specified - check for existing incomplete PRD
+    const status = hasIncompleteStories(config.PRD_FILE);
+
+    if (status.exists && status.incomplete) {
+      // Found existing PRD with incomplete stories - resume
+      log(`\nFound existing PRD: ${status.projectName}`, colors.blue);
+      log(`Progress: ${status.completed}/${status.total} stories complete, ${status.remaining} remaining`, colors.blue);
+      log('Resuming agent loop...', colors.blue);
+      resuming = true;
+    } else if (status.exists && !status.incomplete) {
+      // PRD exists but all stories are complete
+      log('\nExisting PRD found but all stories are already complete!', colors.green);
+      log(`Project: ${status.projectName} (${status.total}/${status.total} stories complete)`, colors.dim);
+      log('\nTo start a new project:', colors.yellow);
+      log('  • Run with a .md file: claude-all run your-prd.md', colors.dim);
+      log('  • Or run "claude-all reset" and run again to enter text manually', colors.dim);
+      return EXIT_CODES.SUCCESS;
+    } else {
+      // No existing PRD - prompt for input
+      log('\nNo existing PRD with incomplete stories found.', colors.yellow);
+      log('You can:', colors.dim);
+      log('  • Enter a project description below', colors.dim);
+      log('  • Or run with a .md file: claude-all run your-prd.md', colors.dim);
+
+      const prdText = await promptForInput();
+
+      if (!prdText) {
+        log('No input provided. Exiting.', colors.red);
+        return EXIT_CODES.FAILURE;
+      }
+
+      // Generate prd.json from the input
+      const exitCode = await generateAndReview(prdText, parsed, config, runId);
+      if (exitCode !== null) {
+        return exitCode;
+      }
+    }
+  }
+
+  // Archive previous run if needed
+  archivePreviousRun(config);
+
+  // Track current branch
+  trackCurrentBranch(config);
+
+  // Initialize progress file
+  initProgressFile(config.PROGRESS_FILE);
+
+  // Only a resumed run continues from a checkpoint; a new PRD starts from iteration 1
+  const checkpoint = resuming ? readCheckpoint(config.CHECKPOINT_FILE) : null;
+  clearCheckpoint(config.CHECKPOINT_FILE);
+  if (checkpoint) {
+    log(`Resuming from checkpoint: iteration ${checkpoint.iteration} of ${checkpoint.maxIterations}${checkpoint.storyId ? ` (interrupted while working on ${checkpoint.storyId})` : ''}`, colors.blue);
+  }
+
+  // Run the agent loop, or one worktree per story with --parallel
+  const loop = config.PARALLEL > 1 ? runParallelLoop : runAgentLoop;
+  let budgetExceeded = false;
+  let blockedStories = [];
+  let interrupted = null;
+  let vetoed = null;
+  let completed;
+  try {
+    completed = await loop(config, {
+      // An explicit --max-iterations replaces the budget the checkpoint was saved with
+      maxIterations: checkpoint && !parsed.options.maxIterations ? checkpoint.maxIterations : maxIterations,
+      runId: checkpoint ? checkpoint.runId : runId,
+      startIteration: checkpoint ? checkpoint.iteration : 1,
+      previousFailure: checkpoint ? checkpoint.previousFailure : '',
+      // A serial checkpoint names one story; a parallel one keys what to tell each story by its ID
+      previousFailures: checkpoint ? checkpoint.previousFailures || (checkpoint.storyId ? { [checkpoint.storyId]: checkpoint.previousFailure } : {}) : {},
+      // Ctrl+C saves a checkpoint instead of exiting
+      handleSignals: true,
+      onBudgetExceeded: () => { budgetExceeded = true; },
+      onStoriesBlocked: (stories) => { blockedStories = stories; },
+      onInterrupted: (saved) => { interrupted = saved; },
+      onVetoed: (reason) => { vetoed = reason; },
+    });
+  } catch (err) {
+    if (!(err instanceof AgentError)) throw err;
+    console.log('');
+    log(`Agent loop stopped: ${err.message}`, colors.red);
+    if (err.output) {
+      log(`Last output:\n${err.output}`, colors.dim);
+    }
+    log(formatBudgetSummary(readUsage(config.USAGE_FILE), config), colors.dim);
+    return EXIT_CODES.FAILURE;
+  }
+
+  if (interrupted) {
+    log(`Run "claude-all" to resume at iteration ${interrupted.iteration} of ${interrupted.maxIterations}.`, colors.dim);
+    log(formatBudgetSummary(readUsage(config.USAGE_FILE), config), colors.dim);
+    return signalExitCode(interrupted.signal);
+  }
+
+  // Notify user
+  console.log('');
+  if (completed) {
+    log('All tasks completed successfully!', colors.green + colors.bright);
+  } else if (vetoed) {
+    log(`Agent loop stopped: ${vetoed}.`, colors.yellow);
+  } else if (budgetExceeded) {
+    log('Agent loop stopped at its budget limit. Raise --max-cost or --max-tokens to continue.', colors.yellow);
+  } else if (blockedStories.length > 0) {
+    log('Agent loop stopped: no remaining story can be worked on.', colors.yellow);
+    for (const story of blockedStories) {
+      log(`  ${story.id} ${story.title}: ${story.reason}`, colors.dim);
+    }
+    log('Run "claude-all story reset <id>" to try a blocked story again, or fix a dependsOn list with "claude-all story edit <id>".', colors.dim);
+  } else {
+    log('Agent loop finished. Review progress.txt for details.', colors.yellow);
+  }
+  log(formatBudgetSummary(readUsage(config.USAGE_FILE), config), colors.dim);
+
+  if (completed) return EXIT_CODES.SUCCESS;
+  if (budgetExceeded) return EXIT_CODES.BUDGET;
+  return blockedStories.length > 0 ? EXIT_CODES.BLOCKED : EXIT_CODES.FAILURE;
+}
+
+module.exports = run;
+module.exports.promptForInput = promptForInput;
+module.exports.printBanner = printBanner;
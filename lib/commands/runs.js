@@ -0,0 +1,156 @@
+/**
+ * `claude-all runs [list | show [id]]` - list past runs, or summarize one, from the journals in output/runs
+ */
+
+const path = require('path');
+const { colors } = require('../core');
+const { formatDuration } = require('../transcripts');
+const { getJournalFile, listJournals, summarizeJournal } = require('../journal');
+const { EXIT_CODES, log } = require('../cli');
+
+/**
+ * Format rows as a table under bold headings
+ * @param {string[]} headings - Column headings
+ * @param {string[][]} rows - Cells
+ * @returns {string[]} Lines
+ */
+function formatTable(headings, rows) {
+  const widths = headings.map((heading, column) => Math.max(heading.length, ...rows.map(row => row[column].length)));
+  const formatRow = cells => cells.map((cell, column) => cell.padEnd(widths[column])).join('  ').trimEnd();
+  return [`${colors.bright}${formatRow(headings)}${colors.reset}`, ...rows.map(formatRow)];
+}
+
+/**
+ * Describe how a run ended
+ * @param {Object|null} outcome - Outcome from the journal
+ * @returns {string} e.g. complete, or unfinished for a run that never recorded its end
+ */
+function describeOutcome(outcome) {
+  return outcome ? outcome.reason : 'unfinished';
+}
+
+/**
+ * Format the runs as a table
+ * @param {Object[]} summaries - Results from summarizeJournal()
+ * @returns {string[]} Lines
+ */
+function formatRunTable(summaries) {
+  const rows = summaries.map(summary => [
+    summary.runId,
+    summary.mode,
+    String(summary.iterations),
+    summary.passed.length > 0 ? summary.passed.join(', ') : '-',
+    summary.duration === null ? '-' : formatDuration(summary.duration),
+    describeOutcome(summary.outcome),
+  ]);
+  return formatTable(['Run', 'Mode', 'Iterations', 'Passed', 'Duration', 'Outcome'], rows);
+}
+
+/**
+ * Format a run's iterations as a table
+ * @param {Object[]} iterations - Iteration entries from the journal
+ * @returns {string[]} Lines
+ */
+function formatIterationTable(iterations) {
+  const rows = iterations.map((entry) => {
+    let result = `exit ${entry.exitCode === null || entry.exitCode === undefined ? '-' : entry.exitCode}`;
+    if (!entry.finished) result = 'stopped';
+    else if (entry.timedOut) result = `timed out (${entry.timedOut})`;
+    else if (entry.signal) result = `killed (${entry.signal})`;
+
+    let verify = '-';
+    if (entry.verification) {
+      const commands = entry.verification.commands;
+      verify = entry.verification.passed ? 'passed' : `failed: ${commands[commands.length - 1].command}`;
+    }
+
+    const passes = [...(entry.passed || []).map(id => `+${id}`), ...(entry.failed || []).map(id => `-${id}`)];
+    return [
+      String(entry.iteration),
+      entry.story ? entry.story.id : '-',
+      entry.duration === undefined ? '-' : formatDuration(entry.duration),
+      result,
+      passes.length > 0 ? passes.join(' ') : '-',
+      verify,
+      (entry.commits || []).length > 0 ? entry.commits.map(commit => commit.slice(0, 7)).join(', ') : '-',
+    ];
+  });
+  return formatTable(['Iteration', 'Story', 'Duration', 'Result', 'Passes', 'Verify', 'Commits'], rows);
+}
+
+/**
+ * Print a summary of one run
+ * @param {Object} journal - Journal from readJournal()
+ * @param {Object} config - Configuration object from createConfig()
+ */
+function printRun(journal, config) {
+  const summary = summarizeJournal(journal);
+  const settings = journal.config || {};
+
+  log(`Run ${journal.runId}`, colors.cyan + colors.bright);
+  console.log('');
+  console.log(`Outcome:    ${describeOutcome(journal.outcome)}${journal.outcome ? ` - ${journal.outcome.message}` : ' (the run stopped without recording how it ended)'}`);
+  console.log(`Started:    ${journal.startedAt}`);
+  console.log(`Ended:      ${journal.endedAt || '-'}${summary.duration === null ? '' : ` (${formatDuration(summary.duration)})`}`);
+  for (const resume of journal.resumed || []) {
+    console.log(`Resumed:    ${resume.at} at iteration ${resume.iteration}`);
+  }
+  console.log(`Agent:      ${journal.agent || settings.agent || '-'}${settings.model ? ` (${settings.model})` : ''}, ${journal.mode}${settings.parallel > 1 ? ` (${settings.parallel} at a time)` : ''}`);
+  console.log(`Iterations: ${summary.iterations} of ${journal.maxIterations}`);
+  console.log(`Passed:     ${summary.passed.length > 0 ? summary.passed.join(', ') : '-'}`);
+  console.log('');
+
+  if (journal.iterations.length === 0) {
+    log('No iterations ran.', colors.dim);
+  } else {
+    console.log(formatIterationTable(journal.iterations).join('\n'));
+  }
+  console.log('');
+  log(`Journal: ${path.relative(config.WORKING_DIR, getJournalFile(config.RUNS_DIR, journal.runId))}`, colors.dim);
+  log(`Run "claude-all logs --run ${journal.runId}" for the agent transcripts.`, colors.dim);
+}
+
+/**
+ * Run the `runs` command
+ * @param {Object} parsed - Parsed command from parseCommand()
+ * @param {Object} config - Configuration object from createConfig()
+ * @returns {Promise<number>} Exit code
+ */
+async function runs(parsed, config) {
+  const journals = listJournals(config.RUNS_DIR);
+
+  if (journals.length === 0) {
+    log(`No run journals in ${config.RUNS_DIR} yet`, colors.yellow);
+    return EXIT_CODES.FAILURE;
+  }
+
+  if (parsed.subcommand === 'list') {
+    const summaries = journals.map(summarizeJournal);
+    if (parsed.options.json) {
+      console.log(JSON.stringify(summaries, null, 2));
+      return EXIT_CODES.SUCCESS;
+    }
+    log(`${journals.length} run${journals.length === 1 ? '' : 's'} in ${path.relative(config.WORKING_DIR, config.RUNS_DIR)}`, colors.cyan + colors.bright);
+    console.log('');
+    console.log(formatRunTable(summaries).join('\n'));
+    console.log('');
+    log('Run "claude-all runs show <id>" to summarize a run.', colors.dim);
+    return EXIT_CODES.SUCCESS;
+  }
+
+  const runId = parsed.args.id || journals[journals.length - 1].runId;
+  const journal = journals.find(candidate => candidate.runId === runId);
+  if (!journal) {
+    log(`Error: No run "${runId}" in ${config.RUNS_DIR} (runs: ${journals.map(candidate => candidate.runId).join(', ')})`, colors.red);
+    return EXIT_CODES.FAILURE;
+  }
+
+  if (parsed.options.json) {
+    console.log(JSON.stringify(journal, null, 2));
+    return EXIT_CODES.SUCCESS;
+  }
+  printRun(journal, config);
+  return EXIT_CODES.SUCCESS;
+}
+
+module.exports = runs;
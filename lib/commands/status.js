@@ -0,0 +1,44 @@
+/**
+ * `claude-all status` - show per-story progress of the current PRD
+ */
+
+const { colors } = require('../core');
+const { collectStatus, formatStatus } = require('../status');
+const { EXIT_CODES, log } = require('../cli');
+
+/**
+ * Run the `status` command
+ * @param {Object} parsed - Parsed command from parseCommand()
+ * @param {Object} config - Configuration object from createConfig()
+ * @returns {Promise<number>} Exit code
+ */
+async function status(parsed, config) {
+  const { json, entries } = parsed.options;
+
+  let runStatus;
+  try {
+    runStatus = collectStatus(config, { entries });
+  } catch (err) {
+    if (json) {
+      console.log(JSON.stringify({ exists: true, error: err.message }, null, 2));
+    } else {
+      log(err.message, colors.red);
+    }
+    return EXIT_CODES.INVALID_PRD;
+  }
+
+  if (json) {
+    console.log(JSON.stringify(runStatus, null, 2));
+    return runStatus.exists ? EXIT_CODES.SUCCESS : EXIT_CODES.INVALID_PRD;
+  }
+
+  if (!runStatus.exists) {
+    log(`No prd.json found at ${config.PRD_FILE}`, colors.yellow);
+    return EXIT_CODES.INVALID_PRD;
+  }
+
+  console.log(formatStatus(runStatus));
+  return EXIT_CODES.SUCCESS;
+}
+
+module.exports = status;
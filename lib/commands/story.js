@@ -0,0 +1,146 @@
+/**
+ * `claude-all story <subcommand>` - edit stories in prd.json without breaking its ID and priority rules
+ * Every change renumbers IDs and priorities, is validated, and is written atomically.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { colors } = require('../core');
+const { openInEditor } = require('../review');
+const {
+  readPrdJson,
+  writePrdJson,
+  validatePrdJson,
+  formatStoryId,
+  addStory,
+  updateStory,
+  moveStory,
+  resetStory,
+  skipStory,
+  removeStory,
+} = require('../prd-utils');
+const { EXIT_CODES, log } = require('../cli');
+
+/**
+ * Collect the story fields given as flags
+ * @param {Object} options - Parsed options
+ * @returns {Object} Changed fields
+ */
+function getStoryFields(options) {
+  const fields = {};
+  if (options.title !== undefined) fields.title = options.title;
+  if (options.description !== undefined) fields.description = options.description;
+  if (options.criterion !== undefined) fields.acceptanceCriteria = options.criterion;
+  if (options.notes !== undefined) fields.notes = options.notes;
+  if (options.model !== undefined) fields.model = options.model;
+  if (options.dependsOn !== undefined) fields.dependsOn = options.dependsOn.map(id => id.toUpperCase());
+  return fields;
+}
+
+/**
+ * Let the user edit a single story as JSON in their editor
+ * @param {Object} prd - prd.json object
+ * @param {string} id - Story ID
+ * @returns {Object} The edited story fields
+ * @throws {Error} If the story is unknown, the editor fails or the result is not a JSON object
+ */
+function editStoryInEditor(prd, id) {
+  const story = (prd.userStories || []).find(s => String(s.id).toUpperCase() === String(id).toUpperCase());
+  if (!story) {
+    throw new Error(`No story with ID ${id}`);
+  }
+
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'claude-all-story-'));
+  const tempFile = path.join(tempDir, `${story.id}.json`);
+  try {
+    fs.writeFileSync(tempFile, `${JSON.stringify(story, null, 2)}\n`);
+    openInEditor(tempFile);
+
+    let edited;
+    try {
+      edited = JSON.parse(fs.readFileSync(tempFile, 'utf-8'));
+    } catch (err) {
+      throw new Error(`Edited story is not valid JSON: ${err.message}`);
+    }
+    if (!edited || typeof edited !== 'object' || Array.isArray(edited)) {
+      throw new Error('Edited story must be a JSON object');
+    }
+    return edited;
+  } finally {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Apply the requested change to prd.json
+ * @param {Object} prd - prd.json object
+ * @param {Object} parsed - Parsed command from parseCommand()
+ * @returns {{prd: Object, message: string}} Updated prd.json object and a summary of the change
+ * @throws {Error} If the story or position is invalid
+ */
+function applyChange(prd, parsed) {
+  const { options } = parsed;
+  const { id } = parsed.args;
+  const storyId = id && id.toUpperCase();
+
+  switch (parsed.subcommand) {
+    case 'add': {
+      const updated = addStory(prd, getStoryFields(options), options.position === undefined ? null : options.position);
+      const position = options.position === undefined ? updated.userStories.length : options.position;
+      return { prd: updated, message: `Added ${formatStoryId(position)}: ${options.title}` };
+    }
+    case 'edit': {
+      const fields = getStoryFields(options);
+      const changes = Object.keys(fields).length > 0 ? fields : editStoryInEditor(prd, id);
+      return { prd: updateStory(prd, id, changes), message: `Updated ${storyId}` };
+    }
+    case 'move':
+      return { prd: moveStory(prd, id, options.to), message: `Moved ${storyId} to position ${options.to}` };
+    case 'reset':
+      return { prd: resetStory(prd, id), message: `Reset ${storyId}; it will be worked on again` };
+    case 'skip':
+      return { prd: skipStory(prd, id), message: `Skipped ${storyId}` };
+    case 'remove':
+      return { prd: removeStory(prd, id), message: `Removed ${storyId}` };
+    default:
+      throw new Error(`Unknown story subcommand: ${parsed.subcommand}`);
+  }
+}
+
+/**
+ * Run the `story` command
+ * @param {Object} parsed - Parsed command from parseCommand()
+ * @param {Object} config - Configuration object from createConfig()
+ * @returns {Promise<number>} Exit code
+ */
+async function story(parsed, config) {
+  let prd;
+  try {
+    prd = readPrdJson(config.PRD_FILE);
+  } catch (err) {
+    log(err.message, colors.red);
+    return EXIT_CODES.INVALID_PRD;
+  }
+
+  let change;
+  try {
+    change = applyChange(prd, parsed);
+  } catch (err) {
+    log(`Error: ${err.message}`, colors.red);
+    return EXIT_CODES.FAILURE;
+  }
+
+  const validation = validatePrdJson(change.prd);
+  if (!validation.valid) {
+    log(`Not saved: the result has ${validation.errors.length} problem(s):`, colors.red);
+    validation.errors.forEach(error => log(`  • ${error}`, colors.red));
+    return EXIT_CODES.INVALID_PRD;
+  }
+
+  writePrdJson(config.PRD_FILE, change.prd);
+  log(`✓ ${change.message}`, colors.green);
+  return EXIT_CODES.SUCCESS;
+}
+
+module.exports = story;
@@ -0,0 +1,45 @@
+/**
+ * `claude-all validate [file]` - check prd.json against the expected structure
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { colors } = require('../core');
+const { validatePrdJson } = require('../prd-utils');
+const { EXIT_CODES, log } = require('../cli');
+
+/**
+ * Run the `validate` command
+ * @param {Object} parsed - Parsed command from parseCommand()
+ * @param {Object} config - Configuration object from createConfig()
+ * @returns {Promise<number>} Exit code
+ */
+async function validate(parsed, config) {
+  const prdFile = parsed.args.file ? path.resolve(parsed.args.file) : config.PRD_FILE;
+
+  if (!fs.existsSync(prdFile)) {
+    log(`No prd.json found at ${prdFile}`, colors.red);
+    return EXIT_CODES.INVALID_PRD;
+  }
+
+  let prd;
+  try {
+    prd = JSON.parse(fs.readFileSync(prdFile, 'utf-8'));
+  } catch (err) {
+    log(`${prdFile} is not valid JSON: ${err.message}`, colors.red);
+    return EXIT_CODES.INVALID_PRD;
+  }
+
+  const validation = validatePrdJson(prd);
+  if (!validation.valid) {
+    log(`${prdFile} has ${validation.errors.length} problem(s):`, colors.red);
+    validation.errors.forEach(error => log(`  • ${error}`, colors.red));
+    return EXIT_CODES.INVALID_PRD;
+  }
+
+  const stories = prd.userStories.length;
+  log(`✓ ${prdFile} is valid (${stories} ${stories === 1 ? 'story' : 'stories'})`, colors.green);
+  return EXIT_CODES.SUCCESS;
+}
+
+module.exports = validate;
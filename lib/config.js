@@ -1,18 +1,140 @@
 /**
  * Configuration module for claude-all
  * Separates configuration from the main script for testability
+ *
+ * Settings are merged in this order, later sources winning:
+ *   1. Built-in defaults
+ *   2. Project config file (claude-all.config.js or .claude-allrc.json)
+ *   3. CLAUDE_ALL_* environment variables
+ *   4. Command line flags
  */
 
+const fs = require('fs');
 const path = require('path');
+const { AGENT_NAMES, OUTPUT_FORMATS } = require('./agents');
+const { DEFAULT_PROFILE, validateProfile, getProfileNames } = require('./permissions');
+const { validateHooks } = require('./hooks');
+
+// Completion signal that Claude outputs when all stories are done
+const COMPLETION_SIGNAL = '<promise>COMPLETE</promise>';
+
+const DEFAULT_MAX_ITERATIONS = 10;
+const DEFAULT_ITERATION_TIMEOUT = 60;
+const DEFAULT_IDLE_TIMEOUT = 0;
+const DEFAULT_ESCALATE_AFTER = 2;
+const DEFAULT_MAX_ATTEMPTS_PER_STORY = 3;
+const DEFAULT_MAX_RETRIES = 3;
+const DEFAULT_RETRY_DELAY = 30;
+const DEFAULT_MAX_COST = 0;
+const DEFAULT_MAX_TOKENS = 0;
+const DEFAULT_PARALLEL = 1;
+const DEFAULT_AGENT = 'claude';
+const DEFAULT_OUTPUT_FORMAT = 'text';
+const DEFAULT_AGENT_COMMAND = 'claude';
+
+// Config file names, checked in this order in each directory
+const CONFIG_FILE_NAMES = ['claude-all.config.js', '.claude-allrc.json'];
+
+// Environment variable naming an explicit config file
+const CONFIG_FILE_ENV = 'CLAUDE_ALL_CONFIG';
+
+/**
+ * Settings that can be set from a config file, environment variable or flag.
+ * `path` settings are resolved relative to the config file (or the working directory
+ * for environment variables and flags); `mustExist` paths are checked when loading.
+ */
+const CONFIG_SCHEMA = {
+  outputDir: { type: 'string', path: true, description: 'Directory for prd.json, progress.txt and archives' },
+  promptFile: { type: 'string', path: true, mustExist: true, description: 'Agent loop prompt' },
+  skillFile: { type: 'string', path: true, mustExist: true, description: 'Instructions used to convert a PRD to prd.json' },
+  completionSignal: { type: 'string', description: 'Text the agent prints when every story passes' },
+  maxIterations: { type: 'integer', min: 1, description: 'Maximum agent iterations' },
+  parallel: { type: 'integer', min: 1, description: 'Stories worked on at the same time, each in its own git worktree' },
+  iterationTimeout: { type: 'integer', min: 0, description: 'Minutes before an agent run is stopped (0 for no limit)' },
+  idleTimeout: { type: 'integer', min: 0, description: 'Minutes without agent output before it is stopped (0 for no limit)' },
+  maxRetries: { type: 'integer', min: 0, description: 'Retries for an iteration that failed in a way that may be temporary' },
+  retryDelay: { type: 'number', min: 0, description: 'Seconds before the first retry, doubling for each retry after it' },
+  maxCost: { type: 'number', min: 0, description: 'US dollars the runs on a branch may spend before no new iteration starts (0 for no limit)' },
+  maxTokens: { type: 'integer', min: 0, description: 'Tokens the runs on a branch may use before no new iteration starts (0 for no limit)' },
+  agent: { type: 'string', choices: AGENT_NAMES, description: 'Agent adapter: claude, or command for any CLI agent' },
+  agentCommand: { type: 'string', description: 'Command used to run the agent (a template with {prompt} or {promptFile} for the command agent)' },
+  outputFormat: { type: 'string', choices: OUTPUT_FORMATS, description: 'Agent output: text, or stream-json for structured JSON lines' },
+  model: { type: 'string', description: 'Model for implementation iterations (default: the agent\'s own default)' },
+  prdModel: { type: 'string', description: 'Model for PRD generation (default: model)' },
+  escalationModel: { type: 'string', description: 'Stronger model for stories that keep failing' },
+  escalateAfter: { type: 'integer', min: 1, description: 'Failed attempts at a story before it moves to escalationModel' },
+  maxAttemptsPerStory: { type: 'integer', min: 0, description: 'Failed attempts before a story is marked blocked and skipped (0 for no limit)' },
+  profile: { type: 'string', description: 'Permission profile: full, no-network, repo-only or a name from profiles' },
+  profiles: { type: 'object', description: 'Project-defined permission profiles, keyed by name' },
+  verify: { type: 'list', description: 'Commands run after each iteration; a failure sets the story back to passes: false' },
+  hooks: { type: 'object', description: 'Commands run on run events, keyed by event (beforeRun, beforeIteration, afterIteration, storyPassed, storyBlocked, runFailed, runComplete)' },
+};
+
+/**
+ * Error thrown for invalid configuration, naming the source of the bad value
+ */
+class ConfigError extends Error {
+  constructor(message, source = null) {
+    super(source ? `${source}: ${message}` : message);
+    this.name = 'ConfigError';
+    this.source = source;
+  }
+}
+
+/**
+ * Environment variable name for a config key (outputDir -> CLAUDE_ALL_OUTPUT_DIR)
+ * @param {string} key - Config key
+ * @returns {string}
+ */
+function envName(key) {
+  return `CLAUDE_ALL_${key.replace(/([A-Z])/g, '_$1').toUpperCase()}`;
+}
 
 /**
  * Create configuration object based on working directory
- * @param {string} workingDir - The working directory (defaults to process.cwd())
- * @param {string} scriptDir - The script directory (defaults to parent of this file)
- * @returns {Object} Configuration object
+ *
+ * Accepts either an options object or the older positional (workingDir, scriptDir) form.
+ * Relative override paths are resolved against the working directory.
+ *
+ * @param {Object|string} options - Configuration options, or the working directory
+ * @param {string} options.workingDir - The working directory (defaults to process.cwd())
+ * @param {string} options.scriptDir - The script directory (defaults to claude-all install location)
+ * @param {string} options.outputDir - Output directory (defaults to <workingDir>/output)
+ * @param {string} options.promptFile - Agent loop prompt (defaults to lib/prompt.md in scriptDir)
+ * @param {string} options.skillFile - PRD conversion instructions (defaults to the bundled ralph skill)
+ * @param {string} options.completionSignal - Completion signal (defaults to <promise>COMPLETE</promise>)
+ * @param {number} options.maxIterations - Maximum agent iterations (default: 10)
+ * @param {number} options.parallel - Stories worked on at the same time in git worktrees (default: 1)
+ * @param {number} options.iterationTimeout - Minutes before an agent run is stopped, 0 for no limit (default: 60)
+ * @param {number} options.idleTimeout - Minutes without output before an agent run is stopped, 0 for no limit (default: 0)
+ * @param {number} options.maxRetries - Retries for an iteration that failed in a way that may be temporary (default: 3)
+ * @param {number} options.retryDelay - Seconds before the first retry, doubling for each retry after it (default: 30)
+ * @param {number} options.maxCost - US dollars the runs on a branch may spend, 0 for no limit (default: 0)
+ * @param {number} options.maxTokens - Tokens the runs on a branch may use, 0 for no limit (default: 0)
+ * @param {string} options.agent - Agent adapter, claude or command (default: claude)
+ * @param {string} options.agentCommand - Command used to run the agent (default: claude)
+ * @param {string} options.outputFormat - Agent output, text or stream-json (default: text)
+ * @param {string} options.model - Model for implementation iterations (default: none, the agent's default)
+ * @param {string} options.prdModel - Model for PRD generation (default: none, falls back to model)
+ * @param {string} options.escalationModel - Model for stories that keep failing (default: none, no escalation)
+ * @param {number} options.escalateAfter - Failed attempts before escalating (default: 2)
+ * @param {number} options.maxAttemptsPerStory - Failed attempts before a story is blocked, 0 for no limit (default: 3)
+ * @param {string} options.profile - Permission profile (default: full)
+ * @param {Object} options.profiles - Project-defined permission profiles (default: none)
+ * @param {string[]} options.verify - Commands run after each iteration to check the agent's work (default: none)
+ * @param {Object} options.hooks - Commands run on run events, a command or list of them per event (default: none)
+ * @param {string} options.configFile - Config file the settings were loaded from, if any
+ * @param {string} legacyScriptDir - Script directory when called positionally
+ * @returns {Object} Configuration object with all paths
  */
-function createConfig(workingDir = process.cwd(), scriptDir = path.join(__dirname, '..')) {
-  const outputDir = path.join(workingDir, 'output');
+function createConfig(options = {}, legacyScriptDir = undefined) {
+  if (typeof options === 'string') {
+    options = { workingDir: options, scriptDir: legacyScriptDir };
+  }
+
+  const scriptDir = options.scriptDir || path.join(__dirname, '..');
+  const workingDir = options.workingDir || process.cwd();
+  const outputDir = options.outputDir ? path.resolve(workingDir, options.outputDir) : path.join(workingDir, 'output');
 
   return {
     SCRIPT_DIR: scriptDir,
@@ -22,9 +144,287 @@ function createConfig(workingDir = process.cwd(), scriptDir = path.join(__dirnam
     PROGRESS_FILE: path.join(outputDir, 'progress.txt'),
     ARCHIVE_DIR: path.join(outputDir, 'archive'),
     LAST_BRANCH_FILE: path.join(outputDir, '.last-branch'),
-    PROMPT_FILE: path.join(scriptDir, 'lib', 'prompt.md'),
-    COMPLETION_SIGNAL: '<promise>COMPLETE</promise>',
+    USAGE_FILE: path.join(outputDir, 'usage.json'),
+    LOGS_DIR: path.join(outputDir, 'logs'),
+    CHECKPOINT_FILE: path.join(outputDir, 'checkpoint.json'),
+    WORKTREES_DIR: path.join(outputDir, 'worktrees'),
+    RUNS_DIR: path.join(outputDir, 'runs'),
+    PROMPT_FILE: options.promptFile
+      ? path.resolve(workingDir, options.promptFile)
+      : path.join(scriptDir, 'lib', 'prompt.md'),
+    SKILL_FILE: options.skillFile
+      ? path.resolve(workingDir, options.skillFile)
+      : path.join(scriptDir, '.claude', 'skills', 'ralph', 'SKILL.md'),
+    COMPLETION_SIGNAL: options.completionSignal || COMPLETION_SIGNAL,
+    MAX_ITERATIONS: options.maxIterations || DEFAULT_MAX_ITERATIONS,
+    PARALLEL: options.parallel || DEFAULT_PARALLEL,
+    ITERATION_TIMEOUT: options.iterationTimeout !== undefined ? options.iterationTimeout : DEFAULT_ITERATION_TIMEOUT,
+    IDLE_TIMEOUT: options.idleTimeout !== undefined ? options.idleTimeout : DEFAULT_IDLE_TIMEOUT,
+    MAX_RETRIES: options.maxRetries !== undefined ? options.maxRetries : DEFAULT_MAX_RETRIES,
+    RETRY_DELAY: options.retryDelay !== undefined ? options.retryDelay : DEFAULT_RETRY_DELAY,
+    MAX_COST: options.maxCost !== undefined ? options.maxCost : DEFAULT_MAX_COST,
+    MAX_TOKENS: options.maxTokens !== undefined ? options.maxTokens : DEFAULT_MAX_TOKENS,
+    AGENT: options.agent || DEFAULT_AGENT,
+    AGENT_COMMAND: options.agentCommand || DEFAULT_AGENT_COMMAND,
+    OUTPUT_FORMAT: options.outputFormat || DEFAULT_OUTPUT_FORMAT,
+    MODEL: options.model || null,
+    PRD_MODEL: options.prdModel || null,
+    ESCALATION_MODEL: options.escalationModel || null,
+    ESCALATE_AFTER: options.escalateAfter || DEFAULT_ESCALATE_AFTER,
+    MAX_ATTEMPTS_PER_STORY: options.maxAttemptsPerStory !== undefined ? options.maxAttemptsPerStory : DEFAULT_MAX_ATTEMPTS_PER_STORY,
+    PROFILE: options.profile || DEFAULT_PROFILE,
+    PROFILES: options.profiles || {},
+    VERIFY_COMMANDS: options.verify || [],
+    HOOKS: options.hooks || {},
+    CONFIG_FILE: options.configFile || null,
   };
 }
 
-module.exports = { createConfig };
+/**
+ * The settings a config object was created with, keyed like CONFIG_SCHEMA, for recording a run
+ * @param {Object} config - Configuration object from createConfig()
+ * @returns {Object} Setting values (null where unset), plus configFile
+ */
+function snapshotConfig(config) {
+  const snapshot = {};
+  for (const key of Object.keys(CONFIG_SCHEMA)) {
+    // verify is the only setting stored under a different name
+    const configKey = key === 'verify' ? 'VERIFY_COMMANDS' : key.replace(/([A-Z])/g, '_$1').toUpperCase();
+    snapshot[key] = config[configKey] === undefined ? null : config[configKey];
+  }
+  snapshot.configFile = config.CONFIG_FILE || null;
+  return snapshot;
+}
+
+/**
+ * Find the nearest project config file, searching from the working directory upwards
+ * @param {string} workingDir - Directory to start searching from
+ * @returns {string|null} Path to the config file, or null if none was found
+ * @throws {ConfigError} If one directory contains more than one config file
+ */
+function findConfigFile(workingDir) {
+  let dir = path.resolve(workingDir);
+
+  for (;;) {
+    const found = CONFIG_FILE_NAMES
+      .map(name => path.join(dir, name))
+      .filter(file => fs.existsSync(file));
+
+    if (found.length > 1) {
+      throw new ConfigError(`Found both ${CONFIG_FILE_NAMES.join(' and ')}; keep only one`, dir);
+    }
+    if (found.length === 1) {
+      return found[0];
+    }
+
+    const parent = path.dirname(dir);
+    if (parent === dir) {
+      return null;
+    }
+    dir = parent;
+  }
+}
+
+/**
+ * Read a config file
+ * @param {string} configFile - Path to claude-all.config.js or a JSON file
+ * @returns {Object} Raw settings
+ * @throws {ConfigError} If the file cannot be read or does not export an object
+ */
+function readConfigFile(configFile) {
+  if (!fs.existsSync(configFile)) {
+    throw new ConfigError('Config file not found', configFile);
+  }
+
+  let settings;
+  try {
+    if (configFile.endsWith('.js') || configFile.endsWith('.cjs')) {
+      delete require.cache[require.resolve(configFile)];
+      settings = require(configFile);
+    } else {
+      settings = JSON.parse(fs.readFileSync(configFile, 'utf-8'));
+    }
+  } catch (err) {
+    throw new ConfigError(`Could not load config: ${err.message}`, configFile);
+  }
+
+  if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+    throw new ConfigError('Config must be an object', configFile);
+  }
+  return settings;
+}
+
+/**
+ * Validate one setting and convert it to its schema type
+ * @param {string} key - Config key
+ * @param {*} value - Raw value (environment values are always strings)
+ * @param {string} source - Where the value came from (for error messages)
+ * @returns {*} Normalized value
+ * @throws {ConfigError} On unknown keys or invalid values
+ */
+function normalizeSetting(key, value, source) {
+  const spec = CONFIG_SCHEMA[key];
+  if (!spec) {
+    const known = Object.keys(CONFIG_SCHEMA).join(', ');
+    throw new ConfigError(`Unknown setting "${key}" (expected one of: ${known})`, source);
+  }
+
+  if (spec.type === 'integer') {
+    const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+    if (!Number.isInteger(number) || number < spec.min) {
+      throw new ConfigError(`"${key}" must be an integer of at least ${spec.min}, got ${JSON.stringify(value)}`, source);
+    }
+    return number;
+  }
+
+  // A single string (as from an environment variable) is a list of one
+  if (spec.type === 'list') {
+    const list = typeof value === 'string' ? [value] : value;
+    if (!Array.isArray(list) || list.length === 0 || list.some(item => typeof item !== 'string' || item.trim() === '')) {
+      throw new ConfigError(`"${key}" must be a non-empty string or a list of them, got ${JSON.stringify(value)}`, source);
+    }
+    return list;
+  }
+
+  if (spec.type === 'object') {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      throw new ConfigError(`"${key}" must be an object, got ${JSON.stringify(value)}`, source);
+    }
+    return value;
+  }
+
+  if (spec.type === 'number') {
+    const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+    if (typeof number !== 'number' || !Number.isFinite(number) || number < spec.min) {
+      throw new ConfigError(`"${key}" must be a number of at least ${spec.min}, got ${JSON.stringify(value)}`, source);
+    }
+    return number;
+  }
+
+  if (typeof value !== 'string' || value === '') {
+    throw new ConfigError(`"${key}" must be a non-empty string, got ${JSON.stringify(value)}`, source);
+  }
+  if (spec.choices && !spec.choices.includes(value)) {
+    throw new ConfigError(`"${key}" must be one of ${spec.choices.join(', ')}, got ${JSON.stringify(value)}`, source);
+  }
+  return value;
+}
+
+/**
+ * Validate a group of settings from one source, resolving relative paths against baseDir
+ * @param {Object} settings - Raw settings keyed by config key
+ * @param {string} source - Where the settings came from (for error messages)
+ * @param {string} baseDir - Directory relative paths are resolved against
+ * @returns {Object} Normalized settings
+ */
+function normalizeSettings(settings, source, baseDir) {
+  const normalized = {};
+  for (const [key, value] of Object.entries(settings)) {
+    if (value === undefined) continue;
+    const setting = normalizeSetting(key, value, source);
+    normalized[key] = CONFIG_SCHEMA[key].path ? path.resolve(baseDir, setting) : setting;
+  }
+  return normalized;
+}
+
+/**
+ * Collect CLAUDE_ALL_* settings from the environment
+ * @param {Object} env - Environment variables
+ * @param {string} workingDir - Directory relative paths are resolved against
+ * @returns {Object} Normalized settings
+ * @throws {ConfigError} On unknown CLAUDE_ALL_* variables or invalid values
+ */
+function readEnvSettings(env, workingDir) {
+  const keysByEnv = {};
+  for (const key of Object.keys(CONFIG_SCHEMA)) {
+    keysByEnv[envName(key)] = key;
+  }
+
+  const settings = {};
+  for (const [name, value] of Object.entries(env)) {
+    if (!name.startsWith('CLAUDE_ALL_') || name === CONFIG_FILE_ENV) continue;
+    if (!keysByEnv[name]) {
+      const known = [CONFIG_FILE_ENV, ...Object.keys(keysByEnv)].join(', ');
+      throw new ConfigError(`Unknown environment variable (expected one of: ${known})`, name);
+    }
+    const key = keysByEnv[name];
+    let setting = value;
+    // Objects such as profiles and hooks are given as JSON
+    if (CONFIG_SCHEMA[key].type === 'object') {
+      try {
+        setting = JSON.parse(value);
+      } catch (err) {
+        throw new ConfigError(`"${key}" must be a JSON object, got invalid JSON (${err.message})`, name);
+      }
+    }
+    Object.assign(settings, normalizeSettings({ [key]: setting }, name, workingDir));
+  }
+  return settings;
+}
+
+/**
+ * Load configuration for a project, merging defaults, config file, environment and flags
+ * @param {Object} options - Options
+ * @param {string} options.workingDir - The working directory (defaults to process.cwd())
+ * @param {string} options.scriptDir - The script directory (defaults to claude-all install location)
+ * @param {string} options.configFile - Explicit config file (skips discovery)
+ * @param {Object} options.env - Environment variables (default: process.env)
+ * @param {Object} options.overrides - Settings from command line flags, keyed by config key
+ * @returns {Object} Configuration object, as returned by createConfig()
+ * @throws {ConfigError} On unknown keys, invalid values or missing files
+ */
+function loadConfig(options = {}) {
+  const {
+    workingDir = process.cwd(),
+    scriptDir,
+    env = process.env,
+    overrides = {},
+  } = options;
+
+  const explicitFile = options.configFile || env[CONFIG_FILE_ENV];
+  const configFile = explicitFile ? path.resolve(workingDir, explicitFile) : findConfigFile(workingDir);
+
+  const fileSettings = configFile
+    ? normalizeSettings(readConfigFile(configFile), configFile, path.dirname(configFile))
+    : {};
+  const envSettings = readEnvSettings(env, workingDir);
+  const flagSettings = normalizeSettings(overrides, 'command line', workingDir);
+
+  const settings = { ...fileSettings, ...envSettings, ...flagSettings };
+
+  for (const [key, value] of Object.entries(settings)) {
+    if (CONFIG_SCHEMA[key].mustExist && !fs.existsSync(value)) {
+      throw new ConfigError(`"${key}" points to a missing file: ${value}`);
+    }
+  }
+
+  const profiles = settings.profiles || {};
+  for (const [name, profile] of Object.entries(profiles)) {
+    const [error] = validateProfile(name, profile);
+    if (error) throw new ConfigError(`"profiles": ${error}`);
+  }
+  if (settings.profile && !getProfileNames(profiles).includes(settings.profile)) {
+    throw new ConfigError(`Unknown permission profile "${settings.profile}" (expected one of: ${getProfileNames(profiles).join(', ')})`);
+  }
+
+  const [hookError] = validateHooks(settings.hooks || {});
+  if (hookError) throw new ConfigError(`"hooks": ${hookError}`);
+
+  // The claude default makes no sense as a template for another agent
+  if (settings.agent === 'command' && !settings.agentCommand) {
+    throw new ConfigError('"agent" is "command" but no "agentCommand" template is set');
+  }
+
+  return createConfig({ ...settings, workingDir, scriptDir, configFile });
+}
+
+module.exports = {
+  COMPLETION_SIGNAL,
+  CONFIG_FILE_NAMES,
+  CONFIG_SCHEMA,
+  ConfigError,
+  createConfig,
+  findConfigFile,
+  loadConfig,
+  snapshotConfig,
+};
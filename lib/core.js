@@ -3,28 +3,46 @@
  * This module exports the main functions for programmatic use
  */
 
-const { spawn } = require('child_process');
 const fs = require('fs');
 const path = require('path');
+const { createConfig, COMPLETION_SIGNAL } = require('./config');
+const {
+  readPrdJson,
+  writePrdJson,
+  isStoryPending,
+  getNextStory,
+  getBlockedStories,
+  diffStoryPasses,
+  incrementAttempts,
+  blockStory,
+  parseCodebasePatterns,
+  appendRunLogEntry,
+} = require('./prd-utils');
+const { compileTemplate } = require('./template');
+const {
+  AgentError,
+  AbortError,
+  getClaudeCommand,
+  createClaudeAdapter,
+  getAgentAdapter,
+  outputTail,
+  classifyAgentFailure,
+  runAgent,
+} = require('./agents');
+const { readUsage, recordUsage, formatUsage, formatUsageSoFar, checkBudget, getBudgetWarnings } = require('./budget');
+const { createRunId, hashPrompt, writeTranscript } = require('./transcripts');
+const { getPermissionProfile, getPermissionArgs } = require('./permissions');
+const { runVerifyCommands, describeVerifyFailure, clearVerifyNotes, addVerifyNotes } = require('./verify');
+const { createInterruptWatcher, interruptibleDelay, writeCheckpoint } = require('./interrupt');
+const { createHookRunner } = require('./hooks');
+const { createJournal } = require('./journal');
+const colors = require('./colors');
 
-// ANSI color codes
-const colors = {
-  reset: '\x1b[0m',
-  bright: '\x1b[1m',
-  dim: '\x1b[2m',
-  green: '\x1b[32m',
-  yellow: '\x1b[33m',
-  blue: '\x1b[34m',
-  magenta: '\x1b[35m',
-  cyan: '\x1b[36m',
-  red: '\x1b[31m',
-  hideCursor: '\x1b[?25l',
-  showCursor: '\x1b[?25h',
-  clearLine: '\x1b[2K\r',
-};
+const SECOND = 1000;
+const MINUTE = 60 * SECOND;
 
-// Completion signal that Claude outputs when all stories are done
-const COMPLETION_SIGNAL = '<promise>COMPLETE</promise>';
+// Longest wait between retries, however many there have been
+const MAX_RETRY_DELAY = 10 * MINUTE;
 
 /**
  * Loading spinner with braille animation
@@ -80,31 +98,6 @@ class Spinner {
   }
 }
 
-/**
- * Create configuration object for a working directory
- * @param {Object} options - Configuration options
- * @param {string} options.workingDir - The working directory (defaults to process.cwd())
- * @param {string} options.scriptDir - The script directory (defaults to claude-all install location)
- * @returns {Object} Configuration object with all paths
- */
-function createConfig(options = {}) {
-  const scriptDir = options.scriptDir || path.join(__dirname, '..');
-  const workingDir = options.workingDir || process.cwd();
-  const outputDir = path.join(workingDir, 'output');
-
-  return {
-    SCRIPT_DIR: scriptDir,
-    WORKING_DIR: workingDir,
-    OUTPUT_DIR: outputDir,
-    PRD_FILE: path.join(outputDir, 'prd.json'),
-    PROGRESS_FILE: path.join(outputDir, 'progress.txt'),
-    ARCHIVE_DIR: path.join(outputDir, 'archive'),
-    LAST_BRANCH_FILE: path.join(outputDir, '.last-branch'),
-    PROMPT_FILE: path.join(scriptDir, 'lib', 'prompt.md'),
-    COMPLETION_SIGNAL,
-  };
-}
-
 /**
  * Run Claude with a prompt
  * @param {string} prompt - The prompt to send to Claude
@@ -112,64 +105,13 @@ function createConfig(options = {}) {
  * @param {boolean} options.streamOutput - Whether to stream output to stdout (default: true)
  * @param {Spinner} options.spinner - Optional spinner to stop when output starts
  * @param {string} options.cwd - Working directory for Claude (default: process.cwd())
+ * @param {string} options.command - Command used to run Claude (default: claude)
+ * @param {AbortSignal} options.signal - Aborting stops Claude and rejects with an AbortError
  * @returns {Promise<{output: string, code: number}>}
+ * @throws {AbortError} If options.signal is aborted
  */
 function runClaude(prompt, options = {}) {
-  const { streamOutput = true, spinner = null, cwd = process.cwd() } = options;
-
-  return new Promise((resolve, reject) => {
-    // Use --print for non-interactive mode, stdin for prompt input
-    const claude = spawn('claude', [
-      '--print',
-      '--dangerously-skip-permissions',
-    ], {
-      stdio: ['pipe', 'pipe', 'pipe'],
-      shell: true,
-      cwd,
-    });
-
-    let output = '';
-    let spinnerStopped = false;
-
-    const stopSpinnerOnce = () => {
-      if (spinner && !spinnerStopped) {
-        spinnerStopped = true;
-        spinner.stop();
-        console.log('');
-      }
-    };
-
-    claude.stdout.on('data', (data) => {
-      stopSpinnerOnce();
-      const text = data.toString();
-      output += text;
-      if (streamOutput) {
-        process.stdout.write(text);
-      }
-    });
-
-    claude.stderr.on('data', (data) => {
-      stopSpinnerOnce();
-      const text = data.toString();
-      output += text;
-      if (streamOutput) {
-        process.stderr.write(text);
-      }
-    });
-
-    claude.stdin.write(prompt);
-    claude.stdin.end();
-
-    claude.on('close', (code) => {
-      stopSpinnerOnce();
-      resolve({ output, code });
-    });
-
-    claude.on('error', (err) => {
-      stopSpinnerOnce();
-      reject(err);
-    });
-  });
+  return runAgent(createClaudeAdapter(options.command), prompt, options);
 }
 
 /**
@@ -202,7 +144,7 @@ function hasIncompleteStories(prdFile) {
   try {
     const prd = JSON.parse(fs.readFileSync(prdFile, 'utf-8'));
     const stories = prd.userStories || [];
-    const incompleteStories = stories.filter(s => s.passes === false);
+    const incompleteStories = stories.filter(isStoryPending);
 
     return {
       exists: true,
@@ -220,43 +162,140 @@ function hasIncompleteStories(prdFile) {
 /**
  * Read the ralph skill instructions
  * @param {string} scriptDir - The script directory
+ * @param {string} skillPath - Skill file (defaults to the ralph skill in scriptDir)
  * @returns {string} Skill instructions
  */
-function getRalphSkillInstructions(scriptDir) {
-  const skillPath = path.join(scriptDir, '.claude', 'skills', 'ralph', 'SKILL.md');
+function getRalphSkillInstructions(scriptDir, skillPath = path.join(scriptDir, '.claude', 'skills', 'ralph', 'SKILL.md')) {
   if (fs.existsSync(skillPath)) {
     return fs.readFileSync(skillPath, 'utf-8');
   }
   return `Convert the PRD to prd.json format. Save to output/prd.json in the current directory.`;
 }
 
+/**
+ * Build the prompt that converts PRD text into prd.json
+ * @param {string} prdText - The PRD text to convert
+ * @param {Object} config - Configuration object from createConfig()
+ * @returns {string} Prompt for Claude
+ */
+function buildPrdPrompt(prdText, config) {
+  const skillInstructions = getRalphSkillInstructions(config.SCRIPT_DIR, config.SKILL_FILE);
+  return appendProjectSettings(`${skillInstructions}
+
+---
+
+## PRD to Convert
+
+${prdText}`, config);
+}
+
+/**
+ * Tell the agent about project settings that differ from what the bundled skill instructions assume.
+ * The loop prompt doesn't need this because it receives paths as template variables.
+ * @param {string} prompt - Prompt text
+ * @param {Object} config - Configuration object from createConfig()
+ * @returns {string} Prompt with a project settings section appended when needed
+ */
+function appendProjectSettings(prompt, config) {
+  if (config.OUTPUT_DIR === path.join(config.WORKING_DIR, 'output')) {
+    return prompt;
+  }
+
+  const relative = file => path.relative(config.WORKING_DIR, file) || '.';
+  return `${prompt}
+
+---
+
+## Project Settings
+
+claude-all files live in \`${relative(config.OUTPUT_DIR)}/\`, not \`output/\`. Use \`${relative(config.PRD_FILE)}\` and \`${relative(config.PROGRESS_FILE)}\` wherever these instructions mention \`output/prd.json\` and \`output/progress.txt\`.
+`;
+}
+
+/**
+ * Get the runAgent() timeout options for the configured limits
+ * @param {Object} config - Configuration object from createConfig()
+ * @returns {{timeout: number, idleTimeout: number}} Milliseconds, 0 for no limit
+ */
+function getAgentTimeouts(config) {
+  return {
+    timeout: (config.ITERATION_TIMEOUT || 0) * MINUTE,
+    idleTimeout: (config.IDLE_TIMEOUT || 0) * MINUTE,
+  };
+}
+
+/**
+ * Describe which timeout stopped an agent run
+ * @param {Object} config - Configuration object from createConfig()
+ * @param {string} timedOut - 'iteration' or 'idle', from runAgent()
+ * @returns {string}
+ */
+function describeTimeout(config, timedOut) {
+  const minutes = count => `${count} minute${count === 1 ? '' : 's'}`;
+  return timedOut === 'idle'
+    ? `produced no output for ${minutes(config.IDLE_TIMEOUT)}`
+    : `ran for longer than ${minutes(config.ITERATION_TIMEOUT)}`;
+}
+
+/**
+ * Milliseconds to wait before a retry: exponential backoff from config.RETRY_DELAY with jitter,
+ * so several loops hitting the same rate limit don't all retry at once
+ * @param {Object} config - Configuration object from createConfig()
+ * @param {number} retry - Retry number, starting at 1
+ * @param {Function} random - Random number source (default: Math.random)
+ * @returns {number}
+ */
+function getRetryDelay(config, retry, random = Math.random) {
+  const backoff = Math.min((config.RETRY_DELAY || 0) * SECOND * 2 ** (retry - 1), MAX_RETRY_DELAY);
+  return Math.round(backoff / 2 + (random() * backoff) / 2);
+}
+
 /**
  * Generate prd.json from PRD text
  * @param {string} prdText - The PRD text to convert
  * @param {Object} config - Configuration object from createConfig()
  * @param {Object} options - Options
  * @param {boolean} options.silent - Suppress console output (default: false)
+ * @param {Object} options.adapter - Agent adapter (default: the one selected by config.AGENT)
+ * @param {string} options.runId - Run the transcript is saved under (default: a new run)
+ * @param {boolean} options.exitOnSignal - Exit once SIGINT or SIGTERM has stopped the agent, as
+ *   runAgent() does with the same option (default: false)
+ * @param {AbortSignal} options.signal - Aborting stops the agent and rejects with an AbortError
  * @returns {Promise<boolean>} True if successful
+ * @throws {AbortError} If options.signal is aborted
  */
 async function generatePrdJson(prdText, config, options = {}) {
-  const { silent = false } = options;
+  const {
+    silent = false,
+    adapter = getAgentAdapter(config),
+    runId = createRunId(config.LOGS_DIR),
+    exitOnSignal = false,
+    signal = null,
+  } = options;
 
   if (!silent) console.log('');
   const spinner = silent ? null : new Spinner('Converting PRD to prd.json format...', colors.yellow).start();
 
-  const skillInstructions = getRalphSkillInstructions(config.SCRIPT_DIR);
-  const prompt = `${skillInstructions}
-
----
-
-## PRD to Convert
-
-${prdText}`;
+  const prompt = buildPrdPrompt(prdText, config);
 
-  await runClaude(prompt, {
+  const model = config.PRD_MODEL || config.MODEL || null;
+  const startedAt = new Date();
+  const result = await runAgent(adapter, prompt, {
     streamOutput: !silent,
     spinner,
     cwd: config.WORKING_DIR,
+    model,
+    exitOnSignal,
+    signal,
+    ...getAgentTimeouts(config),
+  });
+  writeTranscript(path.join(config.LOGS_DIR, runId), {
+    iteration: 0,
+    model,
+    startedAt,
+    endedAt: new Date(),
+    result,
+    promptHash: hashPrompt(prompt),
   });
 
   // Check if prd.json was created (with retry for file system timing)
@@ -309,70 +348,911 @@ function initProgressFile(progressFile) {
   }
 }
 
+/**
+ * Read a file, returning a fallback if it is missing or unreadable
+ * @param {string} filePath - Path to read
+ * @param {string} fallback - Value returned when the file can't be read
+ * @returns {string}
+ */
+function readFileOr(filePath, fallback) {
+  try {
+    return fs.readFileSync(filePath, 'utf-8');
+  } catch {
+    return fallback;
+  }
+}
+
+/**
+ * Collect the variables available to the agent loop prompt template
+ * @param {Object} config - Configuration object from createConfig()
+ * @param {Object} state - Loop state
+ * @param {number} state.iteration - Current iteration (default: 1)
+ * @param {number} state.maxIterations - Maximum iterations (default: config.MAX_ITERATIONS)
+ * @param {string} state.previousFailure - Why the previous iteration failed, if it did
+ * @param {Object} state.story - Story to work on (default: the next story in prd.json)
+ * @returns {Object} Template variables
+ */
+function getPromptVariables(config, state = {}) {
+  let prd = {};
+  try {
+    prd = JSON.parse(fs.readFileSync(config.PRD_FILE, 'utf-8'));
+  } catch {
+    // No usable prd.json yet; story and branch variables stay empty
+  }
+
+  const story = state.story !== undefined ? state.story : getNextStory(prd);
+  const relative = file => path.relative(config.WORKING_DIR, file) || '.';
+
+  return {
+    story: story ? { ...story, notes: story.notes || '' } : null,
+    project: prd.project || '',
+    branchName: prd.branchName || '',
+    iteration: state.iteration || 1,
+    maxIterations: state.maxIterations || config.MAX_ITERATIONS || 10,
+    codebasePatterns: parseCodebasePatterns(readFileOr(config.PROGRESS_FILE, '')),
+    previousFailure: state.previousFailure || '',
+    verifyCommands: config.VERIFY_COMMANDS || [],
+    prdFile: relative(config.PRD_FILE),
+    progressFile: relative(config.PROGRESS_FILE),
+    completionSignal: config.COMPLETION_SIGNAL || COMPLETION_SIGNAL,
+  };
+}
+
+/**
+ * Compile the agent loop prompt template
+ * @param {Object} config - Configuration object from createConfig()
+ * @returns {{render: Function}} Compiled template
+ * @throws {TemplateError} If the prompt has template syntax errors
+ */
+function compileLoopPrompt(config) {
+  return compileTemplate(fs.readFileSync(config.PROMPT_FILE, 'utf-8'), { name: config.PROMPT_FILE });
+}
+
+/**
+ * Build the prompt for one agent loop iteration
+ * @param {Object} config - Configuration object from createConfig()
+ * @param {Object} state - Loop state passed to getPromptVariables()
+ * @returns {string} Prompt for Claude
+ * @throws {TemplateError} On template syntax errors or missing variables
+ */
+function buildLoopPrompt(config, state = {}) {
+  return compileLoopPrompt(config).render(getPromptVariables(config, state));
+}
+
+/**
+ * Read prd.json before an iteration, so verifyIteration() can tell what the agent changed
+ * @param {Object} config - Configuration object from createConfig()
+ * @returns {Object|null} prd.json object, or null if it is missing or not valid JSON
+ */
+function readPrdSnapshot(config) {
+  try {
+    return readPrdJson(config.PRD_FILE);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Check prd.json after an iteration instead of taking the agent's word for what it finished
+ * @param {Object} config - Configuration object from createConfig()
+ * @param {Object} story - Story the iteration was given (or null)
+ * @param {Object|null} before - prd.json from readPrdSnapshot() before the iteration
+ * @param {boolean} signalled - Whether the agent printed the completion signal
+ * @returns {Object} { error, storyPassed, passed, failed, remaining, complete, signalRejected }:
+ *   error is why prd.json can't be read (remaining is then null), passed and failed are the IDs
+ *   whose passes changed, remaining the IDs still pending, and complete is true once none are
+ */
+function verifyIteration(config, story, before, signalled) {
+  let after;
+  let error = null;
+  try {
+    after = readPrdJson(config.PRD_FILE);
+    if (!Array.isArray(after.userStories)) error = `${config.PRD_FILE} has no userStories list`;
+  } catch (err) {
+    error = err.message;
+  }
+  if (error) {
+    return { error, storyPassed: false, passed: [], failed: [], remaining: null, complete: false, signalRejected: signalled };
+  }
+
+  const { passed, failed } = diffStoryPasses(before || {}, after);
+  const remaining = after.userStories.filter(isStoryPending).map(pending => pending.id);
+  const complete = remaining.length === 0;
+  return {
+    error,
+    storyPassed: Boolean(story) && passed.includes(story.id),
+    passed,
+    failed,
+    remaining,
+    complete,
+    signalRejected: signalled && !complete,
+  };
+}
+
+/**
+ * Describe why an iteration did not finish its story, for the next iteration's prompt
+ * @param {Object} config - Configuration object from createConfig()
+ * @param {number} iteration - Iteration that just ran
+ * @param {Object} story - Story the iteration was given (or null)
+ * @param {Object} result - Result from runAgent()
+ * @param {Object} verification - Result from verifyIteration()
+ * @param {Object|null} gate - Result from runQualityGates(), or null if there are no verify commands
+ * @returns {string} Failure description, or an empty string if the iteration succeeded
+ */
+function describeIterationFailure(config, iteration, story, result, verification, gate = null) {
+  if (result.timedOut) {
+    const tail = outputTail(result.output);
+    return `Iteration ${iteration} was stopped because it ${describeTimeout(config, result.timedOut)}. Last output:\n\n${tail}`;
+  }
+
+  const prdFile = path.relative(config.WORKING_DIR, config.PRD_FILE);
+  if (verification.error) {
+    return `Iteration ${iteration} left ${prdFile} unreadable (${verification.error}). Fix it before working on the story.`;
+  }
+
+  const failures = [];
+  if (gate && !gate.passed) {
+    const where = story ? `The output is in ${story.id}'s notes.` : `Last output:\n\n${outputTail(gate.failed.output)}`;
+    failures.push(`Iteration ${iteration}'s changes failed verification: ${describeVerifyFailure(gate.failed)}. ${where}`);
+  } else if (story && !verification.storyPassed) {
+    failures.push(`Iteration ${iteration} worked on ${story.id} but did not mark it as passing. Check ${path.relative(config.WORKING_DIR, config.PROGRESS_FILE)} and the git log for what was attempted.`);
+  }
+  if (verification.signalRejected) {
+    failures.push(`Iteration ${iteration} printed the completion signal, but ${verification.remaining.join(', ')} still ${verification.remaining.length === 1 ? 'does' : 'do'} not pass in ${prdFile}. Only print it once every story passes.`);
+  }
+  return failures.join('\n\n');
+}
+
+/**
+ * Pick the model for an iteration: the story's own model, else the configured one, unless the
+ * story has failed often enough to be escalated
+ * @param {Object} config - Configuration object from createConfig()
+ * @param {Object} story - Story the iteration was given (or null)
+ * @returns {{model: string|null, escalated: boolean}} model is null for the agent's default
+ */
+function getIterationModel(config, story) {
+  const attempts = story && story.attempts ? story.attempts : 0;
+  if (config.ESCALATION_MODEL && attempts >= config.ESCALATE_AFTER) {
+    return { model: config.ESCALATION_MODEL, escalated: true };
+  }
+  return { model: (story && story.model) || config.MODEL || null, escalated: false };
+}
+
+/**
+ * Count a failed attempt if the story an iteration was given still isn't done, and mark the
+ * story blocked once it reaches config.MAX_ATTEMPTS_PER_STORY
+ * @param {Object} config - Configuration object from createConfig()
+ * @param {Object} story - Story the iteration was given (or null)
+ * @param {string} failure - Why the attempt failed, from describeIterationFailure()
+ * @returns {{attempts: number, blocked: string|null}|null} The story's failed attempts so far and
+ *   its blocked reason if it is now blocked, or null if it passed, was skipped or can't be read
+ */
+function recordFailedAttempt(config, story, failure = '') {
+  if (!story) return null;
+  let prd;
+  let current;
+  try {
+    prd = readPrdJson(config.PRD_FILE);
+    current = (prd.userStories || []).find(candidate => candidate.id === story.id);
+  } catch {
+    // The agent left prd.json unreadable; the next iteration is told about that instead
+    return null;
+  }
+  if (!current || !isStoryPending(current)) return null;
+
+  const attempts = (current.attempts || 0) + 1;
+  const limit = config.MAX_ATTEMPTS_PER_STORY || 0;
+  let blocked = null;
+  let updated = incrementAttempts(prd, story.id);
+  if (limit > 0 && attempts >= limit) {
+    // The first sentence names the failure; the rest is output that belongs in the transcript
+    const last = failure.split('\n')[0].split(/(?<=\.) /)[0];
+    blocked = `Not finished after ${attempts} attempt${attempts === 1 ? '' : 's'}${last ? `. ${last.replace(/\.$/, '')}` : ''}`;
+    updated = blockStory(updated, story.id, blocked);
+    appendRunLogEntry(config.PROGRESS_FILE, story.id, [
+      `Blocked after ${attempts} failed attempt${attempts === 1 ? '' : 's'} (maxAttemptsPerStory is ${limit}); the loop moves on to other stories`,
+    ]);
+  }
+  writePrdJson(config.PRD_FILE, updated);
+  return { attempts, blocked };
+}
+
+/**
+ * Run one iteration's agent, retrying transient failures without using up another iteration
+ * @param {Object} adapter - Agent adapter
+ * @param {string} prompt - Iteration prompt
+ * @param {Object} config - Configuration object from createConfig()
+ * @param {Object} options - Options
+ * @param {number} options.iteration - Iteration number
+ * @param {Object} options.story - Story the iteration was given (or null)
+ * @param {boolean} options.silent - Suppress console output
+ * @param {Spinner} options.spinner - Spinner to stop when the first attempt starts printing
+ * @param {string} options.runId - Run the transcripts are saved under
+ * @param {string|null} options.model - Model to run, or null for the agent's default
+ * @param {string} options.cwd - Directory to run the agent in (default: config.WORKING_DIR)
+ * @param {Object} options.interrupt - Watcher from createInterruptWatcher(), if the run handles Ctrl+C
+ * @param {Function} options.onOutput - Called with the agent's output as it arrives, as for runAgent()
+ * @param {AbortSignal} options.signal - Aborting stops the agent, or the wait before a retry
+ * @returns {Promise<Object>} Result from runAgent() for the attempt that ran normally or was interrupted
+ * @throws {AgentError} If the agent fails in a way retrying won't fix, or keeps failing
+ * @throws {AbortError} If options.signal is aborted
+ */
+async function runIterationAgent(adapter, prompt, config, options) {
+  const { iteration, story, silent, runId, model = null, cwd = config.WORKING_DIR, interrupt = null, onOutput = null, signal = null } = options;
+  const storyId = story ? story.id : null;
+  const promptHash = hashPrompt(prompt);
+  let spinner = options.spinner;
+
+  for (let retry = 0; ; retry++) {
+    let result = null;
+    let failure;
+    let error = null;
+    const startedAt = new Date();
+    try {
+      result = await runAgent(adapter, prompt, {
+        streamOutput: !silent,
+        spinner,
+        cwd,
+        model,
+        interrupt,
+        onOutput,
+        signal,
+        ...getAgentTimeouts(config),
+      });
+      failure = classifyAgentFailure(result);
+    } catch (err) {
+      if (err instanceof AbortError) throw err;
+      if (spinner) spinner.stop();
+      error = err.message;
+      failure = { transient: false, reason: `the agent could not be started (${err.message})` };
+    }
+
+    writeTranscript(path.join(config.LOGS_DIR, runId), {
+      iteration,
+      storyId,
+      model,
+      startedAt,
+      endedAt: new Date(),
+      result,
+      promptHash,
+      completionSignalSeen: result ? adapter.isComplete(result, config.COMPLETION_SIGNAL) : false,
+      error,
+    });
+
+    if (result && result.usage) {
+      const ledger = recordUsage(config.USAGE_FILE, result.usage, { iteration, storyId });
+      if (!silent) {
+        console.log(`${colors.dim}Iteration ${iteration} used ${formatUsage(result.usage)} (branch total: ${formatUsage(ledger.totals)})${colors.reset}`);
+      }
+    }
+
+    if (!failure) return result;
+
+    const output = result ? outputTail(result.output) : '';
+    if (!failure.transient || retry >= config.MAX_RETRIES) {
+      const reason = failure.transient
+        ? `${failure.reason}, and still failed after ${retry} ${retry === 1 ? 'retry' : 'retries'}`
+        : failure.reason;
+      appendRunLogEntry(config.PROGRESS_FILE, storyId || 'No story', [`Iteration ${iteration} stopped the run because ${reason}`]);
+      throw new AgentError(`Iteration ${iteration} failed: ${reason}`, { reason, output });
+    }
+
+    const delay = getRetryDelay(config, retry + 1);
+    if (!silent) {
+      console.log('');
+      console.log(`${colors.yellow}Iteration ${iteration}: ${failure.reason}. Retrying in ${Math.ceil(delay / SECOND)}s (retry ${retry + 1} of ${config.MAX_RETRIES})...${colors.reset}`);
+    }
+    await interruptibleDelay(delay, interrupt, signal);
+    if (signal && signal.aborted) {
+      throw new AbortError('Agent run was aborted while waiting to retry', { cause: signal.reason, progress: { output: result ? result.output : '' } });
+    }
+    if (interrupt && interrupt.interrupted()) return { ...result, interrupted: interrupt.interrupted() };
+    spinner = silent ? null : new Spinner(`Iteration ${iteration}: retrying...`, colors.cyan).start();
+  }
+}
+
+/**
+ * Run the verify commands after an iteration. If one fails, every story the iteration marked as
+ * passing is set back to passes: false and the failure goes into the given story's notes.
+ * @param {Object} config - Configuration object from createConfig()
+ * @param {number} iteration - Iteration that just ran
+ * @param {Object} story - Story the iteration was given (or null)
+ * @param {Object|null} before - prd.json from readPrdSnapshot() before the iteration
+ * @param {boolean} silent - Suppress console output
+ * @param {Object|null} interrupt - Watcher from createInterruptWatcher(); prd.json is left alone if
+ *   the commands are interrupted
+ * @param {AbortSignal|null} signal - Aborting stops the running command; prd.json is left alone
+ * @returns {Promise<Object|null>} Result from runVerifyCommands(), or null if there are no verify commands
+ * @throws {AbortError} If signal is aborted
+ */
+async function runQualityGates(config, iteration, story, before, silent, interrupt = null, signal = null) {
+  const commands = config.VERIFY_COMMANDS || [];
+  if (commands.length === 0) return null;
+
+  let spinner = null;
+  let gate;
+  try {
+    gate = await runVerifyCommands(commands, {
+      cwd: config.WORKING_DIR,
+      timeout: getAgentTimeouts(config).timeout,
+      onCommand: (command) => {
+        if (spinner) spinner.stop();
+        spinner = silent ? null : new Spinner(`Verifying: ${command}`, colors.cyan).start();
+      },
+      interrupt,
+      signal,
+    });
+  } finally {
+    if (spinner) spinner.stop();
+  }
+  if (gate.interrupted) return gate;
+
+  const storyId = story ? story.id : null;
+  const prd = readPrdSnapshot(config);
+  const stories = prd && Array.isArray(prd.userStories) ? prd.userStories : null;
+  const lines = [];
+
+  if (gate.passed) {
+    lines.push(`Verification after iteration ${iteration} passed: ${commands.join(', ')}`);
+    // An earlier failure in the notes would only mislead the next iteration
+    const current = stories && stories.find(candidate => candidate.id === storyId);
+    if (current && current.notes && clearVerifyNotes(current.notes) !== current.notes) {
+      writePrdJson(config.PRD_FILE, {
+        ...prd,
+        userStories: stories.map(candidate => (candidate === current ? { ...candidate, notes: clearVerifyNotes(candidate.notes) } : candidate)),
+      });
+    }
+  } else {
+    lines.push(`Verification after iteration ${iteration} failed: ${describeVerifyFailure(gate.failed)}`);
+    if (stories) {
+      const { passed } = diffStoryPasses(before || {}, prd);
+      writePrdJson(config.PRD_FILE, {
+        ...prd,
+        userStories: stories.map((candidate) => {
+          let updated = passed.includes(candidate.id) ? { ...candidate, passes: false } : candidate;
+          if (candidate.id === storyId) updated = { ...updated, notes: addVerifyNotes(candidate.notes, iteration, gate.failed) };
+          return updated;
+        }),
+      });
+      if (passed.length > 0) lines.push(`${passed.join(', ')} set back to passes: false`);
+    }
+  }
+  appendRunLogEntry(config.PROGRESS_FILE, storyId || 'No story', lines);
+
+  if (!silent) {
+    if (gate.passed) {
+      console.log(`${colors.green}Verification passed: ${commands.join(', ')}${colors.reset}`);
+    } else {
+      console.log(`${colors.red}${lines.join('. ')}${colors.reset}`);
+      console.log(`${colors.dim}${outputTail(gate.failed.output)}${colors.reset}`);
+    }
+  }
+  return gate;
+}
+
+/**
+ * Note what an iteration did to prd.json: in the terminal, and in progress.txt when the agent
+ * claimed completion too early or changed stories it wasn't given
+ * @param {Object} config - Configuration object from createConfig()
+ * @param {number} iteration - Iteration that just ran
+ * @param {Object} story - Story the iteration was given (or null)
+ * @param {Object} verification - Result from verifyIteration()
+ * @param {boolean} silent - Suppress console output
+ */
+function reportVerification(config, iteration, story, verification, silent) {
+  const storyId = story ? story.id : null;
+  const lines = [];
+  const others = verification.passed.filter(id => id !== storyId);
+  if (others.length > 0) {
+    lines.push(`Iteration ${iteration} marked ${others.join(', ')} as passing, but was given ${storyId || 'no story'}`);
+  }
+  if (verification.failed.length > 0) {
+    lines.push(`Iteration ${iteration} marked ${verification.failed.join(', ')} as no longer passing`);
+  }
+  if (verification.signalRejected) {
+    const pending = verification.remaining
+      ? `${verification.remaining.join(', ')} ${verification.remaining.length === 1 ? 'does' : 'do'} not pass yet`
+      : `${path.relative(config.WORKING_DIR, config.PRD_FILE)} could not be read`;
+    lines.push(`Iteration ${iteration} printed the completion signal, which was ignored because ${pending}`);
+  }
+  if (lines.length > 0) {
+    appendRunLogEntry(config.PROGRESS_FILE, storyId || 'No story', lines);
+  }
+
+  if (silent) return;
+  if (verification.storyPassed) {
+    console.log(`${colors.green}${storyId} now passes${colors.reset}`);
+  }
+  for (const line of lines) {
+    console.log(`${colors.yellow}${line}.${colors.reset}`);
+  }
+}
+
+/**
+ * The part of a story that hook payloads carry
+ * @param {Object|null} story - Story from prd.json
+ * @returns {{id: string, title: string}|null}
+ */
+function describeStory(story) {
+  return story ? { id: story.id, title: story.title } : null;
+}
+
+/**
+ * Stop the run if stories are left but none can be worked on, because each one is blocked or
+ * waiting on a dependency that can't pass without them
+ * @param {Object} config - Configuration object from createConfig()
+ * @param {string} when - When the run is stopping, e.g. "before iteration 3"
+ * @param {boolean} silent - Suppress console output
+ * @param {Function} onStoriesBlocked - Callback called with the remaining stories ({id, title, reason})
+ * @returns {boolean} True if the run should stop
+ */
+function stopForBlockedStories(config, when, silent, onStoriesBlocked) {
+  const snapshot = readPrdSnapshot(config);
+  const blocked = snapshot && !getNextStory(snapshot) ? getBlockedStories(snapshot) : [];
+  if (blocked.length === 0) return false;
+
+  const stories = blocked.map(story => ({ id: story.id, title: story.title, reason: story.reason }));
+  appendRunLogEntry(config.PROGRESS_FILE, 'Stories blocked', [
+    `Stopped ${when} because no remaining story can be worked on`,
+    ...stories.map(story => `${story.id}: ${story.reason}`),
+  ]);
+  if (!silent) {
+    console.log('');
+    console.log(`${colors.yellow}Stopping ${when}: no remaining story can be worked on.${colors.reset}`);
+  }
+  if (onStoriesBlocked) onStoriesBlocked(stories);
+  return true;
+}
+
 /**
  * Run the main agent loop
  * @param {Object} config - Configuration object from createConfig()
  * @param {Object} options - Options
- * @param {number} options.maxIterations - Maximum iterations (default: 10)
+ * @param {number} options.maxIterations - Maximum iterations (default: config.MAX_ITERATIONS, or 10)
  * @param {boolean} options.silent - Suppress console output (default: false)
+ * @param {Object} options.adapter - Agent adapter (default: the one selected by config.AGENT)
  * @param {Function} options.onIteration - Callback called before each iteration with iteration number
  * @param {Function} options.onComplete - Callback called when all stories complete
+ * @param {string} options.runId - Run the transcripts are saved under (default: a new run)
+ * @param {Function} options.onBudgetExceeded - Callback called with the reason and run totals when a
+ *   --max-cost or --max-tokens limit stops the loop before an iteration
+ * @param {Function} options.onStoriesBlocked - Callback called with the remaining stories
+ *   ({id, title, reason}) when none of them can be worked on, because each is blocked after
+ *   config.MAX_ATTEMPTS_PER_STORY failed attempts or waiting on a dependency
+ * @param {boolean} options.handleSignals - Stop cleanly on SIGINT or SIGTERM and save a checkpoint
+ *   to config.CHECKPOINT_FILE (default: false, so signals are left to the caller; a signal during an
+ *   agent run is still passed on to the agent, as runAgent() does without a watcher)
+ * @param {Function} options.onInterrupted - Callback called with the saved checkpoint when a signal stops the loop
+ * @param {number} options.startIteration - Iteration to start at, when resuming from a checkpoint (default: 1)
+ * @param {string} options.previousFailure - What the first iteration is told about the one before it,
+ *   when resuming from a checkpoint
+ * @param {Object} options.hooks - Hook functions keyed by event (beforeRun, beforeIteration,
+ *   afterIteration, storyPassed, storyBlocked, runFailed, runComplete), called with the event's
+ *   payload after the config.HOOKS commands; a before* function that throws or returns false vetoes the step
+ * @param {Function} options.onVetoed - Callback called with the reason when a before* hook stops the loop
+ * @param {Function} options.onEvent - Called with each run event ({type, ...}), as listed in agent-run.js
+ * @param {AbortSignal} options.signal - Aborting stops the agent or command that is running, skips
+ *   the pause between iterations and rejects with an AbortError whose progress says how far the run got
  * @returns {Promise<boolean>} True if all stories completed
+ * @throws {AgentError} If the agent fails in a way retrying won't fix, or keeps failing after config.MAX_RETRIES retries
+ * @throws {AbortError} If options.signal is aborted
  */
 async function runAgentLoop(config, options = {}) {
-  const { maxIterations = 10, silent = false, onIteration, onComplete } = options;
+  const interrupt = options.handleSignals ? createInterruptWatcher() : null;
+  try {
+    return await runLoopIterations(config, options, interrupt);
+  } finally {
+    if (interrupt) interrupt.dispose();
+  }
+}
 
+/**
+ * Run the agent loop's iterations; runAgentLoop() sets up signal handling around it
+ * @param {Object} config - Configuration object from createConfig()
+ * @param {Object} options - Options given to runAgentLoop()
+ * @param {Object|null} interrupt - Watcher from createInterruptWatcher(), or null to leave signals alone
+ * @returns {Promise<boolean>} True if all stories completed
+ */
+async function runLoopIterations(config, options, interrupt) {
+  const {
+    maxIterations = config.MAX_ITERATIONS || 10,
+    silent = false,
+    adapter = getAgentAdapter(config),
+    onIteration,
+    onComplete,
+    onBudgetExceeded,
+    onStoriesBlocked,
+    onInterrupted,
+    onVetoed,
+    onEvent,
+    signal = null,
+    startIteration = 1,
+    runId = createRunId(config.LOGS_DIR),
+  } = options;
+  // Every way the run ends emits run:end, so that is where the journal records the outcome
+  let ended = false;
+  const emit = (type, details) => {
+    if (type === 'run:end') {
+      ended = true;
+      journal.finish(details);
+    }
+    if (onEvent) onEvent({ type, ...details });
+  };
+
+  const usageSoFar = formatUsageSoFar(readUsage(config.USAGE_FILE).totals, config);
   if (!silent) {
-    console.log(`${colors.bright}\nStarting Ralph - Max iterations: ${maxIterations}${colors.reset}`);
+    console.log(`${colors.bright}\nStarting Ralph - Max iterations: ${maxIterations}${startIteration > 1 ? ` (resuming at iteration ${startIteration})` : ''}${colors.reset}`);
+    console.log(`${colors.dim}Transcripts: ${path.relative(config.WORKING_DIR, path.join(config.LOGS_DIR, runId))}${colors.reset}`);
+    if (usageSoFar) console.log(`${colors.dim}${usageSoFar}${colors.reset}`);
+    if ((config.MAX_COST || config.MAX_TOKENS) && adapter.outputFormat !== 'stream-json') {
+      console.log(`${colors.yellow}Budget limits only apply to usage the agent reports; use --output-format stream-json so it is tracked.${colors.reset}`);
+    }
   }
 
-  const promptContent = fs.readFileSync(config.PROMPT_FILE, 'utf-8');
+  // Compile up front so template syntax errors fail before the first iteration
+  const template = compileLoopPrompt(config);
+  let previousFailure = options.previousFailure || '';
+  const journal = createJournal(config, { runId, mode: 'serial', maxIterations, startIteration, agent: adapter.name });
 
-  for (let i = 1; i <= maxIterations; i++) {
-    if (onIteration) onIteration(i, maxIterations);
+  const permissions = getPermissionProfile(config.PROFILE, config.PROFILES);
+  const permissionArgs = getPermissionArgs(permissions).join(' ');
+  appendRunLogEntry(config.PROGRESS_FILE, 'Run started', [
+    `Run ID: ${runId}`,
+    `Agent: ${adapter.name}`,
+    `Permission profile: ${permissions.name}${permissionArgs ? ` (${permissionArgs})` : ''}`,
+    ...(startIteration > 1 ? [`Resumed from a checkpoint at iteration ${startIteration} of ${maxIterations}`] : []),
+    ...(usageSoFar ? [usageSoFar] : []),
+  ]);
 
+  const prd = readPrdSnapshot(config);
+  const hooks = createHookRunner(config, {
+    functions: options.hooks,
+    context: { runId, project: prd ? prd.project || null : null, branchName: prd ? prd.branchName || null : null, maxIterations },
+    silent,
+    timeout: getAgentTimeouts(config).timeout,
+    interrupt,
+    signal,
+  });
+
+  /**
+   * Run an event's hooks, then emit it
+   * @param {string} hookEvent - Hook event, e.g. storyPassed
+   * @param {string} type - Run event type, e.g. story:passed
+   * @param {Object} details - Payload for both
+   */
+  const announce = async (hookEvent, type, details) => {
+    await hooks.run(hookEvent, details);
+    emit(type, details);
+  };
+
+  /**
+   * Run the runFailed hooks and stop
+   * @param {string} reason - budget, blocked, vetoed or maxIterations
+   * @param {string} message - Why the run stopped
+   * @returns {Promise<boolean>} false, for the loop to return
+   */
+  const stopFailed = async (reason, message) => {
+    await hooks.run('runFailed', { reason, message });
+    emit('run:end', { completed: false, reason, message });
+    return false;
+  };
+
+  /**
+   * Stop because a before* hook vetoed the next step
+   * @param {string} when - e.g. "before iteration 3"
+   * @param {string} reason - Which hook failed, and how
+   * @returns {Promise<boolean>} false, for the loop to return
+   */
+  const stopVetoed = (when, reason) => {
+    const message = `Stopped ${when} because ${reason}`;
+    appendRunLogEntry(config.PROGRESS_FILE, 'Hook vetoed', [message]);
     if (!silent) {
       console.log('');
-      console.log(`${colors.cyan}${'═'.repeat(55)}${colors.reset}`);
-      console.log(`${colors.cyan}  Ralph Iteration ${i} of ${maxIterations}${colors.reset}`);
-      console.log(`${colors.cyan}${'═'.repeat(55)}${colors.reset}`);
+      console.log(`${colors.yellow}${message}.${colors.reset}`);
     }
+    if (onVetoed) onVetoed(reason);
+    return stopFailed('vetoed', message);
+  };
 
-    const spinner = silent ? null : new Spinner(
-      `Iteration ${i}/${maxIterations}: Reading prd.json and selecting next user story...`,
-      colors.cyan
-    ).start();
+  /**
+   * Save a checkpoint and stop, after a signal
+   * @param {number} iteration - Iteration to run when the loop resumes
+   * @param {Object|null} story - Story the interrupted iteration was working on, if any
+   * @param {string} failure - What the resumed iteration should be told
+   * @returns {boolean} false, for the loop to return
+   */
+  const stopInterrupted = (iteration, story, failure) => {
+    const checkpoint = {
+      runId,
+      iteration,
+      maxIterations,
+      storyId: story ? story.id : null,
+      previousFailure: failure,
+      signal: interrupt.interrupted(),
+      interruptedAt: new Date().toISOString(),
+    };
+    writeCheckpoint(config.CHECKPOINT_FILE, checkpoint);
+    appendRunLogEntry(config.PROGRESS_FILE, 'Run interrupted', [
+      `${checkpoint.signal} received ${story ? `during iteration ${iteration} (${story.id})` : `before iteration ${iteration}`}`,
+      `Checkpoint saved; the run resumes at iteration ${iteration} of ${maxIterations}`,
+    ]);
+    if (!silent) {
+      console.log('');
+      console.log(`${colors.yellow}Interrupted. Checkpoint saved: the next run resumes at iteration ${iteration} of ${maxIterations}.${colors.reset}`);
+    }
+    if (onInterrupted) onInterrupted(checkpoint);
+    emit('run:end', { completed: false, reason: 'interrupted', message: `${checkpoint.signal} received; the run resumes at iteration ${iteration} of ${maxIterations}` });
+    return false;
+  };
 
-    const { output } = await runClaude(promptContent, {
-      streamOutput: !silent,
-      spinner,
-      cwd: config.WORKING_DIR,
+  // Stories this run finished, for an AbortError's progress
+  const passedStories = [];
+
+  /**
+   * Log an abort and build the error to throw
+   * @param {number} iteration - Iteration that was running, or about to start
+   * @param {Object|null} story - Story the iteration was working on, if it had started
+   * @param {AbortError|null} error - Error from the agent or command that was stopped, if any
+   * @returns {AbortError} Error whose progress says how far the run got
+   */
+  const abortRun = (iteration, story, error = null) => {
+    const where = story ? `during iteration ${iteration} (${story.id})` : `before iteration ${iteration}`;
+    appendRunLogEntry(config.PROGRESS_FILE, 'Run aborted', [`Aborted ${where}`]);
+    emit('run:end', { completed: false, reason: 'aborted', message: `Aborted ${where}` });
+    return new AbortError(`Run aborted ${where}`, {
+      cause: signal.reason,
+      progress: {
+        runId,
+        iteration,
+        maxIterations,
+        storyId: story ? story.id : null,
+        passed: [...passedStories],
+        output: error ? error.progress.output || '' : '',
+      },
     });
+  };
+
+  emit('run:start', { runId, maxIterations, startIteration });
+  const budgetWarned = new Set();
+
+  // Whatever goes wrong, the run ends with run:end and its journal records how
+  try {
+    const beforeRun = await hooks.run('beforeRun', { startIteration });
+    if (beforeRun.vetoed) {
+      return stopVetoed('before the run started', beforeRun.reason);
+    }
+
+    for (let i = startIteration; i <= maxIterations; i++) {
+      if (signal && signal.aborted) {
+        throw abortRun(i, null);
+      }
+      if (interrupt && interrupt.interrupted()) {
+        return stopInterrupted(i, null, previousFailure);
+      }
+
+      // Checked before each iteration, so the last one may go over the limit
+      const { totals } = readUsage(config.USAGE_FILE);
+      const budgetReason = checkBudget(totals, config);
+      if (budgetReason) {
+        appendRunLogEntry(config.PROGRESS_FILE, 'Budget reached', [`Stopped before iteration ${i} because ${budgetReason}`]);
+        if (!silent) {
+          console.log('');
+          console.log(`${colors.yellow}Stopping before iteration ${i}: ${budgetReason}.${colors.reset}`);
+        }
+        if (onBudgetExceeded) onBudgetExceeded(budgetReason, totals);
+        return stopFailed('budget', `Stopped before iteration ${i} because ${budgetReason}`);
+      }
+      // Each limit is only warned about once
+      for (const warning of getBudgetWarnings(totals, config).filter(candidate => !budgetWarned.has(candidate.limit))) {
+        budgetWarned.add(warning.limit);
+        if (!silent) console.log(`${colors.yellow}Budget warning: ${warning.message}.${colors.reset}`);
+        emit('budget:warning', { iteration: i, ...warning });
+      }
+
+      if (stopForBlockedStories(config, `before iteration ${i}`, silent, onStoriesBlocked)) {
+        return stopFailed('blocked', `Stopped before iteration ${i} because no remaining story can be worked on`);
+      }
+
+      const variables = getPromptVariables(config, { iteration: i, maxIterations, previousFailure });
+      const beforeIteration = await hooks.run('beforeIteration', { iteration: i, story: describeStory(variables.story) });
+      if (beforeIteration.vetoed) {
+        return stopVetoed(`before iteration ${i}`, beforeIteration.reason);
+      }
+      if (signal && signal.aborted) {
+        throw abortRun(i, null);
+      }
+      if (interrupt && interrupt.interrupted()) {
+        return stopInterrupted(i, null, previousFailure);
+      }
+
+      if (onIteration) onIteration(i, maxIterations);
+      emit('iteration:start', { iteration: i, maxIterations });
+      if (variables.story) emit('story:selected', { iteration: i, story: describeStory(variables.story) });
 
-    if (output.includes(config.COMPLETION_SIGNAL)) {
       if (!silent) {
         console.log('');
-        console.log(`${colors.green}${colors.bright}Ralph completed all tasks!${colors.reset}`);
-        console.log(`${colors.green}Completed at iteration ${i} of ${maxIterations}${colors.reset}`);
+        console.log(`${colors.cyan}${'═'.repeat(55)}${colors.reset}`);
+        console.log(`${colors.cyan}  Ralph Iteration ${i} of ${maxIterations}${colors.reset}`);
+        console.log(`${colors.cyan}${'═'.repeat(55)}${colors.reset}`);
+      }
+
+      const promptContent = template.render(variables);
+
+      const { model, escalated } = getIterationModel(config, variables.story);
+      const failedAttempts = escalated ? `${variables.story.attempts} failed attempt${variables.story.attempts === 1 ? '' : 's'}` : '';
+      if (escalated) {
+        appendRunLogEntry(config.PROGRESS_FILE, variables.story.id, [`Iteration ${i} uses ${model} after ${failedAttempts}`]);
+      }
+      if (!silent && model) {
+        console.log(`${colors.dim}Model: ${model}${escalated ? ` (escalated after ${failedAttempts})` : ''}${colors.reset}`);
+      }
+
+      const spinner = silent ? null : new Spinner(
+        `Iteration ${i}/${maxIterations}: ${variables.story ? `Working on ${variables.story.id}: ${variables.story.title}` : 'No story selected, checking prd.json'}...`,
+        colors.cyan
+      ).start();
+
+      const before = readPrdSnapshot(config);
+      const entry = journal.startIteration(i, describeStory(variables.story), { model });
+
+      let result;
+      try {
+        result = await runIterationAgent(adapter, promptContent, config, {
+          iteration: i,
+          story: variables.story,
+          silent,
+          spinner,
+          runId,
+          model,
+          interrupt,
+          onOutput: (text, stream) => emit('agent:output', { iteration: i, storyId: variables.story ? variables.story.id : null, stream, text }),
+          signal,
+        });
+      } catch (err) {
+        if (err instanceof AbortError) throw abortRun(i, variables.story, err);
+        throw err;
+      }
+
+      // The interrupted iteration runs again on resume; it isn't counted as a failed attempt
+      const interruptedFailure = `Iteration ${i} was interrupted before it finished. Check git status and the git log for work it left behind.`;
+      if (result.interrupted) {
+        return stopInterrupted(i, variables.story, interruptedFailure);
+      }
+
+      if (result.timedOut) {
+        const reason = `Iteration ${i} was stopped because it ${describeTimeout(config, result.timedOut)}`;
+        appendRunLogEntry(config.PROGRESS_FILE, variables.story ? variables.story.id : 'No story', [reason]);
+        if (!silent) {
+          console.log('');
+          console.log(`${colors.yellow}${reason}. Moving on to the next iteration.${colors.reset}`);
+        }
+      }
+
+      // Runs before verifyIteration() so stories that fail verification are not counted as done
+      let gate;
+      try {
+        gate = await runQualityGates(config, i, variables.story, before, silent, interrupt, signal);
+      } catch (err) {
+        if (err instanceof AbortError) throw abortRun(i, variables.story, err);
+        throw err;
+      }
+      if (gate && gate.interrupted) {
+        return stopInterrupted(i, variables.story, interruptedFailure);
       }
-      if (onComplete) onComplete(i);
-      return true;
+      if (gate && !gate.passed) {
+        emit('verification:failed', {
+          iteration: i,
+          story: describeStory(variables.story),
+          command: gate.failed.command,
+          reason: describeVerifyFailure(gate.failed),
+          output: outputTail(gate.failed.output),
+        });
+      }
+      const verification = verifyIteration(config, variables.story, before, adapter.isComplete(result, config.COMPLETION_SIGNAL));
+      reportVerification(config, i, variables.story, verification, silent);
+      journal.endIteration(entry, { result, storyPassed: verification.storyPassed, passed: verification.passed, failed: verification.failed, gate });
+
+      // Includes stories the iteration finished without being given them
+      const after = readPrdSnapshot(config);
+      for (const id of verification.passed) {
+        const story = after.userStories.find(candidate => candidate.id === id);
+        passedStories.push(id);
+        await announce('storyPassed', 'story:passed', { iteration: i, story: describeStory(story) });
+      }
+
+      if (verification.complete) {
+        await announce('afterIteration', 'iteration:end', { iteration: i, story: describeStory(variables.story), storyPassed: verification.storyPassed, failure: '' });
+        if (!silent) {
+          console.log('');
+          console.log(`${colors.green}${colors.bright}Ralph completed all tasks!${colors.reset}`);
+          console.log(`${colors.green}Completed at iteration ${i} of ${maxIterations}${colors.reset}`);
+        }
+        await hooks.run('runComplete', { iteration: i });
+        if (onComplete) onComplete(i);
+        emit('run:end', { completed: true, reason: 'complete', message: `Completed at iteration ${i} of ${maxIterations}` });
+        return true;
+      }
+
+      const failure = describeIterationFailure(config, i, variables.story, result, verification, gate);
+      previousFailure = failure;
+      const attempt = recordFailedAttempt(config, variables.story, failure);
+      if (attempt && attempt.blocked) {
+        // The next iteration works on another story, so this one's failure would only distract it
+        previousFailure = '';
+        if (!silent) {
+          console.log(`${colors.yellow}${variables.story.id} is blocked: ${attempt.blocked}. Moving on to the next story.${colors.reset}`);
+        }
+        await announce('storyBlocked', 'story:blocked', { iteration: i, story: describeStory(variables.story), reason: attempt.blocked, attempts: attempt.attempts });
+      }
+      await announce('afterIteration', 'iteration:end', { iteration: i, story: describeStory(variables.story), storyPassed: verification.storyPassed, failure });
+
+      if (!silent && i < maxIterations) {
+        const pauseSpinner = new Spinner(`Iteration ${i} complete. Preparing iteration ${i + 1}...`, colors.dim).start();
+        await interruptibleDelay(2000, interrupt, signal);
+        pauseSpinner.stop();
+      }
+    }
+
+    // The last iteration may have blocked the last story that could be worked on
+    if (stopForBlockedStories(config, `after iteration ${maxIterations}`, silent, onStoriesBlocked)) {
+      return stopFailed('blocked', `Stopped after iteration ${maxIterations} because no remaining story can be worked on`);
+    }
+
+    if (!silent) {
+      console.log('');
+      console.log(`${colors.yellow}Ralph reached max iterations (${maxIterations}) without completing all tasks.${colors.reset}`);
+      console.log(`${colors.yellow}Check ${config.PROGRESS_FILE} for status.${colors.reset}`);
     }
 
-    if (!silent && i < maxIterations) {
-      const pauseSpinner = new Spinner(`Iteration ${i} complete. Preparing iteration ${i + 1}...`, colors.dim).start();
-      await new Promise(resolve => setTimeout(resolve, 2000));
-      pauseSpinner.stop();
+    return stopFailed('maxIterations', `Reached max iterations (${maxIterations}) without completing all tasks`);
+  } catch (err) {
+    if (!ended) {
+      await hooks.run('runFailed', { reason: 'error', message: err.message });
+      emit('run:end', { completed: false, reason: 'error', message: err.message });
     }
+    throw err;
   }
+}
 
-  if (!silent) {
-    console.log('');
-    console.log(`${colors.yellow}Ralph reached max iterations (${maxIterations}) without completing all tasks.${colors.reset}`);
-    console.log(`${colors.yellow}Check ${config.PROGRESS_FILE} for status.${colors.reset}`);
+/**
+ * Copy the current prd.json, progress.txt and usage.json into a dated archive folder
+ * @param {Object} config - Configuration object
+ * @param {string} label - Folder label, typically the branch name (default: PRD branchName)
+ * @returns {string|null} Path to the archive folder, or null if there was nothing to archive
+ */
+function archiveRun(config, label = null) {
+  if (!fs.existsSync(config.PRD_FILE) && !fs.existsSync(config.PROGRESS_FILE)) {
+    return null;
+  }
+
+  if (!label) {
+    try {
+      label = JSON.parse(fs.readFileSync(config.PRD_FILE, 'utf-8')).branchName || null;
+    } catch {
+      // Fall back to a generic label below
+    }
+  }
+
+  const date = new Date().toISOString().split('T')[0];
+  const folderName = (label || 'run').replace(/^ralph\//, '').replace(/[\\/]/g, '-');
+  let archiveFolder = path.join(config.ARCHIVE_DIR, `${date}-${folderName}`);
+  for (let suffix = 2; fs.existsSync(archiveFolder); suffix++) {
+    archiveFolder = path.join(config.ARCHIVE_DIR, `${date}-${folderName}-${suffix}`);
   }
 
-  return false;
+  fs.mkdirSync(archiveFolder, { recursive: true });
+
+  if (fs.existsSync(config.PRD_FILE)) {
+    fs.copyFileSync(config.PRD_FILE, path.join(archiveFolder, 'prd.json'));
+  }
+  if (fs.existsSync(config.PROGRESS_FILE)) {
+    fs.copyFileSync(config.PROGRESS_FILE, path.join(archiveFolder, 'progress.txt'));
+  }
+  if (fs.existsSync(config.USAGE_FILE)) {
+    fs.copyFileSync(config.USAGE_FILE, path.join(archiveFolder, 'usage.json'));
+  }
+
+  return archiveFolder;
 }
 
 /**
@@ -390,20 +1270,11 @@ function archivePreviousRun(config) {
     const lastBranch = fs.readFileSync(config.LAST_BRANCH_FILE, 'utf-8').trim();
 
     if (currentBranch && lastBranch && currentBranch !== lastBranch) {
-      const date = new Date().toISOString().split('T')[0];
-      const folderName = lastBranch.replace(/^ralph\//, '');
-      const archiveFolder = path.join(config.ARCHIVE_DIR, `${date}-${folderName}`);
-
-      fs.mkdirSync(archiveFolder, { recursive: true });
-
-      if (fs.existsSync(config.PRD_FILE)) {
-        fs.copyFileSync(config.PRD_FILE, path.join(archiveFolder, 'prd.json'));
-      }
-      if (fs.existsSync(config.PROGRESS_FILE)) {
-        fs.copyFileSync(config.PROGRESS_FILE, path.join(archiveFolder, 'progress.txt'));
-      }
-
+      archiveRun(config, lastBranch);
       fs.writeFileSync(config.PROGRESS_FILE, `# Ralph Progress Log\nStarted: ${new Date().toISOString()}\n---\n`);
+      // The new branch is a new run with its own budget, and nothing to resume
+      fs.rmSync(config.USAGE_FILE, { force: true });
+      fs.rmSync(config.CHECKPOINT_FILE, { force: true });
     }
   } catch {
     // Ignore errors in archiving
@@ -436,9 +1307,24 @@ module.exports = {
   COMPLETION_SIGNAL,
 
   // Core functions
+  getClaudeCommand,
   runClaude,
+  buildPrdPrompt,
+  getPromptVariables,
+  compileLoopPrompt,
+  buildLoopPrompt,
   generatePrdJson,
   runAgentLoop,
+  getRetryDelay,
+  getIterationModel,
+  verifyIteration,
+  describeIterationFailure,
+  readPrdSnapshot,
+  recordFailedAttempt,
+  describeStory,
+  stopForBlockedStories,
+  getAgentTimeouts,
+  runIterationAgent,
 
   // Status functions
   hasPrdJson,
@@ -447,6 +1333,7 @@ module.exports = {
   // File utilities
   ensureOutputDir,
   initProgressFile,
+  archiveRun,
   archivePreviousRun,
   trackCurrentBranch,
   getRalphSkillInstructions,
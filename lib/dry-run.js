@@ -0,0 +1,55 @@
+/**
+ * Dry-run reporting for claude-all
+ * Describes what would be sent to the agent without spawning it or touching output/
+ */
+
+const { colors } = require('./core');
+const { getAgentAdapter } = require('./agents');
+const { getPermissionProfile } = require('./permissions');
+
+// How each prompt delivery is shown in place of the prompt itself
+const PROMPT_PLACEHOLDERS = { prompt: '<prompt>', promptFile: '<prompt-file>' };
+
+/**
+ * Build a dry-run report for a single agent invocation
+ * @param {Object} plan - What would be run
+ * @param {string} plan.title - Phase being described (e.g. "PRD generation")
+ * @param {Object} plan.config - Configuration object from createConfig()
+ * @param {string} plan.prompt - Fully assembled prompt
+ * @param {string} plan.promptSource - Where the prompt came from (file path or description)
+ * @param {string|null} plan.model - Model the agent would run with (default: null, the agent's default)
+ * @returns {string} Report text (with ANSI colors)
+ */
+function formatDryRun({ title, config, prompt, promptSource, model = null }) {
+  const adapter = getAgentAdapter(config);
+  const commandLine = adapter.getCommand({ ...PROMPT_PLACEHOLDERS, model });
+  // Prompts passed as an argument or file already show up as placeholders in the command line
+  const delivery = adapter.promptDelivery === 'stdin' ? ' < prompt' : '';
+  const rule = '─'.repeat(55);
+  const width = Math.max(...Object.keys(config).map(key => key.length));
+
+  const lines = [
+    `${colors.magenta}${colors.bright}Dry run: ${title}${colors.reset}`,
+    `${colors.magenta}${'═'.repeat(55)}${colors.reset}`,
+    `${colors.bright}Working directory:${colors.reset} ${config.WORKING_DIR}`,
+    `${colors.bright}Agent:${colors.reset} ${adapter.name}`,
+    `${colors.bright}Model:${colors.reset} ${model || 'agent default'}`,
+    `${colors.bright}Permissions:${colors.reset} ${getPermissionProfile(config.PROFILE, config.PROFILES).name}`,
+    `${colors.bright}Command:${colors.reset} ${commandLine}${delivery}`,
+    `${colors.bright}Prompt source:${colors.reset} ${promptSource}`,
+    '',
+    `${colors.bright}Resolved configuration:${colors.reset}`,
+    ...Object.entries(config).map(([key, value]) => `  ${key.padEnd(width)}  ${value && typeof value === 'object' ? JSON.stringify(value) : value}`),
+    '',
+    `${colors.bright}Prompt (${prompt.length} characters):${colors.reset}`,
+    `${colors.dim}${rule}${colors.reset}`,
+    prompt,
+    `${colors.dim}${rule}${colors.reset}`,
+  ];
+
+  return lines.join('\n');
+}
+
+module.exports = {
+  formatDryRun,
+};
@@ -0,0 +1,199 @@
+/**
+ * Git helpers for claude-all
+ * Thin wrappers around the git CLI. Queries return null instead of throwing outside a repository;
+ * the worktree and merge helpers used by parallel runs throw with git's own message.
+ */
+
+const { execFileSync } = require('child_process');
+
+/**
+ * Run a git command and return its trimmed stdout
+ * @param {string[]} args - Arguments to pass to git
+ * @param {string} cwd - Directory to run git in
+ * @returns {string|null} Command output, or null if git failed
+ */
+function git(args, cwd) {
+  try {
+    return execFileSync('git', args, { cwd, encoding: 'utf-8', stdio: ['ignore', 'pipe', 'ignore'] }).trim();
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Get the checked out branch name
+ * @param {string} cwd - Repository directory
+ * @returns {string|null} Branch name, or null if not in a git repository or HEAD is detached
+ */
+function getCurrentBranch(cwd) {
+  const branch = git(['rev-parse', '--abbrev-ref', 'HEAD'], cwd);
+  return branch && branch !== 'HEAD' ? branch : null;
+}
+
+/**
+ * Run a git command that must succeed
+ * @param {string[]} args - Arguments to pass to git
+ * @param {string} cwd - Directory to run git in
+ * @returns {string} Trimmed stdout
+ * @throws {Error} With git's error output if the command fails
+ */
+function runGit(args, cwd) {
+  try {
+    return execFileSync('git', args, { cwd, encoding: 'utf-8', stdio: ['ignore', 'pipe', 'pipe'] }).trim();
+  } catch (err) {
+    // Merge conflicts are reported on stdout, most other errors on stderr
+    const detail = [err.stdout, err.stderr].map(output => (output ? String(output).trim() : '')).filter(Boolean).join('\n');
+    throw new Error(`git ${args[0]} failed: ${detail || err.message}`);
+  }
+}
+
+/**
+ * Check whether a directory is inside a git working tree
+ * @param {string} cwd - Directory to check
+ * @returns {boolean}
+ */
+function isGitRepository(cwd) {
+  return git(['rev-parse', '--is-inside-work-tree'], cwd) === 'true';
+}
+
+/**
+ * Check whether a local branch exists
+ * @param {string} cwd - Repository directory
+ * @param {string} branch - Branch name
+ * @returns {boolean}
+ */
+function branchExists(cwd, branch) {
+  return git(['rev-parse', '--verify', '--quiet', `refs/heads/${branch}`], cwd) !== null;
+}
+
+/**
+ * Check for uncommitted changes to tracked files (untracked files don't get in the way of a merge)
+ * @param {string} cwd - Repository directory
+ * @returns {boolean}
+ */
+function hasUncommittedChanges(cwd) {
+  return Boolean(git(['status', '--porcelain', '--untracked-files=no'], cwd));
+}
+
+/**
+ * Get the commit HEAD points at
+ * @param {string} cwd - Repository directory
+ * @returns {string|null} Commit hash
+ */
+function getHeadCommit(cwd) {
+  return git(['rev-parse', 'HEAD'], cwd);
+}
+
+/**
+ * List the commits made since a commit, oldest first
+ * @param {string} cwd - Repository directory
+ * @param {string|null} since - Commit to start after, or null for every commit up to HEAD
+ * @returns {string[]} Commit hashes, empty if there are none or git failed
+ */
+function listCommitsSince(cwd, since) {
+  const output = git(['rev-list', '--reverse', since ? `${since}..HEAD` : 'HEAD'], cwd);
+  return output ? output.split('\n') : [];
+}
+
+/**
+ * Check whether a file is tracked by git
+ * @param {string} cwd - Repository directory
+ * @param {string} file - File path
+ * @returns {boolean}
+ */
+function isTracked(cwd, file) {
+  return Boolean(git(['ls-files', '--', file], cwd));
+}
+
+/**
+ * Check out a branch, creating it from HEAD if it doesn't exist
+ * @param {string} cwd - Repository directory
+ * @param {string} branch - Branch name
+ * @throws {Error} If git can't check it out
+ */
+function checkoutBranch(cwd, branch) {
+  runGit(branchExists(cwd, branch) ? ['checkout', branch] : ['checkout', '-b', branch], cwd);
+}
+
+/**
+ * Commit every change in a working tree, including untracked files that aren't ignored
+ * @param {string} cwd - Working tree directory
+ * @param {string} message - Commit message
+ * @returns {boolean} False if there was nothing to commit
+ * @throws {Error} If git can't commit
+ */
+function commitAll(cwd, message) {
+  runGit(['add', '--all'], cwd);
+  if (!git(['status', '--porcelain'], cwd)) return false;
+  runGit(['commit', '--no-verify', '-m', message], cwd);
+  return true;
+}
+
+/**
+ * Create a worktree with a new branch, replacing any branch of that name left from an earlier attempt
+ * @param {string} cwd - Repository directory
+ * @param {string} dir - Directory for the worktree
+ * @param {string} branch - Branch to create
+ * @param {string} base - Branch or commit to start from
+ * @throws {Error} If git can't create the worktree
+ */
+function addWorktree(cwd, dir, branch, base) {
+  runGit(['worktree', 'add', '-B', branch, dir, base], cwd);
+}
+
+/**
+ * Remove a worktree and its branch, ignoring ones that are already gone
+ * @param {string} cwd - Repository directory
+ * @param {string} dir - Worktree directory
+ * @param {string} branch - Branch the worktree was created with
+ */
+function removeWorktree(cwd, dir, branch) {
+  git(['worktree', 'remove', '--force', dir], cwd);
+  git(['worktree', 'prune'], cwd);
+  git(['branch', '-D', branch], cwd);
+}
+
+/**
+ * Merge a branch into the checked out branch with a merge commit, aborting if it conflicts
+ * @param {string} cwd - Repository directory
+ * @param {string} branch - Branch to merge
+ * @param {string} message - Merge commit message
+ * @returns {{merged: boolean, error: string|null}} error is git's output when the merge failed
+ */
+function mergeBranch(cwd, branch, message) {
+  try {
+    runGit(['merge', '--no-ff', '-m', message, branch], cwd);
+    return { merged: true, error: null };
+  } catch (err) {
+    git(['merge', '--abort'], cwd);
+    return { merged: false, error: err.message };
+  }
+}
+
+/**
+ * Move the checked out branch back to a commit, discarding changes to tracked files
+ * @param {string} cwd - Repository directory
+ * @param {string} commit - Commit to return to
+ * @throws {Error} If git can't reset
+ */
+function resetHard(cwd, commit) {
+  runGit(['reset', '--hard', commit], cwd);
+}
+
+module.exports = {
+  git,
+  runGit,
+  getCurrentBranch,
+  isGitRepository,
+  branchExists,
+  hasUncommittedChanges,
+  getHeadCommit,
+  listCommitsSince,
+  isTracked,
+  checkoutBranch,
+  commitAll,
+  addWorktree,
+  removeWorktree,
+  mergeBranch,
+  resetHard,
+};
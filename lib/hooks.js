@@ -0,0 +1,142 @@
+/**
+ * Lifecycle hooks for claude-all
+ *
+ * Hooks run at fixed points of a run: shell commands from the `hooks` setting, then functions
+ * passed to runAgentLoop() as options.hooks. Each gets a JSON payload describing the event, on
+ * stdin for commands and as the argument for functions. A `before*` hook that fails (a command
+ * that exits non-zero, a function that throws or returns false) vetoes the step and the run stops
+ * there; any other hook that fails is logged and the run goes on.
+ */
+
+const { AbortError, runAgent } = require('./agents');
+const { describeVerifyFailure } = require('./verify');
+const { appendRunLogEntry } = require('./prd-utils');
+const colors = require('./colors');
+
+const HOOK_EVENTS = ['beforeRun', 'beforeIteration', 'afterIteration', 'storyPassed', 'storyBlocked', 'runFailed', 'runComplete'];
+
+// Events whose hooks can stop the step they come before
+const VETO_EVENTS = ['beforeRun', 'beforeIteration'];
+
+/**
+ * Check the `hooks` setting
+ * @param {Object} hooks - Shell commands keyed by event: a command or a list of them
+ * @returns {string[]} Errors, empty if the hooks are valid
+ */
+function validateHooks(hooks) {
+  const errors = [];
+  for (const [event, commands] of Object.entries(hooks)) {
+    if (!HOOK_EVENTS.includes(event)) {
+      errors.push(`unknown event "${event}" (expected one of: ${HOOK_EVENTS.join(', ')})`);
+      continue;
+    }
+    const list = typeof commands === 'string' ? [commands] : commands;
+    if (!Array.isArray(list) || list.length === 0 || list.some(command => typeof command !== 'string' || command.trim() === '')) {
+      errors.push(`"${event}" must be a command or a list of commands, got ${JSON.stringify(commands)}`);
+    }
+  }
+  return errors;
+}
+
+/**
+ * Wrap a hook command as an adapter, so it gets runAgent()'s process group, timeout and Ctrl+C handling
+ * @param {string} command - Shell command
+ * @returns {Object} Agent adapter
+ */
+function createHookAdapter(command) {
+  return {
+    name: 'hook',
+    promptDelivery: 'stdin',
+    outputFormat: 'text',
+    getCommand: () => command,
+    isComplete: () => false,
+  };
+}
+
+/**
+ * Create the hook runner for a run
+ * @param {Object} config - Configuration object from createConfig(); config.HOOKS holds the commands
+ * @param {Object} options - Options
+ * @param {Object} options.functions - Functions keyed by event: a function or a list of them, called
+ *   with the payload and awaited
+ * @param {Object} options.context - Fields every payload starts with, such as the run ID
+ * @param {boolean} options.silent - Suppress console output, including the commands' own (default: false)
+ * @param {number} options.timeout - Stop a command after this many milliseconds (default: 0, no limit)
+ * @param {Object} options.interrupt - Watcher from createInterruptWatcher(); an interrupted command
+ *   stops the event's remaining hooks without vetoing anything
+ * @param {AbortSignal} options.signal - Aborting stops the running command and, like an interruption,
+ *   the event's remaining hooks
+ * @returns {{run: Function}} run(event, details) runs the event's hooks in order with the payload
+ *   {event, ...context, ...details}, and resolves with {vetoed, reason}. reason says which hook
+ *   vetoed the step and how, e.g. "the beforeIteration hook `npm run seed` exited with code 1".
+ */
+function createHookRunner(config, options = {}) {
+  const { functions = {}, context = {}, silent = false, timeout = 0, interrupt = null, signal = null } = options;
+  const commandHooks = config.HOOKS || {};
+
+  /**
+   * Run one hook command
+   * @returns {Promise<{failure: string|null, interrupted: boolean}>}
+   */
+  async function runCommand(event, command, payload) {
+    if (!silent) console.log(`${colors.dim}Running ${event} hook: ${command}${colors.reset}`);
+    try {
+      const result = await runAgent(createHookAdapter(command), `${JSON.stringify(payload)}\n`, {
+        streamOutput: !silent,
+        cwd: config.WORKING_DIR,
+        timeout,
+        interrupt,
+        signal,
+      });
+      if (result.interrupted) return { failure: null, interrupted: true };
+      const failed = result.code !== 0 || result.timedOut;
+      return { failure: failed ? describeVerifyFailure({ command, ...result }) : null, interrupted: false };
+    } catch (err) {
+      if (err instanceof AbortError) return { failure: null, interrupted: true };
+      return { failure: `\`${command}\` could not be started (${err.message})`, interrupted: false };
+    }
+  }
+
+  /**
+   * Call one hook function
+   * @returns {Promise<{failure: string|null, interrupted: boolean}>}
+   */
+  async function callFunction(event, fn, payload) {
+    try {
+      const returned = await fn(payload);
+      return { failure: returned === false && VETO_EVENTS.includes(event) ? 'function returned false' : null, interrupted: false };
+    } catch (err) {
+      return { failure: `function threw an error: ${err.message}`, interrupted: false };
+    }
+  }
+
+  async function run(event, details = {}) {
+    const payload = { event, ...context, ...details };
+    const commands = [].concat(commandHooks[event] || []);
+    const hooks = [
+      ...commands.map(command => () => runCommand(event, command, payload)),
+      ...[].concat(functions[event] || []).map(fn => () => callFunction(event, fn, payload)),
+    ];
+
+    for (const hook of hooks) {
+      const { failure, interrupted } = await hook();
+      if (interrupted) break;
+      if (!failure) continue;
+
+      const reason = `the ${event} hook ${failure}`;
+      if (VETO_EVENTS.includes(event)) return { vetoed: true, reason };
+      appendRunLogEntry(config.PROGRESS_FILE, 'Hook failed', [`The ${event} hook ${failure}; the run goes on`]);
+      if (!silent) console.log(`${colors.yellow}The ${event} hook ${failure}; the run goes on.${colors.reset}`);
+    }
+    return { vetoed: false, reason: null };
+  }
+
+  return { run };
+}
+
+module.exports = {
+  HOOK_EVENTS,
+  VETO_EVENTS,
+  validateHooks,
+  createHookRunner,
+};
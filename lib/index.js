@@ -19,6 +19,15 @@
 const core = require('./core');
 const prdUtils = require('./prd-utils');
 const configModule = require('./config');
+const status = require('./status');
+const template = require('./template');
+const agents = require('./agents');
+const streamJson = require('./stream-json');
+const budget = require('./budget');
+const parallel = require('./parallel');
+const hooks = require('./hooks');
+const agentRun = require('./agent-run');
+const journal = require('./journal');
 
 module.exports = {
   // Core functionality
@@ -28,6 +37,49 @@ module.exports = {
   validatePrdJson: prdUtils.validatePrdJson,
   readPrdFile: prdUtils.readPrdFile,
 
-  // Config utilities (alternative API)
+  // Prompt templating
+  renderTemplate: template.renderTemplate,
+  compileTemplate: template.compileTemplate,
+  TemplateError: template.TemplateError,
+  getNextStory: prdUtils.getNextStory,
+
+  // Agent adapters
+  runAgent: agents.runAgent,
+  getAgentAdapter: agents.getAgentAdapter,
+  createClaudeAdapter: agents.createClaudeAdapter,
+  createCommandAdapter: agents.createCommandAdapter,
+  AgentError: agents.AgentError,
+  AbortError: agents.AbortError,
+  createStreamParser: streamJson.createStreamParser,
+
+  // Runs reported as events
+  createAgentRun: agentRun.createAgentRun,
+  RUN_EVENTS: agentRun.RUN_EVENTS,
+
+  // Parallel runs in git worktrees
+  runParallelLoop: parallel.runParallelLoop,
+
+  // Lifecycle hooks
+  HOOK_EVENTS: hooks.HOOK_EVENTS,
+
+  // Run journals in output/runs
+  listJournals: journal.listJournals,
+  readJournal: journal.readJournal,
+  summarizeJournal: journal.summarizeJournal,
+
+  // Token and cost accounting
+  readUsage: budget.readUsage,
+  checkBudget: budget.checkBudget,
+
+  // Status reporting
+  collectStatus: status.collectStatus,
+
+  // Config utilities
+  loadConfig: configModule.loadConfig,
+  findConfigFile: configModule.findConfigFile,
+  ConfigError: configModule.ConfigError,
+  CONFIG_SCHEMA: configModule.CONFIG_SCHEMA,
+
+  // Same function as createConfig, kept for existing callers
   createConfigFromModule: configModule.createConfig,
 };
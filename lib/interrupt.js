@@ -0,0 +1,139 @@
+/**
+ * Interrupting and resuming runs for claude-all
+ *
+ * While the agent loop runs, the first SIGINT (Ctrl+C) or SIGTERM stops the agent and everything
+ * it started, and the loop saves a checkpoint to output/checkpoint.json instead of starting another
+ * iteration. A second signal kills the agent's process tree and exits at once. `claude-all run`
+ * without a PRD file resumes from the checkpoint: same run ID, same iteration number, and what is
+ * left of the iteration budget.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const colors = require('./colors');
+
+const SIGNALS = ['SIGINT', 'SIGTERM'];
+
+/**
+ * Exit code for a process stopped by a signal, as shells report it
+ * @param {string} signal - Signal name
+ * @returns {number} 128 plus the signal number (130 for SIGINT, 143 for SIGTERM)
+ */
+function signalExitCode(signal) {
+  return 128 + (os.constants.signals[signal] || 0);
+}
+
+/**
+ * Listen for SIGINT and SIGTERM until dispose() is called
+ * @returns {Object} Watcher:
+ *   interrupted() - the first signal received, or null
+ *   onInterrupt(listener) - call listener(signal) on the first signal; returns a function that unsubscribes
+ *   onForce(listener) - call listener(signal) on the second signal, just before the process exits;
+ *     returns a function that unsubscribes
+ *   dispose() - stop listening
+ */
+function createInterruptWatcher() {
+  let received = null;
+  const interruptListeners = new Set();
+  const forceListeners = new Set();
+
+  const subscribe = (listeners, listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  };
+
+  const onSignal = (signal) => {
+    if (received) {
+      for (const listener of forceListeners) listener(signal);
+      process.stdout.write(colors.showCursor);
+      process.exit(signalExitCode(signal));
+    }
+    received = signal;
+    for (const listener of interruptListeners) listener(signal);
+  };
+
+  for (const signal of SIGNALS) process.on(signal, onSignal);
+
+  return {
+    interrupted: () => received,
+    onInterrupt: listener => subscribe(interruptListeners, listener),
+    onForce: listener => subscribe(forceListeners, listener),
+    dispose: () => {
+      for (const signal of SIGNALS) process.removeListener(signal, onSignal);
+    },
+  };
+}
+
+/**
+ * Wait, unless the run is interrupted or aborted first
+ * @param {number} ms - Milliseconds to wait
+ * @param {Object|null} interrupt - Watcher from createInterruptWatcher()
+ * @param {AbortSignal|null} signal - Signal that also ends the wait (the caller checks which happened)
+ * @returns {Promise<void>}
+ */
+function interruptibleDelay(ms, interrupt, signal = null) {
+  return new Promise((resolve) => {
+    if ((interrupt && interrupt.interrupted()) || (signal && signal.aborted)) {
+      resolve();
+      return;
+    }
+    const unsubscribe = [];
+    const done = () => {
+      clearTimeout(timer);
+      unsubscribe.forEach(stop => stop());
+      resolve();
+    };
+    const timer = setTimeout(done, ms);
+    if (interrupt) unsubscribe.push(interrupt.onInterrupt(done));
+    if (signal) {
+      signal.addEventListener('abort', done, { once: true });
+      unsubscribe.push(() => signal.removeEventListener('abort', done));
+    }
+  });
+}
+
+/**
+ * Read the checkpoint an interrupted run left
+ * @param {string} checkpointFile - Path to checkpoint.json
+ * @returns {Object|null} Checkpoint ({runId, iteration, maxIterations, storyId, previousFailure, signal,
+ *   interruptedAt}; a parallel run's has storyId null and previousFailures, keyed by story ID,
+ *   instead of previousFailure), or null if there is none or it can't be read
+ */
+function readCheckpoint(checkpointFile) {
+  try {
+    const checkpoint = JSON.parse(fs.readFileSync(checkpointFile, 'utf-8'));
+    if (!Number.isInteger(checkpoint.iteration) || !Number.isInteger(checkpoint.maxIterations)) return null;
+    return checkpoint;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Save a checkpoint, replacing the file in one step so it is never half written
+ * @param {string} checkpointFile - Path to checkpoint.json
+ * @param {Object} checkpoint - Checkpoint to save
+ */
+function writeCheckpoint(checkpointFile, checkpoint) {
+  const tempFile = path.join(path.dirname(checkpointFile), `.${path.basename(checkpointFile)}.${process.pid}.tmp`);
+  fs.writeFileSync(tempFile, `${JSON.stringify(checkpoint, null, 2)}\n`);
+  fs.renameSync(tempFile, checkpointFile);
+}
+
+/**
+ * Remove the checkpoint once it has been resumed or no longer applies
+ * @param {string} checkpointFile - Path to checkpoint.json
+ */
+function clearCheckpoint(checkpointFile) {
+  fs.rmSync(checkpointFile, { force: true });
+}
+
+module.exports = {
+  signalExitCode,
+  createInterruptWatcher,
+  interruptibleDelay,
+  readCheckpoint,
+  writeCheckpoint,
+  clearCheckpoint,
+};
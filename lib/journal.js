@@ -0,0 +1,212 @@
+/**
+ * Run journals for claude-all
+ *
+ * Each run of the agent loop writes output/runs/<run-id>.json: the settings it ran with, when it
+ * started and ended, one entry per iteration and how the run ended. The file is rewritten after
+ * every change, so a run that crashes still leaves a journal behind. A run resumed from a
+ * checkpoint keeps its run ID and adds to the same journal.
+ *
+ * An iteration entry holds the story it was given, when it ran, the agent's exit code, which
+ * stories' passes changed, the verify commands' results and the commits it made. Entries for
+ * iterations the run stopped in the middle of have finished: false.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { snapshotConfig } = require('./config');
+const { isGitRepository, getHeadCommit, listCommitsSince } = require('./git');
+
+const JOURNAL_VERSION = 1;
+
+/**
+ * Path of a run's journal
+ * @param {string} runsDir - Directory holding the journals
+ * @param {string} runId - Run ID
+ * @returns {string}
+ */
+function getJournalFile(runsDir, runId) {
+  return path.join(runsDir, `${runId}.json`);
+}
+
+/**
+ * Read a journal
+ * @param {string} file - Path to the journal
+ * @returns {Object|null} The journal, or null if it is missing or invalid
+ */
+function readJournal(file) {
+  try {
+    const journal = JSON.parse(fs.readFileSync(file, 'utf-8'));
+    if (typeof journal.runId !== 'string' || !Array.isArray(journal.iterations)) return null;
+    return journal;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Read every journal, oldest run first
+ * @param {string} runsDir - Directory holding the journals
+ * @returns {Object[]} Journals; files that can't be read are left out
+ */
+function listJournals(runsDir) {
+  if (!fs.existsSync(runsDir)) return [];
+  return fs.readdirSync(runsDir)
+    .filter(name => name.endsWith('.json'))
+    .sort()
+    .map(name => readJournal(path.join(runsDir, name)))
+    .filter(Boolean);
+}
+
+/**
+ * Sum up a run from its journal
+ * @param {Object} journal - Journal from readJournal()
+ * @returns {Object} { runId, mode, startedAt, endedAt, duration, iterations, passed, outcome }:
+ *   duration is in milliseconds (null if the run never ended), iterations the number of agent
+ *   runs, passed the IDs of the stories that passed, and outcome null if the run never ended
+ */
+function summarizeJournal(journal) {
+  const passed = new Set();
+  for (const entry of journal.iterations) {
+    for (const id of entry.passed || []) passed.add(id);
+    for (const id of entry.failed || []) passed.delete(id);
+  }
+  return {
+    runId: journal.runId,
+    mode: journal.mode,
+    startedAt: journal.startedAt,
+    endedAt: journal.endedAt,
+    duration: journal.endedAt ? new Date(journal.endedAt) - new Date(journal.startedAt) : null,
+    iterations: journal.iterations.length,
+    passed: [...passed],
+    outcome: journal.outcome,
+  };
+}
+
+/**
+ * Start the journal for a run, or pick up the one it is resuming
+ * @param {Object} config - Configuration object from createConfig()
+ * @param {Object} details - The run
+ * @param {string} details.runId - Run ID
+ * @param {string} details.mode - serial, or parallel for runParallelLoop()
+ * @param {number} details.maxIterations - Maximum iterations
+ * @param {number} details.startIteration - Iteration the run starts at (default: 1)
+ * @param {string} details.agent - Name of the agent adapter
+ * @returns {Object} Journal writer: startIteration(iteration, story, options) returns the entry to
+ *   pass to endIteration(entry, details); finish(outcome) records how the run ended
+ */
+function createJournal(config, details) {
+  const { runId, mode = 'serial', maxIterations, startIteration: firstIteration = 1, agent = null } = details;
+  const file = getJournalFile(config.RUNS_DIR, runId);
+  const now = () => new Date().toISOString();
+
+  const existing = readJournal(file);
+  const journal = existing
+    ? { ...existing, maxIterations, endedAt: null, outcome: null, resumed: [...(existing.resumed || []), { at: now(), iteration: firstIteration }] }
+    : {
+      version: JOURNAL_VERSION,
+      runId,
+      mode,
+      agent,
+      startedAt: now(),
+      endedAt: null,
+      maxIterations,
+      startIteration: firstIteration,
+      config: snapshotConfig(config),
+      iterations: [],
+      outcome: null,
+    };
+
+  // Commit each entry's working tree was at when it started, to find the commits it made
+  const startCommits = new Map();
+
+  const save = () => {
+    fs.mkdirSync(config.RUNS_DIR, { recursive: true });
+    const tempFile = path.join(config.RUNS_DIR, `.${runId}.json.${process.pid}.tmp`);
+    fs.writeFileSync(tempFile, `${JSON.stringify(journal, null, 2)}\n`);
+    fs.renameSync(tempFile, file);
+  };
+
+  const close = (entry) => {
+    const endedAt = new Date();
+    entry.endedAt = endedAt.toISOString();
+    entry.duration = endedAt - new Date(entry.startedAt);
+    const { cwd, commit } = startCommits.get(entry) || {};
+    entry.commits = cwd ? listCommitsSince(cwd, commit) : [];
+    startCommits.delete(entry);
+  };
+
+  /**
+   * Record that an iteration started
+   * @param {number} iteration - Iteration number
+   * @param {Object|null} story - Story it was given ({id, title}), if any
+   * @param {Object} options - Options
+   * @param {string|null} options.model - Model the agent runs with
+   * @param {string} options.cwd - Working tree the agent commits in (default: config.WORKING_DIR)
+   * @returns {Object} The entry
+   */
+  function startIteration(iteration, story, options = {}) {
+    const { model = null, cwd = config.WORKING_DIR } = options;
+    const entry = { iteration, story, model, startedAt: now(), finished: false };
+    journal.iterations.push(entry);
+    if (isGitRepository(cwd)) startCommits.set(entry, { cwd, commit: getHeadCommit(cwd) });
+    save();
+    return entry;
+  }
+
+  /**
+   * Record how an iteration went
+   * @param {Object} entry - Entry from startIteration()
+   * @param {Object} outcome - What happened
+   * @param {Object|null} outcome.result - Result from runAgent()
+   * @param {boolean} outcome.storyPassed - Whether the story it was given now passes
+   * @param {string[]} outcome.passed - IDs of stories that now pass
+   * @param {string[]} outcome.failed - IDs of stories that no longer pass
+   * @param {Object|null} outcome.gate - Result from runVerifyCommands(), if verify commands ran
+   */
+  function endIteration(entry, outcome) {
+    const { result = null, storyPassed = false, passed = [], failed = [], gate = null } = outcome;
+    close(entry);
+    Object.assign(entry, {
+      finished: true,
+      exitCode: result ? result.code : null,
+      signal: result && result.signal ? result.signal : null,
+      timedOut: result && result.timedOut ? result.timedOut : null,
+      storyPassed,
+      passesChanged: passed.length > 0 || failed.length > 0,
+      passed,
+      failed,
+      verification: gate
+        ? {
+          passed: gate.passed,
+          commands: gate.results.map(({ command, code, signal, timedOut, duration }) => ({ command, code, signal, timedOut, duration })),
+        }
+        : null,
+    });
+    save();
+  }
+
+  /**
+   * Record how the run ended
+   * @param {Object} outcome - completed, reason and message, as in the run:end event
+   */
+  function finish(outcome) {
+    for (const entry of journal.iterations.filter(candidate => !candidate.finished && !candidate.endedAt)) {
+      close(entry);
+    }
+    journal.endedAt = now();
+    journal.outcome = { completed: outcome.completed, reason: outcome.reason, message: outcome.message };
+    save();
+  }
+
+  save();
+  return { file, journal, startIteration, endIteration, finish };
+}
+
+module.exports = {
+  JOURNAL_VERSION,
+  getJournalFile,
+  readJournal,
+  listJournals,
+  summarizeJournal,
+  createJournal,
+};
@@ -0,0 +1,649 @@
+/**
+ * Parallel runs for claude-all
+ *
+ * With `parallel` above 1, stories whose dependencies pass are worked on at the same time, each
+ * by its own agent in a git worktree under output/worktrees/<story id>, on a branch made from the
+ * PRD's branchName. A worker gets private copies of prd.json and progress.txt in the worktree's
+ * .claude-all/ folder. When it finishes, the story's branch is merged into branchName and the
+ * verify commands run on the result; a merge that conflicts sends the story back to the queue,
+ * and one that fails verification is undone. Finishing is done one worker at a time, so the
+ * shared prd.json and progress.txt only ever have one writer.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {
+  getPromptVariables,
+  compileLoopPrompt,
+  verifyIteration,
+  describeIterationFailure,
+  readPrdSnapshot,
+  recordFailedAttempt,
+  describeStory,
+  stopForBlockedStories,
+  getIterationModel,
+  getAgentTimeouts,
+  runIterationAgent,
+} = require('./core');
+const {
+  readPrdJson,
+  writePrdJson,
+  isStoryPending,
+  getReadyStories,
+  appendRunLogEntry,
+} = require('./prd-utils');
+const { AgentError, AbortError, getAgentAdapter, outputTail } = require('./agents');
+const { readUsage, formatUsageSoFar, checkBudget, getBudgetWarnings } = require('./budget');
+const { createRunId } = require('./transcripts');
+const { getPermissionProfile, getPermissionArgs } = require('./permissions');
+const { runVerifyCommands, describeVerifyFailure, clearVerifyNotes, addVerifyNotes } = require('./verify');
+const { createHookRunner } = require('./hooks');
+const { createJournal } = require('./journal');
+const { createInterruptWatcher, writeCheckpoint } = require('./interrupt');
+const {
+  getCurrentBranch,
+  isGitRepository,
+  isTracked,
+  hasUncommittedChanges,
+  checkoutBranch,
+  getHeadCommit,
+  commitAll,
+  addWorktree,
+  removeWorktree,
+  mergeBranch,
+  resetHard,
+  git,
+} = require('./git');
+const colors = require('./colors');
+
+// Folder inside each worktree holding the worker's copies of prd.json and progress.txt
+const WORKER_STATE_DIR = '.claude-all';
+
+/**
+ * Run tasks one after another, in the order they were queued
+ * @returns {Function} Takes a task (a function, may be async) and resolves with its result
+ */
+function createSerialQueue() {
+  let tail = Promise.resolve();
+  return (task) => {
+    const result = tail.then(task);
+    tail = result.catch(() => {});
+    return result;
+  };
+}
+
+/**
+ * Check the repository can be used for a parallel run, and check out the PRD's branch
+ * @param {Object} config - Configuration object from createConfig()
+ * @returns {{prd: Object, baseBranch: string}} prd.json and the branch stories are merged into
+ * @throws {AgentError} If the run can't start
+ */
+function prepareParallelRun(config) {
+  const cwd = config.WORKING_DIR;
+  const fail = reason => new AgentError(`Parallel run could not start: ${reason}`, { reason });
+
+  if (!isGitRepository(cwd)) {
+    throw fail(`${cwd} is not a git repository`);
+  }
+  let prd;
+  try {
+    prd = readPrdJson(config.PRD_FILE);
+  } catch (err) {
+    throw fail(err.message);
+  }
+  if (!prd.branchName) {
+    throw fail(`${path.relative(cwd, config.PRD_FILE)} has no branchName to merge stories into`);
+  }
+  // Undoing a merge that failed verification resets the working tree, which would take prd.json with it
+  if (isTracked(cwd, config.PRD_FILE)) {
+    throw fail(`${path.relative(cwd, config.PRD_FILE)} is tracked by git; keep the output directory out of the repository`);
+  }
+  if (hasUncommittedChanges(cwd)) {
+    throw fail('the working tree has uncommitted changes; commit or stash them first');
+  }
+
+  try {
+    if (getCurrentBranch(cwd) !== prd.branchName) checkoutBranch(cwd, prd.branchName);
+  } catch (err) {
+    throw fail(err.message);
+  }
+
+  // Worktrees left behind by a run that was interrupted
+  git(['worktree', 'prune'], cwd);
+  fs.mkdirSync(config.WORKTREES_DIR, { recursive: true });
+  fs.writeFileSync(path.join(config.WORKTREES_DIR, '.gitignore'), '*\n');
+
+  return { prd, baseBranch: prd.branchName };
+}
+
+/**
+ * Find what a worker added to its copy of progress.txt
+ * @param {string} original - progress.txt when the worker started
+ * @param {string} current - The worker's progress.txt now
+ * @returns {{added: string, rewritten: boolean}} rewritten is true when the worker also changed
+ *   earlier parts of the file, which are not copied back
+ */
+function getProgressAddition(original, current) {
+  if (current.startsWith(original)) {
+    return { added: current.slice(original.length), rewritten: false };
+  }
+  const ending = original.slice(-200);
+  const index = ending ? current.lastIndexOf(ending) : -1;
+  return { added: index === -1 ? '' : current.slice(index + ending.length), rewritten: true };
+}
+
+/**
+ * Update one story in the shared prd.json
+ * @param {Object} config - Configuration object from createConfig()
+ * @param {string} id - Story ID
+ * @param {Function} update - Takes the story and returns the new one
+ */
+function updateSharedStory(config, id, update) {
+  const prd = readPrdJson(config.PRD_FILE);
+  writePrdJson(config.PRD_FILE, {
+    ...prd,
+    userStories: prd.userStories.map(story => (story.id === id ? update(story) : story)),
+  });
+}
+
+/**
+ * Work on independent stories at the same time in git worktrees, merging each back into the
+ * PRD's branch when it passes
+ * @param {Object} config - Configuration object from createConfig()
+ * @param {Object} options - Same options as runAgentLoop()
+ * @param {number} options.maxIterations - Maximum agent runs across all workers (default: config.MAX_ITERATIONS, or 10)
+ * @param {boolean} options.silent - Suppress console output (default: false)
+ * @param {Object} options.adapter - Agent adapter (default: the one selected by config.AGENT)
+ * @param {Function} options.onIteration - Callback called with the iteration number before each agent run starts
+ * @param {Function} options.onComplete - Callback called when all stories complete
+ * @param {string} options.runId - Run the transcripts are saved under (default: a new run)
+ * @param {Function} options.onBudgetExceeded - Callback called with the reason and run totals when a
+ *   --max-cost or --max-tokens limit stops new agent runs
+ * @param {Function} options.onStoriesBlocked - Callback called with the remaining stories
+ *   ({id, title, reason}) when none of them can be worked on
+ * @param {Object} options.hooks - Hook functions keyed by event, as for runAgentLoop(). Hooks run in
+ *   the main working directory, never while a worker is being merged.
+ * @param {Function} options.onVetoed - Callback called with the reason when a before* hook stops the run
+ * @param {Function} options.onEvent - Called with each run event ({type, ...}), as listed in agent-run.js;
+ *   agent:output events from different workers interleave, so use their storyId to tell them apart
+ * @param {AbortSignal} options.signal - Aborting stops every worker's agent and any verify command,
+ *   undoes a merge being verified and rejects with an AbortError once the workers have stopped
+ * @param {boolean} options.handleSignals - On SIGINT or SIGTERM, stop every worker's agent, start no
+ *   new ones, remove the worktrees and save a checkpoint to config.CHECKPOINT_FILE (default: false,
+ *   as for runAgentLoop()). A second signal removes the worktrees and exits.
+ * @param {Function} options.onInterrupted - Callback called with the saved checkpoint when a signal stops the run
+ * @param {number} options.startIteration - Iteration to start at, when resuming from a checkpoint (default: 1)
+ * @param {Object} options.previousFailures - What each story's next iteration is told about the one
+ *   before it, keyed by story ID, when resuming from a checkpoint
+ * @returns {Promise<boolean>} True if all stories completed
+ * @throws {AgentError} If the repository can't be used, or an agent fails in a way retrying won't
+ *   fix (after the other workers have finished)
+ * @throws {AbortError} If options.signal is aborted
+ */
+async function runParallelLoop(config, options = {}) {
+  // One watcher for the whole run, so the first signal stops every worker rather than each agent
+  // passing it on by itself
+  const interrupt = options.handleSignals ? createInterruptWatcher() : null;
+  try {
+    return await runParallelIterations(config, options, interrupt);
+  } finally {
+    if (interrupt) interrupt.dispose();
+  }
+}
+
+/**
+ * Run the workers of a parallel run; runParallelLoop() sets up signal handling around it
+ * @param {Object} config - Configuration object from createConfig()
+ * @param {Object} options - Options given to runParallelLoop()
+ * @param {Object|null} interrupt - Watcher from createInterruptWatcher(), or null to leave signals alone
+ * @returns {Promise<boolean>} True if all stories completed
+ */
+async function runParallelIterations(config, options, interrupt) {
+  const {
+    maxIterations = config.MAX_ITERATIONS || 10,
+    silent = false,
+    adapter = getAgentAdapter(config),
+    onIteration,
+    onComplete,
+    onBudgetExceeded,
+    onStoriesBlocked,
+    onInterrupted,
+    onVetoed,
+    onEvent,
+    signal = null,
+    startIteration = 1,
+    runId = createRunId(config.LOGS_DIR),
+  } = options;
+  const cwd = config.WORKING_DIR;
+  const parallel = config.PARALLEL || 1;
+  const say = (color, message) => {
+    if (!silent) console.log(`${color}${message}${colors.reset}`);
+  };
+  // Every way the run ends emits run:end, so that is where the journal records the outcome
+  let ended = false;
+  const emit = (type, details) => {
+    if (type === 'run:end') {
+      ended = true;
+      journal.finish(details);
+    }
+    if (onEvent) onEvent({ type, ...details });
+  };
+
+  const { prd: startPrd, baseBranch } = prepareParallelRun(config);
+  // Compile up front so template syntax errors fail before the first worker starts
+  const template = compileLoopPrompt(config);
+  const journal = createJournal(config, { runId, mode: 'parallel', maxIterations, startIteration, agent: adapter.name });
+
+  say(colors.bright, `\nStarting Ralph - ${parallel} stories at a time, max iterations: ${maxIterations}${startIteration > 1 ? ` (resuming at iteration ${startIteration})` : ''}`);
+  say(colors.dim, `Transcripts: ${path.relative(cwd, path.join(config.LOGS_DIR, runId))}`);
+  say(colors.dim, `Stories are merged into ${baseBranch}; worktrees are in ${path.relative(cwd, config.WORKTREES_DIR)}`);
+  const usageSoFar = formatUsageSoFar(readUsage(config.USAGE_FILE).totals, config);
+  if (usageSoFar) say(colors.dim, usageSoFar);
+
+  const permissions = getPermissionProfile(config.PROFILE, config.PROFILES);
+  const permissionArgs = getPermissionArgs(permissions).join(' ');
+  appendRunLogEntry(config.PROGRESS_FILE, 'Run started', [
+    `Run ID: ${runId}`,
+    `Agent: ${adapter.name}`,
+    `Permission profile: ${permissions.name}${permissionArgs ? ` (${permissionArgs})` : ''}`,
+    `Parallel: ${parallel} stories at a time, merged into ${baseBranch}`,
+    ...(startIteration > 1 ? [`Resumed from a checkpoint at iteration ${startIteration} of ${maxIterations}`] : []),
+    ...(usageSoFar ? [usageSoFar] : []),
+  ]);
+
+  const hooks = createHookRunner(config, {
+    functions: options.hooks,
+    context: { runId, project: startPrd.project || null, branchName: baseBranch, maxIterations },
+    silent,
+    timeout: getAgentTimeouts(config).timeout,
+    interrupt,
+    signal,
+  });
+  const stopFailed = async (reason, message) => {
+    await hooks.run('runFailed', { reason, message });
+    emit('run:end', { completed: false, reason, message });
+    return false;
+  };
+  const logVeto = (when, reason) => {
+    appendRunLogEntry(config.PROGRESS_FILE, 'Hook vetoed', [`Stopped ${when} because ${reason}`]);
+    say(colors.yellow, `\nStopped ${when} because ${reason}.`);
+  };
+
+  emit('run:start', { runId, maxIterations, startIteration });
+  // Workers still going when something throws are waited for, so none outlives the run
+  const running = new Map();
+
+  // Whatever goes wrong, the run ends with run:end and its journal records how
+  try {
+    const beforeRun = await hooks.run('beforeRun', { startIteration });
+    if (beforeRun.vetoed) {
+      logVeto('before the run started', beforeRun.reason);
+      if (onVetoed) onVetoed(beforeRun.reason);
+      return stopFailed('vetoed', `Stopped before the run started because ${beforeRun.reason}`);
+    }
+
+    // Worktrees are created and finished workers merged one at a time, so a new worktree never
+    // starts from a merge that verification is about to undo
+    const serialize = createSerialQueue();
+    const previousFailures = { ...(options.previousFailures || {}) };
+    // Stories this run merged, for an AbortError's progress
+    const passedStories = [];
+    const aborted = () => Boolean(signal && signal.aborted);
+    const interrupted = () => Boolean(interrupt && interrupt.interrupted());
+    // Worktrees that exist right now, and the commit branchName was at before the merge being verified
+    const worktrees = new Map();
+    let unverifiedMerge = null;
+    // Iterations a signal stopped; they run again when the run resumes
+    let interruptedIterations = 0;
+
+    // On the second signal the process exits without waiting for the workers, so tidy up here
+    if (interrupt) {
+      interrupt.onForce(() => {
+        if (unverifiedMerge) resetHard(cwd, unverifiedMerge);
+        for (const [dir, branch] of worktrees) removeWorktree(cwd, dir, branch);
+      });
+    }
+
+    /**
+     * Set up a worktree for a story
+     * @param {number} iteration - Iteration number
+     * @param {Object} story - Story to work on
+     * @returns {Object} Worker state
+     */
+    function createWorker(iteration, story) {
+      const branch = `${baseBranch}-${story.id}`;
+      const dir = path.join(config.WORKTREES_DIR, story.id);
+      removeWorktree(cwd, dir, branch);
+      worktrees.set(dir, branch);
+      addWorktree(cwd, dir, branch, baseBranch);
+
+      const stateDir = path.join(dir, WORKER_STATE_DIR);
+      fs.mkdirSync(stateDir, { recursive: true });
+      fs.writeFileSync(path.join(stateDir, '.gitignore'), '*\n');
+      const workerConfig = {
+        ...config,
+        WORKING_DIR: dir,
+        PRD_FILE: path.join(stateDir, 'prd.json'),
+        PROGRESS_FILE: path.join(stateDir, 'progress.txt'),
+      };
+      // The agent checks out the PRD's branchName, which here has to be the worktree's own branch
+    writePrdJson(workerConfig.PRD_FILE, { ...readPrdJson(config.PRD_FILE), branchName: branch });
+      const progress = fs.existsSync(config.PROGRESS_FILE) ? fs.readFileSync(config.PROGRESS_FILE, 'utf-8') : '';
+      fs.writeFileSync(workerConfig.PROGRESS_FILE, progress);
+
+      return { iteration, story, branch, dir, workerConfig, progress, before: readPrdSnapshot(workerConfig) };
+    }
+
+    /**
+     * Tell the user when a failed attempt blocked a story
+     * @param {Object} story - Story the worker was given
+     * @param {Object|null} attempt - Result from recordFailedAttempt()
+     */
+    function reportAttempt(story, attempt) {
+      if (attempt && attempt.blocked) {
+        say(colors.yellow, `[${story.id}] Blocked: ${attempt.blocked}`);
+      }
+    }
+
+    /**
+     * Bring a worker's results back: its progress notes, and its branch if the story passed
+     * @param {Object} worker - Worker state from createWorker()
+     * @param {Object} result - Result from runAgent()
+     * @returns {Promise<{passed: boolean, failure: string, attempt: Object|null, gate: Object|null, interrupted: boolean}>}
+     *   Whether the story was merged; if not, why, and the result from recordFailedAttempt(); the
+     *   result from runVerifyCommands() if verify commands ran after the merge; and whether a signal
+     *   stopped them, in which case the merge was undone
+     */
+    async function finishWorker(worker, result) {
+      const { iteration, story, branch, workerConfig } = worker;
+
+      const current = fs.existsSync(workerConfig.PROGRESS_FILE) ? fs.readFileSync(workerConfig.PROGRESS_FILE, 'utf-8') : worker.progress;
+      const { added, rewritten } = getProgressAddition(worker.progress, current);
+      if (added) fs.appendFileSync(config.PROGRESS_FILE, added);
+      if (rewritten) {
+        appendRunLogEntry(config.PROGRESS_FILE, story.id, [`Iteration ${iteration} edited earlier parts of progress.txt in its worktree; only what it appended was kept`]);
+      }
+
+      const verification = verifyIteration(workerConfig, story, worker.before, false);
+      if (!verification.storyPassed) {
+        previousFailures[story.id] = describeIterationFailure(workerConfig, iteration, story, result, verification);
+        appendRunLogEntry(config.PROGRESS_FILE, story.id, [`Iteration ${iteration} did not finish ${story.id}; its branch was not merged`]);
+        say(colors.yellow, `[${story.id}] Iteration ${iteration} did not finish the story`);
+        const attempt = recordFailedAttempt(config, story, previousFailures[story.id]);
+        reportAttempt(story, attempt);
+        return { passed: false, failure: previousFailures[story.id], attempt, gate: null, interrupted: false };
+      }
+
+      // Work the agent didn't commit would be lost with the worktree
+      commitAll(worker.dir, `feat: ${story.id} - ${story.title} (uncommitted changes from iteration ${iteration})`);
+
+      const preMerge = getHeadCommit(cwd);
+      const merge = mergeBranch(cwd, branch, `Merge ${story.id}: ${story.title}`);
+      if (!merge.merged) {
+        // Not counted as a failed attempt: the story was done, just on top of an older branchName
+        previousFailures[story.id] = `Iteration ${iteration} finished ${story.id}, but its branch could not be merged into ${baseBranch} because stories finished meanwhile changed the same files:\n\n${outputTail(merge.error)}\n\nRedo the story on top of the current ${baseBranch}.`;
+        appendRunLogEntry(config.PROGRESS_FILE, story.id, [`Iteration ${iteration} finished ${story.id}, but merging ${branch} into ${baseBranch} conflicted; the story goes back to the queue`]);
+        say(colors.yellow, `[${story.id}] Merge conflict with ${baseBranch}; the story goes back to the queue`);
+        return { passed: false, failure: previousFailures[story.id], attempt: null, gate: null, interrupted: false };
+      }
+
+      const commands = config.VERIFY_COMMANDS || [];
+      let gate = null;
+      unverifiedMerge = preMerge;
+      try {
+        gate = commands.length > 0
+          ? await runVerifyCommands(commands, { cwd, timeout: getAgentTimeouts(config).timeout, interrupt, signal })
+          : null;
+      } catch (err) {
+        // Half-verified merges don't stay in branchName
+        if (err instanceof AbortError) resetHard(cwd, preMerge);
+        throw err;
+      } finally {
+        unverifiedMerge = null;
+      }
+      if (gate && gate.interrupted) {
+        resetHard(cwd, preMerge);
+        appendRunLogEntry(config.PROGRESS_FILE, story.id, [`Verification after merging ${story.id} was interrupted; the merge was undone`]);
+        return { passed: false, failure: '', attempt: null, gate: null, interrupted: true };
+      }
+      const workerStory = readPrdJson(workerConfig.PRD_FILE).userStories.find(candidate => candidate.id === story.id);
+
+      if (gate && !gate.passed) {
+        resetHard(cwd, preMerge);
+        const reason = describeVerifyFailure(gate.failed);
+        updateSharedStory(config, story.id, candidate => ({ ...candidate, notes: addVerifyNotes(workerStory.notes, iteration, gate.failed) }));
+        previousFailures[story.id] = describeIterationFailure(config, iteration, story, result, verification, gate);
+        appendRunLogEntry(config.PROGRESS_FILE, story.id, [
+          `Verification after merging ${story.id} failed: ${reason}`,
+          `The merge was undone and ${story.id} goes back to the queue`,
+        ]);
+        say(colors.red, `[${story.id}] Verification failed after merging: ${reason}. The merge was undone.`);
+        emit('verification:failed', { iteration, story: describeStory(story), command: gate.failed.command, reason, output: outputTail(gate.failed.output) });
+        const attempt = recordFailedAttempt(config, story, previousFailures[story.id]);
+        reportAttempt(story, attempt);
+        return { passed: false, failure: previousFailures[story.id], attempt, gate, interrupted: false };
+      }
+
+      updateSharedStory(config, story.id, candidate => ({ ...candidate, passes: true, notes: clearVerifyNotes(workerStory.notes) }));
+      delete previousFailures[story.id];
+      appendRunLogEntry(config.PROGRESS_FILE, story.id, [
+        `Iteration ${iteration} finished ${story.id}; ${branch} was merged into ${baseBranch}`,
+        ...(gate ? [`Verification after the merge passed: ${commands.join(', ')}`] : []),
+      ]);
+      say(colors.green, `[${story.id}] Merged into ${baseBranch}`);
+      return { passed: true, failure: '', attempt: null, gate, interrupted: false };
+    }
+
+    /**
+     * Run the hooks for a finished worker, and emit the matching events
+     * @param {number} iteration - Iteration number
+     * @param {Object} story - Story the worker was given
+     * @param {Object} outcome - Result from finishWorker()
+     */
+    async function runFinishHooks(iteration, story, outcome) {
+      const announce = async (hookEvent, type, details) => {
+        await hooks.run(hookEvent, details);
+        emit(type, details);
+      };
+      if (outcome.passed) {
+        passedStories.push(story.id);
+        await announce('storyPassed', 'story:passed', { iteration, story: describeStory(story) });
+      }
+      if (outcome.attempt && outcome.attempt.blocked) {
+        await announce('storyBlocked', 'story:blocked', { iteration, story: describeStory(story), reason: outcome.attempt.blocked, attempts: outcome.attempt.attempts });
+      }
+      await announce('afterIteration', 'iteration:end', { iteration, story: describeStory(story), storyPassed: outcome.passed, failure: outcome.failure });
+    }
+
+    /**
+     * Run one story in its own worktree and merge it back
+     * @param {number} iteration - Iteration number
+     * @param {Object} story - Story to work on
+     * @returns {Promise<Error|null>} The error that should stop the run, if any
+     */
+    async function runWorker(iteration, story) {
+      let worker = null;
+      try {
+        worker = await serialize(() => createWorker(iteration, story));
+        const variables = {
+          ...getPromptVariables(worker.workerConfig, {
+            iteration,
+            maxIterations,
+            previousFailure: previousFailures[story.id] || '',
+            story,
+          }),
+          branchName: worker.branch,
+        };
+        const { model } = getIterationModel(config, story);
+        say(colors.cyan, `[${story.id}] Iteration ${iteration}: working on ${story.title}${model ? ` (${model})` : ''}`);
+        const entry = journal.startIteration(iteration, describeStory(story), { model, cwd: worker.dir });
+
+        const result = await runIterationAgent(adapter, template.render(variables), config, {
+          iteration,
+          story,
+          silent: true,
+          runId,
+          model,
+          cwd: worker.dir,
+          onOutput: (text, stream) => emit('agent:output', { iteration, storyId: story.id, stream, text }),
+          interrupt,
+          signal,
+        });
+        const finished = !result.interrupted && await serialize(async () => {
+          const outcome = await finishWorker(worker, result);
+          if (outcome.interrupted) return false;
+          // Only the story itself is copied to the shared prd.json, and only once it is merged
+          journal.endIteration(entry, { result, storyPassed: outcome.passed, passed: outcome.passed ? [story.id] : [], gate: outcome.gate });
+          await runFinishHooks(iteration, story, outcome);
+          return true;
+        });
+        // An interrupted iteration runs again when the run resumes; its journal entry stays unfinished
+        if (!finished) {
+          interruptedIterations++;
+          previousFailures[story.id] = `Iteration ${iteration} was interrupted before it finished, and its worktree was removed. Start the story again from ${baseBranch}.`;
+          appendRunLogEntry(config.PROGRESS_FILE, story.id, [`Iteration ${iteration} was interrupted; its worktree was removed`]);
+        }
+        return null;
+      } catch (err) {
+        return err;
+      } finally {
+        if (worker) {
+          await serialize(() => {
+            removeWorktree(cwd, worker.dir, worker.branch);
+            worktrees.delete(worker.dir);
+          });
+        }
+      }
+    }
+
+    let started = startIteration - 1;
+    let fatal = null;
+    let budget = null;
+    let vetoed = null;
+    const budgetWarned = new Set();
+
+    for (;;) {
+      while (!fatal && !budget && !vetoed && !aborted() && !interrupted() && started < maxIterations && running.size < parallel) {
+        const next = getReadyStories(readPrdJson(config.PRD_FILE)).find(story => !running.has(story.id));
+        if (!next) break;
+
+        // Checked before each agent run, so the runs already going may take the total over the limit
+        const { totals } = readUsage(config.USAGE_FILE);
+        const reason = checkBudget(totals, config);
+        if (reason) {
+          budget = { reason, totals };
+          appendRunLogEntry(config.PROGRESS_FILE, 'Budget reached', [`Stopped starting new iterations because ${reason}`]);
+          say(colors.yellow, `\nNo new iterations will start: ${reason}.`);
+          break;
+        }
+        for (const warning of getBudgetWarnings(totals, config).filter(candidate => !budgetWarned.has(candidate.limit))) {
+          budgetWarned.add(warning.limit);
+          say(colors.yellow, `Budget warning: ${warning.message}.`);
+          emit('budget:warning', { iteration: started + 1, ...warning });
+        }
+
+        const beforeIteration = await serialize(() => hooks.run('beforeIteration', { iteration: started + 1, story: describeStory(next) }));
+        if (beforeIteration.vetoed) {
+          vetoed = beforeIteration.reason;
+          logVeto(`starting new iterations before iteration ${started + 1}`, vetoed);
+          break;
+        }
+        if (aborted() || interrupted()) break;
+
+        started++;
+        if (onIteration) onIteration(started, maxIterations);
+        emit('iteration:start', { iteration: started, maxIterations });
+        emit('story:selected', { iteration: started, story: describeStory(next) });
+        const id = next.id;
+        running.set(id, runWorker(started, next).then((err) => {
+          running.delete(id);
+          if (err && !fatal) fatal = err;
+        }));
+      }
+
+      if (running.size === 0) break;
+      await Promise.race(running.values());
+    }
+
+    // Every worker has finished by now, so nothing is left half merged
+    if (fatal instanceof AbortError || aborted()) {
+      const message = `Aborted after starting ${started} of ${maxIterations} iterations`;
+      appendRunLogEntry(config.PROGRESS_FILE, 'Run aborted', [message]);
+      emit('run:end', { completed: false, reason: 'aborted', message });
+      throw new AbortError(`Run aborted after starting ${started} of ${maxIterations} iterations`, {
+        cause: signal ? signal.reason : undefined,
+        progress: { runId, iteration: started, maxIterations, storyId: null, passed: [...passedStories], output: '' },
+      });
+    }
+    if (fatal) {
+      await hooks.run('runFailed', { reason: 'error', message: fatal.message });
+      emit('run:end', { completed: false, reason: 'error', message: fatal.message });
+      throw fatal;
+    }
+
+    const prd = readPrdJson(config.PRD_FILE);
+    if (prd.userStories.filter(isStoryPending).length === 0) {
+      say(colors.green + colors.bright, '\nRalph completed all tasks!');
+      say(colors.green, `Completed after ${started} of ${maxIterations} iterations`);
+      await hooks.run('runComplete', { iteration: started });
+      if (onComplete) onComplete(started);
+      emit('run:end', { completed: true, reason: 'complete', message: `Completed after ${started} of ${maxIterations} iterations` });
+      return true;
+    }
+
+    if (interrupted()) {
+      const checkpoint = {
+        runId,
+        iteration: started - interruptedIterations + 1,
+        maxIterations,
+        storyId: null,
+        previousFailure: '',
+        previousFailures: { ...previousFailures },
+        signal: interrupt.interrupted(),
+        interruptedAt: new Date().toISOString(),
+      };
+      writeCheckpoint(config.CHECKPOINT_FILE, checkpoint);
+      const resumesAt = `the run resumes at iteration ${checkpoint.iteration} of ${maxIterations}`;
+      appendRunLogEntry(config.PROGRESS_FILE, 'Run interrupted', [
+        `${checkpoint.signal} received after starting ${started} of ${maxIterations} iterations`,
+        'The workers were stopped and their worktrees removed',
+        `Checkpoint saved; ${resumesAt}`,
+      ]);
+      say(colors.yellow, `\nInterrupted. The workers' worktrees were removed. Checkpoint saved: ${resumesAt}.`);
+      if (onInterrupted) onInterrupted(checkpoint);
+      emit('run:end', { completed: false, reason: 'interrupted', message: `${checkpoint.signal} received; ${resumesAt}` });
+      return false;
+    }
+
+    if (vetoed) {
+      if (onVetoed) onVetoed(vetoed);
+      return stopFailed('vetoed', `Stopped starting new iterations before iteration ${started + 1} because ${vetoed}`);
+    }
+
+    if (budget) {
+      if (onBudgetExceeded) onBudgetExceeded(budget.reason, budget.totals);
+      return stopFailed('budget', `Stopped starting new iterations because ${budget.reason}`);
+    }
+
+    if (stopForBlockedStories(config, `after iteration ${started}`, silent, onStoriesBlocked)) {
+      return stopFailed('blocked', `Stopped after iteration ${started} because no remaining story can be worked on`);
+    }
+
+    say(colors.yellow, `\nRalph reached max iterations (${maxIterations}) without completing all tasks.`);
+    say(colors.yellow, `Check ${config.PROGRESS_FILE} for status.`);
+    return stopFailed('maxIterations', `Reached max iterations (${maxIterations}) without completing all tasks`);
+  } catch (err) {
+    await Promise.allSettled(running.values());
+    if (!ended) {
+      await hooks.run('runFailed', { reason: 'error', message: err.message });
+      emit('run:end', { completed: false, reason: 'error', message: err.message });
+    }
+    throw err;
+  }
+}
+
+module.exports = {
+  runParallelLoop,
+  prepareParallelRun,
+  getProgressAddition,
+};
@@ -0,0 +1,167 @@
+/**
+ * Permission profiles for claude-all
+ *
+ * A profile decides what the agent may do without asking, and is turned into Claude CLI flags:
+ *   description     - One line shown in the run banner
+ *   skipPermissions - Pass --dangerously-skip-permissions (every tool, no prompts)
+ *   permissionMode  - Pass --permission-mode (e.g. acceptEdits to allow file edits in the project)
+ *   allowedTools    - Tools allowed without asking, e.g. "Edit" or "Bash(npm test:*)"
+ *   disallowedTools - Tools the agent may never use, even with skipPermissions
+ *
+ * Projects can define their own profiles in the `profiles` setting; `profile` selects one.
+ */
+
+// Web tools and common network commands, denied by the no-network and repo-only profiles. A deny
+// list can't catch every command that reaches the network, so no-network is not a sandbox
+const NETWORK_TOOLS = [
+  'WebFetch',
+  'WebSearch',
+  'Bash(curl:*)',
+  'Bash(wget:*)',
+  'Bash(ssh:*)',
+  'Bash(scp:*)',
+  'Bash(rsync:*)',
+  'Bash(nc:*)',
+];
+
+const BUILT_IN_PROFILES = {
+  full: {
+    description: 'Every tool without asking (--dangerously-skip-permissions)',
+    skipPermissions: true,
+  },
+  'no-network': {
+    description: 'Every tool without asking, except web tools and common network commands',
+    skipPermissions: true,
+    disallowedTools: NETWORK_TOOLS,
+  },
+  'repo-only': {
+    description: 'File edits inside the project, local git commands and the project\'s npm scripts',
+    permissionMode: 'acceptEdits',
+    // Only git subcommands that stay in the local repository, and npm scripts rather than installs
+    allowedTools: [
+      'Read',
+      'Edit',
+      'Write',
+      'Glob',
+      'Grep',
+      'LS',
+      'TodoWrite',
+      'Bash(git status:*)',
+      'Bash(git diff:*)',
+      'Bash(git log:*)',
+      'Bash(git show:*)',
+      'Bash(git add:*)',
+      'Bash(git commit:*)',
+      'Bash(git checkout:*)',
+      'Bash(git switch:*)',
+      'Bash(git branch:*)',
+      'Bash(npm test:*)',
+      'Bash(npm run:*)',
+      'Bash(ls:*)',
+      'Bash(cat:*)',
+      'Bash(mkdir:*)',
+    ],
+    disallowedTools: NETWORK_TOOLS,
+  },
+};
+
+const DEFAULT_PROFILE = 'full';
+
+// Values accepted by `claude --permission-mode`
+const PERMISSION_MODES = ['default', 'acceptEdits', 'plan', 'bypassPermissions'];
+
+const PROFILE_FIELDS = ['description', 'skipPermissions', 'permissionMode', 'allowedTools', 'disallowedTools'];
+
+/**
+ * Check a project-defined profile
+ * @param {string} name - Profile name
+ * @param {*} profile - Profile definition
+ * @returns {string[]} Problems found (empty if the profile is valid)
+ */
+function validateProfile(name, profile) {
+  if (BUILT_IN_PROFILES[name]) {
+    return [`profile "${name}" is built in and cannot be redefined`];
+  }
+  if (!profile || typeof profile !== 'object' || Array.isArray(profile)) {
+    return [`profile "${name}" must be an object`];
+  }
+
+  const errors = [];
+  for (const key of Object.keys(profile)) {
+    if (!PROFILE_FIELDS.includes(key)) {
+      errors.push(`profile "${name}" has unknown field "${key}" (expected one of: ${PROFILE_FIELDS.join(', ')})`);
+    }
+  }
+  if (profile.description !== undefined && typeof profile.description !== 'string') {
+    errors.push(`profile "${name}": description must be a string`);
+  }
+  if (profile.skipPermissions !== undefined && typeof profile.skipPermissions !== 'boolean') {
+    errors.push(`profile "${name}": skipPermissions must be true or false`);
+  }
+  if (profile.permissionMode !== undefined && !PERMISSION_MODES.includes(profile.permissionMode)) {
+    errors.push(`profile "${name}": permissionMode must be one of ${PERMISSION_MODES.join(', ')}`);
+  }
+  for (const field of ['allowedTools', 'disallowedTools']) {
+    const tools = profile[field];
+    if (tools !== undefined && (!Array.isArray(tools) || tools.some(tool => typeof tool !== 'string' || tool.trim() === ''))) {
+      errors.push(`profile "${name}": ${field} must be a list of tool names`);
+    }
+  }
+  return errors;
+}
+
+/**
+ * Names of every profile available to a project
+ * @param {Object} customProfiles - Project-defined profiles
+ * @returns {string[]}
+ */
+function getProfileNames(customProfiles = {}) {
+  return [...Object.keys(BUILT_IN_PROFILES), ...Object.keys(customProfiles)];
+}
+
+/**
+ * Look up a profile by name
+ * @param {string} name - Profile name
+ * @param {Object} customProfiles - Project-defined profiles
+ * @returns {Object} The profile, with its name
+ * @throws {Error} If no profile has that name
+ */
+function getPermissionProfile(name = DEFAULT_PROFILE, customProfiles = {}) {
+  const profile = BUILT_IN_PROFILES[name] || customProfiles[name];
+  if (!profile) {
+    throw new Error(`Unknown permission profile "${name}" (expected one of: ${getProfileNames(customProfiles).join(', ')})`);
+  }
+  return { name, description: '', ...profile };
+}
+
+/**
+ * Translate a profile into Claude CLI flags
+ * @param {Object} profile - Profile from getPermissionProfile()
+ * @returns {string[]} Arguments
+ */
+function getPermissionArgs(profile) {
+  const args = [];
+  if (profile.skipPermissions) {
+    args.push('--dangerously-skip-permissions');
+  } else if (profile.permissionMode) {
+    args.push('--permission-mode', profile.permissionMode);
+  }
+  // One comma-separated argument, so tool patterns containing spaces stay intact
+  if (profile.allowedTools && profile.allowedTools.length > 0) {
+    args.push('--allowedTools', profile.allowedTools.join(','));
+  }
+  if (profile.disallowedTools && profile.disallowedTools.length > 0) {
+    args.push('--disallowedTools', profile.disallowedTools.join(','));
+  }
+  return args;
+}
+
+module.exports = {
+  BUILT_IN_PROFILES,
+  DEFAULT_PROFILE,
+  PERMISSION_MODES,
+  validateProfile,
+  getProfileNames,
+  getPermissionProfile,
+  getPermissionArgs,
+};
@@ -94,8 +94,44 @@ function validatePrdJson(prd) {
       if (typeof story.notes !== 'string') {
         errors.push(`${storyPrefix}: Missing or invalid "notes" field (must be string)`);
       }
+
+      if (story.skipped !== undefined && typeof story.skipped !== 'boolean') {
+        errors.push(`${storyPrefix}: Invalid "skipped" field (must be boolean)`);
+      }
+
+      if (story.model !== undefined && (typeof story.model !== 'string' || story.model.trim() === '')) {
+        errors.push(`${storyPrefix}: Invalid "model" field (must be a non-empty string)`);
+      }
+
+      if (story.attempts !== undefined && (!Number.isInteger(story.attempts) || story.attempts < 0)) {
+        errors.push(`${storyPrefix}: Invalid "attempts" field (must be a non-negative integer)`);
+      }
+
+      if (story.blocked !== undefined && (typeof story.blocked !== 'string' || story.blocked.trim() === '')) {
+        errors.push(`${storyPrefix}: Invalid "blocked" field (must be a non-empty string giving the reason)`);
+      }
+
+      if (story.dependsOn !== undefined) {
+        if (!Array.isArray(story.dependsOn) || story.dependsOn.some(id => typeof id !== 'string')) {
+          errors.push(`${storyPrefix}: Invalid "dependsOn" field (must be an array of story IDs)`);
+        } else {
+          const knownIds = prd.userStories.map(s => s.id);
+          for (const id of story.dependsOn) {
+            if (id === story.id) {
+              errors.push(`${storyPrefix}: "dependsOn" lists the story itself`);
+            } else if (!knownIds.includes(id)) {
+              errors.push(`${storyPrefix}: "dependsOn" lists unknown story ${id}`);
+            }
+          }
+        }
+      }
     });
 
+    const cycle = findDependencyCycle(prd.userStories);
+    if (cycle) {
+      errors.push(`Stories depend on each other in a cycle: ${cycle.join(' -> ')}`);
+    }
+
     // Check for sequential priorities
     const priorities = prd.userStories.map(s => s.priority).sort((a, b) => a - b);
     for (let i = 0; i < priorities.length; i++) {
@@ -122,6 +158,421 @@ function validatePrdJson(prd) {
   };
 }
 
+/**
+ * Find stories that depend on each other in a loop, which would block all of them forever
+ * @param {Object[]} stories - User stories
+ * @returns {string[]|null} IDs around the cycle, starting and ending with the same ID, or null if there is none
+ */
+function findDependencyCycle(stories) {
+  const dependencies = new Map(stories.map(story => [story.id, Array.isArray(story.dependsOn) ? story.dependsOn : []]));
+  // Depth-first search; a story still on the trail when it is reached again closes a cycle
+  const done = new Set();
+  const trail = [];
+
+  const visit = (id) => {
+    if (done.has(id) || !dependencies.has(id)) return null;
+    const onTrail = trail.indexOf(id);
+    if (onTrail !== -1) return [...trail.slice(onTrail), id];
+
+    trail.push(id);
+    for (const dependency of dependencies.get(id)) {
+      // A story listing itself is reported on its own by validatePrdJson()
+      if (dependency === id) continue;
+      const cycle = visit(dependency);
+      if (cycle) return cycle;
+    }
+    trail.pop();
+    done.add(id);
+    return null;
+  };
+
+  for (const id of dependencies.keys()) {
+    const cycle = visit(id);
+    if (cycle) return cycle;
+  }
+  return null;
+}
+
+/**
+ * Read and parse prd.json
+ * @param {string} prdFilePath - Path to prd.json
+ * @returns {Object} Parsed prd.json object
+ * @throws {Error} If the file is missing or not valid JSON
+ */
+function readPrdJson(prdFilePath) {
+  if (!fs.existsSync(prdFilePath)) {
+    throw new Error(`File not found: ${prdFilePath}`);
+  }
+  try {
+    return JSON.parse(fs.readFileSync(prdFilePath, 'utf-8'));
+  } catch (err) {
+    throw new Error(`${prdFilePath} is not valid JSON: ${err.message}`);
+  }
+}
+
+/**
+ * Write prd.json atomically (write a temp file, then rename it over the original)
+ * @param {string} prdFilePath - Path to prd.json
+ * @param {Object} prd - prd.json object
+ */
+function writePrdJson(prdFilePath, prd) {
+  const tempFile = path.join(path.dirname(prdFilePath), `.${path.basename(prdFilePath)}.${process.pid}.tmp`);
+  fs.writeFileSync(tempFile, `${JSON.stringify(prd, null, 2)}\n`);
+  fs.renameSync(tempFile, prdFilePath);
+}
+
+/**
+ * Format a story ID from its 1-based position
+ * @param {number} position - 1-based position
+ * @returns {string} ID such as US-001
+ */
+function formatStoryId(position) {
+  return `US-${String(position).padStart(3, '0')}`;
+}
+
+/**
+ * Get stories in priority order (stable for equal priorities)
+ * @param {Object} prd - prd.json object
+ * @returns {Object[]} Stories sorted by priority
+ */
+function sortedStories(prd) {
+  return (prd.userStories || [])
+    .map((story, index) => ({ story, index }))
+    .sort((a, b) => (a.story.priority - b.story.priority) || (a.index - b.index))
+    .map(({ story }) => story);
+}
+
+/**
+ * Find a story by ID
+ * @param {Object[]} stories - Stories to search
+ * @param {string} id - Story ID (case-insensitive)
+ * @returns {number} Index of the story
+ * @throws {Error} If no story has that ID
+ */
+function findStoryIndex(stories, id) {
+  const index = stories.findIndex(story => String(story.id).toUpperCase() === String(id).toUpperCase());
+  if (index === -1) {
+    throw new Error(`No story with ID ${id}`);
+  }
+  return index;
+}
+
+/**
+ * Use the given order as the priority order, renumbering IDs and priorities from 1.
+ * dependsOn lists follow the new IDs; dependencies on stories that are gone are dropped.
+ * @param {Object} prd - prd.json object
+ * @param {Object[]} stories - Stories in the new order, still with their old IDs
+ * @param {Object} replacedIds - Old IDs of stories folded into another story, mapped to that story's old ID
+ * @returns {Object} New prd.json object
+ */
+function withStoryOrder(prd, stories, replacedIds = {}) {
+  const newIds = new Map(stories.map((story, index) => [story.id, formatStoryId(index + 1)]));
+  const oldIds = new Set((prd.userStories || []).map(story => story.id));
+  // IDs that were never in the PRD are left alone for validatePrdJson() to report
+  const renameDependency = id => (oldIds.has(id) ? newIds.get(replacedIds[id] || id) : id);
+
+  return {
+    ...prd,
+    userStories: stories.map((story, index) => {
+      const renumbered = { ...story, id: formatStoryId(index + 1), priority: index + 1 };
+      if (Array.isArray(story.dependsOn)) {
+        const dependsOn = story.dependsOn.map(renameDependency).filter(id => id && id !== renumbered.id);
+        renumbered.dependsOn = [...new Set(dependsOn)];
+      }
+      return renumbered;
+    }),
+  };
+}
+
+/**
+ * Sort stories by priority, then renumber IDs and priorities sequentially from 1
+ * @param {Object} prd - prd.json object
+ * @returns {Object} New prd.json object
+ */
+function renumberStories(prd) {
+  return withStoryOrder(prd, sortedStories(prd));
+}
+
+/**
+ * Remove a story and renumber the rest
+ * @param {Object} prd - prd.json object
+ * @param {string} id - Story ID
+ * @returns {Object} New prd.json object
+ * @throws {Error} If no story has that ID
+ */
+function removeStory(prd, id) {
+  const stories = sortedStories(prd);
+  stories.splice(findStoryIndex(stories, id), 1);
+  return withStoryOrder(prd, stories);
+}
+
+/**
+ * Move a story to a new position in the priority order and renumber
+ * @param {Object} prd - prd.json object
+ * @param {string} id - Story ID
+ * @param {number} toPosition - New 1-based position
+ * @returns {Object} New prd.json object
+ * @throws {Error} If no story has that ID or the position is out of range
+ */
+function moveStory(prd, id, toPosition) {
+  const stories = sortedStories(prd);
+  const index = findStoryIndex(stories, id);
+  if (!Number.isInteger(toPosition) || toPosition < 1 || toPosition > stories.length) {
+    throw new Error(`Position must be between 1 and ${stories.length}`);
+  }
+
+  const [story] = stories.splice(index, 1);
+  stories.splice(toPosition - 1, 0, story);
+  return withStoryOrder(prd, stories);
+}
+
+/**
+ * Add a new story and renumber
+ * @param {Object} prd - prd.json object
+ * @param {Object} fields - Story fields (title, description, acceptanceCriteria, notes, model, dependsOn)
+ * @param {number|null} position - 1-based position in the priority order (default: last)
+ * @returns {Object} New prd.json object
+ * @throws {Error} If the position is out of range
+ */
+function addStory(prd, fields, position = null) {
+  const stories = sortedStories(prd);
+  const toPosition = position === null ? stories.length + 1 : position;
+  if (!Number.isInteger(toPosition) || toPosition < 1 || toPosition > stories.length + 1) {
+    throw new Error(`Position must be between 1 and ${stories.length + 1}`);
+  }
+
+  const story = {
+    id: '',
+    title: fields.title,
+    description: fields.description || fields.title,
+    acceptanceCriteria: fields.acceptanceCriteria || [],
+    priority: 0,
+    passes: false,
+    notes: fields.notes || '',
+  };
+  if (fields.model) story.model = fields.model;
+  if (fields.dependsOn) story.dependsOn = fields.dependsOn;
+  stories.splice(toPosition - 1, 0, story);
+  return withStoryOrder(prd, stories);
+}
+
+/**
+ * Change fields of a story. ID and priority are kept; use moveStory() to reorder.
+ * @param {Object} prd - prd.json object
+ * @param {string} id - Story ID
+ * @param {Object} changes - Fields to replace
+ * @returns {Object} New prd.json object
+ * @throws {Error} If no story has that ID
+ */
+function updateStory(prd, id, changes) {
+  const stories = sortedStories(prd);
+  const index = findStoryIndex(stories, id);
+  const { id: _id, priority: _priority, ...fields } = changes;
+  stories[index] = { ...stories[index], ...fields };
+  return withStoryOrder(prd, stories);
+}
+
+/**
+ * Count one more failed attempt at a story. Unlike the editing helpers this leaves IDs and
+ * priorities alone, since it runs on whatever the agent left in prd.json.
+ * @param {Object} prd - prd.json object
+ * @param {string} id - Story ID
+ * @returns {Object} New prd.json object
+ * @throws {Error} If no story has that ID
+ */
+function incrementAttempts(prd, id) {
+  const stories = Array.isArray(prd.userStories) ? prd.userStories : [];
+  const index = findStoryIndex(stories, id);
+  return {
+    ...prd,
+    userStories: stories.map((story, i) => (i === index ? { ...story, attempts: (story.attempts || 0) + 1 } : story)),
+  };
+}
+
+/**
+ * Mark a story as blocked, so the agent loop stops picking it. Like incrementAttempts() this
+ * leaves IDs and priorities alone.
+ * @param {Object} prd - prd.json object
+ * @param {string} id - Story ID
+ * @param {string} reason - Why the story is blocked
+ * @returns {Object} New prd.json object
+ * @throws {Error} If no story has that ID
+ */
+function blockStory(prd, id, reason) {
+  const stories = Array.isArray(prd.userStories) ? prd.userStories : [];
+  const index = findStoryIndex(stories, id);
+  return {
+    ...prd,
+    userStories: stories.map((story, i) => (i === index ? { ...story, blocked: reason } : story)),
+  };
+}
+
+/**
+ * Mark a story as not passing, not skipped and not blocked, with no failed attempts, so the agent works on it again
+ * @param {Object} prd - prd.json object
+ * @param {string} id - Story ID
+ * @returns {Object} New prd.json object
+ * @throws {Error} If no story has that ID
+ */
+function resetStory(prd, id) {
+  const stories = sortedStories(prd);
+  const index = findStoryIndex(stories, id);
+  const { skipped: _skipped, attempts: _attempts, blocked: _blocked, ...story } = stories[index];
+  stories[index] = { ...story, passes: false };
+  return withStoryOrder(prd, stories);
+}
+
+/**
+ * Mark a story as skipped so the agent loop leaves it alone
+ * @param {Object} prd - prd.json object
+ * @param {string} id - Story ID
+ * @returns {Object} New prd.json object
+ * @throws {Error} If no story has that ID
+ */
+function skipStory(prd, id) {
+  return updateStory(prd, id, { skipped: true });
+}
+
+/**
+ * Merge stories into the first one given, then renumber.
+ * Descriptions and notes are joined, acceptance criteria and dependencies combined without
+ * duplicates, and the merged story only passes if every merged story passed.
+ * @param {Object} prd - prd.json object
+ * @param {string[]} ids - Story IDs; the first is kept and the others are folded into it
+ * @returns {Object} New prd.json object
+ * @throws {Error} If fewer than two distinct IDs are given or an ID is unknown
+ */
+function mergeStories(prd, ids) {
+  const unique = [...new Set(ids.map(id => String(id).toUpperCase()))];
+  if (unique.length < 2) {
+    throw new Error('Give at least two different story IDs to merge');
+  }
+
+  const stories = sortedStories(prd);
+  const merging = unique.map(id => stories[findStoryIndex(stories, id)]);
+  const [target, ...others] = merging;
+  const join = (field, separator) => merging.map(story => story[field]).filter(Boolean).join(separator);
+
+  const merged = {
+    ...target,
+    description: join('description', '\n\n'),
+    acceptanceCriteria: [...new Set(merging.flatMap(story => story.acceptanceCriteria || []))],
+    passes: merging.every(story => story.passes === true),
+    notes: join('notes', '\n'),
+  };
+  if (merging.some(story => Array.isArray(story.dependsOn))) {
+    merged.dependsOn = [...new Set(merging.flatMap(story => story.dependsOn || []))];
+  }
+
+  const remaining = stories
+    .filter(story => !others.includes(story))
+    .map(story => (story === target ? merged : story));
+  const replacedIds = Object.fromEntries(others.map(story => [story.id, target.id]));
+  return withStoryOrder(prd, remaining, replacedIds);
+}
+
+/**
+ * Check whether a story still needs work: not passing and not skipped
+ * @param {Object} story - User story
+ * @returns {boolean}
+ */
+function isStoryPending(story) {
+  return story.passes === false && story.skipped !== true;
+}
+
+/**
+ * List the dependencies a story is still waiting on
+ * @param {Object} story - User story
+ * @param {Object[]} stories - Every story in prd.json
+ * @returns {string[]} IDs in dependsOn that don't pass yet (including unknown IDs)
+ */
+function getBlockingDependencies(story, stories) {
+  if (!Array.isArray(story.dependsOn)) return [];
+  return story.dependsOn.filter((id) => {
+    const dependency = stories.find(candidate => candidate.id === id);
+    return !dependency || dependency.passes !== true;
+  });
+}
+
+/**
+ * List the stories that still need work but can't be worked on: blocked after too many failed
+ * attempts, or waiting on a dependency
+ * @param {Object} prd - Parsed prd.json object
+ * @returns {Array<{id: string, title: string, waitingOn: string[], reason: string}>} In prd.json order;
+ *   reason is the story's blocked reason, or which dependencies it is waiting on
+ */
+function getBlockedStories(prd) {
+  const stories = Array.isArray(prd.userStories) ? prd.userStories : [];
+  return stories
+    .filter(isStoryPending)
+    .map((story) => {
+      const waitingOn = getBlockingDependencies(story, stories);
+      const reason = story.blocked || (waitingOn.length > 0 ? `waiting on ${waitingOn.join(', ')}` : null);
+      return { id: story.id, title: story.title, waitingOn, reason };
+    })
+    .filter(story => story.reason);
+}
+
+/**
+ * List the stories that can be worked on now: not passing, not skipped, not blocked, and with
+ * every dependency passing
+ * @param {Object} prd - Parsed prd.json object
+ * @returns {Object[]} Stories in priority order
+ */
+function getReadyStories(prd) {
+  const stories = Array.isArray(prd.userStories) ? prd.userStories : [];
+  return sortedStories({ userStories: stories.filter(story => isStoryPending(story) && !story.blocked && getBlockingDependencies(story, stories).length === 0) });
+}
+
+/**
+ * Get the story the next iteration should work on: the highest priority story that is not
+ * passing and whose dependencies all pass
+ * @param {Object} prd - Parsed prd.json object
+ * @returns {Object|null} The story, or null if every story passes, is skipped, blocked or waiting on a dependency
+ */
+function getNextStory(prd) {
+  return getReadyStories(prd)[0] || null;
+}
+
+/**
+ * Compare story statuses between two versions of prd.json, matching stories by ID
+ * @param {Object} before - prd.json object before the change
+ * @param {Object} after - prd.json object after the change
+ * @returns {{passed: string[], failed: string[]}} IDs of stories whose passes became true, and
+ *   of stories that passed before but no longer do
+ */
+function diffStoryPasses(before, after) {
+  const previous = new Map((Array.isArray(before.userStories) ? before.userStories : []).map(story => [story.id, story]));
+  const passed = [];
+  const failed = [];
+  for (const story of Array.isArray(after.userStories) ? after.userStories : []) {
+    const wasPassing = previous.has(story.id) && previous.get(story.id).passes === true;
+    if (story.passes === true && !wasPassing) passed.push(story.id);
+    if (story.passes !== true && wasPassing) failed.push(story.id);
+  }
+  return { passed, failed };
+}
+
+/**
+ * Extract the Codebase Patterns section from progress.txt
+ * @param {string} progressContent - progress.txt content
+ * @returns {string} The section body without its heading, or an empty string
+ */
+function parseCodebasePatterns(progressContent) {
+  const lines = progressContent.split('\n');
+  const start = lines.findIndex(line => line.trim() === '## Codebase Patterns');
+  if (start === -1) {
+    return '';
+  }
+
+  const body = [];
+  for (const line of lines.slice(start + 1)) {
+    if (line.startsWith('## ') || line.trim() === '---') break;
+    body.push(line);
+  }
+  return body.join('\n').trim();
+}
+
 /**
  * Ensure output directory exists
  * @param {string} outputDir - Path to output directory
@@ -145,6 +596,19 @@ function initProgressFile(progressFilePath) {
   }
 }
 
+/**
+ * Append an entry written by claude-all itself (not the agent) to the progress log
+ * @param {string} progressFilePath - Path to progress file
+ * @param {string} subject - What the entry is about, usually a story ID
+ * @param {string[]} lines - Entry lines, written as a bullet list
+ * @param {Date} date - Entry time (default: now)
+ */
+function appendRunLogEntry(progressFilePath, subject, lines, date = new Date()) {
+  const timestamp = date.toISOString().replace('T', ' ').slice(0, 16);
+  const body = lines.map(line => `- ${line}`).join('\n');
+  fs.appendFileSync(progressFilePath, `\n## ${timestamp} - ${subject} (claude-all)\n${body}\n---\n`);
+}
+
 /**
  * Track the current branch in a file
  * @param {string} prdFilePath - Path to prd.json
@@ -190,8 +654,30 @@ module.exports = {
   hasPrdJson,
   readPrdFile,
   validatePrdJson,
+  isStoryPending,
+  getNextStory,
+  getReadyStories,
+  getBlockingDependencies,
+  getBlockedStories,
+  findDependencyCycle,
+  diffStoryPasses,
+  parseCodebasePatterns,
+  readPrdJson,
+  writePrdJson,
+  formatStoryId,
+  renumberStories,
+  addStory,
+  updateStory,
+  incrementAttempts,
+  blockStory,
+  resetStory,
+  skipStory,
+  removeStory,
+  moveStory,
+  mergeStories,
   ensureOutputDir,
   initProgressFile,
+  appendRunLogEntry,
   trackCurrentBranch,
   parseArgs,
 };
@@ -0,0 +1,251 @@
+/**
+ * Interactive review of a generated prd.json before the agent loop starts
+ * Lets the user accept, regenerate, hand-edit, drop, merge or reorder stories
+ */
+
+const fs = require('fs');
+const readline = require('readline');
+const { spawnSync } = require('child_process');
+const { colors } = require('./core');
+const {
+  readPrdJson,
+  writePrdJson,
+  validatePrdJson,
+  removeStory,
+  moveStory,
+  mergeStories,
+} = require('./prd-utils');
+
+const REVIEW_COMMANDS = [
+  ['a', 'Accept and start the agent loop'],
+  ['r', 'Regenerate with extra guidance'],
+  ['e', 'Open prd.json in $VISUAL / $EDITOR'],
+  ['d <id>', 'Drop a story'],
+  ['m <id> <id>...', 'Merge stories into the first one'],
+  ['o <id> <position>', 'Move a story to a new position'],
+  ['q', 'Quit without starting the agent loop'],
+];
+
+/**
+ * Open a file in the user's editor and wait for it to exit
+ * @param {string} filePath - File to edit
+ * @throws {Error} If the editor cannot be started or exits with an error
+ */
+function openInEditor(filePath) {
+  const editor = process.env.VISUAL || process.env.EDITOR || 'vi';
+  const [command, ...args] = editor.split(/\s+/);
+  const result = spawnSync(command, [...args, filePath], { stdio: 'inherit' });
+
+  if (result.error) {
+    throw new Error(`Could not start editor "${editor}": ${result.error.message}`);
+  }
+  if (result.status !== 0) {
+    throw new Error(`Editor "${editor}" exited with code ${result.status}`);
+  }
+}
+
+/**
+ * Check that a prd.json exists and parses
+ * @param {string} filePath - File to check
+ * @returns {boolean} True if it can be read
+ */
+function isReadable(filePath) {
+  try {
+    readPrdJson(filePath);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Format the story list and validation result for the review screen
+ * @param {Object} prd - prd.json object
+ * @param {Object} validation - Result of validatePrdJson()
+ * @returns {string[]} Lines (with ANSI colors)
+ */
+function formatReview(prd, validation) {
+  const lines = [
+    `${colors.cyan}${colors.bright}Review: ${prd.project || 'Untitled'}${colors.reset} ${colors.dim}(${prd.branchName || 'no branch'})${colors.reset}`,
+  ];
+
+  for (const story of prd.userStories || []) {
+    const criteria = Array.isArray(story.acceptanceCriteria) ? story.acceptanceCriteria.length : 0;
+    lines.push(`  ${story.id}  ${story.title}  ${colors.dim}(${criteria} criteria)${colors.reset}`);
+  }
+
+  if (validation.valid) {
+    lines.push(`${colors.green}✓ prd.json is valid${colors.reset}`);
+  } else {
+    lines.push(`${colors.yellow}prd.json has ${validation.errors.length} problem(s):${colors.reset}`);
+    validation.errors.forEach(error => lines.push(`${colors.yellow}  • ${error}${colors.reset}`));
+  }
+
+  return lines;
+}
+
+/**
+ * Run the interactive review loop
+ * @param {Object} config - Configuration object from createConfig()
+ * @param {Object} options - Options
+ * @param {Function} options.regenerate - async (guidance) => boolean, regenerates prd.json with extra
+ *   guidance; the old prd.json is moved aside while it runs, and put back if no readable one appears
+ * @param {stream.Readable} options.input - Input stream (default: process.stdin)
+ * @param {stream.Writable} options.output - Output stream (default: process.stdout)
+ * @param {Function} options.openEditor - (filePath) => void, edits a file (default: $VISUAL / $EDITOR)
+ * @returns {Promise<{decision: string, prd: Object|null}>} decision is 'accept' or 'quit'
+ */
+async function reviewPrd(config, options = {}) {
+  const {
+    regenerate,
+    input = process.stdin,
+    output = process.stdout,
+    openEditor = openInEditor,
+  } = options;
+
+  const rl = readline.createInterface({ input, output });
+  const write = (line = '') => output.write(`${line}${colors.reset}\n`);
+
+  let closed = false;
+  let pending = null;
+  rl.on('close', () => {
+    closed = true;
+    if (pending) pending(null);
+  });
+
+  // Resolves null when input ends, which is treated as quitting
+  const ask = question => new Promise((resolve) => {
+    if (closed) {
+      resolve(null);
+      return;
+    }
+    pending = resolve;
+    rl.question(question, (answer) => {
+      pending = null;
+      resolve(answer);
+    });
+  });
+
+  let prd = null;
+  let validation = null;
+
+  const load = () => {
+    try {
+      prd = readPrdJson(config.PRD_FILE);
+      validation = validatePrdJson(prd);
+    } catch (err) {
+      prd = null;
+      validation = { valid: false, errors: [err.message] };
+    }
+  };
+
+  const show = () => {
+    write();
+    if (prd) {
+      formatReview(prd, validation).forEach(line => write(line));
+    } else {
+      write(`${colors.red}${validation.errors[0]}`);
+      write(`${colors.dim}Use "e" to fix it or "r" to regenerate.`);
+    }
+  };
+
+  const save = (updated) => {
+    writePrdJson(config.PRD_FILE, updated);
+    load();
+    show();
+  };
+
+  // The old prd.json is moved aside first, so a run that writes nothing can't pass for a new one,
+  // and it comes back unless the regenerated file can be read
+  const regeneratePrd = async (guidance) => {
+    const previous = `${config.PRD_FILE}.previous`;
+    const hadPrd = fs.existsSync(config.PRD_FILE);
+    if (hadPrd) fs.renameSync(config.PRD_FILE, previous);
+    let success = false;
+    try {
+      success = Boolean(await regenerate(guidance)) && isReadable(config.PRD_FILE);
+    } finally {
+      if (hadPrd && success) fs.rmSync(previous, { force: true });
+      if (hadPrd && !success) fs.renameSync(previous, config.PRD_FILE);
+    }
+    return success;
+  };
+
+  const requirePrd = () => {
+    if (!prd) throw new Error('prd.json could not be read; use "e" to fix it or "r" to regenerate');
+    return prd;
+  };
+
+  const showHelp = () => {
+    const width = Math.max(...REVIEW_COMMANDS.map(([command]) => command.length));
+    REVIEW_COMMANDS.forEach(([command, description]) => write(`${colors.dim}  ${command.padEnd(width)}  ${description}`));
+  };
+
+  load();
+  show();
+  showHelp();
+
+  try {
+    for (;;) {
+      const answer = await ask(`${colors.bright}Review [a/r/e/d/m/o/q, ? for help]> ${colors.reset}`);
+      if (answer === null) {
+        return { decision: 'quit', prd };
+      }
+
+      const [action = '', ...params] = answer.trim().split(/\s+/);
+      try {
+        switch (action.toLowerCase()) {
+          case 'a': {
+            if (!validation.valid) {
+              const confirm = await ask(`${colors.yellow}prd.json has problems. Start the agent loop anyway? [y/N] ${colors.reset}`);
+              if (!confirm || confirm.trim().toLowerCase() !== 'y') break;
+            }
+            return { decision: 'accept', prd };
+          }
+          case 'q':
+            return { decision: 'quit', prd };
+          case 'r': {
+            const guidance = await ask('Guidance for regeneration: ');
+            if (!guidance || !guidance.trim()) break;
+            rl.pause();
+            const success = await regeneratePrd(guidance.trim()).finally(() => rl.resume());
+            if (!success) write(`${colors.yellow}Regeneration did not produce a valid prd.json; the previous one was kept.`);
+            load();
+            show();
+            break;
+          }
+          case 'e':
+            openEditor(config.PRD_FILE);
+            load();
+            show();
+            break;
+          case 'd':
+            if (params.length !== 1) throw new Error('Usage: d <id>');
+            save(removeStory(requirePrd(), params[0]));
+            break;
+          case 'm':
+            save(mergeStories(requirePrd(), params));
+            break;
+          case 'o':
+            if (params.length !== 2) throw new Error('Usage: o <id> <position>');
+            save(moveStory(requirePrd(), params[0], Number(params[1])));
+            break;
+          case '':
+            break;
+          default:
+            showHelp();
+        }
+      } catch (err) {
+        write(`${colors.red}${err.message}`);
+      }
+    }
+  } finally {
+    rl.close();
+  }
+}
+
+module.exports = {
+  openInEditor,
+  formatReview,
+  reviewPrd,
+};
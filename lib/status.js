@@ -0,0 +1,229 @@
+/**
+ * Run status reporting for claude-all
+ * Reads prd.json, .last-branch, checkpoint.json and progress.txt without spawning the agent
+ */
+
+const fs = require('fs');
+const { colors } = require('./core');
+const { getCurrentBranch } = require('./git');
+const { isStoryPending, getBlockingDependencies } = require('./prd-utils');
+const { readCheckpoint } = require('./interrupt');
+
+/**
+ * Split progress.txt into its `## ` entries, skipping the Codebase Patterns section
+ * @param {string} content - progress.txt content
+ * @returns {Array<{heading: string, body: string}>} Entries in file order
+ */
+function parseProgressEntries(content) {
+  const entries = [];
+  let current = null;
+
+  for (const line of content.split('\n')) {
+    if (line.startsWith('## ')) {
+      current = { heading: line.slice(3).trim(), lines: [] };
+      entries.push(current);
+    } else if (current) {
+      current.lines.push(line);
+    }
+  }
+
+  return entries
+    .filter(entry => entry.heading !== 'Codebase Patterns')
+    .map(entry => ({
+      heading: entry.heading,
+      body: entry.lines.join('\n').replace(/(\n|^)---\s*$/, '').trim(),
+    }));
+}
+
+/**
+ * Read a file if it exists
+ * @param {string} filePath - Path to read
+ * @returns {string|null} File content, or null if missing or unreadable
+ */
+function readOptional(filePath) {
+  try {
+    return fs.readFileSync(filePath, 'utf-8');
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Collect the status of the current run
+ * @param {Object} config - Configuration object from createConfig()
+ * @param {Object} options - Options
+ * @param {number} options.entries - Number of recent progress entries to include (default: 3)
+ * @returns {Object} Status { exists, project, branchName, currentBranch, lastBranch, totals, stories, progress }
+ * @throws {Error} If prd.json exists but is not valid JSON
+ */
+function collectStatus(config, options = {}) {
+  const { entries = 3 } = options;
+  const prdContent = readOptional(config.PRD_FILE);
+  const lastBranch = readOptional(config.LAST_BRANCH_FILE);
+  const progressContent = readOptional(config.PROGRESS_FILE);
+
+  const status = {
+    exists: prdContent !== null,
+    prdFile: config.PRD_FILE,
+    project: null,
+    branchName: null,
+    currentBranch: getCurrentBranch(config.WORKING_DIR),
+    lastBranch: lastBranch ? lastBranch.trim() : null,
+    checkpoint: readCheckpoint(config.CHECKPOINT_FILE),
+    totals: { total: 0, completed: 0, skipped: 0, remaining: 0, blocked: 0 },
+    stories: [],
+    progress: progressContent && entries > 0 ? parseProgressEntries(progressContent).slice(-entries) : [],
+  };
+
+  if (prdContent === null) {
+    return status;
+  }
+
+  let prd;
+  try {
+    prd = JSON.parse(prdContent);
+  } catch (err) {
+    throw new Error(`${config.PRD_FILE} is not valid JSON: ${err.message}`);
+  }
+
+  const stories = Array.isArray(prd.userStories) ? prd.userStories : [];
+  status.project = prd.project || null;
+  status.branchName = prd.branchName || null;
+  status.stories = stories.map(story => ({
+    id: story.id,
+    title: story.title,
+    priority: story.priority,
+    passes: story.passes === true,
+    skipped: story.skipped === true,
+    notes: story.notes || '',
+    attempts: typeof story.attempts === 'number' ? story.attempts : 0,
+    blocked: isStoryPending(story) && story.blocked ? story.blocked : null,
+    dependsOn: Array.isArray(story.dependsOn) ? story.dependsOn : [],
+    waitingOn: isStoryPending(story) ? getBlockingDependencies(story, stories) : [],
+  }));
+
+  const completed = status.stories.filter(story => story.passes).length;
+  const skipped = status.stories.filter(story => story.skipped && !story.passes).length;
+  const blocked = status.stories.filter(story => story.blocked || story.waitingOn.length > 0).length;
+  status.totals = { total: stories.length, completed, skipped, remaining: stories.length - completed - skipped, blocked };
+
+  return status;
+}
+
+/**
+ * Truncate text to a column width, collapsing whitespace
+ * @param {string} text - Text to fit
+ * @param {number} width - Maximum length
+ * @returns {string}
+ */
+function truncate(text, width) {
+  const flat = String(text).replace(/\s+/g, ' ').trim();
+  return flat.length > width ? `${flat.slice(0, width - 1)}…` : flat;
+}
+
+/**
+ * Render the per-story progress table
+ * @param {Object[]} stories - Stories from collectStatus()
+ * @param {Object} options - Options
+ * @param {number} options.width - Total table width (default: terminal width or 100)
+ * @returns {string[]} Table lines (with ANSI colors)
+ */
+function formatStoryTable(stories, options = {}) {
+  const width = Math.max(options.width || process.stdout.columns || 100, 60);
+  const fixed = { id: 6, priority: 3, passes: 6, attempts: 8 };
+  for (const story of stories) {
+    fixed.id = Math.max(fixed.id, String(story.id).length);
+  }
+
+  // Split whatever is left between title and notes
+  const flexible = width - (fixed.id + fixed.priority + fixed.passes + fixed.attempts) - 10;
+  const titleWidth = Math.max(Math.floor(flexible * 0.55), 10);
+  const notesWidth = Math.max(flexible - titleWidth, 10);
+
+  const row = (cells) => cells.join('  ');
+  const lines = [
+    `${colors.bright}${row([
+      'ID'.padEnd(fixed.id),
+      'Pri'.padEnd(fixed.priority),
+      'Passes'.padEnd(fixed.passes),
+      'Attempts'.padEnd(fixed.attempts),
+      'Title'.padEnd(titleWidth),
+      'Notes',
+    ])}${colors.reset}`,
+  ];
+
+  for (const story of stories) {
+    let passes = `${colors.yellow}${'✗ no'.padEnd(fixed.passes)}${colors.reset}`;
+    if (story.passes) {
+      passes = `${colors.green}${'✓ yes'.padEnd(fixed.passes)}${colors.reset}`;
+    } else if (story.skipped) {
+      passes = `${colors.dim}${'– skip'.padEnd(fixed.passes)}${colors.reset}`;
+    }
+    lines.push(row([
+      String(story.id).padEnd(fixed.id),
+      String(story.priority).padEnd(fixed.priority),
+      passes,
+      String(story.attempts).padEnd(fixed.attempts),
+      truncate(story.title, titleWidth).padEnd(titleWidth),
+      `${colors.dim}${truncate(story.notes, notesWidth)}${colors.reset}`,
+    ]));
+  }
+
+  return lines;
+}
+
+/**
+ * Render the full status report
+ * @param {Object} status - Status from collectStatus()
+ * @returns {string} Report text (with ANSI colors)
+ */
+function formatStatus(status) {
+  const lines = [];
+  const { totals } = status;
+
+  lines.push(`${colors.cyan}${colors.bright}Project: ${status.project || 'Unknown'}${colors.reset}`);
+  const skippedText = totals.skipped > 0 ? `, ${totals.skipped} skipped` : '';
+  const blockedText = totals.blocked > 0 ? ` (${totals.blocked} blocked)` : '';
+  lines.push(`${totals.remaining > 0 ? colors.blue : colors.green}Progress: ${totals.completed}/${totals.total} stories complete, ${totals.remaining} remaining${blockedText}${skippedText}${colors.reset}`);
+  if (status.checkpoint) {
+    const { iteration, maxIterations, storyId } = status.checkpoint;
+    lines.push(`${colors.yellow}Interrupted ${storyId ? `during iteration ${iteration} (${storyId})` : `before iteration ${iteration}`}; run "claude-all" to resume at iteration ${iteration} of ${maxIterations}.${colors.reset}`);
+  }
+
+  lines.push('');
+  lines.push(`PRD branch:     ${status.branchName || '-'}`);
+  lines.push(`Current branch: ${status.currentBranch || '- (not a git repository)'}`);
+  lines.push(`Last branch:    ${status.lastBranch || '-'}`);
+  if (status.branchName && status.currentBranch && status.currentBranch !== status.branchName) {
+    lines.push(`${colors.yellow}Checked out branch differs from the PRD branch; the next iteration will switch to ${status.branchName}.${colors.reset}`);
+  }
+
+  lines.push('');
+  lines.push(...formatStoryTable(status.stories));
+
+  const blocked = status.stories.filter(story => story.blocked || story.waitingOn.length > 0);
+  if (blocked.length > 0) {
+    lines.push('', `${colors.bright}Blocked${colors.reset}`);
+    for (const story of blocked) {
+      const reason = story.blocked ? `blocked: ${story.blocked}` : `waiting on ${story.waitingOn.join(', ')}`;
+      lines.push(`${colors.yellow}${story.id}${colors.reset} ${reason}`);
+    }
+  }
+
+  if (status.progress.length > 0) {
+    lines.push('', `${colors.bright}Recent progress${colors.reset}`);
+    for (const entry of status.progress) {
+      lines.push(`${colors.cyan}## ${entry.heading}${colors.reset}`);
+      if (entry.body) lines.push(`${colors.dim}${entry.body}${colors.reset}`);
+    }
+  }
+
+  return lines.join('\n');
+}
+
+module.exports = {
+  parseProgressEntries,
+  collectStatus,
+  formatStoryTable,
+  formatStatus,
+};
@@ -0,0 +1,180 @@
+/**
+ * Parsing for agents that report progress as JSON lines (`claude --output-format stream-json`)
+ *
+ * Each line becomes one or more typed events:
+ *   { type: 'system', subtype, sessionId, model }
+ *   { type: 'text', text }                              - Assistant text
+ *   { type: 'tool_use', id, name, input }               - Tool call
+ *   { type: 'tool_result', toolUseId, content, isError } - Tool output
+ *   { type: 'result', isError, text, usage, sessionId, durationMs, numTurns } - Final result
+ *   { type: 'raw', text }                               - A line that is not JSON
+ */
+
+const colors = require('./colors');
+
+/**
+ * Normalize a usage report into camelCase token counts and cost
+ * @param {Object} usage - Usage object from the agent
+ * @param {number|null} costUsd - Cost reported alongside the usage, if any
+ * @returns {{inputTokens: number, outputTokens: number, cacheCreationInputTokens: number, cacheReadInputTokens: number, costUsd: number|null}}
+ */
+function normalizeUsage(usage = {}, costUsd = null) {
+  return {
+    inputTokens: usage.input_tokens || 0,
+    outputTokens: usage.output_tokens || 0,
+    cacheCreationInputTokens: usage.cache_creation_input_tokens || 0,
+    cacheReadInputTokens: usage.cache_read_input_tokens || 0,
+    costUsd: typeof costUsd === 'number' ? costUsd : null,
+  };
+}
+
+/**
+ * Flatten tool result content (a string or a list of content blocks) into text
+ * @param {string|Object[]} content - Tool result content
+ * @returns {string}
+ */
+function toolResultText(content) {
+  if (typeof content === 'string') return content;
+  if (!Array.isArray(content)) return '';
+  return content.filter(block => block.type === 'text').map(block => block.text).join('\n');
+}
+
+/**
+ * Parse one line of agent output into events
+ * @param {string} line - A single line, without its newline
+ * @returns {Object[]} Events (empty for blank lines and message types that carry nothing to report)
+ */
+function parseStreamLine(line) {
+  if (line.trim() === '') return [];
+
+  let message;
+  try {
+    message = JSON.parse(line);
+  } catch {
+    return [{ type: 'raw', text: line }];
+  }
+  if (!message || typeof message !== 'object') {
+    return [{ type: 'raw', text: line }];
+  }
+
+  const content = message.message && Array.isArray(message.message.content) ? message.message.content : [];
+
+  switch (message.type) {
+    case 'system':
+      return [{ type: 'system', subtype: message.subtype || null, sessionId: message.session_id || null, model: message.model || null }];
+    case 'assistant':
+      return content.flatMap((block) => {
+        if (block.type === 'text') return [{ type: 'text', text: block.text }];
+        if (block.type === 'tool_use') return [{ type: 'tool_use', id: block.id, name: block.name, input: block.input || {} }];
+        return [];
+      });
+    case 'user':
+      return content
+        .filter(block => block.type === 'tool_result')
+        .map(block => ({
+          type: 'tool_result',
+          toolUseId: block.tool_use_id,
+          content: toolResultText(block.content),
+          isError: block.is_error === true,
+        }));
+    case 'result':
+      return [{
+        type: 'result',
+        isError: message.is_error === true,
+        text: typeof message.result === 'string' ? message.result : null,
+        usage: normalizeUsage(message.usage, message.total_cost_usd !== undefined ? message.total_cost_usd : message.cost_usd),
+        sessionId: message.session_id || null,
+        durationMs: message.duration_ms || null,
+        numTurns: message.num_turns || null,
+      }];
+    default:
+      return [];
+  }
+}
+
+/**
+ * Create an incremental parser for output that arrives in arbitrary chunks
+ * @returns {{push: Function, end: Function}} push(chunk) and end() return the events completed so far
+ */
+function createStreamParser() {
+  let buffer = '';
+
+  return {
+    push(chunk) {
+      buffer += chunk;
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+      return lines.flatMap(parseStreamLine);
+    },
+    end() {
+      const rest = buffer;
+      buffer = '';
+      return parseStreamLine(rest);
+    },
+  };
+}
+
+/**
+ * Short description of a tool call's input, e.g. the command or file it works on
+ * @param {Object} input - Tool input
+ * @returns {string}
+ */
+function describeToolInput(input) {
+  const detail = input.command || input.file_path || input.path || input.pattern || input.url || input.description || '';
+  const flat = String(detail).replace(/\s+/g, ' ').trim();
+  return flat.length > 100 ? `${flat.slice(0, 99)}…` : flat;
+}
+
+/**
+ * Render an event as readable text for the terminal or a plain-text transcript
+ * @param {Object} event - Parsed event
+ * @param {Object} options - Options
+ * @param {boolean} options.color - Include ANSI colors (default: false)
+ * @returns {string} Text ending in a newline, or an empty string for events that aren't shown
+ */
+function formatStreamEvent(event, options = {}) {
+  const paint = (color, text) => (options.color ? `${color}${text}${colors.reset}` : text);
+
+  switch (event.type) {
+    case 'text':
+      return `${event.text}\n`;
+    case 'tool_use':
+      return `${paint(colors.dim, `→ ${event.name} ${describeToolInput(event.input)}`.trimEnd())}\n`;
+    case 'tool_result':
+      if (!event.isError) return '';
+      return `${paint(colors.red, `  ✗ ${event.content.split('\n')[0]}`)}\n`;
+    case 'raw':
+      return `${event.text}\n`;
+    default:
+      return '';
+  }
+}
+
+/**
+ * Summarize parsed events into what the loop needs
+ * @param {Object[]} events - Events in order
+ * @returns {{structured: boolean, finalMessage: string, usage: Object|null}}
+ *   structured is false when no JSON events were seen (the agent ignored the output format);
+ *   finalMessage is the final result text, falling back to the last assistant text
+ */
+function summarizeStream(events) {
+  const structured = events.some(event => event.type !== 'raw');
+  const result = [...events].reverse().find(event => event.type === 'result');
+  const lastText = [...events].reverse().find(event => event.type === 'text');
+
+  let finalMessage = '';
+  if (result && result.text !== null) {
+    finalMessage = result.text;
+  } else if (lastText) {
+    finalMessage = lastText.text;
+  }
+
+  return { structured, finalMessage, usage: result ? result.usage : null };
+}
+
+module.exports = {
+  parseStreamLine,
+  createStreamParser,
+  formatStreamEvent,
+  summarizeStream,
+};
@@ -0,0 +1,247 @@
+/**
+ * Prompt templating for claude-all
+ *
+ * Supported syntax:
+ *   {{ name }} / {{ story.title }}     - Insert a variable (arrays become "- item" lines)
+ *   {{#if name}} ... {{else}} ... {{/if}} - Conditional block (empty strings and arrays are false)
+ *   \{{                                - A literal "{{"
+ *
+ * Unknown tags, unclosed blocks and missing variables throw a TemplateError with the line and column.
+ */
+
+const PATH_PATTERN = /^[A-Za-z_$][\w$]*(\.[\w$]+)*$/;
+
+/**
+ * Error thrown for template syntax errors and missing variables
+ */
+class TemplateError extends Error {
+  constructor(message, { name = 'template', line = null, column = null } = {}) {
+    super(line ? `${name}:${line}:${column}: ${message}` : `${name}: ${message}`);
+    this.name = 'TemplateError';
+    this.templateName = name;
+    this.line = line;
+    this.column = column;
+  }
+}
+
+/**
+ * Convert a string offset into a 1-based line and column
+ * @param {string} source - Template source
+ * @param {number} index - Offset into source
+ * @returns {{line: number, column: number}}
+ */
+function locate(source, index) {
+  const before = source.slice(0, index).split('\n');
+  return { line: before.length, column: before[before.length - 1].length + 1 };
+}
+
+/**
+ * Parse template source into a tree of text, variable and if nodes
+ * @param {string} source - Template source
+ * @param {string} name - Template name for error messages
+ * @returns {Object[]} Parsed nodes
+ * @throws {TemplateError} On syntax errors
+ */
+function parseTemplate(source, name) {
+  const root = { children: [] };
+  const stack = [root];
+  let text = '';
+  let index = 0;
+
+  const current = () => {
+    const block = stack[stack.length - 1];
+    return block.inElse ? block.otherwise : block.children;
+  };
+  const flushText = () => {
+    if (text) current().push({ type: 'text', value: text });
+    text = '';
+  };
+  const fail = (message, at) => {
+    throw new TemplateError(message, { name, ...locate(source, at) });
+  };
+
+  while (index < source.length) {
+    const open = source.indexOf('{{', index);
+    if (open === -1) {
+      text += source.slice(index);
+      break;
+    }
+
+    if (open > 0 && source[open - 1] === '\\') {
+      text += source.slice(index, open - 1) + '{{';
+      index = open + 2;
+      continue;
+    }
+
+    text += source.slice(index, open);
+    const close = source.indexOf('}}', open + 2);
+    if (close === -1) {
+      fail('Unclosed "{{" tag', open);
+    }
+
+    const tag = source.slice(open + 2, close).trim();
+    const location = locate(source, open);
+    let next = close + 2;
+
+    // A block tag alone on its line takes the whole line with it, so blocks don't leave blank lines
+    if (tag.startsWith('#if') || tag === 'else' || tag === '/if') {
+      const lineStart = source.lastIndexOf('\n', open - 1) + 1;
+      const lineEnd = source.indexOf('\n', next);
+      const after = source.slice(next, lineEnd === -1 ? source.length : lineEnd);
+      if (source.slice(lineStart, open).trim() === '' && after.trim() === '') {
+        text = text.slice(0, text.length - (open - lineStart));
+        next = lineEnd === -1 ? source.length : lineEnd + 1;
+      }
+    }
+
+    flushText();
+
+    if (tag.startsWith('#if')) {
+      const path = tag.slice(3).trim();
+      if (!PATH_PATTERN.test(path)) {
+        fail(`Invalid condition "{{${tag}}}"`, open);
+      }
+      const node = { type: 'if', path, location, children: [], otherwise: [], inElse: false };
+      current().push(node);
+      stack.push(node);
+    } else if (tag === 'else') {
+      const block = stack[stack.length - 1];
+      if (block === root || block.inElse) {
+        fail('"{{else}}" without a matching "{{#if}}"', open);
+      }
+      block.inElse = true;
+    } else if (tag === '/if') {
+      if (stack.length === 1) {
+        fail('"{{/if}}" without a matching "{{#if}}"', open);
+      }
+      stack.pop();
+    } else if (PATH_PATTERN.test(tag)) {
+      current().push({ type: 'variable', path: tag, location });
+    } else {
+      fail(`Invalid tag "{{${tag}}}"`, open);
+    }
+
+    index = next;
+  }
+
+  flushText();
+
+  if (stack.length > 1) {
+    const unclosed = stack[stack.length - 1];
+    throw new TemplateError(`"{{#if ${unclosed.path}}}" is never closed with "{{/if}}"`, { name, ...unclosed.location });
+  }
+
+  return root.children;
+}
+
+/**
+ * Look up a dotted path in the variables
+ * @param {Object} variables - Template variables
+ * @param {string} path - Dotted path
+ * @returns {{found: boolean, rootFound: boolean, value: *}}
+ */
+function lookup(variables, path) {
+  const [first, ...rest] = path.split('.');
+  if (!Object.prototype.hasOwnProperty.call(variables, first) || variables[first] === undefined) {
+    return { found: false, rootFound: false, value: undefined };
+  }
+
+  let value = variables[first];
+  for (const segment of rest) {
+    if (value === null || typeof value !== 'object' || !(segment in value) || value[segment] === undefined) {
+      return { found: false, rootFound: true, value: undefined };
+    }
+    value = value[segment];
+  }
+  return { found: true, rootFound: true, value };
+}
+
+/**
+ * Format a variable value for insertion into the prompt
+ * @param {*} value - Variable value
+ * @returns {string}
+ */
+function formatValue(value) {
+  if (value === null) return '';
+  if (Array.isArray(value)) return value.map(item => `- ${formatValue(item)}`).join('\n');
+  if (typeof value === 'object') return JSON.stringify(value, null, 2);
+  return String(value);
+}
+
+/**
+ * Check whether a value counts as true in an {{#if}} block
+ * @param {*} value - Variable value
+ * @returns {boolean}
+ */
+function isTruthy(value) {
+  if (Array.isArray(value)) return value.length > 0;
+  if (typeof value === 'string') return value.trim() !== '';
+  return Boolean(value);
+}
+
+/**
+ * Render parsed nodes
+ * @param {Object[]} nodes - Parsed nodes
+ * @param {Object} variables - Template variables
+ * @param {string} name - Template name for error messages
+ * @returns {string}
+ */
+function renderNodes(nodes, variables, name) {
+  let output = '';
+
+  for (const node of nodes) {
+    if (node.type === 'text') {
+      output += node.value;
+    } else if (node.type === 'variable') {
+      const result = lookup(variables, node.path);
+      if (!result.found) {
+        throw new TemplateError(`Missing template variable "${node.path}"`, { name, ...node.location });
+      }
+      output += formatValue(result.value);
+    } else {
+      // Optional fields may be absent inside a condition, but the root variable must exist
+      const result = lookup(variables, node.path);
+      if (!result.rootFound) {
+        throw new TemplateError(`Missing template variable "${node.path}"`, { name, ...node.location });
+      }
+      output += renderNodes(isTruthy(result.value) ? node.children : node.otherwise, variables, name);
+    }
+  }
+
+  return output;
+}
+
+/**
+ * Compile a template once so syntax errors surface before any variables are known
+ * @param {string} source - Template source
+ * @param {Object} options - Options
+ * @param {string} options.name - Template name for error messages (e.g. the file path)
+ * @returns {{render: Function}} Compiled template; render(variables) returns the output
+ * @throws {TemplateError} On syntax errors
+ */
+function compileTemplate(source, options = {}) {
+  const { name = 'template' } = options;
+  const nodes = parseTemplate(source, name);
+
+  return {
+    render: (variables = {}) => renderNodes(nodes, variables, name),
+  };
+}
+
+/**
+ * Render a template with variables
+ * @param {string} source - Template source
+ * @param {Object} variables - Template variables
+ * @param {Object} options - Options passed to compileTemplate()
+ * @returns {string} Rendered output
+ * @throws {TemplateError} On syntax errors or missing variables
+ */
+function renderTemplate(source, variables = {}, options = {}) {
+  return compileTemplate(source, options).render(variables);
+}
+
+module.exports = {
+  TemplateError,
+  compileTemplate,
+  renderTemplate,
+};
@@ -0,0 +1,173 @@
+/**
+ * Agent transcripts for claude-all
+ *
+ * Every agent run is saved to output/logs/<run-id>/iteration-NNN.log: a metadata header,
+ * a `---` line, then everything the agent printed. PRD generation is iteration 0, and a run
+ * that is repeated within one iteration (a retry, or regenerating the PRD during review) gets
+ * iteration-NNN-attempt-N.log.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const TRANSCRIPT_PATTERN = /^iteration-(\d+)(?:-attempt-(\d+))?\.log$/;
+
+/**
+ * Create an ID for a new run, unique within the logs directory
+ * @param {string} logsDir - Directory holding one folder per run
+ * @param {Date} date - When the run started (default: now)
+ * @returns {string} ID such as 20260101-103000 (local time)
+ */
+function createRunId(logsDir, date = new Date()) {
+  const pad = number => String(number).padStart(2, '0');
+  const base = `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}-${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`;
+
+  let runId = base;
+  for (let suffix = 2; fs.existsSync(path.join(logsDir, runId)); suffix++) {
+    runId = `${base}-${suffix}`;
+  }
+  return runId;
+}
+
+/**
+ * SHA-256 of a prompt, to tell which iterations were given the same instructions
+ * @param {string} prompt - Prompt text
+ * @returns {string} Hex digest
+ */
+function hashPrompt(prompt) {
+  return crypto.createHash('sha256').update(prompt).digest('hex');
+}
+
+/**
+ * Format a duration for people
+ * @param {number} ms - Milliseconds
+ * @returns {string} e.g. 8.2s, 4m 05s or 1h 02m
+ */
+function formatDuration(ms) {
+  const seconds = ms / 1000;
+  if (seconds < 60) return `${seconds.toFixed(1)}s`;
+  const minutes = Math.floor(seconds / 60);
+  if (minutes < 60) return `${minutes}m ${String(Math.floor(seconds % 60)).padStart(2, '0')}s`;
+  return `${Math.floor(minutes / 60)}h ${String(minutes % 60).padStart(2, '0')}m`;
+}
+
+/**
+ * Save one agent run's transcript
+ * @param {string} runDir - Folder for the run, created if needed
+ * @param {Object} details - What to record in the header
+ * @param {number} details.iteration - Iteration number (0 for PRD generation)
+ * @param {string|null} details.storyId - Story the iteration targeted, if any
+ * @param {string|null} details.model - Model the agent ran with (null for the agent's default)
+ * @param {Date} details.startedAt - When the agent started
+ * @param {Date} details.endedAt - When the agent exited
+ * @param {Object|null} details.result - Result from runAgent(), or null if the agent could not be started
+ * @param {string} details.promptHash - Hash of the prompt, from hashPrompt()
+ * @param {boolean|null} details.completionSignalSeen - Whether the agent reported completion (null where it doesn't apply)
+ * @param {string} details.error - Why the agent could not be started, if it couldn't
+ * @returns {string} Path of the transcript
+ */
+function writeTranscript(runDir, details) {
+  const {
+    iteration,
+    storyId = null,
+    model = null,
+    startedAt,
+    endedAt,
+    result = null,
+    promptHash,
+    completionSignalSeen = null,
+    error = null,
+  } = details;
+  fs.mkdirSync(runDir, { recursive: true });
+
+  const base = `iteration-${String(iteration).padStart(3, '0')}`;
+  let attempt = 1;
+  let file = path.join(runDir, `${base}.log`);
+  while (fs.existsSync(file)) {
+    attempt++;
+    file = path.join(runDir, `${base}-attempt-${attempt}.log`);
+  }
+
+  const header = [
+    `# claude-all ${iteration === 0 ? 'PRD generation' : `iteration ${iteration}`}`,
+    `Attempt: ${attempt}`,
+    `Story: ${storyId || '-'}`,
+    `Model: ${model || 'default'}`,
+    `Started: ${startedAt.toISOString()}`,
+    `Ended: ${endedAt.toISOString()}`,
+    `Duration: ${formatDuration(endedAt - startedAt)}`,
+    `Exit code: ${result && result.code !== null ? result.code : '-'}`,
+  ];
+  if (result && result.signal) header.push(`Signal: ${result.signal}`);
+  if (result && result.timedOut) header.push(`Timed out: ${result.timedOut}`);
+  if (error) header.push(`Error: ${error}`);
+  header.push(`Prompt SHA-256: ${promptHash}`);
+  if (completionSignalSeen !== null) {
+    header.push(`Completion signal: ${completionSignalSeen ? 'seen' : 'not seen'}`);
+  }
+
+  const output = result ? result.output : '';
+  fs.writeFileSync(file, `${header.join('\n')}\n---\n${output}${output.endsWith('\n') || output === '' ? '' : '\n'}`);
+  return file;
+}
+
+/**
+ * Read the metadata header of a transcript
+ * @param {string} content - Transcript content
+ * @returns {Object} Header values keyed by name, e.g. { 'Exit code': '0' }
+ */
+function parseTranscriptHeader(content) {
+  const header = {};
+  for (const line of content.split('\n')) {
+    if (line === '---') break;
+    const match = line.match(/^([^:#][^:]*): (.*)$/);
+    if (match) header[match[1]] = match[2];
+  }
+  return header;
+}
+
+/**
+ * List runs that have transcripts, oldest first
+ * @param {string} logsDir - Directory holding one folder per run
+ * @returns {string[]} Run IDs
+ */
+function listRuns(logsDir) {
+  if (!fs.existsSync(logsDir)) return [];
+  return fs.readdirSync(logsDir, { withFileTypes: true })
+    .filter(entry => entry.isDirectory())
+    .map(entry => entry.name)
+    .sort();
+}
+
+/**
+ * List the transcripts of one run in iteration order
+ * @param {string} runDir - Folder for the run
+ * @returns {Array<{file: string, iteration: number, attempt: number, header: Object}>}
+ */
+function listTranscripts(runDir) {
+  if (!fs.existsSync(runDir)) return [];
+  return fs.readdirSync(runDir)
+    .map(name => ({ name, match: name.match(TRANSCRIPT_PATTERN) }))
+    .filter(({ match }) => match)
+    .map(({ name, match }) => {
+      const file = path.join(runDir, name);
+      return {
+        file,
+        iteration: Number(match[1]),
+        attempt: match[2] ? Number(match[2]) : 1,
+        header: parseTranscriptHeader(fs.readFileSync(file, 'utf-8')),
+      };
+    })
+    .sort((a, b) => a.iteration - b.iteration || a.attempt - b.attempt);
+}
+
+module.exports = {
+  createRunId,
+  hashPrompt,
+  formatDuration,
+  writeTranscript,
+  parseTranscriptHeader,
+  listRuns,
+  listTranscripts,
+};
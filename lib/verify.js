@@ -0,0 +1,112 @@
+/**
+ * Quality gates for claude-all
+ *
+ * The prompt asks the agent to run the project's checks, but the loop doesn't take its word for
+ * it: after each iteration it runs the `verify` commands itself, in order, stopping at the first
+ * that fails. A failure is summarized into the story's notes, so the next iteration starts from
+ * the actual error.
+ */
+
+const { AbortError, runAgent, outputTail } = require('./agents');
+
+// Starts the block verification failures add to a story's notes; everything after it is replaced
+const NOTES_HEADING = 'Verification failed after iteration';
+
+/**
+ * Wrap a verification command as an adapter, so it gets runAgent()'s process group and timeout handling
+ * @param {string} command - Shell command
+ * @returns {Object} Agent adapter
+ */
+function createVerifyAdapter(command) {
+  return {
+    name: 'verify',
+    promptDelivery: 'stdin',
+    outputFormat: 'text',
+    getCommand: () => command,
+    isComplete: () => false,
+  };
+}
+
+/**
+ * Run verification commands in order until one fails
+ * @param {string[]} commands - Shell commands, such as "npm test"
+ * @param {Object} options - Options
+ * @param {string} options.cwd - Working directory (default: process.cwd())
+ * @param {number} options.timeout - Stop a command after this many milliseconds (default: 0, no limit)
+ * @param {Function} options.onCommand - Called with each command before it starts
+ * @param {Object} options.interrupt - Watcher from createInterruptWatcher(); an interrupted command
+ *   stops the run without counting as a failure
+ * @param {AbortSignal} options.signal - Aborting stops the running command and rejects with an AbortError
+ * @returns {Promise<{passed: boolean, results: Object[], failed: Object|null, interrupted: boolean}>} One
+ *   result per command that ran ({command, code, signal, timedOut, output, duration}); failed is the
+ *   last one if it failed
+ * @throws {AbortError} If options.signal is aborted
+ */
+async function runVerifyCommands(commands, options = {}) {
+  const { cwd = process.cwd(), timeout = 0, onCommand, interrupt = null, signal: abortSignal = null } = options;
+  const results = [];
+
+  for (const command of commands) {
+    if (onCommand) onCommand(command);
+    const startedAt = Date.now();
+    let result;
+    try {
+      const { code, signal, timedOut, interrupted, output } = await runAgent(createVerifyAdapter(command), '', { streamOutput: false, cwd, timeout, interrupt, signal: abortSignal });
+      if (interrupted) return { passed: false, results, failed: null, interrupted: true };
+      result = { command, code, signal, timedOut: Boolean(timedOut), output };
+    } catch (err) {
+      if (err instanceof AbortError) throw err;
+      result = { command, code: null, signal: null, timedOut: false, output: err.message };
+    }
+    result.duration = Date.now() - startedAt;
+    results.push(result);
+
+    if (result.code !== 0 || result.timedOut) {
+      return { passed: false, results, failed: result, interrupted: false };
+    }
+  }
+  return { passed: true, results, failed: null, interrupted: false };
+}
+
+/**
+ * Describe how a verification command failed
+ * @param {Object} result - Failed result from runVerifyCommands()
+ * @returns {string} e.g. "`npm test` exited with code 1"
+ */
+function describeVerifyFailure(result) {
+  if (result.timedOut) return `\`${result.command}\` ran too long and was stopped`;
+  if (result.signal) return `\`${result.command}\` was killed by ${result.signal}`;
+  if (result.code === null) return `\`${result.command}\` could not be started`;
+  return `\`${result.command}\` exited with code ${result.code}`;
+}
+
+/**
+ * Remove an earlier verification failure from a story's notes
+ * @param {string} notes - Story notes
+ * @returns {string}
+ */
+function clearVerifyNotes(notes = '') {
+  const index = notes.indexOf(NOTES_HEADING);
+  return index === -1 ? notes : notes.slice(0, index).trimEnd();
+}
+
+/**
+ * Replace any earlier verification failure in a story's notes with this one
+ * @param {string} notes - Story notes
+ * @param {number} iteration - Iteration whose changes were verified
+ * @param {Object} failed - Failed result from runVerifyCommands()
+ * @returns {string}
+ */
+function addVerifyNotes(notes, iteration, failed) {
+  const kept = clearVerifyNotes(notes);
+  const tail = outputTail(failed.output);
+  const summary = `${NOTES_HEADING} ${iteration}: ${describeVerifyFailure(failed)}.${tail ? ` Last output:\n${tail}` : ''}`;
+  return kept ? `${kept}\n\n${summary}` : summary;
+}
+
+module.exports = {
+  runVerifyCommands,
+  describeVerifyFailure,
+  clearVerifyNotes,
+  addVerifyNotes,
+};